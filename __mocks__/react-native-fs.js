@@ -0,0 +1,43 @@
+/**
+ * react-native-fs for tests: the same calls on Node's fs, rooted in a
+ * fresh temporary folder per test file.
+ */
+const nfs = require('fs');
+const path = require('path');
+const os = require('os');
+const { Buffer } = require('buffer');
+
+const root = nfs.mkdtempSync(path.join(os.tmpdir(), 'gitlane-'));
+
+function item(p) {
+  const st = nfs.statSync(p);
+  return {
+    name: path.basename(p),
+    path: p,
+    size: st.size,
+    mtime: st.mtime,
+    ctime: st.ctime,
+    isFile: () => st.isFile(),
+    isDirectory: () => st.isDirectory(),
+  };
+}
+
+const decode = (data, encoding) => (encoding === 'base64' ? Buffer.from(data, 'base64') : data);
+
+module.exports = {
+  DocumentDirectoryPath: `${root}/docs`,
+  TemporaryDirectoryPath: `${root}/tmp`,
+  exists: async p => nfs.existsSync(p),
+  mkdir: async p => { nfs.mkdirSync(p, { recursive: true }); },
+  readFile: async (p, encoding) => nfs.readFileSync(p).toString(encoding === 'base64' ? 'base64' : 'utf8'),
+  writeFile: async (p, data, encoding) => { nfs.writeFileSync(p, decode(data, encoding)); },
+  appendFile: async (p, data, encoding) => { nfs.appendFileSync(p, decode(data, encoding)); },
+  unlink: async p => {
+    if (!nfs.existsSync(p)) {
+      throw new Error(`ENOENT: no such file or directory, '${p}'`);
+    }
+    nfs.rmSync(p, { recursive: true, force: true });
+  },
+  readDir: async p => nfs.readdirSync(p).map(name => item(path.join(p, name))),
+  stat: async p => item(p),
+};
@@ -0,0 +1,64 @@
+import { describe, it, expect } from '@jest/globals';
+import fs from 'fs';
+import { amendCommit, getLastCommit, mergeBranch } from '../src/git/gitOps';
+import { makeRepo, commitFiles, sh, subjects } from './helpers/repo';
+
+const OLD_DATE = { GIT_AUTHOR_DATE: '@1000 +0000', GIT_COMMITTER_DATE: '@1000 +0000' };
+const ME = { name: 'Me', email: 'me@example.com' };
+const format = (dir, fmt) => sh(dir, `git log -1 --format='${fmt}'`).trim();
+
+describe('amendCommit', () => {
+  it('replaces HEAD with the index on the same parent, keeping message and author', async () => {
+    const dir = makeRepo('amend-content', { 'a.txt': 'a\n' });
+    const parent = sh(dir, 'git rev-parse HEAD').trim();
+    const before = commitFiles(dir, { 'b.txt': 'b\n' }, 'add b', OLD_DATE);
+    fs.writeFileSync(`${dir}/c.txt`, 'c\n');
+    sh(dir, 'git add c.txt');
+
+    const oid = await amendCommit(dir, ME);
+    expect(oid).not.toBe(before);
+    expect(sh(dir, 'git rev-parse HEAD^').trim()).toBe(parent);
+    expect(subjects(dir)).toEqual(['add b', 'initial']);
+    expect(sh(dir, 'git ls-tree --name-only HEAD').split('\n').filter(Boolean)).toEqual(['a.txt', 'b.txt', 'c.txt']);
+    expect(format(dir, '%an <%ae> %at|%cn <%ce>')).toBe('Test <test@example.com> 1000|Me <me@example.com>');
+    expect(sh(dir, 'git status --porcelain')).toBe('');
+  });
+
+  it('rewrites the message and resets the author when asked', async () => {
+    const dir = makeRepo('amend-message', { 'a.txt': 'a\n' });
+    commitFiles(dir, { 'b.txt': 'b\n' }, 'tpyo', OLD_DATE);
+
+    await amendCommit(dir, { message: 'Fix the typo\n\nWith a body', resetAuthor: true, ...ME });
+    expect(sh(dir, 'git log -1 --format=%B').trim()).toBe('Fix the typo\n\nWith a body');
+    expect(format(dir, '%an <%ae>')).toBe('Me <me@example.com>');
+    expect(format(dir, '%at')).not.toBe('1000');
+    expect(subjects(dir)).toEqual(['Fix the typo', 'initial']);
+  });
+
+  it('is refused while a merge is in progress', async () => {
+    const dir = makeRepo('amend-merging', { 'f.txt': 'base\n' });
+    sh(dir, 'git branch feature');
+    commitFiles(dir, { 'f.txt': 'ours\n' }, 'ours');
+    sh(dir, 'git checkout -q feature');
+    commitFiles(dir, { 'f.txt': 'theirs\n' }, 'theirs');
+    sh(dir, 'git checkout -q main');
+    await mergeBranch(dir, 'feature');
+
+    await expect(amendCommit(dir, ME)).rejects.toThrow('Cannot amend while a merge is in progress');
+  });
+});
+
+describe('getLastCommit', () => {
+  it('tells whether HEAD is already on its upstream', async () => {
+    const dir = makeRepo('amend-pushed', { 'a.txt': 'a\n' });
+    const sha = commitFiles(dir, { 'b.txt': 'b\n' }, 'add b');
+    expect(await getLastCommit(dir)).toEqual({
+      sha, message: 'add b', authorName: 'Test', authorEmail: 'test@example.com', pushed: false, remoteRef: 'origin/main',
+    });
+
+    sh(dir, 'git update-ref refs/remotes/origin/main HEAD');
+    expect(await getLastCommit(dir)).toMatchObject({ pushed: true });
+    commitFiles(dir, { 'c.txt': 'c\n' }, 'add c');
+    expect(await getLastCommit(dir)).toMatchObject({ pushed: false });
+  });
+});
@@ -0,0 +1,39 @@
+import { describe, it, expect } from '@jest/globals';
+import { diffLines, applySelection, lineKey } from '../src/git/diff';
+
+const OLD = 'one\ntwo\nthree\nfour\n';
+const NEW = 'one\n2\nthree\nfour\nfive\n';
+
+describe('lineKey', () => {
+  it('keys removed lines by old number and added lines by new number', () => {
+    const keys = diffLines(OLD, NEW).filter(l => l.type !== ' ').map(lineKey);
+    expect(keys).toEqual(['-2', '+2', '+5']);
+  });
+});
+
+describe('applySelection', () => {
+  const edits = diffLines(OLD, NEW);
+
+  it('takes nothing or everything', () => {
+    expect(applySelection(edits, new Set())).toBe(OLD);
+    expect(applySelection(edits, new Set(['-2', '+2', '+5']))).toBe(NEW);
+  });
+
+  it('stages single lines of a change', () => {
+    expect(applySelection(edits, new Set(['+5']))).toBe('one\ntwo\nthree\nfour\nfive\n');
+    expect(applySelection(edits, new Set(['-2']))).toBe('one\nthree\nfour\n');
+    expect(applySelection(edits, new Set(['-2', '+2']))).toBe('one\n2\nthree\nfour\n');
+  });
+
+  it('unstages selected lines in reverse', () => {
+    expect(applySelection(edits, new Set(), true)).toBe(NEW);
+    expect(applySelection(edits, new Set(['+5']), true)).toBe('one\n2\nthree\nfour\n');
+    expect(applySelection(edits, new Set(['-2', '+2', '+5']), true)).toBe(OLD);
+  });
+
+  it('adds the newline a last line lacks once lines follow it', () => {
+    const noEol = diffLines('a', 'a\nb\n');
+    // '-a' (no newline) and '+a\n', '+b\n': keep the old 'a' and add only 'b'
+    expect(applySelection(noEol, new Set(['+2']))).toBe('a\nb\n');
+  });
+});
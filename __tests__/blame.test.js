@@ -0,0 +1,38 @@
+import { describe, it, expect } from '@jest/globals';
+import fs from 'fs';
+import { blameFile, REPOS_DIR } from '../src/git/gitOps';
+import { makeRepo, commitFiles, sh } from './helpers/repo';
+
+const owners = ({ lines, commits }) => lines.map(l => [l.text, l.sha && commits[l.sha].summary]);
+
+describe('blameFile', () => {
+  it('gives each line to the commit that last changed it', async () => {
+    const dir = makeRepo('blame-history', { 'f.txt': 'one\ntwo\nthree\n' });
+    commitFiles(dir, { 'f.txt': 'one\n2\nthree\n' }, 'change two');
+    commitFiles(dir, { 'f.txt': 'one\n2\nthree\nfour\n' }, 'add four');
+    fs.writeFileSync(`${dir}/f.txt`, 'zero\none\n2\nthree\nfour\n');
+
+    expect(owners(await blameFile(dir, 'f.txt'))).toEqual([
+      ['zero', null],
+      ['one', 'initial'],
+      ['2', 'change two'],
+      ['three', 'initial'],
+      ['four', 'add four'],
+    ]);
+  });
+
+  it('gives lines from before a shallow clone to the boundary commit', async () => {
+    const origin = makeRepo('blame-origin', { 'f.txt': 'one\ntwo\n' });
+    commitFiles(origin, { 'f.txt': 'one\ntwo\nthree\n' }, 'add three');
+    commitFiles(origin, { 'f.txt': 'one\ntwo\nthree\nfour\n' }, 'add four');
+    const dir = `${REPOS_DIR}/blame-shallow`;
+    sh(REPOS_DIR, `rm -rf "${dir}" && git clone -q --depth 2 "file://${origin}" "${dir}"`);
+
+    expect(owners(await blameFile(dir, 'f.txt'))).toEqual([
+      ['one', 'add three'],
+      ['two', 'add three'],
+      ['three', 'add three'],
+      ['four', 'add four'],
+    ]);
+  });
+});
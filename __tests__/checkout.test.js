@@ -0,0 +1,81 @@
+import { describe, it, expect } from '@jest/globals';
+import fs from 'fs';
+import { checkoutBranch, checkoutRemoteBranch } from '../src/git/gitOps';
+import { makeRepo, commitFiles, sh } from './helpers/repo';
+
+const read = (dir, file) => fs.readFileSync(`${dir}/${file}`, 'utf8');
+const branch = dir => sh(dir, 'git rev-parse --abbrev-ref HEAD').trim();
+
+/** main and 'other', which changes a.txt and adds new.txt */
+function setUp(name) {
+  const dir = makeRepo(name, { 'a.txt': 'a\n', 'b.txt': 'b\n' });
+  sh(dir, 'git checkout -q -b other');
+  commitFiles(dir, { 'a.txt': 'other a\n', 'new.txt': 'other new\n' }, 'other');
+  sh(dir, 'git checkout -q main');
+  return dir;
+}
+
+describe('checkoutBranch', () => {
+  it('switches a clean tree', async () => {
+    const dir = setUp('checkout-clean');
+    await checkoutBranch(dir, 'other');
+    expect(branch(dir)).toBe('other');
+    expect([read(dir, 'a.txt'), read(dir, 'new.txt')]).toEqual(['other a\n', 'other new\n']);
+    expect(sh(dir, 'git status --porcelain')).toBe('');
+  });
+
+  it('refuses other uncommitted changes unless they are carried', async () => {
+    const dir = setUp('checkout-carry');
+    fs.writeFileSync(`${dir}/b.txt`, 'local b\n');
+    fs.writeFileSync(`${dir}/c.txt`, 'staged c\n');
+    sh(dir, 'git add c.txt');
+
+    await expect(checkoutBranch(dir, 'other')).rejects.toMatchObject({
+      code: 'UncommittedChanges', filepaths: ['b.txt', 'c.txt'],
+    });
+    expect(branch(dir)).toBe('main');
+
+    await checkoutBranch(dir, 'other', { carry: true });
+    expect(branch(dir)).toBe('other');
+    expect(read(dir, 'a.txt')).toBe('other a\n');
+    expect(sh(dir, 'git status --porcelain')).toBe(' M b.txt\nA  c.txt\n');
+  });
+
+  it('refuses, carry or not, when the switch would overwrite changes', async () => {
+    const dir = setUp('checkout-blocked');
+    fs.writeFileSync(`${dir}/a.txt`, 'local a\n');
+    fs.writeFileSync(`${dir}/new.txt`, 'untracked\n');
+
+    for (const carry of [false, true]) {
+      await expect(checkoutBranch(dir, 'other', { carry })).rejects.toMatchObject({
+        code: 'CheckoutConflict', filepaths: ['a.txt', 'new.txt'],
+      });
+    }
+    expect(branch(dir)).toBe('main');
+    expect([read(dir, 'a.txt'), read(dir, 'new.txt')]).toEqual(['local a\n', 'untracked\n']);
+  });
+
+  it('ignores untracked files the switch does not touch', async () => {
+    const dir = setUp('checkout-untracked');
+    fs.writeFileSync(`${dir}/mine.txt`, 'mine\n');
+    await checkoutBranch(dir, 'other');
+    expect(read(dir, 'mine.txt')).toBe('mine\n');
+  });
+});
+
+describe('checkoutRemoteBranch', () => {
+  it('creates a tracking branch and refuses a local one that has diverged', async () => {
+    const dir = setUp('checkout-remote');
+    sh(dir, 'git update-ref refs/remotes/origin/feature other');
+    commitFiles(dir, { 'b.txt': 'local b\n' }, 'local work');
+    sh(dir, 'git branch feature');
+
+    await expect(checkoutRemoteBranch(dir, 'origin', 'feature')).rejects.toMatchObject({
+      code: 'BranchExists', existing: { name: 'feature', ahead: 1, behind: 1 },
+    });
+    await checkoutRemoteBranch(dir, 'origin', 'feature', { localName: 'feature-2' });
+    expect(branch(dir)).toBe('feature-2');
+    expect(read(dir, 'new.txt')).toBe('other new\n');
+    expect(sh(dir, 'git config branch.feature-2.merge').trim()).toBe('refs/heads/feature');
+  });
+});
@@ -0,0 +1,90 @@
+import { describe, it, expect, beforeAll, afterAll } from '@jest/globals';
+import fs from 'fs';
+import http from 'isomorphic-git/http/web';
+import { cloneRepo, REPOS_DIR } from '../src/git/gitOps';
+import { makeRepo, commitFiles, sh, subjects } from './helpers/repo';
+import { serve } from './helpers/server';
+
+const SERVED = `${REPOS_DIR}/served`;
+let server;
+let url;
+
+beforeAll(async () => {
+  fs.mkdirSync(SERVED, { recursive: true });
+  const seed = makeRepo('clone-seed', { 'a.txt': 'a\n' });
+  commitFiles(seed, { 'b.txt': 'b\n' }, 'second');
+  sh(SERVED, `rm -rf up.git && git clone -q --bare "${seed}" up.git`);
+  server = await serve(SERVED);
+  url = `${server.url}/up.git`;
+});
+
+afterAll(() => server.close());
+
+/** A transfer whose first `failures` requests fail with `error()`; retries don't wait */
+function flakyTransfer(failures, error) {
+  const transfer = {
+    requests: 0,
+    http: { request: args => (transfer.requests++ < failures ? Promise.reject(error()) : http.request(args)) },
+    onProgress: () => {},
+    throwIfCancelled: () => {},
+    wait: async () => {},
+  };
+  return transfer;
+}
+
+const dropped = () => Object.assign(new Error('Network request failed'), { code: 'NetworkError' });
+
+describe('cloneRepo', () => {
+  it('clones into a new folder and tracks the default branch', async () => {
+    const result = await cloneRepo(url, 'clone-new');
+    expect(result).toEqual({ dir: `${REPOS_DIR}/clone-new`, name: 'clone-new', url, branch: 'main' });
+    expect(subjects(result.dir)).toEqual(['second', 'initial']);
+    expect(fs.existsSync(`${result.dir}/.git/gitlane-clone`)).toBe(false);
+  });
+
+  it('never clears an existing repository, even an empty one', async () => {
+    const dir = makeRepo('clone-taken');
+    await expect(cloneRepo(url, 'clone-taken')).rejects.toMatchObject({ code: 'AlreadyExists' });
+    expect(fs.existsSync(`${dir}/.git/HEAD`)).toBe(true);
+
+    makeRepo('clone-taken-full', { 'keep.txt': 'keep\n' });
+    await expect(cloneRepo(url, 'clone-taken-full')).rejects.toMatchObject({ code: 'AlreadyExists' });
+    expect(subjects(`${REPOS_DIR}/clone-taken-full`)).toEqual(['initial']);
+  });
+
+  it('clears what an unfinished clone left behind', async () => {
+    const noGit = `${REPOS_DIR}/clone-leftover`;
+    fs.mkdirSync(noGit, { recursive: true });
+    fs.writeFileSync(`${noGit}/partial.txt`, 'partial\n');
+    await cloneRepo(url, 'clone-leftover');
+    expect(fs.existsSync(`${noGit}/partial.txt`)).toBe(false);
+    expect(subjects(noGit)).toEqual(['second', 'initial']);
+
+    const other = makeRepo('clone-other-url');
+    fs.writeFileSync(`${other}/.git/gitlane-clone`, 'url https://example.com/other.git\n');
+    await cloneRepo(url, 'clone-other-url');
+    expect(subjects(other)).toEqual(['second', 'initial']);
+  });
+
+  it('retries downloads cut off by the network', async () => {
+    const transfer = flakyTransfer(2, dropped);
+    const retries = [];
+    await cloneRepo(url, 'clone-flaky', null, transfer, { onRetry: r => retries.push(r.attempt) });
+    expect(retries).toEqual([1, 2]);
+    expect(subjects(`${REPOS_DIR}/clone-flaky`)).toEqual(['second', 'initial']);
+  });
+
+  it('gives up on other errors at once and discards the folder', async () => {
+    const transfer = flakyTransfer(1, () => new TypeError('bug'));
+    const retries = [];
+    await expect(cloneRepo(url, 'clone-broken', null, transfer, { onRetry: r => retries.push(r) })).rejects.toThrow('bug');
+    expect(retries).toEqual([]);
+    expect(transfer.requests).toBe(1);
+    expect(fs.existsSync(`${REPOS_DIR}/clone-broken`)).toBe(false);
+
+    const offline = flakyTransfer(Infinity, dropped);
+    await expect(cloneRepo(url, 'clone-offline', null, offline)).rejects.toMatchObject({ code: 'NetworkError' });
+    expect(offline.requests).toBe(5);
+    expect(fs.existsSync(`${REPOS_DIR}/clone-offline`)).toBe(false);
+  });
+});
@@ -0,0 +1,28 @@
+import { describe, it, expect } from '@jest/globals';
+import { getCommitDetail } from '../src/git/gitOps';
+import { makeRepo, commitFiles, sh } from './helpers/repo';
+
+describe('getCommitDetail', () => {
+  it('lists the files a commit changed against its first parent', async () => {
+    const dir = makeRepo('detail-changes', { 'a.txt': 'one\ntwo\n', 'b.txt': 'b\n' });
+    const sha = commitFiles(dir, { 'a.txt': 'one\n2\n', 'b.txt': null, 'c.txt': 'c\n' }, 'change things');
+    const detail = await getCommitDetail(dir, sha);
+    expect(detail.message).toBe('change things');
+    expect(detail.parentShas).toEqual([sh(dir, 'git rev-parse HEAD~1').trim()]);
+    expect(detail.files.map(f => [f.path, f.status, f.additions, f.deletions])).toEqual([
+      ['a.txt', 'modified', 1, 1],
+      ['b.txt', 'deleted', 0, 1],
+      ['c.txt', 'added', 1, 0],
+    ]);
+    expect(detail.stats).toEqual({ files: 3, additions: 2, deletions: 2 });
+  });
+
+  it('shows a root commit as all additions without writing objects', async () => {
+    const dir = makeRepo('detail-root', { 'a.txt': 'a\nb\n' });
+    const objects = sh(dir, 'find .git/objects -type f | sort');
+    const detail = await getCommitDetail(dir, sh(dir, 'git rev-parse HEAD').trim());
+    expect(detail.parentShas).toEqual([]);
+    expect(detail.files.map(f => [f.path, f.status, f.additions])).toEqual([['a.txt', 'added', 2]]);
+    expect(sh(dir, 'find .git/objects -type f | sort')).toBe(objects);
+  });
+});
@@ -0,0 +1,115 @@
+import { describe, it, expect } from '@jest/globals';
+import { splitLines, diffLines, buildHunks, formatUnified } from '../src/git/diff';
+
+/** Both sides of an edit script, rebuilt as text */
+function sides(edits) {
+  const text = lines => lines.map(l => (l.eol ? `${l.text}\n` : l.text)).join('');
+  return [text(edits.filter(l => l.type !== '+')), text(edits.filter(l => l.type !== '-'))];
+}
+
+const changes = edits => edits.filter(l => l.type !== ' ').length;
+
+// Deterministic pseudo-random texts over a small alphabet, so lines repeat a lot
+function randomText(seed, length) {
+  let s = seed;
+  const next = () => (s = (s * 1103515245 + 12345) % 2147483648) / 2147483648;
+  const lines = Array.from({ length }, () => `l${Math.floor(next() * 5)}`);
+  return lines.join('\n') + (next() < 0.8 ? '\n' : '');
+}
+
+describe('splitLines', () => {
+  it('keeps terminators and a last line without one', () => {
+    expect(splitLines('a\nb\nc')).toEqual(['a\n', 'b\n', 'c']);
+    expect(splitLines('a\n\n')).toEqual(['a\n', '\n']);
+    expect(splitLines('')).toEqual([]);
+  });
+});
+
+describe('diffLines', () => {
+  it('numbers lines on each side', () => {
+    expect(diffLines('a\nb\nc\n', 'a\nx\nc\n')).toEqual([
+      { type: ' ', text: 'a', eol: true, oldNo: 1, newNo: 1 },
+      { type: '-', text: 'b', eol: true, oldNo: 2, newNo: null },
+      { type: '+', text: 'x', eol: true, oldNo: null, newNo: 2 },
+      { type: ' ', text: 'c', eol: true, oldNo: 3, newNo: 3 },
+    ]);
+  });
+
+  it('treats a missing newline at the end as a change', () => {
+    const edits = diffLines('a\nb\n', 'a\nb');
+    expect(edits.map(l => [l.type, l.text, l.eol])).toEqual([
+      [' ', 'a', true], ['-', 'b', true], ['+', 'b', false],
+    ]);
+  });
+
+  it('lists removals before additions within a change', () => {
+    expect(diffLines('a', 'a\nb\n').map(l => l.type + l.text)).toEqual(['-a', '+a', '+b']);
+    expect(diffLines('x\ny\n', 'p\nq\nr\n').map(l => l.type)).toEqual(['-', '-', '+', '+', '+']);
+  });
+
+  it('handles empty sides', () => {
+    expect(diffLines('', 'a\nb\n').map(l => l.type)).toEqual(['+', '+']);
+    expect(diffLines('a\n', '').map(l => l.type)).toEqual(['-']);
+    expect(diffLines('', '')).toEqual([]);
+  });
+
+  it('finds a shortest edit script that rebuilds both texts', () => {
+    for (let seed = 1; seed <= 200; seed++) {
+      const a = randomText(seed, seed % 23);
+      const b = randomText(seed * 7 + 3, (seed * 3) % 19);
+      for (const algorithm of ['myers', 'patience']) {
+        expect(sides(diffLines(a, b, { algorithm }))).toEqual([a, b]);
+      }
+    }
+    // A swap of two lines needs one delete and one insert, not two of each
+    expect(changes(diffLines('a\nb\nc\n', 'b\na\nc\n'))).toBe(2);
+    expect(changes(diffLines('x\na\nb\nc\ny\n', 'a\nz\nb\nc\n'))).toBe(3);
+  });
+
+  it('keeps moved blocks whole with patience', () => {
+    const a = 'f() {\n  one\n}\n\ng() {\n  two\n}\n';
+    const b = 'g() {\n  two\n}\n\nf() {\n  one\n}\n';
+    const edits = diffLines(a, b, { algorithm: 'patience' });
+    expect(sides(edits)).toEqual([a, b]);
+    const unchanged = edits.filter(l => l.type === ' ').map(l => l.text);
+    expect(unchanged).toEqual(['g() {', '  two', '}']);
+  });
+
+  it('diffs a large rewrite in linear memory', () => {
+    const a = Array.from({ length: 4000 }, (_, i) => `old ${i}`).join('\n') + '\n';
+    const b = Array.from({ length: 4000 }, (_, i) => `new ${i}`).join('\n') + '\n';
+    const edits = diffLines(a, b);
+    expect(edits).toHaveLength(8000);
+    expect(sides(edits)).toEqual([a, b]);
+  });
+});
+
+describe('buildHunks / formatUnified', () => {
+  const base = Array.from({ length: 20 }, (_, i) => `line ${i + 1}`).join('\n') + '\n';
+
+  it('surrounds each change with context and headers like git', () => {
+    const changed = base.replace('line 10\n', 'ten\n');
+    const [hunk, ...rest] = buildHunks(diffLines(base, changed), 3);
+    expect(rest).toEqual([]);
+    expect(hunk.header).toBe('@@ -7,7 +7,7 @@');
+    expect(hunk.lines.map(l => l.type).join('')).toBe('   -+   ');
+  });
+
+  it('merges hunks whose context would overlap', () => {
+    const near = base.replace('line 5\n', 'five\n').replace('line 10\n', 'ten\n');
+    expect(buildHunks(diffLines(base, near), 3)).toHaveLength(1);
+    const far = base.replace('line 2\n', 'two\n').replace('line 18\n', 'eighteen\n');
+    expect(buildHunks(diffLines(base, far), 3).map(h => h.header)).toEqual(['@@ -1,5 +1,5 @@', '@@ -15,6 +15,6 @@']);
+  });
+
+  it('writes pure insertions and deletions at line 0 like git', () => {
+    expect(buildHunks(diffLines('', 'x\n'))[0].header).toBe('@@ -0,0 +1 @@');
+    expect(buildHunks(diffLines('x\ny\n', ''))[0].header).toBe('@@ -1,2 +0,0 @@');
+  });
+
+  it('marks a missing newline at the end of file', () => {
+    expect(formatUnified('f.txt', buildHunks(diffLines('a\n', 'a')))).toBe(
+      '--- a/f.txt\n+++ b/f.txt\n@@ -1 +1 @@\n-a\n+a\n\\ No newline at end of file');
+    expect(formatUnified('f.txt', [])).toBe('');
+  });
+});
@@ -0,0 +1,44 @@
+import { describe, it, expect } from '@jest/globals';
+import { readIndex, listUnmerged } from '../src/git/gitIndex';
+import { makeRepo, commitFiles, sh } from './helpers/repo';
+
+describe('readIndex', () => {
+  it('is empty before anything is staged', async () => {
+    expect(await readIndex(makeRepo('index-empty'))).toEqual([]);
+  });
+
+  it('lists staged entries with their blob and mode', async () => {
+    const dir = makeRepo('index-entries', { 'a.txt': 'a\n', 'sub/deep/b.sh': 'echo\n' });
+    sh(dir, 'chmod +x sub/deep/b.sh && git add sub/deep/b.sh');
+    const entries = await readIndex(dir);
+    expect(entries).toEqual([
+      { path: 'a.txt', oid: sh(dir, 'git rev-parse :a.txt').trim(), mode: 0o100644, stage: 0 },
+      { path: 'sub/deep/b.sh', oid: sh(dir, 'git rev-parse :sub/deep/b.sh').trim(), mode: 0o100755, stage: 0 },
+    ]);
+  });
+
+  it('reads version 3 entries with extended flags', async () => {
+    const dir = makeRepo('index-v3', { 'a.txt': 'a\n', 'b.txt': 'b\n' });
+    sh(dir, 'git update-index --skip-worktree a.txt');
+    expect(sh(dir, 'od -An -tx1 -j4 -N4 .git/index').trim()).toBe('00 00 00 03');
+    expect((await readIndex(dir)).map(e => e.path)).toEqual(['a.txt', 'b.txt']);
+  });
+});
+
+describe('listUnmerged', () => {
+  it('gives each side of a conflict, null where a side deleted the file', async () => {
+    const dir = makeRepo('index-conflict', { 'both.txt': 'base\n', 'gone.txt': 'base\n', 'clean.txt': 'x\n' });
+    sh(dir, 'git checkout -q -b theirs');
+    commitFiles(dir, { 'both.txt': 'theirs\n', 'gone.txt': 'theirs\n' }, 'theirs');
+    sh(dir, 'git checkout -q main');
+    commitFiles(dir, { 'both.txt': 'ours\n', 'gone.txt': null }, 'ours');
+    sh(dir, 'git merge -q theirs || true');
+
+    const blob = text => sh(dir, `printf '${text}\\n' | git hash-object --stdin`).trim();
+    expect(await listUnmerged(dir)).toEqual([
+      { path: 'both.txt', base: blob('base'), ours: blob('ours'), theirs: blob('theirs') },
+      { path: 'gone.txt', base: blob('base'), ours: null, theirs: blob('theirs') },
+    ]);
+    expect((await readIndex(dir)).filter(e => e.stage === 0).map(e => e.path)).toEqual(['clean.txt']);
+  });
+});
@@ -0,0 +1,42 @@
+import { describe, it, expect } from '@jest/globals';
+import { layoutGraph } from '../src/git/graph';
+
+const commit = (sha, ...parentShas) => ({ sha, parentShas });
+const lanes = cells => cells.map(c => c.lane);
+
+describe('layoutGraph', () => {
+  it('keeps linear history in one lane', () => {
+    const rows = layoutGraph([commit('c', 'b'), commit('b', 'a'), commit('a')]);
+    expect(rows.map(r => r.lane)).toEqual([0, 0, 0]);
+    expect(rows.map(r => r.width)).toEqual([1, 1, 1]);
+    expect(rows.map(r => r.joins)).toEqual([[], [], []]);
+    expect(lanes(rows[0].top)).toEqual([]);
+    expect(lanes(rows[2].bottom)).toEqual([]);
+  });
+
+  it('branches a merge out to a new lane and joins it back at the fork point', () => {
+    const rows = layoutGraph([commit('m', 'b', 'f'), commit('f', 'a'), commit('b', 'a'), commit('a')]);
+    expect(rows.map(r => r.lane)).toEqual([0, 1, 0, 0]);
+    expect(rows[0].joins).toEqual([{ from: 0, to: 1, color: 1, half: 'bottom' }]);
+    expect(lanes(rows[0].bottom)).toEqual([0, 1]);
+    expect(lanes(rows[1].top)).toEqual([0, 1]);
+    expect(rows[3].joins).toEqual([{ from: 1, to: 0, color: 1, half: 'top' }]);
+    expect(lanes(rows[3].bottom)).toEqual([]);
+  });
+
+  it('gives a second branch tip its own lane', () => {
+    const rows = layoutGraph([commit('x', 'a'), commit('y', 'a'), commit('a')]);
+    expect(rows.map(r => r.lane)).toEqual([0, 1, 0]);
+    expect(lanes(rows[1].top)).toEqual([0]);
+    expect(rows.map(r => r.color)).toEqual([0, 1, 0]);
+    expect(rows[2].joins).toEqual([{ from: 1, to: 0, color: 1, half: 'top' }]);
+  });
+
+  it('draws no line towards parents that are not loaded', () => {
+    const rows = layoutGraph([commit('m', 'b', 'gone'), commit('b', 'older')]);
+    expect(rows[0].joins).toEqual([]);
+    expect(lanes(rows[0].bottom)).toEqual([0]);
+    expect(lanes(rows[1].bottom)).toEqual([]);
+    expect(rows.map(r => r.width)).toEqual([1, 1]);
+  });
+});
@@ -0,0 +1,54 @@
+/**
+ * Repositories for tests, built and inspected with the git CLI inside the
+ * mocked react-native-fs folder that gitOps works in.
+ */
+import { execSync } from 'child_process';
+import fs from 'fs';
+import path from 'path';
+import { REPOS_DIR } from '../../src/git/gitOps';
+
+const ENV = {
+  ...process.env,
+  GIT_AUTHOR_NAME: 'Test',
+  GIT_AUTHOR_EMAIL: 'test@example.com',
+  GIT_COMMITTER_NAME: 'Test',
+  GIT_COMMITTER_EMAIL: 'test@example.com',
+  GIT_CONFIG_NOSYSTEM: '1',
+  GIT_CONFIG_GLOBAL: '/dev/null',
+};
+
+/** Run a shell command in `dir`; returns its stdout */
+export function sh(dir, command, env = {}) {
+  return execSync(command, { cwd: dir, encoding: 'utf8', env: { ...ENV, ...env } });
+}
+
+/** A fresh repository `name` on branch main, with `files` ({ path: text }) committed as 'initial' */
+export function makeRepo(name, files = null) {
+  const dir = `${REPOS_DIR}/${name}`;
+  execSync(`rm -rf "${dir}" && mkdir -p "${dir}"`);
+  sh(dir, 'git init -q -b main');
+  if (files) {
+    commitFiles(dir, files, 'initial');
+  }
+  return dir;
+}
+
+/** Write `files` ({ path: text, or null to delete }) and commit them with `message` */
+export function commitFiles(dir, files, message, env = {}) {
+  for (const [file, text] of Object.entries(files)) {
+    if (text === null) {
+      sh(dir, `git rm -q "${file}"`);
+      continue;
+    }
+    fs.mkdirSync(path.dirname(`${dir}/${file}`), { recursive: true });
+    fs.writeFileSync(`${dir}/${file}`, text);
+    sh(dir, `git add "${file}"`);
+  }
+  sh(dir, `git commit -q -m "${message}"`, env);
+  return sh(dir, 'git rev-parse HEAD').trim();
+}
+
+/** Commit subjects from `ref`, newest first */
+export function subjects(dir, ref = 'HEAD') {
+  return sh(dir, `git log --format=%s ${ref}`).trim().split('\n');
+}
@@ -0,0 +1,53 @@
+/**
+ * A smart-HTTP git server for tests: `git http-backend` behind node's http
+ * server, serving the bare repositories under `root`.
+ */
+import http from 'http';
+import { spawn } from 'child_process';
+import { Buffer } from 'buffer';
+
+/** Start serving `root`; resolves to { url, close } */
+export function serve(root) {
+  const server = http.createServer((req, res) => {
+    const { pathname, search } = new URL(req.url, 'http://localhost');
+    const env = {
+      ...process.env,
+      GIT_PROJECT_ROOT: root,
+      GIT_HTTP_EXPORT_ALL: '1',
+      GIT_CONFIG_GLOBAL: '/dev/null',
+      REMOTE_USER: 'test',
+      PATH_INFO: pathname,
+      QUERY_STRING: search.slice(1),
+      REQUEST_METHOD: req.method,
+      CONTENT_TYPE: req.headers['content-type'] ?? '',
+      ...(req.headers['content-length'] && { CONTENT_LENGTH: req.headers['content-length'] }),
+    };
+    const cgi = spawn('git', ['http-backend'], { env });
+    req.pipe(cgi.stdin);
+    const chunks = [];
+    cgi.stdout.on('data', chunk => chunks.push(chunk));
+    cgi.on('close', () => {
+      // CGI output: headers (with an optional Status line), a blank line, the body
+      const out = Buffer.concat(chunks);
+      const split = out.indexOf('\r\n\r\n');
+      let status = 200;
+      const headers = {};
+      for (const line of out.subarray(0, split).toString().split('\r\n')) {
+        const [key, ...rest] = line.split(':');
+        if (key.toLowerCase() === 'status') {
+          status = parseInt(rest.join(':'), 10);
+        } else {
+          headers[key] = rest.join(':').trim();
+        }
+      }
+      res.writeHead(status, headers);
+      res.end(out.subarray(split + 4));
+    });
+  });
+  return new Promise(resolve => {
+    server.listen(0, '127.0.0.1', () => resolve({
+      url: `http://127.0.0.1:${server.address().port}`,
+      close: () => new Promise(done => server.close(done)),
+    }));
+  });
+}
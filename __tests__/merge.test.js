@@ -0,0 +1,105 @@
+import { describe, it, expect } from '@jest/globals';
+import fs from 'fs';
+import { mergeBranch, getMergeState, abortMerge, resolveConflict, commit } from '../src/git/gitOps';
+import { makeRepo, commitFiles, sh, subjects } from './helpers/repo';
+
+/** A repo with 'feature' branched off main after 'initial'; main is checked out */
+function setUp(name, files = { 'f.txt': 'one\ntwo\nthree\n', 'gone.txt': 'bye\n' }) {
+  const dir = makeRepo(name, files);
+  sh(dir, 'git branch feature');
+  return dir;
+}
+
+/** Commit `files` on feature, then go back to main */
+function onFeature(dir, files, message) {
+  sh(dir, 'git checkout -q feature');
+  commitFiles(dir, files, message);
+  sh(dir, 'git checkout -q main');
+}
+
+describe('mergeBranch', () => {
+  it('fast-forwards when the branch has nothing of its own', async () => {
+    const dir = setUp('merge-ff');
+    onFeature(dir, { 'sub/new.txt': 'new\n' }, 'feat');
+
+    const r = await mergeBranch(dir, 'feature');
+    expect(r).toMatchObject({ fastForward: true, alreadyMerged: false, mergeCommit: false, conflicts: [] });
+    expect(r.oid).toBe(sh(dir, 'git rev-parse feature').trim());
+    expect(subjects(dir)).toEqual(['feat', 'initial']);
+    expect(sh(dir, 'git status --porcelain')).toBe('');
+    expect(fs.readFileSync(`${dir}/sub/new.txt`, 'utf8')).toBe('new\n');
+  });
+
+  it('reports a branch that is already merged', async () => {
+    const dir = setUp('merge-already');
+    commitFiles(dir, { 'm.txt': 'm\n' }, 'main');
+    const head = sh(dir, 'git rev-parse HEAD');
+
+    expect(await mergeBranch(dir, 'feature')).toMatchObject({ alreadyMerged: true, conflicts: [] });
+    expect(sh(dir, 'git rev-parse HEAD')).toBe(head);
+  });
+
+  it('creates a merge commit when both sides moved', async () => {
+    const dir = setUp('merge-commit');
+    onFeature(dir, { 'gone.txt': null, 'f.txt': 'one\ntwo\nTHREE\n' }, 'feat');
+    commitFiles(dir, { 'f.txt': 'ONE\ntwo\nthree\n' }, 'ours');
+
+    const r = await mergeBranch(dir, 'feature', 'Test', 'test@example.com');
+    expect(r).toMatchObject({ mergeCommit: true, fastForward: false, conflicts: [] });
+    expect(sh(dir, 'git log -1 --format=%P').trim().split(' ')).toEqual([
+      sh(dir, 'git rev-parse HEAD~1').trim(),
+      sh(dir, 'git rev-parse feature').trim(),
+    ]);
+    expect(sh(dir, 'git log -1 --format=%s')).toBe("Merge branch 'feature' into main\n");
+    expect(fs.readFileSync(`${dir}/f.txt`, 'utf8')).toBe('ONE\ntwo\nTHREE\n');
+    expect(fs.existsSync(`${dir}/gone.txt`)).toBe(false);
+    expect(sh(dir, 'git status --porcelain')).toBe('');
+  });
+
+  it('stops on a conflict, then concludes with a commit once it is resolved', async () => {
+    const dir = setUp('merge-conflict');
+    onFeature(dir, { 'f.txt': 'one\nTHEIRS\nthree\n', 't.txt': 't\n' }, 'feat');
+    commitFiles(dir, { 'f.txt': 'one\nOURS\nthree\n' }, 'ours');
+
+    expect(await mergeBranch(dir, 'feature')).toMatchObject({ oid: null, conflicts: ['f.txt'] });
+    const state = await getMergeState(dir);
+    expect(state.theirs).toBe(sh(dir, 'git rev-parse feature').trim());
+    expect(state.conflicts.map(c => c.path)).toEqual(['f.txt']);
+    expect(sh(dir, 'git status --porcelain')).toBe('UU f.txt\nA  t.txt\n');
+
+    await expect(commit(dir, 'merge', 'Test', 'test@example.com')).rejects.toThrow('Resolve all conflicts');
+    await resolveConflict(dir, 'f.txt', ['both']);
+    await commit(dir, 'merge', 'Test', 'test@example.com');
+    expect(await getMergeState(dir)).toBe(null);
+    expect(sh(dir, 'git log -1 --format=%P').trim().split(' ')).toHaveLength(2);
+    expect(fs.readFileSync(`${dir}/f.txt`, 'utf8')).toBe('one\nOURS\nTHEIRS\nthree\n');
+    expect(sh(dir, 'git status --porcelain')).toBe('');
+  });
+
+  it('goes back to the pre-merge commit on abort', async () => {
+    const dir = setUp('merge-abort');
+    onFeature(dir, { 'f.txt': 'one\nTHEIRS\nthree\n', 't.txt': 't\n' }, 'feat');
+    const head = commitFiles(dir, { 'f.txt': 'one\nOURS\nthree\n' }, 'ours');
+    await mergeBranch(dir, 'feature');
+
+    await abortMerge(dir);
+    expect(await getMergeState(dir)).toBe(null);
+    expect(sh(dir, 'git rev-parse HEAD').trim()).toBe(head);
+    expect(sh(dir, 'git status --porcelain')).toBe('');
+  });
+
+  it('refuses uncommitted changes, and untracked files the merge would overwrite', async () => {
+    const dir = setUp('merge-refused');
+    onFeature(dir, { 'new.txt': 'theirs\n' }, 'feat');
+    commitFiles(dir, { 'm.txt': 'm\n' }, 'ours');
+
+    fs.writeFileSync(`${dir}/f.txt`, 'changed\n');
+    await expect(mergeBranch(dir, 'feature')).rejects.toThrow('Commit or stash your changes before merging');
+    sh(dir, 'git checkout -q f.txt');
+
+    fs.writeFileSync(`${dir}/new.txt`, 'my work\n');
+    await expect(mergeBranch(dir, 'feature')).rejects.toMatchObject({ code: 'CheckoutConflict', filepaths: ['new.txt'] });
+    expect(fs.readFileSync(`${dir}/new.txt`, 'utf8')).toBe('my work\n');
+    expect(subjects(dir)).toEqual(['ours', 'initial']);
+  });
+});
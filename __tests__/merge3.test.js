@@ -0,0 +1,47 @@
+import { describe, it, expect } from '@jest/globals';
+import { merge3, resolveChunks } from '../src/git/diff';
+
+const BASE = 'a\nb\nc\nd\ne\n';
+
+describe('merge3', () => {
+  it('merges changes to separate regions', () => {
+    const chunks = merge3(BASE, 'A\nb\nc\nd\ne\n', 'a\nb\nc\nd\nE\n');
+    expect(chunks).toEqual([{ type: 'ok', text: 'A\nb\nc\nd\nE\n' }]);
+  });
+
+  it('takes a change made identically on both sides', () => {
+    const chunks = merge3(BASE, 'a\nB\nc\nd\ne\n', 'a\nB\nc\nd\ne\n');
+    expect(chunks).toEqual([{ type: 'ok', text: 'a\nB\nc\nd\ne\n' }]);
+  });
+
+  it('reports overlapping changes as a conflict', () => {
+    const chunks = merge3(BASE, 'a\nours\nc\nd\ne\n', 'a\ntheirs\nc\nd\ne\n');
+    expect(chunks).toEqual([
+      { type: 'ok', text: 'a\n' },
+      { type: 'conflict', base: 'b\n', ours: 'ours\n', theirs: 'theirs\n' },
+      { type: 'ok', text: 'c\nd\ne\n' },
+    ]);
+  });
+
+  it('conflicts when one side deletes lines the other edits', () => {
+    const chunks = merge3(BASE, 'a\nd\ne\n', 'a\nb\nC\nd\ne\n');
+    expect(chunks.filter(c => c.type === 'conflict')).toEqual([
+      { type: 'conflict', base: 'b\nc\n', ours: '', theirs: 'b\nC\n' },
+    ]);
+  });
+});
+
+describe('resolveChunks', () => {
+  const chunks = merge3(BASE, 'a\nours\nc\nd\nE1\n', 'a\ntheirs\nc\nd\nE2\n');
+
+  it('applies one choice per conflict in order', () => {
+    expect(chunks.filter(c => c.type === 'conflict')).toHaveLength(2);
+    expect(resolveChunks(chunks, ['ours', 'theirs'])).toBe('a\nours\nc\nd\nE2\n');
+    expect(resolveChunks(chunks, ['both', 'ours'])).toBe('a\nours\ntheirs\nc\nd\nE1\n');
+  });
+
+  it('keeps lines apart when a side has no trailing newline', () => {
+    const noEol = merge3('x\n', 'ours', 'theirs');
+    expect(resolveChunks(noEol, ['both'])).toBe('ours\ntheirs');
+  });
+});
@@ -0,0 +1,97 @@
+import { describe, it, expect } from '@jest/globals';
+import fs from 'fs';
+import { cherryPickCommit, revertCommit, getPickState, abortPick, resolveConflict, commit } from '../src/git/gitOps';
+import { makeRepo, commitFiles, sh, subjects } from './helpers/repo';
+
+const read = (dir, file) => fs.readFileSync(`${dir}/${file}`, 'utf8');
+
+/** main plus a 'feature' branch with one commit (returned) changing f.txt and adding new.txt */
+function setUp(name) {
+  const dir = makeRepo(name, { 'f.txt': 'one\ntwo\nthree\n' });
+  sh(dir, 'git checkout -q -b feature');
+  const picked = commitFiles(dir, { 'f.txt': 'one\ntwo\nTHREE\n', 'new.txt': 'new\n' }, 'feature change',
+    { GIT_AUTHOR_NAME: 'Robin', GIT_AUTHOR_EMAIL: 'robin@example.com' });
+  sh(dir, 'git checkout -q main');
+  return { dir, picked };
+}
+
+describe('cherryPickCommit', () => {
+  it('applies a commit on top of HEAD, keeping its author and message', async () => {
+    const { dir, picked } = setUp('pick-clean');
+    commitFiles(dir, { 'f.txt': 'ONE\ntwo\nthree\n' }, 'main change');
+
+    const r = await cherryPickCommit(dir, picked, 'Me', 'me@example.com');
+    expect(r).toMatchObject({ empty: false, conflicts: [] });
+    expect(r.oid).toBe(sh(dir, 'git rev-parse HEAD').trim());
+    expect(subjects(dir)).toEqual(['feature change', 'main change', 'initial']);
+    expect(sh(dir, 'git log -1 --format="%an|%cn"').trim()).toBe('Robin|Me');
+    expect([read(dir, 'f.txt'), read(dir, 'new.txt')]).toEqual(['ONE\ntwo\nTHREE\n', 'new\n']);
+    expect(sh(dir, 'git status --porcelain')).toBe('');
+  });
+
+  it('commits nothing when the change is already there', async () => {
+    const { dir, picked } = setUp('pick-empty');
+    sh(dir, `git cherry-pick ${picked}`);
+    const head = sh(dir, 'git rev-parse HEAD');
+
+    expect(await cherryPickCommit(dir, picked)).toEqual({ oid: null, empty: true, conflicts: [] });
+    expect(sh(dir, 'git rev-parse HEAD')).toBe(head);
+  });
+
+  it('refuses to overwrite an untracked file', async () => {
+    const { dir, picked } = setUp('pick-untracked');
+    fs.writeFileSync(`${dir}/new.txt`, 'MY UNTRACKED WORK\n');
+
+    await expect(cherryPickCommit(dir, picked)).rejects.toMatchObject({ code: 'CheckoutConflict', filepaths: ['new.txt'] });
+    expect(read(dir, 'new.txt')).toBe('MY UNTRACKED WORK\n');
+    expect(subjects(dir)).toEqual(['initial']);
+  });
+
+  it('stops on a conflict and can be aborted', async () => {
+    const { dir, picked } = setUp('pick-abort');
+    const head = commitFiles(dir, { 'f.txt': 'one\ntwo\nmain three\n' }, 'main change');
+
+    expect(await cherryPickCommit(dir, picked)).toEqual({ oid: null, empty: false, conflicts: ['f.txt'] });
+    expect(await getPickState(dir)).toMatchObject({ kind: 'cherry-pick', oid: picked, message: 'feature change' });
+    expect(sh(dir, 'git status --porcelain')).toBe('UU f.txt\nA  new.txt\n');
+
+    await abortPick(dir);
+    expect(await getPickState(dir)).toBe(null);
+    expect(sh(dir, 'git rev-parse HEAD').trim()).toBe(head);
+    expect(sh(dir, 'git status --porcelain')).toBe('');
+  });
+});
+
+describe('revertCommit', () => {
+  it('commits the inverse of a commit', async () => {
+    const { dir, picked } = setUp('revert-clean');
+    sh(dir, 'git merge -q --ff-only feature');
+    commitFiles(dir, { 'f.txt': 'ONE\ntwo\nTHREE\n' }, 'later change');
+
+    const r = await revertCommit(dir, picked, 'Me', 'me@example.com');
+    expect(r).toMatchObject({ empty: false, conflicts: [] });
+    expect(sh(dir, 'git log -1 --format=%B').trim()).toBe(`Revert "feature change"\n\nThis reverts commit ${picked}.`);
+    expect(read(dir, 'f.txt')).toBe('ONE\ntwo\nthree\n');
+    expect(fs.existsSync(`${dir}/new.txt`)).toBe(false);
+    expect(sh(dir, 'git status --porcelain')).toBe('');
+  });
+
+  it('stops on a conflict and is concluded by a commit', async () => {
+    const { dir, picked } = setUp('revert-conflict');
+    sh(dir, 'git merge -q --ff-only feature');
+    commitFiles(dir, { 'f.txt': 'one\ntwo\nTHREE and more\n' }, 'later change');
+
+    expect(await revertCommit(dir, picked, 'Me', 'me@example.com')).toEqual({ oid: null, empty: false, conflicts: ['f.txt'] });
+    const state = await getPickState(dir);
+    expect(state).toMatchObject({ kind: 'revert', oid: picked });
+    await expect(commit(dir, state.message, 'Me', 'me@example.com')).rejects.toThrow('Resolve all conflicts');
+
+    await resolveConflict(dir, 'f.txt', 'theirs');
+    await commit(dir, state.message, 'Me', 'me@example.com');
+    expect(await getPickState(dir)).toBe(null);
+    expect(subjects(dir)).toEqual(['Revert "feature change"', 'later change', 'feature change', 'initial']);
+    expect(read(dir, 'f.txt')).toBe('one\ntwo\nthree\n');
+    expect(fs.existsSync(`${dir}/new.txt`)).toBe(false);
+    expect(sh(dir, 'git status --porcelain')).toBe('');
+  });
+});
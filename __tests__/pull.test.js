@@ -0,0 +1,102 @@
+import { describe, it, expect, beforeAll, afterAll } from '@jest/globals';
+import fs from 'fs';
+import { pullRepo, abortMerge, getMergeState, REPOS_DIR } from '../src/git/gitOps';
+import { makeRepo, commitFiles, sh, subjects } from './helpers/repo';
+import { serve } from './helpers/server';
+
+const SERVED = `${REPOS_DIR}/served`;
+let server;
+
+beforeAll(async () => {
+  fs.mkdirSync(SERVED, { recursive: true });
+  server = await serve(SERVED);
+});
+
+afterAll(() => server.close());
+
+/**
+ * A served repo `name` with `files` committed, a local clone of it that
+ * pulls over http, and a second clone to push other people's commits from.
+ */
+function setUp(name, files) {
+  const seed = makeRepo(`${name}-seed`, files);
+  sh(SERVED, `rm -rf ${name}.git && git clone -q --bare "${seed}" ${name}.git`);
+  sh(REPOS_DIR, `rm -rf ${name} && git clone -q "${SERVED}/${name}.git" ${name}`);
+  const dir = `${REPOS_DIR}/${name}`;
+  sh(dir, `git remote set-url origin ${server.url}/${name}.git`);
+  sh(seed, `git remote add origin "${SERVED}/${name}.git" && git fetch -q origin && git branch -q -u origin/main`);
+  return { dir, other: seed };
+}
+
+const pull = (dir, mode) => pullRepo(dir, 'Test', 'test@example.com', null, { mode });
+const read = (dir, file) => fs.readFileSync(`${dir}/${file}`, 'utf8');
+
+describe('pullRepo with local changes', () => {
+  it('fast-forwards around changes to other files', async () => {
+    const { dir, other } = setUp('pull-ff', { 'a.txt': 'a\n', 'b.txt': 'b\n' });
+    commitFiles(other, { 'a.txt': 'a2\n' }, 'theirs');
+    sh(other, 'git push -q');
+    fs.writeFileSync(`${dir}/b.txt`, 'local b\n');
+
+    expect(await pull(dir, 'merge')).toEqual({ mode: 'merge', status: 'fast-forward', conflicts: [] });
+    expect(read(dir, 'a.txt')).toBe('a2\n');
+    expect(read(dir, 'b.txt')).toBe('local b\n');
+    expect(sh(dir, 'git status --porcelain')).toBe(' M b.txt\n');
+  });
+
+  it('merges around changes to other files, staged ones included', async () => {
+    const { dir, other } = setUp('pull-merge', { 'a.txt': 'a\n', 'b.txt': 'b\n', 'c.txt': 'c\n' });
+    commitFiles(other, { 'a.txt': 'a2\n' }, 'theirs');
+    sh(other, 'git push -q');
+    commitFiles(dir, { 'c.txt': 'c2\n' }, 'ours');
+    fs.writeFileSync(`${dir}/b.txt`, 'local b\n');
+    sh(dir, 'git add b.txt');
+
+    expect(await pull(dir, 'merge')).toEqual({ mode: 'merge', status: 'merged', conflicts: [] });
+    expect(subjects(dir).slice(1).sort()).toEqual(['initial', 'ours', 'theirs']);
+    expect([read(dir, 'a.txt'), read(dir, 'b.txt'), read(dir, 'c.txt')]).toEqual(['a2\n', 'local b\n', 'c2\n']);
+    expect(sh(dir, 'git status --porcelain')).toBe('M  b.txt\n');
+  });
+
+  it('refuses when the pull would overwrite a changed file', async () => {
+    const { dir, other } = setUp('pull-blocked', { 'a.txt': 'a\n', 'b.txt': 'b\n' });
+    commitFiles(other, { 'a.txt': 'a2\n', 'new.txt': 'theirs\n' }, 'theirs');
+    sh(other, 'git push -q');
+    fs.writeFileSync(`${dir}/a.txt`, 'local a\n');
+    fs.writeFileSync(`${dir}/new.txt`, 'untracked\n');
+    const head = sh(dir, 'git rev-parse HEAD');
+
+    await expect(pull(dir, 'merge')).rejects.toMatchObject({ code: 'CheckoutConflict', filepaths: ['a.txt', 'new.txt'] });
+    expect(sh(dir, 'git rev-parse HEAD')).toBe(head);
+    expect([read(dir, 'a.txt'), read(dir, 'new.txt')]).toEqual(['local a\n', 'untracked\n']);
+  });
+
+  it('keeps changes to other files through a conflict and its abort', async () => {
+    const { dir, other } = setUp('pull-conflict', { 'a.txt': 'a\n', 'b.txt': 'b\n' });
+    commitFiles(other, { 'a.txt': 'theirs\n' }, 'theirs');
+    sh(other, 'git push -q');
+    commitFiles(dir, { 'a.txt': 'ours\n' }, 'ours');
+    fs.writeFileSync(`${dir}/b.txt`, 'local b\n');
+
+    expect(await pull(dir, 'merge')).toEqual({ mode: 'merge', status: 'conflict', conflicts: ['a.txt'] });
+    expect(read(dir, 'b.txt')).toBe('local b\n');
+
+    await abortMerge(dir);
+    expect(await getMergeState(dir)).toBe(null);
+    expect(read(dir, 'a.txt')).toBe('ours\n');
+    expect(sh(dir, 'git status --porcelain')).toBe(' M b.txt\n');
+  });
+
+  it('still needs a clean tree to rebase', async () => {
+    const { dir, other } = setUp('pull-rebase', { 'a.txt': 'a\n', 'b.txt': 'b\n' });
+    commitFiles(other, { 'a.txt': 'a2\n' }, 'theirs');
+    sh(other, 'git push -q');
+    commitFiles(dir, { 'c.txt': 'c\n' }, 'ours');
+    fs.writeFileSync(`${dir}/b.txt`, 'local b\n');
+    await expect(pull(dir, 'rebase')).rejects.toThrow('Commit or stash your changes before rebasing');
+
+    sh(dir, 'git checkout -q b.txt');
+    expect(await pull(dir, 'rebase')).toEqual({ mode: 'rebase', status: 'rebased', conflicts: [] });
+    expect(subjects(dir)).toEqual(['ours', 'theirs', 'initial']);
+  });
+});
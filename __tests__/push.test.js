@@ -0,0 +1,99 @@
+import { describe, it, expect, beforeAll, afterAll } from '@jest/globals';
+import fs from 'fs';
+import { pushRepo, previewForcePush, REPOS_DIR } from '../src/git/gitOps';
+import { makeRepo, commitFiles, sh } from './helpers/repo';
+import { serve } from './helpers/server';
+
+const SERVED = `${REPOS_DIR}/served`;
+let server;
+
+beforeAll(async () => {
+  fs.mkdirSync(SERVED, { recursive: true });
+  server = await serve(SERVED);
+});
+
+afterAll(() => server.close());
+
+/**
+ * A served repo `name` with `files` committed, a local clone of it that
+ * pushes over http, and a second clone to push other people's commits from.
+ */
+function setUp(name, files) {
+  const seed = makeRepo(`${name}-seed`, files);
+  sh(SERVED, `rm -rf ${name}.git && git clone -q --bare "${seed}" ${name}.git`);
+  sh(REPOS_DIR, `rm -rf ${name} && git clone -q "${SERVED}/${name}.git" ${name}`);
+  const dir = `${REPOS_DIR}/${name}`;
+  sh(dir, `git remote set-url origin ${server.url}/${name}.git`);
+  sh(seed, `git remote add origin "${SERVED}/${name}.git" && git fetch -q origin && git branch -q -u origin/main`);
+  return { dir, other: seed, served: `${SERVED}/${name}.git` };
+}
+
+// Straight from the served folder: the CLI can't talk to the server in this process while it blocks
+const fetch = (dir, served) => sh(dir, `git fetch -q "${served}" "+refs/heads/*:refs/remotes/origin/*"`);
+
+const rev = (dir, ref) => sh(dir, `git rev-parse ${ref}`).trim();
+
+describe('previewForcePush', () => {
+  it('lists the commits a force push would remove and add', async () => {
+    const { dir, other, served } = setUp('push-preview', { 'a.txt': 'a\n' });
+    commitFiles(other, { 'b.txt': 'b\n' }, 'theirs');
+    sh(other, 'git push -q');
+    fetch(dir, served);
+    commitFiles(dir, { 'c.txt': 'c\n' }, 'ours');
+
+    const preview = await previewForcePush(dir);
+    expect(preview).toMatchObject({ branch: 'main', upstream: 'origin/main', exists: true });
+    expect(preview.lost.map(c => c.summary)).toEqual(['theirs']);
+    expect(preview.pushed.map(c => c.summary)).toEqual(['ours']);
+  });
+
+  it('has nothing to remove when the remote has no such branch', async () => {
+    const { dir } = setUp('push-preview-new', { 'a.txt': 'a\n' });
+    sh(dir, 'git checkout -q -b feature');
+    commitFiles(dir, { 'b.txt': 'b\n' }, 'feature work');
+
+    expect(await previewForcePush(dir)).toEqual({ branch: 'feature', upstream: 'origin/feature', exists: false, lost: [], pushed: [] });
+  });
+});
+
+describe("pushRepo with 'with-lease'", () => {
+  it('overwrites the remote branch while it is where the last fetch left it', async () => {
+    const { dir, other, served } = setUp('push-lease', { 'a.txt': 'a\n' });
+    commitFiles(other, { 'b.txt': 'b\n' }, 'theirs');
+    sh(other, 'git push -q');
+    fetch(dir, served);
+    const ours = commitFiles(dir, { 'c.txt': 'c\n' }, 'ours');
+
+    await pushRepo(dir, null, 'with-lease');
+    expect(rev(served, 'main')).toBe(ours);
+    expect(rev(dir, 'origin/main')).toBe(ours);
+  });
+
+  it('refuses with StaleLease when the remote moved since the last fetch', async () => {
+    const { dir, other, served } = setUp('push-stale', { 'a.txt': 'a\n' });
+    const fetched = rev(dir, 'origin/main');
+    commitFiles(dir, { 'c.txt': 'c\n' }, 'ours');
+    const theirs = commitFiles(other, { 'b.txt': 'b\n' }, 'theirs');
+    sh(other, 'git push -q');
+
+    await expect(pushRepo(dir, null, 'with-lease')).rejects.toMatchObject({
+      code: 'StaleLease',
+      lease: { expected: fetched, actual: theirs },
+    });
+    expect(rev(served, 'main')).toBe(theirs);
+    expect(rev(dir, 'origin/main')).toBe(fetched);
+  });
+
+  it('refuses with StaleLease when the remote branch was deleted since the last fetch', async () => {
+    const { dir, served } = setUp('push-gone', { 'a.txt': 'a\n' });
+    const fetched = rev(dir, 'origin/main');
+    commitFiles(dir, { 'c.txt': 'c\n' }, 'ours');
+    sh(served, 'git symbolic-ref HEAD refs/heads/keep && git branch -q -m main keep');
+
+    await expect(pushRepo(dir, null, 'with-lease')).rejects.toMatchObject({
+      code: 'StaleLease',
+      lease: { expected: fetched, actual: null },
+    });
+    expect(sh(served, 'git branch --list main')).toBe('');
+  });
+});
@@ -0,0 +1,90 @@
+import { describe, it, expect } from '@jest/globals';
+import fs from 'fs';
+import { rebaseBranch, getRebaseState, continueRebase, resolveConflict, commit } from '../src/git/gitOps';
+import { makeRepo, commitFiles, sh, subjects } from './helpers/repo';
+
+const at = seconds => ({ GIT_AUTHOR_DATE: `@${seconds} +0000`, GIT_COMMITTER_DATE: `@${seconds} +0000` });
+
+describe('rebaseBranch', () => {
+  it('replays the branch commits on top of the target', async () => {
+    const dir = makeRepo('rebase-simple', { 'f.txt': 'base\n' });
+    sh(dir, 'git branch feat');
+    commitFiles(dir, { 'm.txt': 'm\n' }, 'main change');
+    sh(dir, 'git checkout -q feat');
+    commitFiles(dir, { 'a.txt': 'a\n' }, 'feat one');
+    commitFiles(dir, { 'b.txt': 'b\n' }, 'feat two');
+
+    expect(await rebaseBranch(dir, 'main')).toEqual({ status: 'done', conflicts: [] });
+    expect(subjects(dir)).toEqual(['feat two', 'feat one', 'main change', 'initial']);
+    expect(sh(dir, 'git status --porcelain')).toBe('');
+    expect(await getRebaseState(dir)).toBe(null);
+  });
+
+  it('keeps branch commits dated before the merge base', async () => {
+    const dir = makeRepo('rebase-old-commits', { 'f.txt': 'base\n' });
+    sh(dir, 'git branch feat');
+    sh(dir, 'git checkout -q feat');
+    commitFiles(dir, { 'f1.txt': 'f1\n' }, 'F1', at(1000));
+    sh(dir, 'git checkout -q main');
+    commitFiles(dir, { 'x.txt': 'x\n' }, 'X', at(2000));
+    sh(dir, 'git checkout -q feat');
+    sh(dir, 'git merge -q --no-ff -m "merge main" main', at(3000));
+    commitFiles(dir, { 'f2.txt': 'f2\n' }, 'F2', at(4000));
+    sh(dir, 'git checkout -q main');
+    commitFiles(dir, { 'y.txt': 'y\n' }, 'Y', at(5000));
+    sh(dir, 'git checkout -q feat');
+
+    expect(await rebaseBranch(dir, 'main')).toEqual({ status: 'done', conflicts: [] });
+    expect(subjects(dir)).toEqual(['F2', 'F1', 'Y', 'X', 'initial']);
+    expect(sh(dir, 'git ls-files').split('\n').filter(Boolean)).toEqual(['f.txt', 'f1.txt', 'f2.txt', 'x.txt', 'y.txt']);
+  });
+
+  it('replays parents before children whatever their dates', async () => {
+    const dir = makeRepo('rebase-skewed-dates', { 'f.txt': 'base\n' });
+    sh(dir, 'git branch feat');
+    commitFiles(dir, { 'm.txt': 'm\n' }, 'main change');
+    sh(dir, 'git checkout -q feat');
+    commitFiles(dir, { 'f.txt': 'one\n' }, 'first', at(5000));
+    commitFiles(dir, { 'f.txt': 'two\n' }, 'second', at(1000));
+
+    expect(await rebaseBranch(dir, 'main')).toEqual({ status: 'done', conflicts: [] });
+    expect(subjects(dir)).toEqual(['second', 'first', 'main change', 'initial']);
+    expect(sh(dir, 'cat f.txt')).toBe('two\n');
+  });
+
+  it('refuses to overwrite an untracked file the target has', async () => {
+    // Both the fast-forward and the replay path
+    for (const replay of [false, true]) {
+      const dir = makeRepo(`rebase-untracked-${replay}`, { 'f.txt': 'base\n' });
+      sh(dir, 'git branch feat');
+      commitFiles(dir, { 'new.txt': 'upstream\n' }, 'main adds new.txt');
+      sh(dir, 'git checkout -q feat');
+      if (replay) {
+        commitFiles(dir, { 'a.txt': 'a\n' }, 'feat one');
+      }
+      const head = sh(dir, 'git rev-parse HEAD');
+      fs.writeFileSync(`${dir}/new.txt`, 'MY UNTRACKED WORK\n');
+
+      await expect(rebaseBranch(dir, 'main')).rejects.toMatchObject({ code: 'CheckoutConflict', filepaths: ['new.txt'] });
+      expect(fs.readFileSync(`${dir}/new.txt`, 'utf8')).toBe('MY UNTRACKED WORK\n');
+      expect(sh(dir, 'git rev-parse HEAD')).toBe(head);
+      expect(await getRebaseState(dir)).toBe(null);
+    }
+  });
+
+  it('takes commits only through continueRebase while stopped', async () => {
+    const dir = makeRepo('rebase-stopped', { 'f.txt': 'base\n' });
+    sh(dir, 'git branch feat');
+    commitFiles(dir, { 'f.txt': 'main\n' }, 'main change');
+    sh(dir, 'git checkout -q feat');
+    commitFiles(dir, { 'f.txt': 'feat\n' }, 'feat change');
+
+    expect(await rebaseBranch(dir, 'main')).toEqual({ status: 'conflict', conflicts: ['f.txt'] });
+    await resolveConflict(dir, 'f.txt', 'theirs');
+    await expect(commit(dir, 'stray', 'Test', 'test@example.com')).rejects.toThrow('A rebase is in progress');
+
+    expect(await continueRebase(dir)).toEqual({ status: 'done', conflicts: [] });
+    expect(subjects(dir)).toEqual(['feat change', 'main change', 'initial']);
+    expect(fs.readFileSync(`${dir}/f.txt`, 'utf8')).toBe('feat\n');
+  });
+});
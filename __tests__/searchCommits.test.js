@@ -0,0 +1,38 @@
+import { describe, it, expect } from '@jest/globals';
+import { searchCommits } from '../src/git/gitOps';
+import { makeRepo, commitFiles } from './helpers/repo';
+
+const dated = (author, committer) => ({
+  GIT_AUTHOR_DATE: `@${author} +0000`,
+  GIT_COMMITTER_DATE: `@${committer} +0000`,
+});
+
+async function search(dir, query) {
+  const hits = [];
+  const result = await searchCommits(dir, query, { onResults: entries => hits.push(...entries) });
+  return { ...result, summaries: hits.map(e => e.summary) };
+}
+
+describe('searchCommits', () => {
+  it('matches message, author and sha', async () => {
+    const dir = makeRepo('search-fields', { 'a.txt': 'a\n' });
+    const sha = commitFiles(dir, { 'b.txt': 'b\n' }, 'Fix the parser');
+    commitFiles(dir, { 'c.txt': 'c\n' }, 'Add docs', { GIT_AUTHOR_NAME: 'Robin', GIT_AUTHOR_EMAIL: 'robin@example.com' });
+
+    expect((await search(dir, { text: 'PARSER' })).summaries).toEqual(['Fix the parser']);
+    expect((await search(dir, { author: 'robin@' })).summaries).toEqual(['Add docs']);
+    expect((await search(dir, { sha: sha.slice(0, 8) })).summaries).toEqual(['Fix the parser']);
+    expect(await search(dir, {})).toMatchObject({ found: 3, scanned: 3, aborted: false });
+  });
+
+  it('bounds dates by the commit date, like the walk that stops at `since`', async () => {
+    const dir = makeRepo('search-dates');
+    commitFiles(dir, { 'a.txt': 'a\n' }, 'old', dated(1000, 1000));
+    commitFiles(dir, { 'b.txt': 'b\n' }, 'authored later', dated(4000, 2000));
+    commitFiles(dir, { 'c.txt': 'c\n' }, 'rebased', dated(500, 3000));
+    commitFiles(dir, { 'd.txt': 'd\n' }, 'new', dated(5000, 5000));
+
+    expect((await search(dir, { since: 2500 * 1000 })).summaries).toEqual(['new', 'rebased']);
+    expect((await search(dir, { since: 1500 * 1000, until: 3000 * 1000 })).summaries).toEqual(['rebased', 'authored later']);
+  });
+});
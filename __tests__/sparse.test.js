@@ -0,0 +1,81 @@
+import { describe, it, expect } from '@jest/globals';
+import fs from 'fs';
+import { setSparseDirs, getSparseDirs, getStatus, stageAll, commit } from '../src/git/gitOps';
+import { makeRepo, sh, subjects } from './helpers/repo';
+
+const FILES = {
+  'README.md': 'readme\n',
+  'app/main.js': 'main\n',
+  'app/lib/util.js': 'util\n',
+  'docs/guide.md': 'guide\n',
+  'docs/api/index.md': 'api\n',
+};
+
+const checkedOut = dir => sh(dir, 'find . -path ./.git -prune -o -type f -print').split('\n').filter(Boolean).map(f => f.slice(2)).sort();
+const tracked = (dir, ref = 'HEAD') => sh(dir, `git ls-tree -r --name-only ${ref}`).split('\n').filter(Boolean);
+
+describe('setSparseDirs', () => {
+  it('checks out the chosen folders, root files and the files leading to them', async () => {
+    const dir = makeRepo('sparse-set', FILES);
+
+    expect(await setSparseDirs(dir, ['docs/api/', 'app/lib'])).toEqual(['app/lib', 'docs/api']);
+    expect(await getSparseDirs(dir)).toEqual(['app/lib', 'docs/api']);
+    expect(checkedOut(dir)).toEqual(['README.md', 'app/lib/util.js', 'app/main.js', 'docs/api/index.md', 'docs/guide.md']);
+
+    expect(await setSparseDirs(dir, ['app'])).toEqual(['app']);
+    expect(checkedOut(dir)).toEqual(['README.md', 'app/lib/util.js', 'app/main.js']);
+    expect(fs.existsSync(`${dir}/docs`)).toBe(false);
+
+    expect(await setSparseDirs(dir, null)).toBe(null);
+    expect(await getSparseDirs(dir)).toBe(null);
+    expect(checkedOut(dir)).toEqual(Object.keys(FILES).sort());
+    expect(sh(dir, 'git status --porcelain')).toBe('');
+  });
+
+  it("leaves git's own sparse-checkout settings alone", async () => {
+    const dir = makeRepo('sparse-git', FILES);
+    await setSparseDirs(dir, ['app']);
+
+    expect(sh(dir, 'git config --get core.sparseCheckout || true')).toBe('');
+    expect(fs.existsSync(`${dir}/.git/info/sparse-checkout`)).toBe(false);
+  });
+
+  it('is refused while there are uncommitted changes', async () => {
+    const dir = makeRepo('sparse-dirty', FILES);
+    fs.writeFileSync(`${dir}/docs/guide.md`, 'edited\n');
+
+    await expect(setSparseDirs(dir, ['app'])).rejects.toThrow('docs/guide.md');
+    expect(await getSparseDirs(dir)).toBe(null);
+  });
+});
+
+describe('in a sparse checkout', () => {
+  it('status lists changes in the cone and not the folders left out', async () => {
+    const dir = makeRepo('sparse-status', FILES);
+    await setSparseDirs(dir, ['app']);
+    expect(await getStatus(dir)).toEqual([]);
+
+    fs.writeFileSync(`${dir}/app/main.js`, 'edited\n');
+    fs.writeFileSync(`${dir}/NEW.md`, 'new\n');
+    expect(await getStatus(dir)).toEqual([
+      { path: 'NEW.md', status: 'new', staged: false, partial: false },
+      { path: 'app/main.js', status: 'modified', staged: false, partial: false },
+    ]);
+  });
+
+  it('commits keep the files outside the cone from HEAD', async () => {
+    const dir = makeRepo('sparse-commit', FILES);
+    await setSparseDirs(dir, ['app']);
+
+    fs.writeFileSync(`${dir}/app/main.js`, 'edited\n');
+    await stageAll(dir);
+    sh(dir, 'git rm -q app/lib/util.js');
+    await commit(dir, 'edit app', 'Me', 'me@example.com');
+
+    expect(subjects(dir)).toEqual(['edit app', 'initial']);
+    expect(tracked(dir)).toEqual(['README.md', 'app/main.js', 'docs/api/index.md', 'docs/guide.md']);
+    expect(sh(dir, 'git show HEAD:docs/guide.md')).toBe('guide\n');
+    expect(sh(dir, 'git show HEAD:app/main.js')).toBe('edited\n');
+    expect(await getStatus(dir)).toEqual([]);
+  });
+});
@@ -0,0 +1,119 @@
+import { describe, it, expect } from '@jest/globals';
+import fs from 'fs';
+import { stashPush, stashApply, stashPop, stashDrop, listStashes } from '../src/git/gitOps';
+import { makeRepo, sh } from './helpers/repo';
+
+const FILES = { 'a.txt': 'a\n', 'b.txt': 'b\n' };
+const read = (dir, file) => fs.readFileSync(`${dir}/${file}`, 'utf8');
+
+/** Staged, unstaged and untracked changes on top of FILES */
+function makeChanges(dir) {
+  fs.writeFileSync(`${dir}/a.txt`, 'a staged\n');
+  sh(dir, 'git add a.txt');
+  fs.writeFileSync(`${dir}/b.txt`, 'b unstaged\n');
+  fs.writeFileSync(`${dir}/added.txt`, 'added\n');
+  sh(dir, 'git add added.txt');
+  fs.writeFileSync(`${dir}/loose.txt`, 'untracked\n');
+}
+
+describe('stash', () => {
+  it('saves every kind of change and leaves a clean tree', async () => {
+    const dir = makeRepo('stash-push', FILES);
+    makeChanges(dir);
+
+    const oid = await stashPush(dir, { message: 'work in progress' });
+    expect(sh(dir, 'git status --porcelain')).toBe('');
+    expect(fs.existsSync(`${dir}/loose.txt`)).toBe(false);
+    expect(await listStashes(dir)).toMatchObject([{ index: 0, oid, message: 'On main: work in progress' }]);
+
+    // Desktop git reads it like one of its own
+    expect(sh(dir, 'git stash list')).toBe('stash@{0}: On main: work in progress\n');
+    expect(sh(dir, 'git show stash@{0}^2:a.txt')).toBe('a staged\n');
+    expect(sh(dir, 'git show stash@{0}:b.txt')).toBe('b unstaged\n');
+    expect(sh(dir, 'git show stash@{0}^3:loose.txt')).toBe('untracked\n');
+    sh(dir, 'git stash apply -q --index');
+    expect(sh(dir, 'git status --porcelain')).toBe('M  a.txt\nA  added.txt\n M b.txt\n?? loose.txt\n');
+  });
+
+  it('leaves untracked files alone when asked to', async () => {
+    const dir = makeRepo('stash-tracked-only', FILES);
+    makeChanges(dir);
+    await stashPush(dir, { includeUntracked: false });
+    expect(sh(dir, 'git status --porcelain')).toBe('?? loose.txt\n');
+    expect((await listStashes(dir))[0].message).toMatch(/^WIP on main: [0-9a-f]{7} initial$/);
+  });
+
+  it('refuses when there is nothing to save', async () => {
+    const dir = makeRepo('stash-nothing', FILES);
+    await expect(stashPush(dir)).rejects.toThrow('No local changes to save');
+  });
+
+  it('pops the changes back and drops the entry', async () => {
+    const dir = makeRepo('stash-pop', FILES);
+    makeChanges(dir);
+    await stashPush(dir);
+
+    expect(await stashPop(dir)).toEqual({ conflicts: [] });
+    // Changes come back unstaged, new files staged
+    expect(sh(dir, 'git status --porcelain')).toBe(' M a.txt\nA  added.txt\n M b.txt\n?? loose.txt\n');
+    expect([read(dir, 'a.txt'), read(dir, 'b.txt'), read(dir, 'loose.txt')]).toEqual(['a staged\n', 'b unstaged\n', 'untracked\n']);
+    expect(await listStashes(dir)).toEqual([]);
+    expect(sh(dir, 'git stash list')).toBe('');
+  });
+
+  it('applies stashes made by desktop git', async () => {
+    const dir = makeRepo('stash-from-git', FILES);
+    fs.writeFileSync(`${dir}/a.txt`, 'first\n');
+    sh(dir, 'git stash push -q -m one');
+    fs.writeFileSync(`${dir}/b.txt`, 'second\n');
+    fs.writeFileSync(`${dir}/loose.txt`, 'untracked\n');
+    sh(dir, 'git stash push -q -u -m two');
+
+    expect((await listStashes(dir)).map(s => s.message)).toEqual(['On main: two', 'On main: one']);
+    await stashApply(dir, 1);
+    expect(read(dir, 'a.txt')).toBe('first\n');
+    sh(dir, 'git checkout -q a.txt');
+    await stashPop(dir, 0);
+    expect([read(dir, 'b.txt'), read(dir, 'loose.txt')]).toEqual(['second\n', 'untracked\n']);
+    expect(sh(dir, 'git stash list')).toBe('stash@{0}: On main: one\n');
+  });
+
+  it('drops an entry from the middle and keeps the rest usable by git', async () => {
+    const dir = makeRepo('stash-drop', FILES);
+    for (const text of ['one', 'two', 'three']) {
+      fs.writeFileSync(`${dir}/a.txt`, `${text}\n`);
+      await stashPush(dir, { message: text });
+    }
+    await stashDrop(dir, 1);
+    expect(sh(dir, 'git stash list')).toBe('stash@{0}: On main: three\nstash@{1}: On main: one\n');
+    sh(dir, 'git stash pop -q stash@{1}');
+    expect(read(dir, 'a.txt')).toBe('one\n');
+    await expect(stashDrop(dir, 5)).rejects.toThrow('stash@{5} does not exist');
+  });
+
+  it('keeps the stash when applying it conflicts', async () => {
+    const dir = makeRepo('stash-conflict', FILES);
+    fs.writeFileSync(`${dir}/a.txt`, 'stashed\n');
+    await stashPush(dir);
+    fs.writeFileSync(`${dir}/a.txt`, 'committed\n');
+    sh(dir, 'git commit -q -am "change a"');
+
+    expect(await stashPop(dir)).toEqual({ conflicts: ['a.txt'] });
+    expect(sh(dir, 'git status --porcelain')).toBe('UU a.txt\n');
+    expect(await listStashes(dir)).toHaveLength(1);
+  });
+
+  it('refuses to overwrite local changes or untracked files', async () => {
+    const dir = makeRepo('stash-refused', FILES);
+    fs.writeFileSync(`${dir}/a.txt`, 'stashed\n');
+    fs.writeFileSync(`${dir}/loose.txt`, 'stashed\n');
+    await stashPush(dir);
+
+    fs.writeFileSync(`${dir}/a.txt`, 'local\n');
+    await expect(stashApply(dir)).rejects.toThrow('Your local changes would be overwritten:\na.txt');
+    sh(dir, 'git checkout -q a.txt');
+    fs.writeFileSync(`${dir}/loose.txt`, 'local\n');
+    await expect(stashApply(dir)).rejects.toThrow('Untracked files already exist:\nloose.txt');
+    expect(read(dir, 'loose.txt')).toBe('local\n');
+  });
+});
@@ -0,0 +1,68 @@
+import { describe, it, expect, beforeAll, afterAll } from '@jest/globals';
+import fs from 'fs';
+import http from 'isomorphic-git/http/web';
+import { addRemote, createTag, deleteTag, pushTag, pushAllTags, fetchTags, REPOS_DIR } from '../src/git/gitOps';
+import { makeRepo, sh } from './helpers/repo';
+import { serve } from './helpers/server';
+
+const SERVED = `${REPOS_DIR}/served`;
+let server;
+
+beforeAll(async () => {
+  fs.mkdirSync(SERVED, { recursive: true });
+  server = await serve(SERVED);
+});
+
+afterAll(() => server.close());
+
+/** A bare repo `name` on the server and a local repo with it as remote `upstream` */
+async function setUp(name) {
+  sh(SERVED, `rm -rf ${name}.git && git init -q --bare -b main ${name}.git`);
+  const dir = makeRepo(name, { 'a.txt': 'a\n' });
+  sh(dir, `git push -q "${SERVED}/${name}.git" main`);
+  await addRemote(dir, 'upstream', `${server.url}/${name}.git`);
+  return dir;
+}
+
+const serverTags = name => sh(SERVED, `git --git-dir=${name}.git tag`).trim().split('\n').filter(Boolean);
+
+/** A transfer handle whose http client counts the requests it makes */
+function countingTransfer() {
+  const transfer = { requests: 0, onProgress: () => {} };
+  transfer.http = { request: args => { transfer.requests++; return http.request(args); } };
+  return transfer;
+}
+
+describe('tags on a remote', () => {
+  it('pushes one tag or every missing tag to the given remote', async () => {
+    const dir = await setUp('tags-push');
+    await createTag(dir, 'v1', { message: 'one', authorName: 'Test', authorEmail: 'test@example.com' });
+    await createTag(dir, 'v2');
+    const transfer = countingTransfer();
+
+    await pushTag(dir, 'v1', null, { remote: 'upstream', transfer });
+    expect(serverTags('tags-push')).toEqual(['v1']);
+    expect(transfer.requests).toBeGreaterThan(0);
+
+    await createTag(dir, 'v3');
+    expect(await pushAllTags(dir, null, { remote: 'upstream', transfer })).toEqual({ pushed: ['v2', 'v3'], failed: [] });
+    expect(serverTags('tags-push')).toEqual(['v1', 'v2', 'v3']);
+  });
+
+  it('refuses a remote the repository does not have', async () => {
+    const dir = await setUp('tags-no-remote');
+    await expect(pushAllTags(dir, null, { remote: 'mirror' })).rejects.toThrow('no mirror remote');
+  });
+
+  it('fetches new tags from the given remote', async () => {
+    const dir = await setUp('tags-fetch');
+    sh(dir, `git tag old && git tag -a release -m release && git push -q "${SERVED}/tags-fetch.git" --tags`);
+    await deleteTag(dir, 'old');
+    await deleteTag(dir, 'release');
+    const transfer = countingTransfer();
+
+    expect((await fetchTags(dir, null, { remote: 'upstream', transfer })).sort()).toEqual(['old', 'release']);
+    expect(transfer.requests).toBeGreaterThan(0);
+    expect(await fetchTags(dir, null, { remote: 'upstream' })).toEqual([]);
+  });
+});
@@ -0,0 +1,445 @@
+/**
+ * Line-based diff engine used for unified diffs, partial staging and
+ * conflict resolution.
+ * Myers' O(ND) algorithm by default; 'patience' anchors on lines that are
+ * unique to both sides first and falls back to Myers between the anchors,
+ * which keeps moved blocks and braces from being interleaved.
+ * Pure JS — no git or filesystem access here.
+ */
+
+// ── Line splitting ────────────────────────────────────────────────────────
+
+/**
+ * Split text into lines, keeping each line's '\n' terminator so that a
+ * missing newline at EOF shows up as a change, exactly like git.
+ */
+export function splitLines(text) {
+  if (!text) return [];
+  return text.match(/[^\n]*\n|[^\n]+$/g) ?? [];
+}
+
+/** Map both line arrays onto small integers so comparisons are cheap */
+function intern(oldLines, newLines) {
+  const ids = new Map();
+  const toId = line => {
+    let id = ids.get(line);
+    if (id === undefined) {
+      id = ids.size;
+      ids.set(line, id);
+    }
+    return id;
+  };
+  return [oldLines.map(toId), newLines.map(toId)];
+}
+
+// ── Myers ─────────────────────────────────────────────────────────────────
+
+/**
+ * Shortest edit script between a[alo:ahi] and b[blo:bhi].
+ * Appends '=', '-' or '+' ops to `out`.
+ * Linear-space variant: instead of keeping every step of the search to walk
+ * back through, find the middle snake of an optimal path and recurse on the
+ * two halves either side of it, so a large rewrite (a lockfile) costs memory
+ * in proportion to its length rather than to the square of the edit count.
+ */
+function myers(a, alo, ahi, b, blo, bhi, out) {
+  // Common prefix / suffix never take part in the edit search
+  let prefix = 0;
+  while (alo + prefix < ahi && blo + prefix < bhi && a[alo + prefix] === b[blo + prefix]) prefix++;
+  let suffix = 0;
+  while (
+    ahi - suffix > alo + prefix && bhi - suffix > blo + prefix &&
+    a[ahi - suffix - 1] === b[bhi - suffix - 1]
+  ) suffix++;
+
+  for (let i = 0; i < prefix; i++) out.push('=');
+
+  const x0 = alo + prefix;
+  const y0 = blo + prefix;
+  const x1 = ahi - suffix;
+  const y1 = bhi - suffix;
+
+  if (x0 === x1) {
+    for (let j = y0; j < y1; j++) out.push('+');
+  } else if (y0 === y1) {
+    for (let i = x0; i < x1; i++) out.push('-');
+  } else {
+    // Both sides are non-empty and differ at both ends, so at least two edits
+    // are needed and neither half around the middle snake is the whole problem
+    const [sx, sy, ex, ey] = middleSnake(a, x0, x1, b, y0, y1);
+    myers(a, x0, sx, b, y0, sy, out);
+    for (let i = sx; i < ex; i++) out.push('=');
+    myers(a, ex, x1, b, ey, y1, out);
+  }
+
+  for (let i = 0; i < suffix; i++) out.push('=');
+}
+
+/**
+ * The middle snake of a shortest edit path from (x0, y0) to (x1, y1): search
+ * forwards from the start and backwards from the end at the same time until
+ * the two meet. Returns the snake's [startX, startY, endX, endY].
+ */
+function middleSnake(a, x0, x1, b, y0, y1) {
+  const n = x1 - x0;
+  const m = y1 - y0;
+  const delta = n - m;
+  const odd = delta % 2 !== 0;
+  const dmax = Math.ceil((n + m) / 2);
+  const offset = dmax + 1;
+  // Furthest x on each diagonal k = x - y; backwards in distance from the end
+  const fwd = new Int32Array(2 * dmax + 3);
+  const bwd = new Int32Array(2 * dmax + 3);
+
+  for (let d = 0; d <= dmax; d++) {
+    for (let k = -d; k <= d; k += 2) {
+      let x = (k === -d || (k !== d && fwd[offset + k - 1] < fwd[offset + k + 1]))
+        ? fwd[offset + k + 1]
+        : fwd[offset + k - 1] + 1;
+      let y = x - k;
+      const sx = x;
+      const sy = y;
+      while (x < n && y < m && a[x0 + x] === b[y0 + y]) { x++; y++; }
+      fwd[offset + k] = x;
+      // The backward search on this diagonal has had d - 1 steps
+      const c = delta - k;
+      if (odd && c >= -(d - 1) && c <= d - 1 && x + bwd[offset + c] >= n) {
+        return [x0 + sx, y0 + sy, x0 + x, y0 + y];
+      }
+    }
+    for (let c = -d; c <= d; c += 2) {
+      let x = (c === -d || (c !== d && bwd[offset + c - 1] < bwd[offset + c + 1]))
+        ? bwd[offset + c + 1]
+        : bwd[offset + c - 1] + 1;
+      let y = x - c;
+      const sx = x;
+      const sy = y;
+      while (x < n && y < m && a[x1 - x - 1] === b[y1 - y - 1]) { x++; y++; }
+      bwd[offset + c] = x;
+      const k = delta - c;
+      if (!odd && k >= -d && k <= d && x + fwd[offset + k] >= n) {
+        return [x1 - x, y1 - y, x1 - sx, y1 - sy];
+      }
+    }
+  }
+  throw new Error('diff: no middle snake'); // unreachable — the searches always meet by dmax
+}
+
+// ── Patience ──────────────────────────────────────────────────────────────
+
+/** Longest increasing subsequence of `pairs` by their b index (pairs are sorted by a) */
+function longestIncreasing(pairs) {
+  const tails = [];
+  const prevOf = new Array(pairs.length);
+  for (let i = 0; i < pairs.length; i++) {
+    let lo = 0;
+    let hi = tails.length;
+    while (lo < hi) {
+      const mid = (lo + hi) >> 1;
+      if (pairs[tails[mid]][1] < pairs[i][1]) lo = mid + 1;
+      else hi = mid;
+    }
+    prevOf[i] = lo > 0 ? tails[lo - 1] : -1;
+    tails[lo] = i;
+  }
+  const result = [];
+  for (let i = tails.length ? tails[tails.length - 1] : -1; i >= 0; i = prevOf[i]) result.push(pairs[i]);
+  return result.reverse();
+}
+
+function patience(a, alo, ahi, b, blo, bhi, out) {
+  // Lines occurring exactly once on each side are the anchors
+  const counts = new Map();
+  for (let i = alo; i < ahi; i++) {
+    const c = counts.get(a[i]) ?? { a: 0, b: 0, ai: i };
+    c.a++;
+    counts.set(a[i], c);
+  }
+  for (let j = blo; j < bhi; j++) {
+    const c = counts.get(b[j]);
+    if (c) { c.b++; c.bj = j; }
+  }
+  const pairs = [];
+  for (const c of counts.values()) {
+    if (c.a === 1 && c.b === 1) pairs.push([c.ai, c.bj]);
+  }
+  pairs.sort((p, q) => p[0] - q[0]);
+  const anchors = longestIncreasing(pairs);
+
+  if (!anchors.length) {
+    myers(a, alo, ahi, b, blo, bhi, out);
+    return;
+  }
+
+  let ai = alo;
+  let bj = blo;
+  for (const [aa, bb] of anchors) {
+    patience(a, ai, aa, b, bj, bb, out);
+    out.push('=');
+    ai = aa + 1;
+    bj = bb + 1;
+  }
+  patience(a, ai, ahi, b, bj, bhi, out);
+}
+
+// ── Public API ────────────────────────────────────────────────────────────
+
+/**
+ * Diff two texts line by line.
+ * Returns the full edit script: [{ type: ' '|'-'|'+', text, eol, oldNo, newNo }]
+ * where `text` has no terminator, `eol` is false for a last line without '\n',
+ * and oldNo/newNo are 1-based line numbers (null on the side a line is absent from).
+ * @param {{algorithm?: 'myers'|'patience'}} options
+ */
+export function diffLines(oldText, newText, { algorithm = 'myers' } = {}) {
+  const oldLines = splitLines(oldText);
+  const newLines = splitLines(newText);
+  const [a, b] = intern(oldLines, newLines);
+
+  const ops = [];
+  if (algorithm === 'patience') patience(a, 0, a.length, b, 0, b.length, ops);
+  else myers(a, 0, a.length, b, 0, b.length, ops);
+
+  // Within a run of changes, removals come before additions, as git shows them
+  for (let start = 0; start < ops.length;) {
+    if (ops[start] === '=') { start++; continue; }
+    let end = start;
+    let removed = 0;
+    for (; end < ops.length && ops[end] !== '='; end++) {
+      if (ops[end] === '-') removed++;
+    }
+    ops.fill('-', start, start + removed);
+    ops.fill('+', start + removed, end);
+    start = end;
+  }
+
+  const edits = [];
+  let i = 0;
+  let j = 0;
+  const entry = (type, raw, oldNo, newNo) => ({
+    type,
+    text: raw.endsWith('\n') ? raw.slice(0, -1) : raw,
+    eol: raw.endsWith('\n'),
+    oldNo,
+    newNo,
+  });
+  for (const op of ops) {
+    if (op === '=') { edits.push(entry(' ', oldLines[i], i + 1, j + 1)); i++; j++; }
+    else if (op === '-') { edits.push(entry('-', oldLines[i], i + 1, null)); i++; }
+    else { edits.push(entry('+', newLines[j], null, j + 1)); j++; }
+  }
+  return edits;
+}
+
+/**
+ * Group an edit script into unified-diff hunks with `context` lines around
+ * each change. Hunks whose context would overlap are merged.
+ * Returns [{ oldStart, oldLines, newStart, newLines, header, lines }]
+ */
+export function buildHunks(edits, context = 3) {
+  const hunks = [];
+  const ctx = Math.max(0, context);
+  let i = 0;
+  while (i < edits.length) {
+    if (edits[i].type === ' ') { i++; continue; }
+
+    // Extend the hunk while the next change is within 2×context lines
+    const start = Math.max(0, i - ctx);
+    let end = i;
+    let gap = 0;
+    for (let j = i; j < edits.length; j++) {
+      if (edits[j].type === ' ') {
+        gap++;
+        if (gap > 2 * ctx) break;
+      } else {
+        gap = 0;
+        end = j;
+      }
+    }
+    const stop = Math.min(edits.length, end + ctx + 1);
+    const lines = edits.slice(start, stop);
+
+    let oldBefore = 0;
+    let newBefore = 0;
+    for (let j = start - 1; j >= 0; j--) {
+      if (edits[j].oldNo) { oldBefore = edits[j].oldNo; break; }
+    }
+    for (let j = start - 1; j >= 0; j--) {
+      if (edits[j].newNo) { newBefore = edits[j].newNo; break; }
+    }
+    const oldLines = lines.filter(l => l.type !== '+').length;
+    const newLines = lines.filter(l => l.type !== '-').length;
+    const oldStart = oldLines ? oldBefore + 1 : oldBefore;
+    const newStart = newLines ? newBefore + 1 : newBefore;
+
+    hunks.push({
+      oldStart, oldLines, newStart, newLines, lines,
+      header: `@@ -${range(oldStart, oldLines)} +${range(newStart, newLines)} @@`,
+    });
+    i = stop;
+  }
+  return hunks;
+}
+
+function range(start, count) {
+  return count === 1 ? `${start}` : `${start},${count}`;
+}
+
+/** Render hunks as a unified diff string ('' when there are no changes) */
+export function formatUnified(filepath, hunks) {
+  if (!hunks.length) return '';
+  const out = [`--- a/${filepath}`, `+++ b/${filepath}`];
+  for (const hunk of hunks) {
+    out.push(hunk.header);
+    for (const line of hunk.lines) {
+      out.push(`${line.type}${line.text}`);
+      if (!line.eol) out.push('\\ No newline at end of file');
+    }
+  }
+  return out.join('\n');
+}
+
+// ── Partial application ───────────────────────────────────────────────────
+
+/** Stable selection key for a changed line: '-<oldNo>' or '+<newNo>' */
+export function lineKey(line) {
+  return line.type === '-' ? `-${line.oldNo}` : `+${line.newNo}`;
+}
+
+/**
+ * Rebuild a text from an edit script, taking only the selected changes.
+ * Forward: start from the old side, drop selected '-' lines and insert
+ * selected '+' lines (used to stage part of a file).
+ * Reverse: start from the new side and undo the selected changes instead
+ * (used to unstage part of a file).
+ * @param {Array} edits - result of diffLines()
+ * @param {Set<string>} selected - lineKey()s of the changes to take
+ */
+export function applySelection(edits, selected, reverse = false) {
+  let out = '';
+  for (const line of edits) {
+    const picked = line.type !== ' ' && selected.has(lineKey(line));
+    const keep = line.type === ' '
+      || (line.type === '-' && (reverse ? picked : !picked))
+      || (line.type === '+' && (reverse ? !picked : picked));
+    if (!keep) continue;
+    // A kept line without '\n' can end up in the middle once later lines are taken
+    if (out && !out.endsWith('\n')) out += '\n';
+    out += line.eol ? `${line.text}\n` : line.text;
+  }
+  return out;
+}
+
+// ── Three-way merge ───────────────────────────────────────────────────────
+
+/**
+ * Runs of changes from a base→side edit script, as base line ranges
+ * [start, end) plus the raw lines the side puts there instead.
+ */
+function changeRanges(edits) {
+  const ranges = [];
+  let pos = 0;
+  let current = null;
+  for (const line of edits) {
+    if (line.type === ' ') {
+      current = null;
+      pos++;
+      continue;
+    }
+    if (!current) {
+      current = { start: pos, end: pos, lines: [] };
+      ranges.push(current);
+    }
+    if (line.type === '-') current.end = ++pos;
+    else current.lines.push(line.eol ? `${line.text}\n` : line.text);
+  }
+  return ranges;
+}
+
+/** Text of base[start:end) with the given (sorted, non-overlapping) ranges applied */
+function applyRanges(baseLines, start, end, ranges) {
+  let out = '';
+  let pos = start;
+  for (const r of ranges) {
+    out += baseLines.slice(pos, r.start).join('') + r.lines.join('');
+    pos = r.end;
+  }
+  return out + baseLines.slice(pos, end).join('');
+}
+
+/**
+ * diff3-style merge of two texts that share a common ancestor.
+ * Changes that touch or overlap on both sides form one region; it merges
+ * cleanly when only one side changed it or both made the same change.
+ * Returns chunks: [{ type: 'ok', text }] and
+ * [{ type: 'conflict', base, ours, theirs }] (raw texts with '\n').
+ */
+export function merge3(baseText, oursText, theirsText) {
+  const baseLines = splitLines(baseText);
+  const changes = [
+    ...changeRanges(diffLines(baseText, oursText)).map(r => ({ ...r, side: 'ours' })),
+    ...changeRanges(diffLines(baseText, theirsText)).map(r => ({ ...r, side: 'theirs' })),
+  ].sort((p, q) => p.start - q.start || p.end - q.end);
+
+  const chunks = [];
+  const pushOk = text => {
+    if (!text) return;
+    const last = chunks[chunks.length - 1];
+    if (last?.type === 'ok') last.text += text;
+    else chunks.push({ type: 'ok', text });
+  };
+
+  let pos = 0;
+  for (let i = 0; i < changes.length;) {
+    const start = changes[i].start;
+    let end = changes[i].end;
+    const members = [];
+    while (i < changes.length && (members.length === 0 || changes[i].start <= end)) {
+      end = Math.max(end, changes[i].end);
+      members.push(changes[i++]);
+    }
+    pushOk(baseLines.slice(pos, start).join(''));
+    pos = end;
+
+    const ours = members.filter(m => m.side === 'ours');
+    const theirs = members.filter(m => m.side === 'theirs');
+    const oursRegion = applyRanges(baseLines, start, end, ours);
+    const theirsRegion = applyRanges(baseLines, start, end, theirs);
+    if (!theirs.length || oursRegion === theirsRegion) pushOk(oursRegion);
+    else if (!ours.length) pushOk(theirsRegion);
+    else {
+      chunks.push({
+        type: 'conflict',
+        base: baseLines.slice(start, end).join(''),
+        ours: oursRegion,
+        theirs: theirsRegion,
+      });
+    }
+  }
+  pushOk(baseLines.slice(pos).join(''));
+  return chunks;
+}
+
+/**
+ * Build the merged text from merge3() chunks, resolving the n-th conflict
+ * with choices[n]: 'ours', 'theirs' or 'both' (ours followed by theirs).
+ */
+export function resolveChunks(chunks, choices) {
+  let out = '';
+  let n = 0;
+  const append = text => {
+    if (!text) return;
+    if (out && !out.endsWith('\n')) out += '\n';
+    out += text;
+  };
+  for (const chunk of chunks) {
+    if (chunk.type === 'ok') {
+      append(chunk.text);
+      continue;
+    }
+    const choice = choices[n++];
+    if (choice === 'ours' || choice === 'both') append(chunk.ours);
+    if (choice === 'theirs' || choice === 'both') append(chunk.theirs);
+  }
+  return out;
+}
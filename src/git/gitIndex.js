@@ -0,0 +1,63 @@
+/**
+ * Read-only parser for .git/index.
+ * isomorphic-git keeps unmerged (conflict) stages internal, so conflict
+ * handling reads them straight from the index file instead.
+ */
+import fs from './fs-adapter';
+
+/**
+ * Parse the index into a flat list of { path, oid, mode, stage }.
+ * Stage 0 is a normal entry; 1/2/3 are base/ours/theirs of a conflict.
+ * Returns [] when the repo has no index yet.
+ */
+export async function readIndex(dir) {
+  let buf;
+  try {
+    buf = await fs.promises.readFile(`${dir}/.git/index`);
+  } catch {
+    return [];
+  }
+  if (buf.length < 12 || buf.toString('utf8', 0, 4) !== 'DIRC') {
+    throw new Error('Invalid .git/index');
+  }
+  const version = buf.readUInt32BE(4);
+  if (version !== 2 && version !== 3) {
+    throw new Error(`Unsupported index version ${version}`);
+  }
+
+  const count = buf.readUInt32BE(8);
+  const entries = [];
+  let pos = 12;
+  for (let i = 0; i < count; i++) {
+    const start = pos;
+    const mode = buf.readUInt32BE(pos + 24);
+    const oid = buf.toString('hex', pos + 40, pos + 60);
+    const flags = buf.readUInt16BE(pos + 60);
+    pos += 62;
+    if (flags & 0x4000) pos += 2; // v3 extended flags
+    const end = buf.indexOf(0, pos);
+    const path = buf.toString('utf8', pos, end);
+    // Entries are NUL-padded to a multiple of 8 bytes
+    pos = start + Math.ceil((end - start + 1) / 8) * 8;
+    entries.push({ path, oid, mode, stage: (flags >> 12) & 0x3 });
+  }
+  return entries;
+}
+
+/**
+ * Conflicted paths with the blob oid of each stage present:
+ * [{ path, base, ours, theirs }] — a missing side is null
+ * (e.g. `ours` is null when we deleted a file they modified).
+ */
+export async function listUnmerged(dir) {
+  const byPath = new Map();
+  for (const entry of await readIndex(dir)) {
+    if (entry.stage === 0) continue;
+    const item = byPath.get(entry.path) ?? { path: entry.path, base: null, ours: null, theirs: null };
+    if (entry.stage === 1) item.base = entry.oid;
+    if (entry.stage === 2) item.ours = entry.oid;
+    if (entry.stage === 3) item.theirs = entry.oid;
+    byPath.set(entry.path, item);
+  }
+  return [...byPath.values()];
+}
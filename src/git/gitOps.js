@@ -6,6 +6,11 @@ import git from 'isomorphic-git';
 import http from 'isomorphic-git/http/web';
 import RNFS from 'react-native-fs';
 import fs from './fs-adapter';
+import {
+  splitLines, diffLines, buildHunks, formatUnified, applySelection, lineKey, merge3, resolveChunks,
+} from './diff';
+import { readIndex, listUnmerged } from './gitIndex';
+import { isCancelled, isNetworkError } from './transfer';
 import { Buffer } from 'buffer';
 
 // ── Helpers ────────────────────────────────────────────────────────────────
@@ -19,6 +24,91 @@ export async function ensureReposDir() {
   if (!exists) await RNFS.mkdir(REPOS_DIR);
 }
 
+/** Tracked files with staged or unstaged changes (untracked files don't count) */
+async function listDirtyFiles(dir) {
+  const matrix = await statusMatrix(dir);
+  return matrix
+    .filter(([, head, workdir, stage]) => !(head === 0 && stage === 0) && !(head === 1 && workdir === 1 && stage === 1))
+    .map(([filepath]) => filepath);
+}
+
+/** Write raw bytes to a working-tree file, creating parent folders as needed */
+async function writeWorkdirFile(dir, filepath, bytes) {
+  const path = `${dir}/${filepath}`;
+  const parent = path.slice(0, path.lastIndexOf('/'));
+  if (!(await RNFS.exists(parent))) await RNFS.mkdir(parent);
+  await RNFS.writeFile(path, Buffer.from(bytes).toString('base64'), 'base64');
+}
+
+/** Paths of files that differ between two commits (unchanged subtrees are skipped) */
+async function changedPaths(dir, oidA, oidB) {
+  const paths = await git.walk({
+    fs,
+    dir,
+    trees: [git.TREE({ ref: oidA }), git.TREE({ ref: oidB })],
+    map: async (filepath, [a, b]) => {
+      const [oa, ob] = await Promise.all([a?.oid(), b?.oid()]);
+      if (oa === ob) return null;
+      const types = await Promise.all([a?.type(), b?.type()]);
+      return types.includes('blob') ? filepath : undefined;
+    },
+  });
+  return paths ?? []; // identical trees prune the walk at the root
+}
+
+/**
+ * Write a (nested) tree from a flat list of { path, oid, mode } file entries
+ * and return its oid.
+ */
+async function writeTreeFromEntries(dir, entries) {
+  const root = new Map();
+  for (const entry of entries) {
+    const parts = entry.path.split('/');
+    let node = root;
+    for (const part of parts.slice(0, -1)) {
+      if (!node.has(part)) node.set(part, new Map());
+      node = node.get(part);
+    }
+    node.set(parts[parts.length - 1], entry);
+  }
+  const write = async node => {
+    const tree = [];
+    for (const [name, child] of node) {
+      if (child instanceof Map) {
+        tree.push({ mode: '040000', path: name, oid: await write(child), type: 'tree' });
+      } else {
+        const type = child.mode === 0o160000 ? 'commit' : 'blob';
+        tree.push({ mode: child.mode.toString(8), path: name, oid: child.oid, type });
+      }
+    }
+    return git.writeTree({ fs, dir, tree });
+  };
+  return write(root);
+}
+
+/** Flatten a commit's tree into [{ path, oid, mode }] */
+async function listTreeFiles(dir, oid) {
+  return git.walk({
+    fs,
+    dir,
+    trees: [git.TREE({ ref: oid })],
+    map: async (filepath, [entry]) => {
+      if (!entry || (await entry.type()) !== 'blob') return undefined;
+      return { path: filepath, oid: await entry.oid(), mode: await entry.mode() };
+    },
+  });
+}
+
+/** Author/committer object for commits GitLane writes itself */
+function signature(name, email) {
+  return {
+    name,
+    email,
+    timestamp: Math.floor(Date.now() / 1000),
+    timezoneOffset: new Date().getTimezoneOffset(),
+  };
+}
+
 /** Build auth callbacks from a PAT token */
 function makeAuth(token) {
   if (!token) return {};
@@ -28,257 +118,2640 @@ function makeAuth(token) {
   };
 }
 
+/** http client + onProgress for isomorphic-git, through a createTransfer() handle when there is one */
+function network(transfer) {
+  return transfer ? { http: transfer.http, onProgress: transfer.onProgress } : { http, onProgress: () => {} };
+}
+
 // ── Repository management ─────────────────────────────────────────────────
 
 /**
- * Clone a remote repository.
- * @param {string} url - HTTPS clone URL
- * @param {string} repoName - local folder name
- * @param {string|null} token - PAT for private repos
- * @param {function} onProgress - called with {phase, loaded, total}
+ * Clone a remote repository.
+ * @param {string} url - HTTPS clone URL
+ * @param {string} repoName - local folder name
+ * @param {string|null} token - PAT for private repos
+ * @param {object|null} transfer - createTransfer() handle for progress, cancelling
+ *   and retrying dropped connections; a cancelled clone is removed again
+ * @param {{depth?: number|null, singleBranch?: boolean, ref?: string|null, sparse?: string[]|null, onRetry?: function}} options
+ *   depth — commits of history to fetch, null for all of it;
+ *   singleBranch — fetch only `ref` (or the default branch) instead of every branch;
+ *   ref — branch or tag to check out (a tag leaves HEAD detached), default branch when null;
+ *   sparse — folders to check out (see setSparseDirs()), null for the whole tree;
+ *   onRetry — called with { attempt, attempts, delaySeconds, error } before a
+ *   failed download is tried again (see CLONE_ATTEMPTS)
+ * A clone of the same URL into the same folder that stopped half-way (app
+ * killed, storage full) is picked up where it stopped; leftovers of anything
+ * else are cleared first. A download that fails (after the retries) is
+ * discarded with the folder; once the download is in it is kept on failure,
+ * so cloning again doesn't download it again.
+ * Returns { dir, name, url, branch } where branch is null for a detached HEAD.
+ */
+export async function cloneRepo(url, repoName, token = null, transfer = null, {
+  depth = 50,          // shallow clone for speed
+  singleBranch = true,
+  ref = null,
+  sparse = null,
+  onRetry = null,
+} = {}) {
+  await ensureReposDir();
+  const dir = `${REPOS_DIR}/${repoName}`;
+  let state = await prepareCloneDir(dir, repoName, url);
+  try {
+    if (state) {
+      transfer?.onProgress({ phase: 'Resuming earlier clone', loaded: 0, total: 0 });
+    } else {
+      // The state file goes in first, so the folder is never a bare .git without it
+      await RNFS.mkdir(`${dir}/.git`);
+      state = { url, fetched: null };
+      await writeCloneState(dir, state);
+      await git.init({ fs, dir });
+      await git.addRemote({ fs, dir, remote: 'origin', url });
+    }
+    if (!state.fetched) {
+      await dropBrokenRefs(dir);
+      const { defaultBranch, fetchHead } = await withRetry(() => git.fetch({
+        fs,
+        ...network(transfer),
+        dir,
+        remote: 'origin',
+        singleBranch,
+        tags: true,
+        ...(depth && { depth }),
+        ...(ref && { ref }),
+        ...makeAuth(token),
+        onMessage: msg => console.log('[git]', msg),
+      }), { transfer, onRetry });
+      // An empty repository has nothing to check out; HEAD stays on the unborn default branch
+      state.fetched = fetchHead === null ? '' : (ref || defaultBranch).replace('refs/heads/', '');
+      await writeCloneState(dir, state);
+    }
+    if (state.fetched) {
+      await git.checkout({
+        fs, dir,
+        ref: state.fetched,
+        remote: 'origin',
+        noCheckout: !!sparse,
+        force: true, // files left by an interrupted checkout are ours to overwrite
+        onProgress: transfer?.onProgress,
+      });
+    }
+    // Cancelled while checking out: the clone finished, but wasn't wanted
+    transfer?.throwIfCancelled();
+    const branch = (await git.currentBranch({ fs, dir })) ?? null;
+    if (branch) await setUpstream(dir, branch, 'origin');
+    if (sparse) await applySparseDirs(dir, sparse);
+    await RNFS.unlink(cloneStatePath(dir));
+    return { dir, name: repoName, url, branch };
+  } catch (e) {
+    if (isCancelled(e) || !state?.fetched) await RNFS.unlink(dir).catch(() => {});
+    throw e;
+  }
+}
+
+// A clone in progress is recorded in .git/gitlane-clone ("url <url>", then
+// "fetched <ref>" once the download is in) and the file is removed when the
+// clone is complete, so a folder that still has it is a clone cut short.
+const cloneStatePath = dir => `${dir}/.git/gitlane-clone`;
+
+async function writeCloneState(dir, { url, fetched }) {
+  const lines = [`url ${url}`, ...(fetched !== null ? [`fetched ${fetched}`] : [])];
+  await RNFS.writeFile(cloneStatePath(dir), `${lines.join('\n')}\n`, 'utf8');
+}
+
+/**
+ * Make `dir` ready for cloning `url`. Returns the recorded state of an
+ * unfinished clone of the same URL to resume, or null after clearing what
+ * an unfinished clone of another URL left. Any other repository, finished
+ * or empty, is never touched.
+ */
+async function prepareCloneDir(dir, repoName, url) {
+  if (!(await RNFS.exists(dir))) return null;
+  if (await RNFS.exists(cloneStatePath(dir))) {
+    const text = await RNFS.readFile(cloneStatePath(dir), 'utf8');
+    const state = { url: null, fetched: null };
+    for (const line of text.split('\n')) {
+      const [, key, value] = line.match(/^(url|fetched) ?(.*)$/) ?? [];
+      if (key) state[key] = value;
+    }
+    if (state.url === url) return state;
+  } else if (await RNFS.exists(`${dir}/.git`)) {
+    const err = new Error(`A repository named "${repoName}" already exists — choose another name`);
+    err.code = 'AlreadyExists';
+    throw err;
+  }
+  // Without .git it is what a failed clone leaves when removing it stops half-way
+  await RNFS.unlink(dir);
+  return null;
+}
+
+/**
+ * Remote-tracking refs and tags whose objects never arrived (the download
+ * was cut off after the refs were written) — removed along with the shallow
+ * list they came with, so a fetch asks for them again. Refs that are intact
+ * stay and spare their objects from being downloaded twice.
+ */
+async function dropBrokenRefs(dir) {
+  const refs = [
+    ...(await git.listBranches({ fs, dir, remote: 'origin' })).map(b => `refs/remotes/origin/${b}`),
+    ...(await git.listTags({ fs, dir })).map(t => `refs/tags/${t}`),
+  ];
+  let dropped = false;
+  for (const ref of refs) {
+    const ok = await git.resolveRef({ fs, dir, ref })
+      .then(oid => git.readObject({ fs, dir, oid, format: 'content' }))
+      .then(() => true, () => false);
+    if (ok) continue;
+    await git.deleteRef({ fs, dir, ref }).catch(() => {});
+    dropped = true;
+  }
+  if (dropped) await RNFS.unlink(`${dir}/.git/shallow`).catch(() => {});
+}
+
+// Downloads cut off by a dropped connection are tried this many times in
+// all, waiting RETRY_DELAY ms before the second attempt and twice as long
+// before each one after
+const CLONE_ATTEMPTS = 5;
+const RETRY_DELAY = 2000;
+
+/**
+ * Failures worth another try: the connection dropped or timed out (a
+ * transfer's 'NetworkError') or the server had a temporary problem. Anything
+ * else — auth, not-found, cancelling, a full disk or a bug — is final.
+ */
+function isTransient(err) {
+  if (err?.code === 'HttpError') {
+    const status = err.data?.statusCode;
+    return status >= 500 || status === 408 || status === 429;
+  }
+  return isNetworkError(err) || err?.code === 'EmptyServerResponseError';
+}
+
+async function withRetry(fn, { transfer = null, onRetry = null } = {}) {
+  for (let attempt = 1; ; attempt++) {
+    try {
+      return await fn();
+    } catch (e) {
+      if (attempt >= CLONE_ATTEMPTS || !isTransient(e)) throw e;
+      const delay = RETRY_DELAY * 2 ** (attempt - 1);
+      onRetry?.({ attempt, attempts: CLONE_ATTEMPTS, delaySeconds: delay / 1000, error: e.message ?? String(e) });
+      if (transfer) await transfer.wait(delay);
+      else await new Promise(resolve => setTimeout(resolve, delay));
+    }
+  }
+}
+
+/**
+ * Open (validate) an existing local repo.
+ */
+export async function openRepo(dir) {
+  const commits = await git.log({ fs, dir, depth: 1 });
+  const branch = await git.currentBranch({ fs, dir }) ?? 'HEAD detached';
+  return { dir, branch, headSha: commits[0]?.oid ?? null };
+}
+
+// ── Sparse checkout ───────────────────────────────────────────────────────
+// Cone mode, like `git sparse-checkout set <dirs>`: the chosen folders are
+// checked out in full, plus the files directly in the root and in the
+// folders leading to them. The index only holds those files, so anything
+// that builds a tree from it (commitEntries()) fills in the rest from HEAD.
+//
+// This is GitLane's own: git marks the files it leaves out skip-worktree
+// and keeps them in the index, which isomorphic-git can't. So the folders
+// live in .git/gitlane-sparse (one per line, an empty file for the root
+// only) rather than in git's sparse-checkout settings, and desktop git
+// opening the folder sees the files outside the cone as deleted.
+
+const sparsePath = dir => `${dir}/.git/gitlane-sparse`;
+
+/** Folders a path sits in, outermost first: 'a/b/c.txt' → ['a', 'a/b'] */
+function parentDirs(filepath) {
+  const parts = filepath.split('/');
+  return parts.slice(1).map((_, i) => parts.slice(0, i + 1).join('/'));
+}
+
+function inSparseCone(filepath, dirs) {
+  const slash = filepath.lastIndexOf('/');
+  if (slash === -1) return true;
+  const parent = filepath.slice(0, slash);
+  return dirs.some(d => filepath.startsWith(`${d}/`) || `${d}/`.startsWith(`${parent}/`));
+}
+
+/** Trim slashes, drop duplicates and folders already covered by a parent */
+function normaliseSparseDirs(dirs) {
+  const clean = [...new Set(dirs.map(d => d.trim().replace(/^\/+|\/+$/g, '')).filter(Boolean))].sort();
+  return clean.filter(d => !clean.some(other => d.startsWith(`${other}/`)));
+}
+
+/**
+ * Folders checked out by sparse checkout, or null when the whole tree is
+ * checked out. [] means only the files in the root.
+ */
+export async function getSparseDirs(dir) {
+  const text = await RNFS.readFile(sparsePath(dir), 'utf8').catch(() => null);
+  return text === null ? null : text.split('\n').filter(Boolean);
+}
+
+/**
+ * Check out only `dirs` (see the section comment), or the whole tree again
+ * when `dirs` is null. Files that fall outside are removed from the working
+ * tree. Refused while there are uncommitted changes or a merge, rebase or
+ * pick is in progress. Returns the folders now checked out, or null.
+ */
+export async function setSparseDirs(dir, dirs) {
+  await assertCanSwitch(dir);
+  const dirty = await listDirtyFiles(dir);
+  if (dirty.length) {
+    throw new Error(`Commit or stash your changes before changing the checked-out folders:\n${dirty.slice(0, 10).join('\n')}`);
+  }
+  return applySparseDirs(dir, dirs);
+}
+
+/** Folders directly inside `path` at `ref` — what there is to pick from, checked out or not */
+export async function listTreeFolders(dir, { ref = 'HEAD', path = '' } = {}) {
+  const oid = await git.resolveRef({ fs, dir, ref });
+  const { tree } = await git.readTree({ fs, dir, oid, ...(path && { filepath: path }) });
+  return tree
+    .filter(e => e.type === 'tree')
+    .map(e => (path ? `${path}/${e.path}` : e.path))
+    .sort((a, b) => a.localeCompare(b));
+}
+
+async function applySparseDirs(dir, dirs) {
+  const next = dirs && normaliseSparseDirs(dirs);
+  if (next) await RNFS.writeFile(sparsePath(dir), next.map(d => `${d}\n`).join(''), 'utf8');
+  else await RNFS.unlink(sparsePath(dir)).catch(() => {});
+  // Rebuild the index from scratch for the new cone
+  const before = (await readIndex(dir)).map(e => e.path);
+  await RNFS.unlink(`${dir}/.git/index`).catch(() => {});
+  await checkoutRef(dir, (await git.currentBranch({ fs, dir })) ?? 'HEAD', { force: true });
+  if (next) await dropOutsideCone(dir, next, before);
+  return next;
+}
+
+/** git.checkout, limited to the cone when sparse checkout is on */
+async function checkoutRef(dir, ref, { force = false } = {}) {
+  const dirs = await getSparseDirs(dir);
+  if (!dirs) return git.checkout({ fs, dir, ref, force });
+  const [oid, index] = await Promise.all([git.resolveRef({ fs, dir, ref }), readIndex(dir)]);
+  const underDir = filepath => dirs.some(d => filepath.startsWith(`${d}/`));
+  // The folders themselves, plus the loose files around them — both the
+  // target's and the index's, so files deleted by the move go too
+  const filepaths = new Set(dirs);
+  for (const parent of ['', ...new Set(dirs.flatMap(parentDirs))]) {
+    const { tree } = await git.readTree({ fs, dir, oid, ...(parent && { filepath: parent }) }).catch(() => ({ tree: [] }));
+    for (const entry of tree) {
+      if (entry.type === 'blob') filepaths.add(parent ? `${parent}/${entry.path}` : entry.path);
+    }
+  }
+  for (const { path } of index) {
+    if (inSparseCone(path, dirs) && !underDir(path)) filepaths.add(path);
+  }
+  await git.checkout({ fs, dir, ref, force, filepaths: [...filepaths] });
+  await dropOutsideCone(dir, dirs, index.map(e => e.path));
+}
+
+/** Take files outside the cone back out of the index and working tree (a conflicted merge or a pick can bring them in) */
+async function dropOutsideCone(dir, dirs, filepaths) {
+  const outside = [...new Set(filepaths)].filter(p => !inSparseCone(p, dirs));
+  if (!outside.length) return;
+  const inIndex = new Set((await readIndex(dir)).map(e => e.path));
+  for (const filepath of outside) {
+    if (inIndex.has(filepath)) await git.remove({ fs, dir, filepath });
+    await RNFS.unlink(`${dir}/${filepath}`).catch(() => {});
+    await removeEmptyParents(dir, filepath);
+  }
+}
+
+async function removeEmptyParents(dir, filepath) {
+  for (const parent of parentDirs(filepath).reverse()) {
+    const path = `${dir}/${parent}`;
+    if (!(await RNFS.exists(path)) || (await RNFS.readDir(path)).length) return;
+    await RNFS.unlink(path);
+  }
+}
+
+/**
+ * git.statusMatrix without the files sparse checkout leaves out on purpose
+ * (in HEAD but in neither the index nor the working tree).
+ */
+async function statusMatrix(dir) {
+  const [matrix, dirs] = await Promise.all([git.statusMatrix({ fs, dir }), getSparseDirs(dir)]);
+  if (!dirs) return matrix;
+  return matrix.filter(([filepath, , workdir, stage]) => workdir !== 0 || stage !== 0 || inSparseCone(filepath, dirs));
+}
+
+/**
+ * Files of the next commit as [{ path, oid, mode }]: the index, plus — in a
+ * sparse checkout — everything outside the cone, taken from HEAD or, while a
+ * merge, pick or rebase step is in progress, from its trivial three-way
+ * merge (conflicts always land in the index).
+ */
+async function commitEntries(dir) {
+  const [index, dirs] = await Promise.all([readIndex(dir), getSparseDirs(dir)]);
+  const staged = index.filter(e => e.stage === 0);
+  if (!dirs) return staged;
+  const headOid = await git.resolveRef({ fs, dir, ref: 'HEAD' }).catch(() => null);
+  if (!headOid) return staged;
+  const step = await pendingChange(dir, headOid);
+  const blob = async entry => (entry && (await entry.type()) === 'blob'
+    ? { oid: await entry.oid(), mode: await entry.mode() }
+    : null);
+  const outside = await git.walk({
+    fs,
+    dir,
+    trees: [headOid, ...(step ? [step.baseOid, step.theirOid] : [])].map(ref => git.TREE({ ref })),
+    map: async (filepath, [ours, base, theirs]) => {
+      if (filepath === '.') return;
+      if (dirs.some(d => filepath === d || filepath.startsWith(`${d}/`))) return null; // all in the index
+      const [o, b, t] = await Promise.all([blob(ours), blob(base), blob(theirs)]);
+      if (!o && !b && !t) return; // folder — keep walking
+      if (inSparseCone(filepath, dirs)) return;
+      const file = step && o?.oid === b?.oid ? t : o;
+      return file ? { path: filepath, ...file } : undefined;
+    },
+  });
+  const byPath = new Map(outside.map(e => [e.path, e]));
+  for (const e of staged) byPath.set(e.path, e);
+  return [...byPath.values()];
+}
+
+/** `tree` for git.commit in a sparse checkout (the index alone would delete everything outside the cone), else null */
+async function sparseCommitTree(dir) {
+  if (!(await getSparseDirs(dir))) return null;
+  return writeTreeFromEntries(dir, await commitEntries(dir));
+}
+
+/** Base and incoming commit of the merge, pick or stopped rebase step in progress, or null */
+async function pendingChange(dir, headOid) {
+  const merge = await getMergeState(dir);
+  if (merge) {
+    const [baseOid] = await git.findMergeBase({ fs, dir, oids: [headOid, merge.theirs] });
+    return { baseOid, theirOid: merge.theirs };
+  }
+  const pick = await getPickState(dir);
+  const rebase = !pick && await getRebaseState(dir);
+  const oid = pick?.oid ?? (rebase?.stopped ? rebase.next?.oid : null);
+  if (!oid) return null;
+  const { commit: c } = await git.readCommit({ fs, dir, oid });
+  return pick?.kind === 'revert'
+    ? { baseOid: oid, theirOid: c.parent[0] }
+    : { baseOid: c.parent[0], theirOid: oid };
+}
+
+// ── Status & Index ────────────────────────────────────────────────────────
+
+/**
+ * Get working-tree status.
+ * Returns array of { path, status, staged, partial } where status is one of:
+ * 'new' | 'modified' | 'deleted' | 'staged' | 'staged-modified' | 'staged-deleted' | 'unmodified' | 'ignored'
+ * | 'conflicted' (unmerged after a merge — listed first)
+ * `partial` is true when only some of the file's changes are staged.
+ */
+export async function getStatus(dir) {
+  const [matrix, unmerged] = await Promise.all([statusMatrix(dir), listUnmerged(dir)]);
+  const conflicted = new Set(unmerged.map(c => c.path));
+  const files = matrix
+    .filter(([filepath, head, workdir, stage]) => !conflicted.has(filepath) && !(head === 1 && workdir === 1 && stage === 1))
+    .map(([filepath, head, workdir, stage]) => {
+      let status;
+      if (head === 0 && workdir === 2 && stage === 0) status = 'new';
+      else if (head === 0 && workdir === 2 && stage === 2) status = 'staged-new';
+      else if (head === 1 && workdir === 2 && stage === 1) status = 'modified';
+      else if (head === 1 && workdir === 2 && stage === 2) status = 'staged-modified';
+      else if (head === 1 && workdir === 0 && stage === 1) status = 'deleted';
+      else if (head === 1 && workdir === 0 && stage === 0) status = 'staged-deleted';
+      else if (head === 0 && workdir === 2 && stage === 3) status = 'staged-new';
+      else if (head === 1 && workdir === 2 && stage === 3) status = 'staged-modified';
+      else status = 'modified';
+      return { path: filepath, status, staged: stage !== head, partial: stage === 3 };
+    });
+  return [
+    ...unmerged.map(c => ({ path: c.path, status: 'conflicted', staged: false, partial: false })),
+    ...files,
+  ];
+}
+
+/** Stage a single file */
+export async function stageFile(dir, filepath) {
+  await git.add({ fs, dir, filepath });
+}
+
+/** Unstage a single file */
+export async function unstageFile(dir, filepath) {
+  await git.resetIndex({ fs, dir, filepath });
+}
+
+/** Stage all changes */
+export async function stageAll(dir) {
+  await git.add({ fs, dir, filepath: '.' });
+}
+
+/** Unstage all */
+export async function unstageAll(dir) {
+  const matrix = await statusMatrix(dir);
+  await Promise.all(matrix.map(([filepath]) => git.resetIndex({ fs, dir, filepath })));
+}
+
+// ── Partial staging ───────────────────────────────────────────────────────
+
+/** Blob oid + mode of `filepath` in the index, or null when it isn't in there */
+async function readIndexEntry(dir, filepath) {
+  const [entry] = await git.walk({
+    fs,
+    dir,
+    trees: [git.STAGE()],
+    map: async (path, [stage]) => {
+      if (path === filepath) return stage ? { oid: await stage.oid(), mode: await stage.mode() } : undefined;
+      // Only descend into directories that lead to the file
+      return path === '.' || filepath.startsWith(`${path}/`) ? undefined : null;
+    },
+  });
+  return entry ?? null;
+}
+
+async function readBlobText(dir, oid) {
+  const { blob } = await git.readBlob({ fs, dir, oid });
+  return Buffer.from(blob).toString('utf8');
+}
+
+async function readWorkdirText(dir, filepath) {
+  const path = `${dir}/${filepath}`;
+  return (await RNFS.exists(path)) ? RNFS.readFile(path, 'utf8') : null;
+}
+
+/** Write `text` as a new blob and point the index entry for `filepath` at it */
+async function writeIndexText(dir, filepath, text, mode = 0o100644) {
+  const oid = await git.writeBlob({ fs, dir, blob: Buffer.from(text, 'utf8') });
+  await git.updateIndex({ fs, dir, filepath, oid, mode, add: true });
+}
+
+/**
+ * Hunks for one file, for tapping individual changes in the diff view.
+ * staged=false → unstaged changes (index vs working tree)
+ * staged=true  → staged changes (HEAD vs index)
+ * Returns { hunks, binary } where each changed hunk line has a `key`
+ * to pass to stageLines() / unstageLines().
+ */
+export async function getFileHunks(dir, filepath, { staged = false, context = 3 } = {}) {
+  const indexEntry = await readIndexEntry(dir, filepath);
+  const indexText = indexEntry ? await readBlobText(dir, indexEntry.oid) : '';
+  const [oldText, newText] = staged
+    ? [await readFileAtRef(dir, filepath, 'HEAD'), indexText]
+    : [indexText, (await readWorkdirText(dir, filepath)) ?? ''];
+
+  if (oldText.includes('\0') || newText.includes('\0')) return { hunks: [], binary: true };
+
+  const hunks = buildHunks(diffLines(oldText, newText), context).map(hunk => ({
+    ...hunk,
+    lines: hunk.lines.map(line => (line.type === ' ' ? line : { ...line, key: lineKey(line) })),
+  }));
+  return { hunks, binary: false };
+}
+
+/**
+ * Stage only the selected changed lines of a file (a whole hunk is just all of its keys).
+ * Builds a new index blob from the current index version plus the picked changes.
+ */
+export async function stageLines(dir, filepath, keys) {
+  const indexEntry = await readIndexEntry(dir, filepath);
+  const indexText = indexEntry ? await readBlobText(dir, indexEntry.oid) : '';
+  const workText = await readWorkdirText(dir, filepath);
+  const next = applySelection(diffLines(indexText, workText ?? ''), new Set(keys));
+
+  if (next === (workText ?? '')) {
+    // Everything picked — let isomorphic-git stage it the normal way
+    if (workText === null) await git.remove({ fs, dir, filepath });
+    else await git.add({ fs, dir, filepath });
+    return;
+  }
+  await writeIndexText(dir, filepath, next, indexEntry?.mode);
+}
+
+/**
+ * Unstage only the selected changed lines of a file, reverting them in the
+ * index back to the HEAD version while leaving the working tree untouched.
+ */
+export async function unstageLines(dir, filepath, keys) {
+  const indexEntry = await readIndexEntry(dir, filepath);
+  const indexText = indexEntry ? await readBlobText(dir, indexEntry.oid) : '';
+  const headText = await readFileAtRef(dir, filepath, 'HEAD');
+  const next = applySelection(diffLines(headText, indexText), new Set(keys), true);
+
+  if (next === headText) {
+    await git.resetIndex({ fs, dir, filepath });
+    return;
+  }
+  await writeIndexText(dir, filepath, next, indexEntry?.mode);
+}
+
+// ── Commits ───────────────────────────────────────────────────────────────
+
+/**
+ * Create a commit.
+ * While a merge is in progress this concludes it: the commit gets MERGE_HEAD
+ * as its second parent, and it is refused until every conflict is resolved.
+ * A stopped cherry-pick is concluded the same way, keeping the original author.
+ * Refused while a rebase is in progress — continueRebase() commits for it.
+ */
+export async function commit(dir, message, authorName, authorEmail) {
+  if (await getRebaseState(dir)) throw new Error('A rebase is in progress — continue or abort it first');
+  const merge = await getMergeState(dir);
+  const pick = !merge && await getPickState(dir);
+  const pending = merge || pick;
+  if (pending?.conflicts.length) {
+    throw new Error(`Resolve all conflicts before committing:\n${pending.conflicts.map(c => c.path).join('\n')}`);
+  }
+  const me = { name: authorName, email: authorEmail };
+  const original = pick?.kind === 'cherry-pick' && (await git.readCommit({ fs, dir, oid: pick.oid })).commit;
+  const tree = await sparseCommitTree(dir);
+  const sha = await git.commit({
+    fs,
+    dir,
+    message,
+    author: original ? original.author : me,
+    committer: signature(authorName, authorEmail),
+    ...(merge && { parent: [await git.resolveRef({ fs, dir, ref: 'HEAD' }), merge.theirs] }),
+    ...(tree && { tree }),
+  });
+  if (merge) await clearMergeState(dir);
+  if (pick) await clearPickState(dir);
+  // Conflicts resolved outside a sparse cone are committed now — put them away again
+  const dirs = await getSparseDirs(dir);
+  if (dirs) await dropOutsideCone(dir, dirs, (await readIndex(dir)).map(e => e.path));
+  return sha;
+}
+
+/**
+ * The commit HEAD points at, as the amend form needs it:
+ * { sha, message, authorName, authorEmail, pushed, remoteRef }.
+ * `pushed` is true when the remote-tracking branch (origin/<branch>)
+ * already contains the commit, so amending it would need a force push.
+ */
+export async function getLastCommit(dir) {
+  const sha = await git.resolveRef({ fs, dir, ref: 'HEAD' });
+  const { commit: c } = await git.readCommit({ fs, dir, oid: sha });
+  const branch = await git.currentBranch({ fs, dir });
+  const upstream = branch ? await getUpstream(dir, branch) : null;
+  const remoteRef = upstream?.name ?? (branch ? `origin/${branch}` : null);
+  let pushed = false;
+  if (remoteRef) {
+    const remoteOid = await git.resolveRef({ fs, dir, ref: `refs/remotes/${remoteRef}` }).catch(() => null);
+    if (remoteOid) {
+      pushed = remoteOid === sha ||
+        await git.isDescendent({ fs, dir, oid: remoteOid, ancestor: sha, depth: -1 });
+    }
+  }
+  return {
+    sha,
+    message: c.message.trim(),
+    authorName: c.author.name,
+    authorEmail: c.author.email,
+    pushed,
+    remoteRef,
+  };
+}
+
+/**
+ * Replace HEAD with a commit of the current index on the same parents.
+ * The message is kept when `message` is empty; the original author (and
+ * author date) is kept unless `resetAuthor`, in which case it becomes
+ * name/email — who is always recorded as the committer.
+ */
+export async function amendCommit(dir, { message = '', resetAuthor = false, name, email }) {
+  if (await getMergeState(dir)) throw new Error('Cannot amend while a merge is in progress');
+  if (await getRebaseState(dir)) throw new Error('Cannot amend while a rebase is in progress');
+  if (await getPickState(dir)) throw new Error('Cannot amend while a cherry-pick or revert is in progress');
+  const me = signature(name, email);
+  const tree = await sparseCommitTree(dir);
+  return git.commit({
+    fs,
+    dir,
+    amend: true,
+    message: message || undefined,
+    ...(resetAuthor && { author: me }),
+    committer: me,
+    ...(tree && { tree }),
+  });
+}
+
+// ── Log / History ─────────────────────────────────────────────────────────
+
+/**
+ * Get commit log.
+ */
+export async function getLog(dir, { depth = 100, ref = 'HEAD' } = {}) {
+  const commits = await git.log({ fs, dir, depth, ref });
+  return commits.map(toLogEntry);
+}
+
+function toLogEntry(c) {
+  return {
+    sha: c.oid,
+    shortSha: c.oid.slice(0, 7),
+    message: c.commit.message.trim(),
+    summary: c.commit.message.split('\n')[0].trim(),
+    authorName: c.commit.author.name,
+    authorEmail: c.commit.author.email,
+    authoredAt: c.commit.author.timestamp * 1000,
+    committedAt: c.commit.committer.timestamp * 1000,
+    parentShas: c.commit.parent,
+  };
+}
+
+/**
+ * Every branch, remote-tracking branch and tag with the commit it points at:
+ * [{ name, kind: 'head' | 'remote' | 'tag', oid }] (annotated tags are peeled).
+ */
+export async function listRefTips(dir) {
+  const [local, remote, tags] = await Promise.all([
+    git.listBranches({ fs, dir }),
+    git.listRefs({ fs, dir, filepath: 'refs/remotes' }),
+    git.listTags({ fs, dir }),
+  ]);
+  const refs = [
+    ...local.map(name => ({ name, kind: 'head', ref: `refs/heads/${name}` })),
+    ...remote
+      .filter(name => !name.endsWith('/HEAD'))
+      .map(name => ({ name, kind: 'remote', ref: `refs/remotes/${name}` })),
+    ...tags.map(name => ({ name, kind: 'tag', ref: `refs/tags/${name}` })),
+  ];
+  const tips = await Promise.all(refs.map(async ({ ref, ...tip }) => {
+    try {
+      let oid = await git.resolveRef({ fs, dir, ref });
+      if (tip.kind === 'tag') oid = await peelTag(dir, oid);
+      return { ...tip, oid };
+    } catch {
+      return null;
+    }
+  }));
+  return tips.filter(Boolean);
+}
+
+/** Follow annotated tag objects down to the commit they tag */
+async function peelTag(dir, oid) {
+  let { type, object } = await git.readObject({ fs, dir, oid, format: 'parsed' });
+  while (type === 'tag') {
+    oid = object.object;
+    ({ type, object } = await git.readObject({ fs, dir, oid, format: 'parsed' }));
+  }
+  return oid;
+}
+
+/**
+ * One page of history for the Log tab, newest first with children always
+ * before their parents (like `git log --date-order`).
+ * ref   — branch, remote branch or tag to follow; null follows HEAD and every
+ *         local branch, remote-tracking branch and tag at once, for the graph
+ * path  — only keep commits that change this file or directory
+ * after — the `cursor` of the previous page, to continue where it stopped
+ * Returns { commits: [getLog() entries], labels: { [sha]: [{ name, kind }] },
+ * head, cursor } where kind is 'head' | 'remote' | 'tag', `head` is the
+ * checked-out sha and `cursor` is null once history is exhausted.
+ */
+export async function getGraphLog(dir, { ref = null, path = null, pageSize = 100, after = null } = {}) {
+  const [tips, head] = await Promise.all([
+    listRefTips(dir),
+    git.resolveRef({ fs, dir, ref: 'HEAD' }).catch(() => null),
+  ]);
+  let starts = after;
+  if (!starts) {
+    starts = ref
+      ? [await resolveCommitish(dir, ref)]
+      : [...new Set([head, ...tips.map(t => t.oid)].filter(Boolean))];
+  }
+
+  const { commits, cursor } = await walkHistory(dir, starts, { limit: pageSize, path });
+  const labels = {};
+  for (const { name, kind, oid } of tips) {
+    if (!labels[oid]) labels[oid] = [];
+    labels[oid].push({ name, kind });
+  }
+  return { commits: dateOrder(commits).map(toLogEntry), labels, head, cursor };
+}
+
+const committedAt = c => c.commit.committer.timestamp * 1000;
+
+/**
+ * Find commits matching `query` = { text, author, sha, since, until, path }
+ * (all optional, all must match):
+ * text   — case-insensitive substring of the message
+ * author — case-insensitive substring of the author name or email
+ * sha    — prefix of the commit id
+ * since / until — commit date bounds in ms, inclusive (the committer date,
+ *          which history is walked by, so the walk can stop at `since`)
+ * path   — the commit changes this file or directory
+ * History of `ref` (null: HEAD and every branch and tag) is walked in chunks;
+ * each chunk's matches go to onResults(entries, scanned) as soon as they are
+ * found, with a break in between so the UI stays responsive. Stops early when
+ * `signal` is aborted. Resolves to { found, scanned, aborted }.
+ */
+export async function searchCommits(dir, query, { ref = null, signal = null, onResults = () => {} } = {}) {
+  const text = query.text?.trim().toLowerCase();
+  const author = query.author?.trim().toLowerCase();
+  const sha = query.sha?.trim().toLowerCase();
+  const { since, until } = query;
+  const path = query.path?.trim().replace(/^\/+|\/+$/g, '') || null;
+  const matches = c => {
+    const { message, author: a } = c.commit;
+    const at = committedAt(c);
+    return (!text || message.toLowerCase().includes(text))
+      && (!author || a.name.toLowerCase().includes(author) || a.email.toLowerCase().includes(author))
+      && (!sha || c.oid.startsWith(sha))
+      && (since == null || at >= since)
+      && (until == null || at <= until);
+  };
+
+  let found = 0;
+  let scanned = 0;
+  let cursor = ref ? [await resolveCommitish(dir, ref)] : null;
+  if (!cursor) {
+    const [tips, head] = await Promise.all([
+      listRefTips(dir),
+      git.resolveRef({ fs, dir, ref: 'HEAD' }).catch(() => null),
+    ]);
+    cursor = [...new Set([head, ...tips.map(t => t.oid)].filter(Boolean))];
+  }
+  while (cursor && !signal?.aborted) {
+    const page = await walkHistory(dir, cursor, { limit: 200, path });
+    scanned += page.scanned;
+    const hits = page.commits.filter(matches);
+    found += hits.length;
+    onResults(hits.map(toLogEntry), scanned);
+    cursor = page.cursor;
+    // History is walked newest first, so nothing older can match `since`
+    const oldest = page.commits[page.commits.length - 1];
+    if (since != null && oldest && committedAt(oldest) < since) break;
+    await new Promise(resolve => setTimeout(resolve, 0));
+  }
+  return { found, scanned, aborted: !!signal?.aborted };
+}
+
+/** Commit oid for a branch, remote branch, tag (peeled) or sha */
+async function resolveCommitish(dir, ref) {
+  const oid = await git.resolveRef({ fs, dir, ref }).catch(() => git.expandOid({ fs, dir, oid: ref }));
+  return peelTag(dir, oid);
+}
+
+// Commits read per page at most when filtering by path, so a rarely touched
+// file can't stall the screen; the cursor picks up from there
+const PATH_SCAN_LIMIT = 2000;
+
+/**
+ * Walk history from `starts`, newest committer date first, until `limit`
+ * commits are collected. Returns { commits, cursor, scanned } where cursor
+ * lists the commits still queued (null when there are none).
+ */
+async function walkHistory(dir, starts, { limit, path }) {
+  const read = oid => git.readCommit({ fs, dir, oid }).catch(() => null);
+  const queue = (await Promise.all(starts.map(read))).filter(Boolean);
+  const seen = new Set(queue.map(c => c.oid));
+  const trees = new Map();
+  const out = [];
+  let scanned = 0;
+  while (queue.length && out.length < limit && !(path && scanned >= PATH_SCAN_LIMIT)) {
+    let newest = 0;
+    for (let i = 1; i < queue.length; i++) {
+      if (queue[i].commit.committer.timestamp > queue[newest].commit.committer.timestamp) newest = i;
+    }
+    const [c] = queue.splice(newest, 1);
+    scanned++;
+    const parents = [];
+    for (const p of c.commit.parent) {
+      const parent = await read(p); // missing in a shallow clone
+      if (parent) parents.push(parent);
+      if (parent && !seen.has(p)) {
+        seen.add(p);
+        queue.push(parent);
+      }
+    }
+    if (!path || (await touchesPath(dir, c, parents, path, trees))) out.push(c);
+  }
+  return { commits: out, cursor: queue.length ? queue.map(c => c.oid) : null, scanned };
+}
+
+/**
+ * Whether `path` differs between a commit and its parents. Like git's
+ * history simplification, a merge only counts when it differs from all of them.
+ */
+async function touchesPath(dir, c, parents, path, trees) {
+  const oid = await pathOid(dir, c.commit.tree, path, trees);
+  if (!parents.length) return oid !== null;
+  for (const parent of parents) {
+    if ((await pathOid(dir, parent.commit.tree, path, trees)) === oid) return false;
+  }
+  return true;
+}
+
+/** Oid of the blob/tree at `path` inside tree `treeOid`, or null */
+async function pathOid(dir, treeOid, path, trees) {
+  let oid = treeOid;
+  for (const name of path.split('/').filter(Boolean)) {
+    let entries = trees.get(oid);
+    if (!entries) {
+      try {
+        entries = (await git.readTree({ fs, dir, oid })).tree;
+      } catch {
+        return null; // not a tree: the path runs through a file
+      }
+      trees.set(oid, entries);
+    }
+    const entry = entries.find(e => e.path === name);
+    if (!entry) return null;
+    oid = entry.oid;
+  }
+  return oid;
+}
+
+/** Topological sort that prefers newer committer dates among the commits that are ready */
+function dateOrder(commits) {
+  const pending = new Map(commits.map(c => [c.oid, 0])); // unplaced children per commit
+  for (const c of commits) {
+    for (const p of c.commit.parent) if (pending.has(p)) pending.set(p, pending.get(p) + 1);
+  }
+  const byOid = new Map(commits.map(c => [c.oid, c]));
+  const time = c => c.commit.committer.timestamp;
+  const ready = commits.filter(c => pending.get(c.oid) === 0);
+  const out = [];
+  while (ready.length) {
+    let best = 0;
+    for (let i = 1; i < ready.length; i++) if (time(ready[i]) > time(ready[best])) best = i;
+    const [c] = ready.splice(best, 1);
+    out.push(c);
+    for (const p of c.commit.parent) {
+      if (!pending.has(p)) continue;
+      pending.set(p, pending.get(p) - 1);
+      if (pending.get(p) === 0) ready.push(byOid.get(p));
+    }
+  }
+  return out;
+}
+
+// ── File history ──────────────────────────────────────────────────────────
+
+/**
+ * One page of the commits that changed `filepath`, newest first, following
+ * the file back through renames git can detect exactly (same content under
+ * the old name, which the commit deletes).
+ * after — the `cursor` of the previous page, to continue where it stopped
+ * Returns { entries, cursor } where each entry is a getLog() entry plus
+ * { path, status: 'added'|'modified'|'deleted'|'renamed', oldPath } — `path`
+ * is the file's name in that commit, `oldPath` its name before a rename —
+ * and `cursor` is null once history is exhausted.
+ */
+export async function getFileHistory(dir, filepath, { pageSize = 50, after = null } = {}) {
+  const read = oid => git.readCommit({ fs, dir, oid }).catch(() => null);
+  const trees = new Map();
+  const starts = after ?? [[await git.resolveRef({ fs, dir, ref: 'HEAD' }).catch(() => null), filepath]];
+  // Commits still to look at, each with the name the file has there
+  const queue = (await Promise.all(starts.map(async ([oid, path]) => ({ c: await read(oid), path }))))
+    .filter(item => item.c);
+  const seen = new Set(queue.map(item => item.c.oid));
+  const enqueue = (c, path) => {
+    if (seen.has(c.oid)) return;
+    seen.add(c.oid);
+    queue.push({ c, path });
+  };
+
+  const entries = [];
+  let scanned = 0;
+  while (queue.length && entries.length < pageSize && scanned < PATH_SCAN_LIMIT) {
+    let newest = 0;
+    for (let i = 1; i < queue.length; i++) {
+      if (queue[i].c.commit.committer.timestamp > queue[newest].c.commit.committer.timestamp) newest = i;
+    }
+    const [{ c, path }] = queue.splice(newest, 1);
+    scanned++;
+    const oid = await pathOid(dir, c.commit.tree, path, trees);
+    const parents = [];
+    for (const p of c.commit.parent) {
+      const parent = await read(p); // missing in a shallow clone
+      if (parent) parents.push({ c: parent, oid: await pathOid(dir, parent.commit.tree, path, trees) });
+    }
+
+    // Unchanged in some parent: only that side's history matters for this file
+    const same = parents.find(p => p.oid === oid);
+    if (same) {
+      enqueue(same.c, path);
+      continue;
+    }
+    const withFile = parents.filter(p => p.oid !== null);
+    if (withFile.length) {
+      withFile.forEach(p => enqueue(p.c, path));
+      entries.push({ ...toLogEntry(c), path, status: oid === null ? 'deleted' : 'modified', oldPath: null });
+      continue;
+    }
+    if (oid === null) continue; // never existed on this side of history
+    const oldPath = parents.length ? await renamedFrom(dir, parents[0].c, c, path, oid, trees) : null;
+    if (oldPath) enqueue(parents[0].c, oldPath);
+    entries.push({ ...toLogEntry(c), path, status: oldPath ? 'renamed' : 'added', oldPath });
+  }
+  const cursor = queue.length ? queue.map(({ c, path }) => [c.oid, path]) : null;
+  return { entries, cursor };
+}
+
+/** Path in `parent` that `c` deleted while adding `path` with identical content, or null */
+async function renamedFrom(dir, parent, c, path, oid, trees) {
+  for (const candidate of await changedPaths(dir, parent.oid, c.oid)) {
+    if (candidate === path) continue;
+    if ((await pathOid(dir, parent.commit.tree, candidate, trees)) !== oid) continue;
+    if ((await pathOid(dir, c.commit.tree, candidate, trees)) === null) return candidate;
+  }
+  return null;
+}
+
+// ── Blame ─────────────────────────────────────────────────────────────────
+
+/**
+ * Attribute each line of the working copy of `filepath` to the commit that
+ * last changed it, like `git blame`: history is walked back newest first and
+ * lines are handed from each commit to the parent they came from, until
+ * every line is accounted for.
+ * Returns { lines: [{ text, sha }], commits: { [sha]: { shortSha, summary, authorName, authoredAt } } }
+ * where sha is null for lines that are not committed yet.
+ */
+export async function blameFile(dir, filepath) {
+  const text = await readWorkdirText(dir, filepath);
+  if (text === null) throw new Error(`${filepath} does not exist in the working tree`);
+  if (text.includes('\0')) throw new Error('Cannot blame a binary file');
+
+  const lines = splitLines(text).map(raw => ({ text: raw.endsWith('\n') ? raw.slice(0, -1) : raw, sha: null }));
+  const commits = {};
+  const trees = new Map();
+  const head = await git.resolveRef({ fs, dir, ref: 'HEAD' }).catch(() => null);
+
+  // Versions still owing lines, by sha; each maps its line numbers → index into `lines`.
+  // The working copy goes first as sha null, with HEAD as its only parent.
+  const queue = new Map([[null, {
+    sha: null, commit: null, time: Infinity, parents: head ? [head] : [], text, blob: null,
+    pending: new Map(lines.map((_, i) => [i + 1, i])),
+  }]]);
+  // null for a parent a shallow clone doesn't have: its child is a boundary
+  // and keeps the lines it would have handed on
+  const version = async (sha) => {
+    if (queue.has(sha)) return queue.get(sha);
+    const read = await git.readCommit({ fs, dir, oid: sha }).catch(() => null);
+    if (!read) return null;
+    const { commit: c } = read;
+    const blob = await pathOid(dir, c.tree, filepath, trees);
+    return {
+      sha, commit: c, time: c.committer.timestamp, parents: c.parent,
+      blob, text: null, pending: new Map(),
+    };
+  };
+
+  while (queue.size) {
+    let item = null;
+    for (const candidate of queue.values()) if (!item || candidate.time > item.time) item = candidate;
+    queue.delete(item.sha);
+
+    const parents = [];
+    for (const sha of item.parents) {
+      const parent = await version(sha);
+      if (parent?.blob) parents.push(parent);
+    }
+    // A parent with the identical file takes every line, like git's history simplification
+    const same = parents.find(p => p.blob === item.blob);
+    const remaining = new Map(item.pending);
+    for (const parent of same ? [same] : parents) {
+      if (parent.text === null) parent.text = await readBlobText(dir, parent.blob);
+      if (parent === same) {
+        for (const [lineNo, index] of remaining) parent.pending.set(lineNo, index);
+        remaining.clear();
+      } else {
+        for (const edit of diffLines(parent.text, item.text)) {
+          if (edit.type !== ' ' || !remaining.has(edit.newNo)) continue;
+          parent.pending.set(edit.oldNo, remaining.get(edit.newNo));
+          remaining.delete(edit.newNo);
+        }
+      }
+      if (parent.pending.size) queue.set(parent.sha, parent);
+    }
+    for (const index of remaining.values()) lines[index].sha = item.sha;
+    if (remaining.size && item.sha) commits[item.sha] = blameInfo(item.sha, item.commit);
+  }
+  return { lines, commits };
+}
+
+function blameInfo(sha, c) {
+  return {
+    shortSha: sha.slice(0, 7),
+    summary: c.message.split('\n')[0].trim(),
+    authorName: c.author.name,
+    authoredAt: c.author.timestamp * 1000,
+  };
+}
+
+// ── Diff ──────────────────────────────────────────────────────────────────
+
+/**
+ * Diff a file in the working directory vs HEAD.
+ * Returns unified diff string.
+ * @param {{context?: number, algorithm?: 'myers'|'patience'}} options
+ */
+export async function diffFile(dir, filepath, options = {}) {
+  try {
+    const headContent = await readFileAtRef(dir, filepath, 'HEAD');
+    const workdirPath = `${dir}/${filepath}`;
+    const exists = await RNFS.exists(workdirPath);
+    const workContent = exists ? await RNFS.readFile(workdirPath, 'utf8') : '';
+    return unifiedDiff(filepath, headContent, workContent, options);
+  } catch {
+    return '';
+  }
+}
+
+/**
+ * Diff between two commits.
+ * @param {{context?: number, algorithm?: 'myers'|'patience'}} options
+ */
+export async function diffCommits(dir, oldSha, newSha, options = {}) {
+  const changes = await git.walk({
+    fs,
+    dir,
+    trees: [git.TREE({ ref: oldSha }), git.TREE({ ref: newSha })],
+    map: async (filepath, [oldEntry, newEntry]) => {
+      if (!oldEntry && !newEntry) return;
+      const oldContent = oldEntry ? await oldEntry.content().then(b => Buffer.from(b).toString('utf8')) : '';
+      const newContent = newEntry ? await newEntry.content().then(b => Buffer.from(b).toString('utf8')) : '';
+      if (oldContent === newContent) return;
+      return { filepath, diff: unifiedDiff(filepath, oldContent, newContent, options) };
+    },
+  });
+  return changes.filter(Boolean);
+}
+
+// A root commit is compared with the empty tree. isomorphic-git knows this
+// oid without reading it, so it never has to be written to the object store.
+const EMPTY_TREE = '4b825dc642cb6eb9a060e54bf8d69288fbee4904';
+
+/**
+ * Everything the commit detail view shows for `sha`: message, author,
+ * committer, parents and the files it changed against its first parent
+ * (everything counts as added for a root commit).
+ * Returns { sha, message, author, committer, parentShas, files, stats } where
+ * author/committer are { name, email, at (ms) }, each file is
+ * { path, status: 'added'|'modified'|'deleted', binary, additions, deletions, hunks }
+ * and stats is { files, additions, deletions }.
+ */
+export async function getCommitDetail(dir, sha, { context = 3 } = {}) {
+  const { oid, commit: c } = await git.readCommit({ fs, dir, oid: sha });
+  const person = p => ({ name: p.name, email: p.email, at: p.timestamp * 1000 });
+  const baseTree = c.parent.length
+    ? (await git.readCommit({ fs, dir, oid: c.parent[0] })).commit.tree
+    : EMPTY_TREE;
+
+  const files = await git.walk({
+    fs,
+    dir,
+    trees: [git.TREE({ ref: baseTree }), git.TREE({ ref: c.tree })],
+    map: async (filepath, [a, b]) => {
+      const [oa, ob] = await Promise.all([a?.oid(), b?.oid()]);
+      if (oa === ob) return null;
+      const [ta, tb] = await Promise.all([a?.type(), b?.type()]);
+      if (ta !== 'blob' && tb !== 'blob') return undefined;
+      const [oldText, newText] = await Promise.all([
+        ta === 'blob' ? a.content().then(bytes => Buffer.from(bytes).toString('utf8')) : '',
+        tb === 'blob' ? b.content().then(bytes => Buffer.from(bytes).toString('utf8')) : '',
+      ]);
+      const status = ta !== 'blob' ? 'added' : tb !== 'blob' ? 'deleted' : 'modified';
+      return { path: filepath, status, ...textChange(oldText, newText, context) };
+    },
+  }) ?? [];
+
+  return {
+    sha: oid,
+    message: c.message.trim(),
+    author: person(c.author),
+    committer: person(c.committer),
+    parentShas: c.parent,
+    files,
+    stats: {
+      files: files.length,
+      additions: files.reduce((n, f) => n + f.additions, 0),
+      deletions: files.reduce((n, f) => n + f.deletions, 0),
+    },
+  };
+}
+
+/**
+ * Diff `filepath` as it was in commit `sha` (named `revisionPath` there if the
+ * file has since been renamed) against the working copy.
+ * Returns { binary, additions, deletions, hunks } like a getCommitDetail() file.
+ */
+export async function diffRevisionWithWorkdir(dir, filepath, sha, { revisionPath = filepath, context = 3 } = {}) {
+  const [oldText, newText] = await Promise.all([
+    readFileAtRef(dir, revisionPath, sha),
+    readWorkdirText(dir, filepath),
+  ]);
+  return textChange(oldText, newText ?? '', context);
+}
+
+/** Line counts and hunks between two versions of a file; binary files get no hunks */
+function textChange(oldText, newText, context) {
+  if (oldText.includes('\0') || newText.includes('\0')) {
+    return { binary: true, additions: 0, deletions: 0, hunks: [] };
+  }
+  const edits = diffLines(oldText, newText);
+  return {
+    binary: false,
+    additions: edits.filter(e => e.type === '+').length,
+    deletions: edits.filter(e => e.type === '-').length,
+    hunks: buildHunks(edits, context),
+  };
+}
+
+/**
+ * Text of `filepath` at `ref` — a branch, remote branch, tag or commit sha —
+ * or '' when it doesn't exist there.
+ */
+export async function readFileAtRef(dir, filepath, ref) {
+  try {
+    const { blob } = await git.readBlob({
+      fs,
+      dir,
+      oid: await resolveCommitish(dir, ref),
+      filepath,
+    });
+    return Buffer.from(blob).toString('utf8');
+  } catch {
+    return '';
+  }
+}
+
+/** Unified diff with minimal, correctly numbered hunks (default 3 lines of context) */
+function unifiedDiff(filepath, oldText, newText, { context = 3, algorithm = 'myers' } = {}) {
+  const edits = diffLines(oldText, newText, { algorithm });
+  return formatUnified(filepath, buildHunks(edits, context));
+}
+
+// ── Branches ──────────────────────────────────────────────────────────────
+
+/**
+ * Local branches and every remote's branches:
+ * { current, local: [{ name, isCurrent, tracking }], remote: [{ name, fullName, remote }], remotes: [name] }
+ * with remote branches grouped by remote in `remotes` order (origin first).
+ * `tracking` is getTracking() for the branch, or null without an upstream.
+ */
+export async function listBranches(dir) {
+  const [local, remotes] = await Promise.all([
+    git.listBranches({ fs, dir }),
+    listRemotes(dir),
+  ]);
+  const [perRemote, tracking] = await Promise.all([
+    Promise.all(remotes.map(r => git.listBranches({ fs, dir, remote: r.name }))),
+    Promise.all(local.map(b => getTracking(dir, b))),
+  ]);
+  const current = await git.currentBranch({ fs, dir });
+  return {
+    current,
+    local: local.map((b, i) => ({ name: b, isCurrent: b === current, isRemote: false, tracking: tracking[i] })),
+    remote: remotes.flatMap((r, i) => perRemote[i]
+      .filter(b => b !== 'HEAD')
+      .map(b => ({ name: b, fullName: `${r.name}/${b}`, remote: r.name, isRemote: true }))),
+    remotes: remotes.map(r => r.name),
+  };
+}
+
+export async function createBranch(dir, name, checkout = true) {
+  await git.branch({ fs, dir, ref: name, checkout });
+}
+
+/**
+ * Switch to `ref` without losing work.
+ * Refuses (err.code 'CheckoutConflict', err.filepaths) when uncommitted or
+ * untracked files would be overwritten by the switch. Other uncommitted
+ * changes are refused too (err.code 'UncommittedChanges') unless `carry`
+ * is set, in which case they come along to the new branch unchanged.
+ */
+export async function checkoutBranch(dir, ref, { carry = false } = {}) {
+  await assertCanSwitch(dir);
+  const toOid = await git.resolveRef({ fs, dir, ref });
+  await guardedCheckout(dir, toOid, {
+    carry,
+    label: `checking out ${ref}`,
+    apply: () => checkoutRef(dir, ref, { force: true }),
+  });
+}
+
+/**
+ * Start working on `<remote>/<branch>`: create local branch `localName` at
+ * its commit, tracking it, and check it out (guarded like checkoutBranch()).
+ * An existing local branch of that name is simply checked out when it points
+ * at the same commit. Otherwise this refuses with err.code 'BranchExists' and
+ * err.existing = { name, ahead, behind } (compared with the remote branch),
+ * unless `fastForward` is set and the local branch has no commits of its own —
+ * then it is moved up to the remote branch first.
+ */
+export async function checkoutRemoteBranch(dir, remote, branch, { localName = branch, carry = false, fastForward = false } = {}) {
+  await assertCanSwitch(dir);
+  const remoteOid = await git.resolveRef({ fs, dir, ref: `refs/remotes/${remote}/${branch}` });
+  const localRef = `refs/heads/${localName}`;
+  const localOid = await git.resolveRef({ fs, dir, ref: localRef }).catch(() => null);
+  if (localOid && localOid !== remoteOid) {
+    const { ahead, behind } = await countAheadBehind(dir, localOid, remoteOid);
+    if (!fastForward || ahead) {
+      const err = new Error(ahead
+        ? `A local branch "${localName}" already exists with ${ahead} commit(s) that are not on ${remote}/${branch}`
+        : `A local branch "${localName}" already exists, ${behind} commit(s) behind ${remote}/${branch}`);
+      err.code = 'BranchExists';
+      err.existing = { name: localName, ahead, behind };
+      throw err;
+    }
+  }
+  await guardedCheckout(dir, remoteOid, {
+    carry,
+    label: `checking out ${remote}/${branch}`,
+    apply: async () => {
+      await git.writeRef({ fs, dir, ref: localRef, value: remoteOid, force: true });
+      await checkoutRef(dir, localName, { force: true });
+    },
+  });
+  if (!(await getUpstream(dir, localName))) await setUpstream(dir, localName, remote, branch);
+}
+
+async function assertCanSwitch(dir) {
+  if (await getMergeState(dir)) throw new Error('A merge is in progress — resolve or abort it first');
+  if (await getRebaseState(dir)) throw new Error('A rebase is in progress — continue or abort it first');
+  const pick = await getPickState(dir);
+  if (pick) throw new Error(`A ${pick.kind} is in progress — commit or abort it first`);
+}
+
+// ── Checkout guard ────────────────────────────────────────────────────────
+
+function checkoutError(code, message, filepaths) {
+  const err = new Error(message);
+  err.code = code;
+  err.filepaths = filepaths;
+  return err;
+}
+
+/**
+ * Which uncommitted files stand in the way of moving HEAD from `fromOid`
+ * (null on an unborn branch) to `toOid`.
+ * Returns { dirty: tracked files with changes, blocking: files the move would overwrite }.
+ */
+async function checkoutGuard(dir, fromOid, toOid) {
+  const [matrix, changed] = await Promise.all([
+    statusMatrix(dir),
+    fromOid ? changedPaths(dir, fromOid, toOid) : listTreeFiles(dir, toOid).then(files => files.map(f => f.path)),
+  ]);
+  const changedSet = new Set(changed);
+  const dirty = [];
+  const blocking = [];
+  for (const [filepath, head, workdir, stage] of matrix) {
+    if (head === 1 && workdir === 1 && stage === 1) continue;
+    const untracked = head === 0 && stage === 0;
+    if (!untracked) dirty.push(filepath);
+    if (changedSet.has(filepath)) blocking.push(filepath);
+  }
+  return { dirty, blocking };
+}
+
+/** Index entry + working-tree bytes of each file, to put back after a forced checkout */
+async function snapshotFiles(dir, filepaths) {
+  const index = new Map((await readIndex(dir)).filter(e => e.stage === 0).map(e => [e.path, e]));
+  return Promise.all(filepaths.map(async filepath => {
+    const path = `${dir}/${filepath}`;
+    const bytes = (await RNFS.exists(path)) ? await fs.promises.readFile(path) : null;
+    return { filepath, index: index.get(filepath) ?? null, bytes };
+  }));
+}
+
+async function restoreFiles(dir, snapshot) {
+  for (const { filepath, index, bytes } of snapshot) {
+    if (bytes) await writeWorkdirFile(dir, filepath, bytes);
+    else await RNFS.unlink(`${dir}/${filepath}`).catch(() => {});
+    if (index) await git.updateIndex({ fs, dir, filepath, oid: index.oid, mode: index.mode, add: true });
+    else await git.remove({ fs, dir, filepath });
+  }
+}
+
+/**
+ * Run `apply` (which moves HEAD to `toOid` and force-checks-out) only if no
+ * uncommitted work would be lost; carried changes are restored afterwards.
+ */
+async function guardedCheckout(dir, toOid, { carry, label, apply }) {
+  if ((await listUnmerged(dir)).length) throw new Error('Resolve conflicts first');
+  const fromOid = await git.resolveRef({ fs, dir, ref: 'HEAD' }).catch(() => null);
+  const { dirty, blocking } = await checkoutGuard(dir, fromOid, toOid);
+  if (blocking.length) {
+    throw checkoutError(
+      'CheckoutConflict',
+      `Your local changes to these files would be overwritten by ${label}:\n${blocking.join('\n')}`,
+      blocking,
+    );
+  }
+  if (dirty.length && !carry) {
+    throw checkoutError('UncommittedChanges', `You have uncommitted changes:\n${dirty.join('\n')}`, dirty);
+  }
+  const snapshot = await snapshotFiles(dir, dirty);
+  await apply();
+  await restoreFiles(dir, snapshot);
+}
+
+export async function deleteBranch(dir, ref) {
+  await git.deleteBranch({ fs, dir, ref });
+}
+
+// ── Tags ──────────────────────────────────────────────────────────────────
+
+/**
+ * Every local tag, newest version first:
+ * [{ name, oid, annotated, message, tagger }] where oid is the tagged commit
+ * (annotated tags are peeled) and message/tagger ({ name, email, at }) are
+ * null for lightweight tags.
+ */
+export async function listTags(dir) {
+  const names = await git.listTags({ fs, dir });
+  const tags = await Promise.all(names.map(async (name) => {
+    const oid = await git.resolveRef({ fs, dir, ref: `refs/tags/${name}` });
+    const { type, object } = await git.readObject({ fs, dir, oid, format: 'parsed' });
+    if (type !== 'tag') return { name, oid, annotated: false, message: null, tagger: null };
+    const { tagger } = object;
+    return {
+      name,
+      oid: await peelTag(dir, oid),
+      annotated: true,
+      message: object.message.trim(),
+      tagger: { name: tagger.name, email: tagger.email, at: tagger.timestamp * 1000 },
+    };
+  }));
+  return tags.sort((a, b) => b.name.localeCompare(a.name, undefined, { numeric: true }));
+}
+
+/**
+ * Tag `target` (any branch, tag or sha; HEAD by default) as `name`.
+ * With a message the tag is annotated and signed by name/email, otherwise
+ * it is a lightweight tag.
+ */
+export async function createTag(dir, name, { target = 'HEAD', message = '', authorName = 'GitLane User', authorEmail = 'user@gitlane.app' } = {}) {
+  const object = await resolveCommitish(dir, target);
+  if (message.trim()) {
+    await git.annotatedTag({
+      fs, dir, ref: name, object,
+      message: message.trim(),
+      tagger: signature(authorName, authorEmail),
+    });
+  } else {
+    await git.tag({ fs, dir, ref: name, object });
+  }
+}
+
+export async function deleteTag(dir, name) {
+  await git.deleteTag({ fs, dir, ref: name });
+}
+
+// ── Merge ─────────────────────────────────────────────────────────────────
+
+/**
+ * Merge `theirs` (local branch, remote-tracking branch like 'origin/main', or SHA)
+ * into the current branch. Fast-forwards when possible, otherwise creates a merge commit.
+ * On conflict the repo is left MERGING: MERGE_HEAD/MERGE_MSG are written, conflicted
+ * files get markers in the working tree and base/ours/theirs stages in the index.
+ * Uncommitted changes are refused unless `carry` is set; then only those the
+ * merge would overwrite are (err.code 'CheckoutConflict', err.filepaths) and
+ * the rest stay as they are.
+ * Returns { oid, fastForward, alreadyMerged, mergeCommit, conflicts: string[] }.
+ */
+export async function mergeBranch(dir, theirs, authorName = 'GitLane User', authorEmail = 'user@gitlane.app', { carry = false } = {}) {
+  const ours = await assertReadyFor(dir, 'merging', { carry });
+
+  const [ourOid, theirOid] = await Promise.all([
+    git.resolveRef({ fs, dir, ref: ours }),
+    git.resolveRef({ fs, dir, ref: theirs }),
+  ]);
+  const { kept, blocking } = await changesOutsideMerge(dir, ourOid, theirOid);
+  if (blocking.length) {
+    throw checkoutError(
+      'CheckoutConflict',
+      `Your local changes to these files would be overwritten by merging ${theirs}:\n${blocking.join('\n')}`,
+      blocking,
+    );
+  }
+  const snapshot = await snapshotFiles(dir, kept);
+  const message = `Merge branch '${theirs}' into ${ours}`;
+
+  let result;
+  try {
+    result = await git.merge({
+      fs,
+      dir,
+      ours,
+      theirs: theirOid,
+      message,
+      abortOnConflict: false,
+      author: { name: authorName, email: authorEmail },
+    });
+  } catch (e) {
+    if (e.code === 'MergeNotSupportedError') {
+      throw new Error('This merge needs a strategy GitLane does not support yet (both sides added the same file, or there are several merge bases)');
+    }
+    if (e.code !== 'MergeConflictError') throw e;
+    const [baseOid] = await git.findMergeBase({ fs, dir, oids: [ourOid, theirOid] });
+    await stageOneSidedChanges(dir, ourOid, baseOid, theirOid, e.data.filepaths);
+    await RNFS.writeFile(`${dir}/.git/MERGE_HEAD`, `${theirOid}\n`, 'utf8');
+    await RNFS.writeFile(`${dir}/.git/MERGE_MSG`, `${message}\n`, 'utf8');
+    await restoreFiles(dir, snapshot);
+    return { oid: null, fastForward: false, alreadyMerged: false, mergeCommit: false, conflicts: e.data.filepaths };
+  }
+
+  // git.merge only moves the branch ref (and stages the merged files) — bring
+  // the working tree along. Forced, as the index already matches the merge;
+  // local changes were refused or snapshotted above.
+  if (!result.alreadyMerged) {
+    await checkoutRef(dir, ours, { force: true });
+    await restoreFiles(dir, snapshot);
+  }
+  return {
+    oid: result.oid,
+    fastForward: !!result.fastForward,
+    alreadyMerged: !!result.alreadyMerged,
+    mergeCommit: !!result.mergeCommit,
+    conflicts: [],
+  };
+}
+
+/**
+ * Uncommitted changes around a merge of `theirOid` into `ourOid`: `blocking`
+ * are the files the merge changes (from the merge base), `kept` the tracked
+ * files it leaves alone.
+ */
+async function changesOutsideMerge(dir, ourOid, theirOid) {
+  const [baseOid] = await git.findMergeBase({ fs, dir, oids: [ourOid, theirOid] });
+  const { dirty, blocking } = await checkoutGuard(dir, baseOid ?? null, theirOid);
+  return { kept: dirty.filter(f => !blocking.includes(f)), blocking };
+}
+
+/**
+ * Checks shared by merge/rebase/etc. before they rewrite the working tree:
+ * on a branch, no other operation half-done, no uncommitted tracked changes
+ * (unless the caller carries them itself).
+ * Returns the current branch name.
+ */
+async function assertReadyFor(dir, doing, { carry = false } = {}) {
+  const branch = await git.currentBranch({ fs, dir });
+  if (!branch) throw new Error(`Cannot start ${doing} on a detached HEAD — check out a branch first`);
+  if (await getMergeState(dir)) throw new Error('A merge is in progress — resolve or abort it first');
+  if (await getRebaseState(dir)) throw new Error('A rebase is in progress — continue or abort it first');
+  const pick = await getPickState(dir);
+  if (pick) throw new Error(`A ${pick.kind} is in progress — commit or abort it first`);
+  const dirty = carry ? [] : await listDirtyFiles(dir);
+  if (dirty.length) {
+    throw new Error(`Commit or stash your changes before ${doing}:\n${dirty.slice(0, 10).join('\n')}`);
+  }
+  return branch;
+}
+
+/**
+ * After a conflicted git.merge / git.cherryPick, conflicts and files changed on
+ * both sides are in the index, but files only *they* changed are not (and files
+ * they deleted are still on disk). Stage those so the next commit picks them up.
+ */
+async function stageOneSidedChanges(dir, ourOid, baseOid, theirOid, conflicts) {
+  const blobOid = async entry => (entry && (await entry.type()) === 'blob' ? entry.oid() : null);
+  const changes = await git.walk({
+    fs,
+    dir,
+    trees: [git.TREE({ ref: ourOid }), git.TREE({ ref: baseOid }), git.TREE({ ref: theirOid })],
+    map: async (filepath, [ours, base, theirs]) => {
+      if (filepath === '.' || conflicts.includes(filepath)) return;
+      const [o, b, t] = await Promise.all([blobOid(ours), blobOid(base), blobOid(theirs)]);
+      if (!o && !b && !t) return; // directory — keep walking
+      if (o !== b || t === b) return;
+      return { filepath, oid: t, mode: t ? await theirs.mode() : null };
+    },
+  });
+
+  const dirs = await getSparseDirs(dir);
+  for (const { filepath, oid, mode } of changes) {
+    // Outside a sparse cone they are picked up when committing (commitEntries())
+    if (dirs && !inSparseCone(filepath, dirs)) continue;
+    if (!oid) {
+      await git.remove({ fs, dir, filepath });
+      await RNFS.unlink(`${dir}/${filepath}`).catch(() => {});
+      continue;
+    }
+    const { blob } = await git.readBlob({ fs, dir, oid });
+    await writeWorkdirFile(dir, filepath, blob);
+    await git.updateIndex({ fs, dir, filepath, oid, mode, add: true });
+  }
+  if (dirs) {
+    // The conflicted merge wrote its whole result to the working tree, cone or not
+    const written = [...(await listTreeFiles(dir, ourOid)), ...(await listTreeFiles(dir, theirOid))];
+    await dropOutsideCone(dir, dirs, written.map(f => f.path).filter(p => !conflicts.includes(p)));
+  }
+}
+
+/**
+ * Current merge state, or null when no merge is in progress.
+ * Returns { theirs, message, conflicts: [{ path, base, ours, theirs }] }.
+ */
+export async function getMergeState(dir) {
+  const headPath = `${dir}/.git/MERGE_HEAD`;
+  if (!(await RNFS.exists(headPath))) return null;
+  const [theirs, message, conflicts] = await Promise.all([
+    RNFS.readFile(headPath, 'utf8').then(t => t.trim()),
+    RNFS.readFile(`${dir}/.git/MERGE_MSG`, 'utf8').catch(() => ''),
+    listUnmerged(dir),
+  ]);
+  return { theirs, message: message.trim(), conflicts };
+}
+
+/**
+ * Abandon an in-progress merge and go back to the pre-merge commit.
+ * Tracked files are reset to HEAD, except uncommitted changes the merge
+ * carried along (see mergeBranch()), which it never touched.
+ */
+export async function abortMerge(dir) {
+  const branch = await git.currentBranch({ fs, dir });
+  const state = await getMergeState(dir);
+  const headOid = await git.resolveRef({ fs, dir, ref: 'HEAD' });
+  const { kept } = state ? await changesOutsideMerge(dir, headOid, state.theirs) : { kept: [] };
+  const snapshot = await snapshotFiles(dir, kept);
+  await checkoutRef(dir, branch ?? 'HEAD', { force: true });
+  await restoreFiles(dir, snapshot);
+  await clearMergeState(dir);
+}
+
+/**
+ * Conflicted files in the index, whatever left them there (merge, rebase,
+ * stash apply): [{ path, base, ours, theirs }] with stage blob oids.
+ */
+export async function listConflicts(dir) {
+  return listUnmerged(dir);
+}
+
+const CONFLICT_MARKER = /^(<{7}|={7}|>{7})( |$)/m;
+
+/**
+ * Everything needed to resolve one conflicted file.
+ * Returns { path, binary, oursDeleted, theirsDeleted, chunks } where chunks
+ * come from merge3() — text files only, [] for binary or delete/modify conflicts.
+ */
+export async function getConflictDetail(dir, filepath) {
+  const entry = (await listUnmerged(dir)).find(c => c.path === filepath);
+  if (!entry) throw new Error(`${filepath} is not conflicted`);
+  const [base, ours, theirs] = await Promise.all(
+    [entry.base, entry.ours, entry.theirs].map(oid => (oid ? readBlobText(dir, oid) : '')),
+  );
+  const detail = {
+    path: filepath,
+    binary: [base, ours, theirs].some(text => text.includes('\0')),
+    oursDeleted: !entry.ours,
+    theirsDeleted: !entry.theirs,
+    chunks: [],
+  };
+  if (!detail.binary && entry.ours && entry.theirs) detail.chunks = merge3(base, ours, theirs);
+  return detail;
+}
+
+/**
+ * Resolve a conflicted file and mark it resolved.
+ * `resolution` is 'ours' / 'theirs' to take one side's whole file (including
+ * a deletion), or an array with one 'ours' | 'theirs' | 'both' per conflict
+ * region of getConflictDetail().chunks.
+ */
+export async function resolveConflict(dir, filepath, resolution) {
+  const entry = (await listUnmerged(dir)).find(c => c.path === filepath);
+  if (!entry) throw new Error(`${filepath} is not conflicted`);
+
+  if (Array.isArray(resolution)) {
+    const { chunks } = await getConflictDetail(dir, filepath);
+    const text = resolveChunks(chunks, resolution);
+    await writeWorkdirFile(dir, filepath, Buffer.from(text, 'utf8'));
+  } else {
+    const oid = resolution === 'theirs' ? entry.theirs : entry.ours;
+    if (oid) {
+      const { blob } = await git.readBlob({ fs, dir, oid });
+      await writeWorkdirFile(dir, filepath, blob);
+    } else {
+      await RNFS.unlink(`${dir}/${filepath}`).catch(() => {});
+    }
+  }
+  await markResolved(dir, filepath, { force: true });
+}
+
+/**
+ * Stage the working-tree version of a conflicted file (or its deletion) as the
+ * resolution. Throws an error with code 'ConflictMarkers' if the file still
+ * contains <<<<<<< / ======= / >>>>>>> lines, unless `force` is set.
+ */
+export async function markResolved(dir, filepath, { force = false } = {}) {
+  const text = await readWorkdirText(dir, filepath);
+  if (text === null) {
+    await git.remove({ fs, dir, filepath });
+    return;
+  }
+  if (!force && CONFLICT_MARKER.test(text)) {
+    const err = new Error(`${filepath} still contains conflict markers`);
+    err.code = 'ConflictMarkers';
+    throw err;
+  }
+  await git.add({ fs, dir, filepath });
+}
+
+async function clearMergeState(dir) {
+  await Promise.all(['MERGE_HEAD', 'MERGE_MSG', 'MERGE_MODE'].map(name =>
+    RNFS.unlink(`${dir}/.git/${name}`).catch(() => {}),
+  ));
+}
+
+// ── Rebase ────────────────────────────────────────────────────────────────
+// State lives in .git/rebase-merge/ like desktop git's: head-name, onto,
+// orig-head, git-rebase-todo ("pick <sha> <summary>" lines), done and,
+// while stopped on a conflict, stopped-sha. The branch itself stays checked
+// out and moves forward as each commit is replayed with git.cherryPick.
+
+const rebaseDir = dir => `${dir}/.git/rebase-merge`;
+
+async function readRebaseFile(dir, name) {
+  const path = `${rebaseDir(dir)}/${name}`;
+  return (await RNFS.exists(path)) ? (await RNFS.readFile(path, 'utf8')).trim() : '';
+}
+
+async function writeRebaseFile(dir, name, text) {
+  await RNFS.writeFile(`${rebaseDir(dir)}/${name}`, text ? `${text}\n` : '', 'utf8');
+}
+
+function parseTodo(text) {
+  return text.split('\n').filter(Boolean).map(line => {
+    const [, oid, summary = ''] = line.match(/^pick (\w+) ?(.*)$/) ?? [];
+    return { oid, summary };
+  }).filter(item => item.oid);
+}
+
+const formatTodo = items => items.map(({ oid, summary }) => `pick ${oid} ${summary}`).join('\n');
+
+/**
+ * Current rebase state, or null when no rebase is in progress.
+ * Returns { branch, onto, origHead, done, total, next: {oid, summary} | null,
+ * stopped (true while waiting on conflict resolution), conflicts }.
+ */
+export async function getRebaseState(dir) {
+  if (!(await RNFS.exists(rebaseDir(dir)))) return null;
+  const [headName, onto, origHead, todo, done, stoppedSha, conflicts] = await Promise.all([
+    readRebaseFile(dir, 'head-name'),
+    readRebaseFile(dir, 'onto'),
+    readRebaseFile(dir, 'orig-head'),
+    readRebaseFile(dir, 'git-rebase-todo').then(parseTodo),
+    readRebaseFile(dir, 'done').then(parseTodo),
+    readRebaseFile(dir, 'stopped-sha'),
+    listUnmerged(dir),
+  ]);
+  return {
+    branch: headName.replace('refs/heads/', ''),
+    onto,
+    origHead,
+    done: done.length,
+    total: done.length + todo.length,
+    next: todo[0] ?? null,
+    stopped: !!stoppedSha,
+    conflicts,
+  };
+}
+
+/**
+ * Rebase the current branch onto `onto` (branch name, 'origin/x' or SHA):
+ * the commits it has that `onto` lacks are replayed one by one on top of `onto`
+ * and the branch ref is rewritten. Merge commits are dropped (linearised), as
+ * are commits whose changes already exist upstream.
+ * Stops on the first conflict; finish with continueRebase / skipRebase / abortRebase.
+ * Refuses (err.code 'CheckoutConflict', err.filepaths) when untracked files
+ * are where `onto` has files.
+ * Returns { status: 'done' | 'up-to-date' | 'fast-forward' | 'conflict', conflicts: string[] }.
+ */
+export async function rebaseBranch(dir, onto, committerName = 'GitLane User', committerEmail = 'user@gitlane.app') {
+  const branch = await assertReadyFor(dir, 'rebasing');
+  const [headOid, ontoOid] = await Promise.all([
+    git.resolveRef({ fs, dir, ref: branch }),
+    git.resolveRef({ fs, dir, ref: onto }),
+  ]);
+  const [baseOid] = await git.findMergeBase({ fs, dir, oids: [headOid, ontoOid] });
+  if (baseOid === ontoOid) return { status: 'up-to-date', conflicts: [] };
+  // Tracked changes are refused above; untracked files can still be in the way
+  const { blocking } = await checkoutGuard(dir, headOid, ontoOid);
+  if (blocking.length) {
+    throw checkoutError(
+      'CheckoutConflict',
+      `Your local changes to these files would be overwritten by rebasing onto ${onto}:\n${blocking.join('\n')}`,
+      blocking,
+    );
+  }
+
+  if (baseOid === headOid) {
+    // Nothing of ours to replay — just move the branch
+    await git.writeRef({ fs, dir, ref: `refs/heads/${branch}`, value: ontoOid, force: true });
+    await checkoutRef(dir, branch, { force: true });
+    return { status: 'fast-forward', conflicts: [] };
+  }
+
+  const { ahead } = await splitHistory(dir, headOid, ontoOid);
+  const todo = await replayOrder(dir, headOid, ahead.map(c => c.oid));
+
+  await RNFS.mkdir(rebaseDir(dir));
+  await Promise.all([
+    writeRebaseFile(dir, 'head-name', `refs/heads/${branch}`),
+    writeRebaseFile(dir, 'onto', ontoOid),
+    writeRebaseFile(dir, 'orig-head', headOid),
+    writeRebaseFile(dir, 'git-rebase-todo', formatTodo(todo)),
+    writeRebaseFile(dir, 'done', ''),
+  ]);
+  await git.writeRef({ fs, dir, ref: `refs/heads/${branch}`, value: ontoOid, force: true });
+  await checkoutRef(dir, branch, { force: true });
+  return replayTodo(dir, { name: committerName, email: committerEmail });
+}
+
+/**
+ * The todo for replaying `oids` (commits reachable from `tip`), parents
+ * before children and first-parent history before merged-in branches.
+ * Commit dates play no part, so commits older than the merge base are kept.
+ */
+async function replayOrder(dir, tip, oids) {
+  const pending = new Set(oids);
+  const todo = [];
+  const stack = [{ oid: tip, commit: null }];
+  while (stack.length) {
+    const { oid, commit: visited } = stack.pop();
+    if (visited) {
+      if (visited.parent.length <= 1) todo.push({ oid, summary: visited.message.split('\n')[0] });
+      continue;
+    }
+    if (!pending.delete(oid)) continue;
+    const { commit: c } = await git.readCommit({ fs, dir, oid });
+    stack.push({ oid, commit: c });
+    for (const parent of [...c.parent].reverse()) stack.push({ oid: parent, commit: null });
+  }
+  return todo;
+}
+
+/** Pick the remaining todo commits in order, stopping on the first conflict */
+async function replayTodo(dir, committer) {
+  const branchRef = await readRebaseFile(dir, 'head-name');
+  let todo = parseTodo(await readRebaseFile(dir, 'git-rebase-todo'));
+  while (todo.length) {
+    const [next, ...rest] = todo;
+    const before = await git.resolveRef({ fs, dir, ref: 'HEAD' });
+    try {
+      const oid = await git.cherryPick({ fs, dir, oid: next.oid, committer, abortOnConflict: false });
+      await settlePick(dir, before, oid);
+      await dropIfEmpty(dir, branchRef, oid, before);
+    } catch (e) {
+      if (e.code === 'MergeNotSupportedError') {
+        throw new Error(`Cannot replay ${next.oid.slice(0, 7)} "${next.summary}" automatically — skip it or abort the rebase`);
+      }
+      if (e.code !== 'MergeConflictError') throw e;
+      const { commit: picked } = await git.readCommit({ fs, dir, oid: next.oid });
+      await stageOneSidedChanges(dir, before, picked.parent[0], next.oid, e.data.filepaths);
+      await writeRebaseFile(dir, 'stopped-sha', next.oid);
+      return { status: 'conflict', conflicts: e.data.filepaths };
+    }
+    await markPicked(dir, next, rest);
+    todo = rest;
+  }
+  await RNFS.unlink(rebaseDir(dir));
+  return { status: 'done', conflicts: [] };
+}
+
+/**
+ * git.cherryPick updates the working tree but leaves stale index entries
+ * behind — point them at the new commit. In a sparse checkout it also writes
+ * files outside the cone, which are put away again.
+ */
+async function settlePick(dir, before, oid) {
+  const [changed, dirs] = await Promise.all([changedPaths(dir, before, oid), getSparseDirs(dir)]);
+  for (const filepath of changed) {
+    if (!dirs || inSparseCone(filepath, dirs)) await git.resetIndex({ fs, dir, filepath, ref: oid });
+  }
+  if (dirs) await dropOutsideCone(dir, dirs, [...changed, ...(await readIndex(dir)).map(e => e.path)]);
+}
+
+/** Move the first todo entry to done */
+async function markPicked(dir, item, rest) {
+  const done = await readRebaseFile(dir, 'done');
+  await writeRebaseFile(dir, 'done', [done, formatTodo([item])].filter(Boolean).join('\n'));
+  await writeRebaseFile(dir, 'git-rebase-todo', formatTodo(rest));
+}
+
+/** A replayed commit that changes nothing (already upstream) is dropped again */
+async function dropIfEmpty(dir, branchRef, oid, parentOid) {
+  const [{ commit: c }, { commit: parent }] = await Promise.all([
+    git.readCommit({ fs, dir, oid }),
+    git.readCommit({ fs, dir, oid: parentOid }),
+  ]);
+  if (c.tree === parent.tree) await git.writeRef({ fs, dir, ref: branchRef, value: parentOid, force: true });
+}
+
+/**
+ * Commit the resolved conflict (keeping the original message and author)
+ * and carry on replaying.
+ */
+export async function continueRebase(dir, committerName = 'GitLane User', committerEmail = 'user@gitlane.app') {
+  const state = await getRebaseState(dir);
+  if (!state) throw new Error('No rebase in progress');
+  if (state.conflicts.length) {
+    throw new Error(`Resolve all conflicts before continuing:\n${state.conflicts.map(c => c.path).join('\n')}`);
+  }
+  const committer = { name: committerName, email: committerEmail };
+  const todo = parseTodo(await readRebaseFile(dir, 'git-rebase-todo'));
+  if (state.stopped && todo.length) {
+    const { commit: original } = await git.readCommit({ fs, dir, oid: todo[0].oid });
+    const before = await git.resolveRef({ fs, dir, ref: 'HEAD' });
+    const tree = await sparseCommitTree(dir);
+    const oid = await git.commit({ fs, dir, message: original.message, author: original.author, committer, ...(tree && { tree }) });
+    await dropIfEmpty(dir, `refs/heads/${state.branch}`, oid, before);
+    await RNFS.unlink(`${rebaseDir(dir)}/stopped-sha`);
+    await markPicked(dir, todo[0], todo.slice(1));
+  }
+  return replayTodo(dir, committer);
+}
+
+/** Drop the commit the rebase stopped on and carry on with the rest */
+export async function skipRebase(dir, committerName = 'GitLane User', committerEmail = 'user@gitlane.app') {
+  const state = await getRebaseState(dir);
+  if (!state) throw new Error('No rebase in progress');
+  await checkoutRef(dir, state.branch, { force: true });
+  await RNFS.unlink(`${rebaseDir(dir)}/stopped-sha`).catch(() => {});
+  const todo = parseTodo(await readRebaseFile(dir, 'git-rebase-todo'));
+  await writeRebaseFile(dir, 'git-rebase-todo', formatTodo(todo.slice(1)));
+  return replayTodo(dir, { name: committerName, email: committerEmail });
+}
+
+/** Put the branch back where it was before the rebase started */
+export async function abortRebase(dir) {
+  const state = await getRebaseState(dir);
+  if (!state) throw new Error('No rebase in progress');
+  await git.writeRef({ fs, dir, ref: `refs/heads/${state.branch}`, value: state.origHead, force: true });
+  await checkoutRef(dir, state.branch, { force: true });
+  await RNFS.unlink(rebaseDir(dir));
+}
+
+// ── Cherry-pick / Revert ──────────────────────────────────────────────────
+// A conflicted pick stops like desktop git: CHERRY_PICK_HEAD or REVERT_HEAD
+// holds the picked commit and MERGE_MSG the message for the final commit().
+
+const PICK_HEADS = { 'cherry-pick': 'CHERRY_PICK_HEAD', revert: 'REVERT_HEAD' };
+
+/**
+ * Apply `oid` onto the current branch as a new commit.
+ * Returns { oid, empty, conflicts }: `oid` is the new commit, `empty` is set
+ * when the change is already on the branch (nothing is committed), and on
+ * conflicts the pick is left in progress for the conflict screens.
+ * Refuses (err.code 'CheckoutConflict', err.filepaths) when untracked files
+ * are where the change would write.
  */
-export async function cloneRepo(url, repoName, token = null, onProgress = null) {
-  await ensureReposDir();
-  const dir = `${REPOS_DIR}/${repoName}`;
-  await git.clone({
-    fs,
-    http,
-    dir,
-    url,
-    singleBranch: true,
-    depth: 50,          // shallow clone for speed
-    ...makeAuth(token),
-    onProgress: onProgress ?? (() => {}),
-    onMessage: msg => console.log('[git]', msg),
-  });
-  return { dir, name: repoName, url };
+export async function cherryPickCommit(dir, oid, committerName = 'GitLane User', committerEmail = 'user@gitlane.app') {
+  return pickCommit(dir, oid, 'cherry-pick', signature(committerName, committerEmail));
 }
 
 /**
- * Open (validate) an existing local repo.
+ * Commit the inverse of `oid` on top of the current branch.
+ * Same result shape as cherryPickCommit().
  */
-export async function openRepo(dir) {
-  const commits = await git.log({ fs, dir, depth: 1 });
-  const branch = await git.currentBranch({ fs, dir }) ?? 'HEAD detached';
-  return { dir, branch, headSha: commits[0]?.oid ?? null };
+export async function revertCommit(dir, oid, authorName = 'GitLane User', authorEmail = 'user@gitlane.app') {
+  return pickCommit(dir, oid, 'revert', signature(authorName, authorEmail));
 }
 
-// ── Status & Index ────────────────────────────────────────────────────────
-
 /**
- * Get working-tree status.
- * Returns array of { path, status } where status is one of:
- * 'new' | 'modified' | 'deleted' | 'staged' | 'staged-modified' | 'staged-deleted' | 'unmodified' | 'ignored'
+ * Three-way merge of a commit's change onto HEAD: base is its parent for a
+ * cherry-pick, the commit itself for a revert. A revert is replayed as a
+ * throwaway commit whose tree is the parent's, so git.cherryPick does both.
  */
-export async function getStatus(dir) {
-  const matrix = await git.statusMatrix({ fs, dir });
-  return matrix
-    .filter(([, head, workdir, stage]) => !(head === 1 && workdir === 1 && stage === 1))
-    .map(([filepath, head, workdir, stage]) => {
-      let status;
-      if (head === 0 && workdir === 2 && stage === 0) status = 'new';
-      else if (head === 0 && workdir === 2 && stage === 2) status = 'staged-new';
-      else if (head === 1 && workdir === 2 && stage === 1) status = 'modified';
-      else if (head === 1 && workdir === 2 && stage === 2) status = 'staged-modified';
-      else if (head === 1 && workdir === 0 && stage === 1) status = 'deleted';
-      else if (head === 1 && workdir === 0 && stage === 0) status = 'staged-deleted';
-      else status = 'modified';
-      return { path: filepath, status, staged: stage !== head };
+async function pickCommit(dir, oid, kind, me) {
+  const doing = kind === 'revert' ? 'reverting' : 'cherry-picking';
+  await assertReadyFor(dir, doing);
+  const { commit: picked } = await git.readCommit({ fs, dir, oid });
+  if (picked.parent.length > 1) throw new Error(`${oid.slice(0, 7)} is a merge commit — ${doing} merges is not supported`);
+  if (!picked.parent.length) throw new Error(`${oid.slice(0, 7)} is the root commit — there is no parent to compare it with`);
+
+  let replay = oid;
+  let baseOid = picked.parent[0];
+  let message = picked.message;
+  if (kind === 'revert') {
+    const { commit: parent } = await git.readCommit({ fs, dir, oid: picked.parent[0] });
+    message = `Revert "${picked.message.split('\n')[0]}"\n\nThis reverts commit ${oid}.\n`;
+    replay = await git.writeCommit({
+      fs,
+      dir,
+      commit: { tree: parent.tree, parent: [oid], author: me, committer: me, message },
     });
+    baseOid = oid;
+  }
+
+  const branchRef = `refs/heads/${await git.currentBranch({ fs, dir })}`;
+  const before = await git.resolveRef({ fs, dir, ref: 'HEAD' });
+
+  // Tracked changes are refused above; untracked files can still be in the way
+  const [touched, headFiles] = await Promise.all([changedPaths(dir, baseOid, replay), listTreeFiles(dir, before)]);
+  const inHead = new Set(headFiles.map(f => f.path));
+  const untracked = [];
+  for (const filepath of touched) {
+    if (!inHead.has(filepath) && (await RNFS.exists(`${dir}/${filepath}`))) untracked.push(filepath);
+  }
+  if (untracked.length) {
+    throw checkoutError('CheckoutConflict', `Untracked files would be overwritten:\n${untracked.join('\n')}`, untracked);
+  }
+
+  try {
+    const newOid = await git.cherryPick({ fs, dir, oid: replay, committer: me, abortOnConflict: false });
+    await settlePick(dir, before, newOid);
+    const [{ commit: created }, { commit: head }] = await Promise.all([
+      git.readCommit({ fs, dir, oid: newOid }),
+      git.readCommit({ fs, dir, oid: before }),
+    ]);
+    if (created.tree === head.tree) {
+      await git.writeRef({ fs, dir, ref: branchRef, value: before, force: true });
+      return { oid: null, empty: true, conflicts: [] };
+    }
+    return { oid: newOid, empty: false, conflicts: [] };
+  } catch (e) {
+    if (e.code === 'MergeNotSupportedError') {
+      throw new Error(`Cannot ${kind} ${oid.slice(0, 7)} automatically — the changes are too tangled to merge here`);
+    }
+    if (e.code !== 'MergeConflictError') throw e;
+    await stageOneSidedChanges(dir, before, baseOid, replay, e.data.filepaths);
+    await RNFS.writeFile(`${dir}/.git/${PICK_HEADS[kind]}`, `${oid}\n`, 'utf8');
+    await RNFS.writeFile(`${dir}/.git/MERGE_MSG`, message, 'utf8');
+    return { oid: null, empty: false, conflicts: e.data.filepaths };
+  }
 }
 
-/** Stage a single file */
-export async function stageFile(dir, filepath) {
-  await git.add({ fs, dir, filepath });
+/**
+ * Cherry-pick or revert stopped on conflicts, or null.
+ * Returns { kind: 'cherry-pick' | 'revert', oid, message, conflicts }.
+ */
+export async function getPickState(dir) {
+  for (const [kind, name] of Object.entries(PICK_HEADS)) {
+    const headPath = `${dir}/.git/${name}`;
+    if (!(await RNFS.exists(headPath))) continue;
+    const [oid, message, conflicts] = await Promise.all([
+      RNFS.readFile(headPath, 'utf8').then(t => t.trim()),
+      RNFS.readFile(`${dir}/.git/MERGE_MSG`, 'utf8').catch(() => ''),
+      listUnmerged(dir),
+    ]);
+    return { kind, oid, message: message.trim(), conflicts };
+  }
+  return null;
 }
 
-/** Unstage a single file */
-export async function unstageFile(dir, filepath) {
-  await git.resetIndex({ fs, dir, filepath });
+/** Give up on a conflicted cherry-pick/revert; HEAD never moved, so reset to it */
+export async function abortPick(dir) {
+  const branch = await git.currentBranch({ fs, dir });
+  await checkoutRef(dir, branch ?? 'HEAD', { force: true });
+  await clearPickState(dir);
 }
 
-/** Stage all changes */
-export async function stageAll(dir) {
-  await git.add({ fs, dir, filepath: '.' });
+async function clearPickState(dir) {
+  await Promise.all([...Object.values(PICK_HEADS), 'MERGE_MSG'].map(name =>
+    RNFS.unlink(`${dir}/.git/${name}`).catch(() => {}),
+  ));
 }
 
-/** Unstage all */
-export async function unstageAll(dir) {
-  const matrix = await git.statusMatrix({ fs, dir });
-  await Promise.all(matrix.map(([filepath]) => git.resetIndex({ fs, dir, filepath })));
+// ── Stash ─────────────────────────────────────────────────────────────────
+// Stashes use desktop git's layout so `git stash list` can read them: a WIP
+// commit whose tree is the working tree, with parents HEAD, an "index on"
+// commit holding the index and (optionally) an "untracked files on" commit.
+// refs/stash points at the newest one; logs/refs/stash lists them all.
+
+const STASH_REF = 'refs/stash';
+const stashLogPath = dir => `${dir}/.git/logs/refs/stash`;
+const ZERO_OID = '0000000000000000000000000000000000000000';
+
+function formatReflogLine(oldOid, newOid, sig, message) {
+  const offset = -sig.timezoneOffset;
+  const abs = Math.abs(offset);
+  const tz = `${offset < 0 ? '-' : '+'}${String(Math.floor(abs / 60)).padStart(2, '0')}${String(abs % 60).padStart(2, '0')}`;
+  return `${oldOid} ${newOid} ${sig.name} <${sig.email}> ${sig.timestamp} ${tz}\t${message}\n`;
 }
 
-// ── Commits ───────────────────────────────────────────────────────────────
+async function readStashLog(dir) {
+  const path = stashLogPath(dir);
+  if (!(await RNFS.exists(path))) return [];
+  const text = await RNFS.readFile(path, 'utf8');
+  return text.split('\n').filter(Boolean);
+}
 
 /**
- * Create a commit.
+ * Stash entries, newest first: [{ index, oid, message, timestamp }]
+ * `index` is the N in stash@{N}.
  */
-export async function commit(dir, message, authorName, authorEmail) {
-  const sha = await git.commit({
-    fs,
-    dir,
-    message,
-    author: { name: authorName, email: authorEmail },
+export async function listStashes(dir) {
+  const lines = await readStashLog(dir);
+  return lines.reverse().map((line, index) => {
+    const [meta, message = ''] = line.split('\t');
+    const [, oid] = meta.split(' ');
+    const timestamp = Number(meta.match(/ (\d+) [+-]\d{4}$/)?.[1] ?? 0);
+    return { index, oid, message, timestamp: timestamp * 1000 };
   });
-  return sha;
 }
 
-// ── Log / History ─────────────────────────────────────────────────────────
-
 /**
- * Get commit log.
+ * Save tracked changes (staged and unstaged) — and untracked files unless
+ * includeUntracked is false — as a new stash@{0}, then reset the working tree
+ * to HEAD. Returns the stash commit oid.
  */
-export async function getLog(dir, { depth = 100, ref = 'HEAD' } = {}) {
-  const commits = await git.log({ fs, dir, depth, ref });
-  return commits.map(c => ({
-    sha: c.oid,
-    shortSha: c.oid.slice(0, 7),
-    message: c.commit.message.trim(),
-    summary: c.commit.message.split('\n')[0].trim(),
-    authorName: c.commit.author.name,
-    authorEmail: c.commit.author.email,
-    authoredAt: c.commit.author.timestamp * 1000,
-    committedAt: c.commit.committer.timestamp * 1000,
-    parentShas: c.commit.parent,
-  }));
-}
+export async function stashPush(dir, {
+  message = '',
+  includeUntracked = true,
+  authorName = 'GitLane User',
+  authorEmail = 'user@gitlane.app',
+} = {}) {
+  if ((await listUnmerged(dir)).length) throw new Error('Resolve conflicts before stashing');
+  const headOid = await git.resolveRef({ fs, dir, ref: 'HEAD' });
+  const branch = (await git.currentBranch({ fs, dir })) ?? '(no branch)';
+  const matrix = await statusMatrix(dir);
+  const tracked = matrix.filter(([, head, workdir, stage]) => !(head === 0 && stage === 0) && !(head === 1 && workdir === 1 && stage === 1));
+  const untracked = includeUntracked ? matrix.filter(([, head, , stage]) => head === 0 && stage === 0) : [];
+  if (!tracked.length && !untracked.length) throw new Error('No local changes to save');
 
-// ── Diff ──────────────────────────────────────────────────────────────────
+  const { commit: headCommit } = await git.readCommit({ fs, dir, oid: headOid });
+  const subject = `${headOid.slice(0, 7)} ${headCommit.message.split('\n')[0]}`;
+  const sig = signature(authorName, authorEmail);
+  const writeStashCommit = (tree, parent, msg) => git.writeCommit({
+    fs, dir, commit: { tree, parent, author: sig, committer: sig, message: `${msg}\n` },
+  });
+  const blobFromWorkdir = async filepath =>
+    git.writeBlob({ fs, dir, blob: await fs.promises.readFile(`${dir}/${filepath}`) });
 
-/**
- * Diff a file in the working directory vs HEAD.
- * Returns unified diff string.
- */
-export async function diffFile(dir, filepath) {
-  try {
-    const headContent = await readFileAtRef(dir, filepath, 'HEAD');
-    const workdirPath = `${dir}/${filepath}`;
-    const exists = await RNFS.exists(workdirPath);
-    const workContent = exists ? await RNFS.readFile(workdirPath, 'utf8') : '';
-    return unifiedDiff(filepath, headContent, workContent);
-  } catch {
-    return '';
+  // Index commit
+  const indexEntries = await commitEntries(dir);
+  const indexTree = await writeTreeFromEntries(dir, indexEntries);
+  const indexOid = await writeStashCommit(indexTree, [headOid], `index on ${branch}: ${subject}`);
+
+  // Working tree commit: the index with tracked working-tree changes applied
+  const workEntries = new Map(indexEntries.map(e => [e.path, e]));
+  for (const [filepath, , workdir] of tracked) {
+    if (workdir === 0) workEntries.delete(filepath);
+    else workEntries.set(filepath, { path: filepath, oid: await blobFromWorkdir(filepath), mode: workEntries.get(filepath)?.mode ?? 0o100644 });
+  }
+  const workTree = await writeTreeFromEntries(dir, [...workEntries.values()]);
+
+  const parents = [headOid, indexOid];
+  if (untracked.length) {
+    const entries = [];
+    for (const [filepath] of untracked) entries.push({ path: filepath, oid: await blobFromWorkdir(filepath), mode: 0o100644 });
+    const untrackedTree = await writeTreeFromEntries(dir, entries);
+    parents.push(await writeStashCommit(untrackedTree, [], `untracked files on ${branch}: ${subject}`));
   }
+  const stashMessage = message.trim() ? `On ${branch}: ${message.trim()}` : `WIP on ${branch}: ${subject}`;
+  const stashOid = await writeStashCommit(workTree, parents, stashMessage);
+
+  const previous = await git.resolveRef({ fs, dir, ref: STASH_REF }).catch(() => ZERO_OID);
+  await git.writeRef({ fs, dir, ref: STASH_REF, value: stashOid, force: true });
+  const logDir = `${dir}/.git/logs/refs`;
+  if (!(await RNFS.exists(logDir))) await RNFS.mkdir(logDir);
+  await RNFS.appendFile(stashLogPath(dir), formatReflogLine(previous, stashOid, sig, stashMessage), 'utf8');
+
+  // Back to a clean HEAD
+  await checkoutRef(dir, (await git.currentBranch({ fs, dir })) ?? headOid, { force: true });
+  for (const [filepath] of untracked) await RNFS.unlink(`${dir}/${filepath}`).catch(() => {});
+  return stashOid;
 }
 
 /**
- * Diff between two commits.
+ * Re-apply stash@{index} on top of the current HEAD with a three-way merge.
+ * Changes come back unstaged (new files staged, like desktop git), untracked
+ * files come back untracked. On conflict, markers and index stages are left
+ * for the conflict screen and the stash is kept.
+ * Returns { conflicts: string[] }.
  */
-export async function diffCommits(dir, oldSha, newSha) {
-  const changes = await git.walk({
+export async function stashApply(dir, index = 0) {
+  const entry = (await listStashes(dir))[index];
+  if (!entry) throw new Error(`stash@{${index}} does not exist`);
+  if ((await listUnmerged(dir)).length) throw new Error('Resolve conflicts before applying a stash');
+
+  const { commit: stash } = await git.readCommit({ fs, dir, oid: entry.oid });
+  const [baseOid, , untrackedOid] = stash.parent;
+  const headOid = await git.resolveRef({ fs, dir, ref: 'HEAD' });
+
+  // Refuse to touch files that have uncommitted changes of their own
+  const touched = new Set(await changedPaths(dir, baseOid, entry.oid));
+  const dirty = (await listDirtyFiles(dir)).filter(f => touched.has(f));
+  if (dirty.length) throw new Error(`Your local changes would be overwritten:\n${dirty.join('\n')}`);
+  const untrackedFiles = untrackedOid ? await listTreeFiles(dir, untrackedOid) : [];
+  const existing = [];
+  for (const file of untrackedFiles) {
+    if (await RNFS.exists(`${dir}/${file.path}`)) existing.push(file.path);
+  }
+  if (existing.length) throw new Error(`Untracked files already exist:\n${existing.join('\n')}`);
+
+  // Replay the stash as a one-parent commit so git.cherryPick can merge it
+  const replay = await git.writeCommit({
     fs,
     dir,
-    trees: [git.TREE({ ref: oldSha }), git.TREE({ ref: newSha })],
-    map: async (filepath, [oldEntry, newEntry]) => {
-      if (!oldEntry && !newEntry) return;
-      const oldContent = oldEntry ? await oldEntry.content().then(b => Buffer.from(b).toString('utf8')) : '';
-      const newContent = newEntry ? await newEntry.content().then(b => Buffer.from(b).toString('utf8')) : '';
-      if (oldContent === newContent) return;
-      return { filepath, diff: unifiedDiff(filepath, oldContent, newContent) };
-    },
+    commit: { tree: stash.tree, parent: [baseOid], author: stash.author, committer: stash.committer, message: stash.message },
   });
-  return changes.filter(Boolean);
-}
 
-async function readFileAtRef(dir, filepath, ref) {
+  let conflicts = [];
   try {
-    const { blob } = await git.readBlob({
-      fs,
-      dir,
-      oid: await git.resolveRef({ fs, dir, ref }),
-      filepath,
+    const merged = await git.cherryPick({ fs, dir, oid: replay, noUpdateBranch: true, committer: stash.committer });
+    const [changed, headFiles, mergedFiles] = await Promise.all([
+      changedPaths(dir, headOid, merged),
+      listTreeFiles(dir, headOid),
+      listTreeFiles(dir, merged),
+    ]);
+    const inHead = new Set(headFiles.map(f => f.path));
+    const byPath = new Map(mergedFiles.map(f => [f.path, f]));
+    for (const filepath of changed) {
+      const file = byPath.get(filepath);
+      if (!file) {
+        await git.remove({ fs, dir, filepath });
+        await RNFS.unlink(`${dir}/${filepath}`).catch(() => {});
+        continue;
+      }
+      const { blob } = await git.readBlob({ fs, dir, oid: file.oid });
+      await writeWorkdirFile(dir, filepath, blob);
+      if (!inHead.has(filepath)) await git.add({ fs, dir, filepath });
+    }
+  } catch (e) {
+    if (e.code !== 'MergeConflictError') throw e;
+    // Run it again, this time leaving the conflicts in the working tree
+    await git.cherryPick({ fs, dir, oid: replay, noUpdateBranch: true, abortOnConflict: false, committer: stash.committer })
+      .catch(err => { if (err.code !== 'MergeConflictError') throw err; });
+    await stageOneSidedChanges(dir, headOid, baseOid, replay, e.data.filepaths);
+    conflicts = e.data.filepaths;
+  }
+
+  for (const file of untrackedFiles) {
+    const { blob } = await git.readBlob({ fs, dir, oid: file.oid });
+    await writeWorkdirFile(dir, file.path, blob);
+  }
+  return { conflicts };
+}
+
+/** Remove stash@{index} from the list */
+export async function stashDrop(dir, index = 0) {
+  const lines = await readStashLog(dir);
+  const pos = lines.length - 1 - index;
+  if (pos < 0 || index < 0) throw new Error(`stash@{${index}} does not exist`);
+  lines.splice(pos, 1);
+  if (!lines.length) {
+    await git.deleteRef({ fs, dir, ref: STASH_REF });
+    await RNFS.unlink(stashLogPath(dir)).catch(() => {});
+    return;
+  }
+  // Keep the old→new chain intact for the entry that followed the dropped one
+  if (pos < lines.length) {
+    const prevOid = pos > 0 ? lines[pos - 1].split(' ')[1] : ZERO_OID;
+    lines[pos] = `${prevOid}${lines[pos].slice(ZERO_OID.length)}`;
+  }
+  await RNFS.writeFile(stashLogPath(dir), `${lines.join('\n')}\n`, 'utf8');
+  await git.writeRef({ fs, dir, ref: STASH_REF, value: lines[lines.length - 1].split(' ')[1], force: true });
+}
+
+/** Apply stash@{index} and drop it — unless applying it conflicted */
+export async function stashPop(dir, index = 0) {
+  const result = await stashApply(dir, index);
+  if (!result.conflicts.length) await stashDrop(dir, index);
+  return result;
+}
+
+// ── Remotes ───────────────────────────────────────────────────────────────
+
+/** Configured remotes, origin first: [{ name, url }] */
+export async function listRemotes(dir) {
+  const remotes = await git.listRemotes({ fs, dir });
+  return remotes
+    .map(({ remote, url }) => ({ name: remote, url }))
+    .sort((a, b) => (a.name === 'origin' ? -1 : b.name === 'origin' ? 1 : a.name.localeCompare(b.name)));
+}
+
+export async function addRemote(dir, name, url) {
+  await git.addRemote({ fs, dir, remote: name, url });
+}
+
+export async function setRemoteUrl(dir, name, url) {
+  if (!(await getRemoteUrl(dir, name))) throw new Error(`No remote named "${name}"`);
+  await git.setConfig({ fs, dir, path: `remote.${name}.url`, value: url });
+}
+
+/**
+ * Rename a remote like `git remote rename`: its remote-tracking branches
+ * move to refs/remotes/<newName>/ and local branches tracking it follow.
+ */
+export async function renameRemote(dir, oldName, newName) {
+  const url = await getRemoteUrl(dir, oldName);
+  if (!url) throw new Error(`No remote named "${oldName}"`);
+  if (await getRemoteUrl(dir, newName)) throw new Error(`A remote named "${newName}" already exists`);
+  await git.addRemote({ fs, dir, remote: newName, url });
+  const refs = await Promise.all(
+    (await git.listRefs({ fs, dir, filepath: `refs/remotes/${oldName}` })).map(async (branch) => {
+      // depth 1 stops at a symbolic ref's own "ref: <target>" line
+      const value = await git.resolveRef({ fs, dir, ref: `refs/remotes/${oldName}/${branch}`, depth: 1 });
+      const target = value.startsWith('ref: ') ? value.slice(5).trim() : null;
+      return { branch, value, target };
+    }),
+  );
+  // Symbolic refs (origin/HEAD) last: their target has to exist under the new name first
+  refs.sort((a, b) => !!a.target - !!b.target);
+  for (const { branch, value, target } of refs) {
+    await git.writeRef({
+      fs, dir,
+      ref: `refs/remotes/${newName}/${branch}`,
+      value: target ? target.replace(`refs/remotes/${oldName}/`, `refs/remotes/${newName}/`) : value,
+      symbolic: !!target,
+      force: true,
     });
-    return Buffer.from(blob).toString('utf8');
-  } catch {
-    return '';
   }
+  for (const { branch } of refs) await git.deleteRef({ fs, dir, ref: `refs/remotes/${oldName}/${branch}` });
+  for (const branch of await branchesTracking(dir, oldName)) {
+    await git.setConfig({ fs, dir, path: `branch.${branch}.remote`, value: newName });
+  }
+  await git.deleteRemote({ fs, dir, remote: oldName });
 }
 
-/** Minimal unified diff (shows +/- lines) */
-function unifiedDiff(filepath, oldText, newText) {
-  const oldLines = oldText.split('\n');
-  const newLines = newText.split('\n');
-  const lines = [];
-  lines.push(`--- a/${filepath}`);
-  lines.push(`+++ b/${filepath}`);
-  // Simple line-by-line diff (good enough for mobile display)
-  const maxLen = Math.max(oldLines.length, newLines.length);
-  let chunk = [];
-  for (let i = 0; i < maxLen; i++) {
-    const o = oldLines[i];
-    const n = newLines[i];
-    if (o !== n) {
-      if (o !== undefined) chunk.push(`-${o}`);
-      if (n !== undefined) chunk.push(`+${n}`);
-    } else {
-      chunk.push(` ${o ?? ''}`);
-    }
+/**
+ * Remove a remote like `git remote remove`: its remote-tracking branches go
+ * too, and local branches stop tracking it.
+ */
+export async function removeRemote(dir, name) {
+  if (!(await getRemoteUrl(dir, name))) throw new Error(`No remote named "${name}"`);
+  for (const branch of await git.listRefs({ fs, dir, filepath: `refs/remotes/${name}` })) {
+    await git.deleteRef({ fs, dir, ref: `refs/remotes/${name}/${branch}` });
   }
-  if (chunk.length) {
-    lines.push(`@@ -1,${oldLines.length} +1,${newLines.length} @@`);
-    lines.push(...chunk);
+  for (const branch of await branchesTracking(dir, name)) {
+    await git.setConfig({ fs, dir, path: `branch.${branch}.remote`, value: undefined });
+    await git.setConfig({ fs, dir, path: `branch.${branch}.merge`, value: undefined });
   }
-  return lines.join('\n');
+  await git.deleteRemote({ fs, dir, remote: name });
 }
 
-// ── Branches ──────────────────────────────────────────────────────────────
+/** Local branches whose configured upstream lives on `remote` */
+async function branchesTracking(dir, remote) {
+  const branches = await git.listBranches({ fs, dir });
+  const tracking = await Promise.all(branches.map(b =>
+    git.getConfig({ fs, dir, path: `branch.${b}.remote` }).catch(() => null)));
+  return branches.filter((_, i) => tracking[i] === remote);
+}
 
-export async function listBranches(dir) {
-  const [local, remote] = await Promise.all([
-    git.listBranches({ fs, dir }),
-    git.listBranches({ fs, dir, remote: 'origin' }),
+// ── Tracking ──────────────────────────────────────────────────────────────
+
+/**
+ * The branch's upstream from `branch.<name>.remote/merge` config:
+ * { remote, branch, name: '<remote>/<branch>' }, or null when it has none.
+ */
+export async function getUpstream(dir, branch) {
+  const [remote, merge] = await Promise.all([
+    git.getConfig({ fs, dir, path: `branch.${branch}.remote` }).catch(() => null),
+    git.getConfig({ fs, dir, path: `branch.${branch}.merge` }).catch(() => null),
   ]);
-  const current = await git.currentBranch({ fs, dir });
-  return {
-    current,
-    local: local.map(b => ({ name: b, isCurrent: b === current, isRemote: false })),
-    remote: remote.map(b => ({ name: b, fullName: `origin/${b}`, isRemote: true })),
-  };
+  if (!remote || !merge) return null;
+  const name = merge.replace(/^refs\/heads\//, '');
+  return { remote, branch: name, name: `${remote}/${name}` };
 }
 
-export async function createBranch(dir, name, checkout = true) {
-  await git.branch({ fs, dir, ref: name, checkout });
+/** Make `remote`/`remoteBranch` the upstream of local `branch` (`git branch --set-upstream-to`) */
+export async function setUpstream(dir, branch, remote, remoteBranch = branch) {
+  await git.setConfig({ fs, dir, path: `branch.${branch}.remote`, value: remote });
+  await git.setConfig({ fs, dir, path: `branch.${branch}.merge`, value: `refs/heads/${remoteBranch}` });
 }
 
-export async function checkoutBranch(dir, ref) {
-  await git.checkout({ fs, dir, ref });
+/**
+ * How local `branch` compares with its upstream:
+ * { upstream: '<remote>/<branch>', ahead, behind, gone } where ahead/behind
+ * count commits only on one side, and `gone` means the remote-tracking
+ * branch doesn't exist (never fetched or deleted on the remote).
+ * Null when the branch has no upstream.
+ */
+export async function getTracking(dir, branch) {
+  const upstream = await getUpstream(dir, branch);
+  if (!upstream) return null;
+  const [localOid, remoteOid] = await Promise.all([
+    git.resolveRef({ fs, dir, ref: `refs/heads/${branch}` }),
+    git.resolveRef({ fs, dir, ref: `refs/remotes/${upstream.name}` }).catch(() => null),
+  ]);
+  if (!remoteOid) return { upstream: upstream.name, ahead: 0, behind: 0, gone: true };
+  return { upstream: upstream.name, ...(await countAheadBehind(dir, localOid, remoteOid)), gone: false };
 }
 
-export async function deleteBranch(dir, ref) {
-  await git.deleteBranch({ fs, dir, ref });
+async function countAheadBehind(dir, localOid, remoteOid) {
+  const { ahead, behind } = await splitHistory(dir, localOid, remoteOid);
+  return { ahead: ahead.length, behind: behind.length };
+}
+
+/**
+ * Commits reachable from only one of two tips, by painting history from
+ * both ends newest first until every commit still queued is reachable from
+ * both (so shared history is never walked past the merge base).
+ * Returns { ahead, behind } as [{ oid, summary, authorName, at }], newest first.
+ */
+async function splitHistory(dir, localOid, remoteOid) {
+  if (localOid === remoteOid) return { ahead: [], behind: [] };
+  const LOCAL = 1;
+  const REMOTE = 2;
+  const flags = new Map();
+  const commits = new Map();
+  const queue = [];
+  const paint = async (oid, flag) => {
+    const before = flags.get(oid) ?? 0;
+    if ((before | flag) === before) return;
+    if (!commits.has(oid)) {
+      const c = await git.readCommit({ fs, dir, oid }).catch(() => null); // missing in a shallow clone
+      if (!c) return;
+      commits.set(oid, c.commit);
+    }
+    flags.set(oid, before | flag);
+    if (!queue.includes(oid)) queue.push(oid);
+  };
+  await paint(localOid, LOCAL);
+  await paint(remoteOid, REMOTE);
+  while (queue.some(oid => flags.get(oid) !== (LOCAL | REMOTE))) {
+    let newest = 0;
+    for (let i = 1; i < queue.length; i++) {
+      if (commits.get(queue[i]).committer.timestamp > commits.get(queue[newest]).committer.timestamp) newest = i;
+    }
+    const [oid] = queue.splice(newest, 1);
+    for (const parent of commits.get(oid).parent) await paint(parent, flags.get(oid));
+  }
+  // Whatever a shared commit descends from is shared too; with equal commit
+  // times the walk can stop before that has reached every commit it painted
+  const shared = [...flags.keys()].filter(oid => flags.get(oid) === (LOCAL | REMOTE));
+  while (shared.length) {
+    for (const parent of commits.get(shared.pop())?.parent ?? []) {
+      if (!flags.has(parent) || flags.get(parent) === (LOCAL | REMOTE)) continue;
+      flags.set(parent, LOCAL | REMOTE);
+      shared.push(parent);
+    }
+  }
+  const side = flag => [...flags]
+    .filter(([, f]) => f === flag)
+    .map(([oid]) => {
+      const c = commits.get(oid);
+      return { oid, summary: c.message.split('\n')[0], authorName: c.author.name, at: c.committer.timestamp * 1000 };
+    })
+    .sort((a, b) => b.at - a.at);
+  return { ahead: side(LOCAL), behind: side(REMOTE) };
 }
 
 // ── Remote operations ─────────────────────────────────────────────────────
 
-export async function fetchRepo(dir, token = null) {
+/**
+ * Whether history is cut off, from .git/shallow:
+ * { shallow, boundaries: number of cut-off commits, oldest: ms of the oldest
+ * boundary commit or null }.
+ */
+export async function getShallowInfo(dir) {
+  let text = '';
+  try {
+    text = await fs.promises.readFile(`${dir}/.git/shallow`, 'utf8');
+  } catch {
+    return { shallow: false, boundaries: 0, oldest: null };
+  }
+  const oids = text.split('\n').map(l => l.trim()).filter(Boolean);
+  const times = await Promise.all(oids.map(oid =>
+    git.readCommit({ fs, dir, oid }).then(c => c.commit.committer.timestamp * 1000).catch(() => null)));
+  const known = times.filter(t => t !== null);
+  return { shallow: oids.length > 0, boundaries: oids.length, oldest: known.length ? Math.min(...known) : null };
+}
+
+// What `git fetch --unshallow` asks for: a depth no history reaches
+const UNSHALLOW_DEPTH = 2147483647;
+
+/**
+ * Fetch more of a shallow clone's history from `remote`:
+ * by    — this many more commits behind the current cut-off
+ * since — everything committed after this Date
+ * all   — the complete history (unshallow)
+ * `transfer` is a createTransfer() handle, as for fetchRepo().
+ */
+export async function deepenHistory(dir, token = null, { by = null, since = null, all = false, remote = 'origin', transfer = null } = {}) {
+  let deepen;
+  if (all) deepen = { depth: UNSHALLOW_DEPTH };
+  else if (since) deepen = { since };
+  else if (by) deepen = { depth: by, relative: true };
+  else throw new Error('deepenHistory needs `by`, `since` or `all`');
+  await git.fetch({
+    fs, dir,
+    ...network(transfer),
+    remote,
+    ...deepen,
+    ...makeAuth(token),
+  });
+}
+
+/**
+ * Fetch `remote`. Progress goes to `transfer` (a createTransfer() handle).
+ * Cancelling it aborts the download, before any ref or object is written;
+ * once the pack is in, the fetch is finished rather than left half-done.
+ */
+export async function fetchRepo(dir, token = null, { remote = 'origin', transfer = null } = {}) {
   await git.fetch({
-    fs, http, dir,
-    remote: 'origin',
+    fs, dir,
+    ...network(transfer),
+    remote,
     prune: true,
     ...makeAuth(token),
-    onProgress: () => {},
   });
 }
 
-export async function pullRepo(dir, authorName, authorEmail, token = null) {
-  await git.pull({
-    fs, http, dir,
-    remote: 'origin',
-    author: { name: authorName, email: authorEmail },
+// How pull brings in the remote branch:
+//   'ff-only' — only when the local branch has nothing of its own (pull.ff = only)
+//   'merge'   — fast-forward, or a merge commit when both sides moved (the default)
+//   'rebase'  — replay local commits on top of it (pull.rebase = true)
+export const PULL_MODES = ['ff-only', 'merge', 'rebase'];
+
+/** The repo's pull mode, read from pull.rebase / pull.ff like desktop git */
+export async function getPullMode(dir) {
+  const [rebase, ff] = await Promise.all([
+    git.getConfig({ fs, dir, path: 'pull.rebase' }).catch(() => null),
+    git.getConfig({ fs, dir, path: 'pull.ff' }).catch(() => null),
+  ]);
+  if (String(rebase) === 'true') return 'rebase';
+  if (String(ff) === 'only') return 'ff-only';
+  return 'merge';
+}
+
+export async function setPullMode(dir, mode) {
+  if (!PULL_MODES.includes(mode)) throw new Error(`Unknown pull mode "${mode}"`);
+  await git.setConfig({ fs, dir, path: 'pull.rebase', value: mode === 'rebase' ? 'true' : 'false' });
+  await git.setConfig({ fs, dir, path: 'pull.ff', value: mode === 'ff-only' ? 'only' : undefined });
+}
+
+/**
+ * Fetch, then bring the current branch's counterpart on `remote` into it —
+ * its upstream when `remote` is left out or is the upstream's remote,
+ * otherwise the same-named branch there — the way `mode` says (see
+ * PULL_MODES; the repo's getPullMode() when left out).
+ * Returns { mode, status: 'up-to-date' | 'fast-forward' | 'merged' | 'rebased' | 'conflict', conflicts }.
+ * Conflicts don't throw — the repo is left mid-merge or mid-rebase and they
+ * are returned. In 'ff-only' mode a branch that has diverged throws
+ * err.code 'Diverged' with err.diverged = { upstream, ahead, behind }, the
+ * commits only on each side (as splitHistory() lists them).
+ * A cancelled `transfer` stops it before anything is merged.
+ */
+export async function pullRepo(dir, authorName, authorEmail, token = null, { remote = null, transfer = null, mode = null } = {}) {
+  const branch = await git.currentBranch({ fs, dir });
+  if (!branch) throw new Error('Cannot pull on a detached HEAD — check out a branch first');
+  mode = mode ?? await getPullMode(dir);
+  const target = await pushTarget(dir, branch, remote);
+  await fetchRepo(dir, token, { remote: target.remote, transfer });
+  transfer?.throwIfCancelled();
+  const upstream = `${target.remote}/${target.branch}`;
+
+  if (mode === 'rebase') {
+    const r = await rebaseBranch(dir, upstream, authorName, authorEmail);
+    return { mode, status: r.status === 'done' ? 'rebased' : r.status, conflicts: r.conflicts };
+  }
+  if (mode === 'ff-only') {
+    const [localOid, remoteOid] = await Promise.all([
+      git.resolveRef({ fs, dir, ref: `refs/heads/${branch}` }),
+      git.resolveRef({ fs, dir, ref: `refs/remotes/${upstream}` }),
+    ]);
+    const { ahead, behind } = await splitHistory(dir, localOid, remoteOid);
+    if (ahead.length && behind.length) {
+      const err = new Error(
+        `${branch} and ${upstream} have diverged: ${ahead.length} local commit(s) are not on ${upstream} `
+        + `and ${behind.length} there are not on ${branch}, so it can't fast-forward — pull with merge or rebase instead`);
+      err.code = 'Diverged';
+      err.diverged = { upstream, ahead, behind };
+      throw err;
+    }
+    if (!behind.length) return { mode, status: 'up-to-date', conflicts: [] };
+  }
+  const r = await mergeBranch(dir, upstream, authorName, authorEmail, { carry: true });
+  return {
+    mode,
+    status: r.conflicts.length ? 'conflict' : r.alreadyMerged ? 'up-to-date' : r.fastForward ? 'fast-forward' : 'merged',
+    conflicts: r.conflicts,
+  };
+}
+
+/**
+ * Push the current branch to `remote` (default: its upstream's remote, else
+ * origin). A branch without an upstream gets the pushed branch as its
+ * upstream, like `git push -u`.
+ * `force` — false, true (overwrite whatever the remote has), or
+ * 'with-lease': overwrite only if the remote branch is still where its
+ * remote-tracking branch says it was at the last fetch (`git push
+ * --force-with-lease`). The remote checks that same commit when it updates
+ * the branch, so nothing pushed in between is lost; instead this throws
+ * err.code 'StaleLease' with err.lease = { expected, actual } (null for no
+ * branch). See previewForcePush() for what a forced push would remove.
+ * Cancelling `transfer` aborts the upload; local refs only move once the
+ * remote has accepted the push.
+ */
+export async function pushRepo(dir, token = null, force = false, { remote = null, transfer = null } = {}) {
+  const branch = await git.currentBranch({ fs, dir });
+  const target = branch ? await pushTarget(dir, branch, remote) : { remote: remote ?? 'origin', branch: null };
+  let lease;
+  if (force === 'with-lease') {
+    if (!branch) throw new Error('Cannot force push a detached HEAD — check out a branch first');
+    lease = { expected: await git.resolveRef({ fs, dir, ref: `refs/remotes/${target.remote}/${target.branch}` }).catch(() => null) };
+  }
+  let result;
+  try {
+    result = await git.push({
+      fs, dir,
+      ...network(transfer),
+      remote: target.remote,
+      ...(target.branch && { ref: branch, remoteRef: `refs/heads/${target.branch}` }),
+      force: !!force,
+      // The remote's branch as advertised for this push — the old value the update is checked against
+      ...(lease && {
+        onPrePush: ({ remoteRef }) => {
+          lease.actual = remoteRef.oid === ZERO_OID ? null : remoteRef.oid;
+          return lease.actual === lease.expected;
+        },
+      }),
+      ...makeAuth(token),
+    });
+  } catch (e) {
+    if (!lease || e.code !== 'UserCanceledError' || !('actual' in lease)) throw e;
+    const err = new Error(lease.actual
+      ? `${target.remote}/${target.branch} has new commits since your last fetch — nothing was pushed. Fetch and review them before forcing.`
+      : `${target.branch} was deleted from ${target.remote} since your last fetch — nothing was pushed. Fetch before forcing.`);
+    err.code = 'StaleLease';
+    err.lease = lease;
+    throw err;
+  }
+  if (branch && !(await getUpstream(dir, branch))) await setUpstream(dir, branch, target.remote);
+  return result;
+}
+
+/**
+ * What force pushing the current branch to `remote` would do, judged from
+ * the remote-tracking branch as of the last fetch (no network):
+ * { branch, upstream: '<remote>/<branch>', exists, lost, pushed } where
+ * `lost` are the commits on the remote branch that aren't on the local one
+ * and would be removed from it, and `pushed` the local commits it would
+ * gain — as [{ oid, summary, authorName, at }], newest first.
+ */
+export async function previewForcePush(dir, { remote = null } = {}) {
+  const branch = await git.currentBranch({ fs, dir });
+  if (!branch) throw new Error('Cannot force push a detached HEAD — check out a branch first');
+  const target = await pushTarget(dir, branch, remote);
+  const upstream = `${target.remote}/${target.branch}`;
+  const [localOid, remoteOid] = await Promise.all([
+    git.resolveRef({ fs, dir, ref: `refs/heads/${branch}` }),
+    git.resolveRef({ fs, dir, ref: `refs/remotes/${upstream}` }).catch(() => null),
+  ]);
+  if (!remoteOid) return { branch, upstream, exists: false, lost: [], pushed: [] };
+  const { ahead, behind } = await splitHistory(dir, localOid, remoteOid);
+  return { branch, upstream, exists: true, lost: behind, pushed: ahead };
+}
+
+/** Remote and remote branch that pull/push of `branch` talk to, given an optional remote override */
+async function pushTarget(dir, branch, remote) {
+  const upstream = await getUpstream(dir, branch);
+  if (upstream && (!remote || remote === upstream.remote)) return upstream;
+  return { remote: remote ?? 'origin', branch };
+}
+
+/**
+ * Push tag `name` to `remote`. Progress goes to `transfer` (a createTransfer()
+ * handle); cancelling it aborts the upload.
+ */
+export async function pushTag(dir, name, token = null, { remote = 'origin', transfer = null } = {}) {
+  return git.push({
+    fs, dir,
+    ...network(transfer),
+    remote,
+    ref: `refs/tags/${name}`,
+    remoteRef: `refs/tags/${name}`,
     ...makeAuth(token),
-    onProgress: () => {},
   });
 }
 
-export async function pushRepo(dir, token = null, force = false) {
-  const result = await git.push({
-    fs, http, dir,
-    remote: 'origin',
-    force,
+/**
+ * Push every local tag `remote` doesn't have yet, one at a time.
+ * A failure doesn't stop the rest, but cancelling `transfer` does.
+ * Returns { pushed: [name], failed: [{ name, message }] }.
+ */
+export async function pushAllTags(dir, token = null, { remote = 'origin', transfer = null } = {}) {
+  const url = await getRemoteUrl(dir, remote);
+  if (!url) throw new Error(`This repository has no ${remote} remote`);
+  const [local, onRemote] = await Promise.all([
+    git.listTags({ fs, dir }),
+    git.listServerRefs({ http: network(transfer).http, url, prefix: 'refs/tags/', ...makeAuth(token) }),
+  ]);
+  const onServer = new Set(onRemote.map(r => r.ref.replace(/^refs\/tags\//, '').replace(/\^\{\}$/, '')));
+  const pushed = [];
+  const failed = [];
+  for (const name of local.filter(t => !onServer.has(t))) {
+    try {
+      await pushTag(dir, name, token, { remote, transfer });
+      pushed.push(name);
+    } catch (e) {
+      if (isCancelled(e)) throw e;
+      failed.push({ name, message: e.message ?? String(e) });
+    }
+  }
+  return { pushed, failed };
+}
+
+/**
+ * Fetch `remote`'s tags (and the commits they point at); local branches are
+ * left alone. Progress goes to `transfer`. Returns the new tag names.
+ */
+export async function fetchTags(dir, token = null, { remote = 'origin', transfer = null } = {}) {
+  const before = new Set(await git.listTags({ fs, dir }));
+  await git.fetch({
+    fs, dir,
+    ...network(transfer),
+    remote,
+    tags: true,
     ...makeAuth(token),
-    onProgress: () => {},
   });
-  return result;
+  return (await git.listTags({ fs, dir })).filter(t => !before.has(t));
 }
 
 // ── Config ────────────────────────────────────────────────────────────────
@@ -298,9 +2771,9 @@ export async function setConfig(dir, name, email) {
   ]);
 }
 
-export async function getRemoteUrl(dir) {
+export async function getRemoteUrl(dir, remote = 'origin') {
   try {
-    return await git.getConfig({ fs, dir, path: 'remote.origin.url' });
+    return await git.getConfig({ fs, dir, path: `remote.${remote}.url` });
   } catch {
     return null;
   }
@@ -355,13 +2828,20 @@ export async function fetchFromPeer(dir, peerUrl) {
 
   await ensurePeerTemp();
 
+  // The checked-out branch is only moved once its objects are here, and
+  // only if that doesn't clobber local edits (see guardedCheckout)
+  const currentRef = await git.currentBranch({ fs, dir }).catch(() => null);
+  const setRef = async (name, sha) => {
+    if (name !== currentRef) await git.writeRef({ fs, dir, ref: `refs/heads/${name}`, value: sha, force: true });
+  };
+
   for (const ref of refs) {
     try {
       // Check if we already have this exact commit
       try {
         await git.readCommit({ fs, dir, oid: ref.sha });
         // Have it — just update the local branch pointer
-        await git.writeRef({ fs, dir, ref: `refs/heads/${ref.name}`, value: ref.sha, force: true });
+        await setRef(ref.name, ref.sha);
         continue;
       } catch { /* don't have it, need to download */ }
 
@@ -378,19 +2858,29 @@ export async function fetchFromPeer(dir, peerUrl) {
       await RNFS.writeFile(packPath, pack, 'base64');
       await git.indexPack({ fs, dir, filepath: packPath });
 
-      await git.writeRef({ fs, dir, ref: `refs/heads/${ref.name}`, value: ref.sha, force: true });
+      await setRef(ref.name, ref.sha);
     } catch (e) {
       console.warn(`[peer] Failed to fetch branch ${ref.name}:`, e.message);
     }
   }
 
   // Update the working tree to reflect the updated refs
-  const currentRef = await git.currentBranch({ fs, dir }).catch(() => null);
-  const branchToCheckout = (currentRef && refs.find(r => r.name === currentRef))
-    ? currentRef
-    : refs[0]?.name;
-  if (branchToCheckout) {
-    await git.checkout({ fs, dir, ref: branchToCheckout }).catch(() => {});
+  const current = currentRef && refs.find(r => r.name === currentRef);
+  const target = current ?? refs[0];
+  const have = await git.readCommit({ fs, dir, oid: target.sha }).then(() => true, () => false);
+  if (have) {
+    const branchRef = `refs/heads/${target.name}`;
+    const headOid = await git.resolveRef({ fs, dir, ref: 'HEAD' }).catch(() => null);
+    if (!current || headOid !== target.sha) {
+      await guardedCheckout(dir, target.sha, {
+        carry: true,
+        label: `updating ${target.name} from the peer`,
+        apply: async () => {
+          if (current) await git.writeRef({ fs, dir, ref: branchRef, value: target.sha, force: true });
+          await checkoutRef(dir, target.name, { force: true });
+        },
+      });
+    }
   }
 
   return refs;
@@ -0,0 +1,70 @@
+/**
+ * Lane layout for the commit graph in LogScreen, in the spirit of
+ * `git log --graph`.
+ * Commits come in display order (children before parents); each one is
+ * given a lane, and each row records which lane lines pass through it, end
+ * in it or branch out of it so the screen can draw it with plain views.
+ * Pure JS — no git or filesystem access here.
+ */
+
+/**
+ * Lay out `commits` ([{ sha, parentShas }], newest first).
+ * Returns one row per commit:
+ * {
+ *   lane, color,            // where the commit's dot sits and its lane's color index
+ *   top:    [{ lane, color }],   // lines entering the row from above
+ *   bottom: [{ lane, color }],   // lines leaving the row downwards
+ *   joins:  [{ from, to, color, half: 'top' | 'bottom' }], // sideways bends into / out of the dot
+ *   width,                  // lanes in use on this row
+ * }
+ * Parents that are not in `commits` (history cut off by paging) get no lane,
+ * so unloaded history doesn't leave lines dangling to the bottom.
+ */
+export function layoutGraph(commits) {
+  const known = new Set(commits.map(c => c.sha));
+  const lanes = [];  // sha each lane is waiting for, or null when free
+  const colors = []; // color index per lane
+  let nextColor = 0;
+
+  const claim = (sha) => {
+    let lane = lanes.indexOf(null);
+    if (lane === -1) lane = lanes.length;
+    lanes[lane] = sha;
+    colors[lane] = nextColor++;
+    return lane;
+  };
+
+  return commits.map(({ sha, parentShas }) => {
+    let lane = lanes.indexOf(sha);
+    const hasChild = lane !== -1;
+    if (!hasChild) lane = claim(sha);
+    const color = colors[lane];
+
+    const top = [];
+    const joins = [];
+    lanes.forEach((waiting, i) => {
+      if (waiting === null || (i === lane && !hasChild)) return;
+      top.push({ lane: i, color: colors[i] });
+      // Another child's line ends here: bend it into this commit
+      if (waiting === sha && i !== lane) {
+        joins.push({ from: i, to: lane, color: colors[i], half: 'top' });
+        lanes[i] = null;
+      }
+    });
+
+    const parents = parentShas.filter(p => known.has(p));
+    lanes[lane] = parents[0] ?? null;
+    for (const parent of parents.slice(1)) {
+      const existing = lanes.indexOf(parent);
+      const target = existing !== -1 ? existing : claim(parent);
+      joins.push({ from: lane, to: target, color: colors[target], half: 'bottom' });
+    }
+
+    const bottom = [];
+    lanes.forEach((waiting, i) => { if (waiting !== null) bottom.push({ lane: i, color: colors[i] }); });
+    const width = Math.max(lanes.length, lane + 1);
+    while (lanes.length && lanes[lanes.length - 1] === null) { lanes.pop(); colors.pop(); }
+
+    return { lane, color, top, bottom, joins, width };
+  });
+}
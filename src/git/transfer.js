@@ -0,0 +1,205 @@
+/**
+ * Progress reporting and cancellation for network operations
+ * (clone, fetch, pull, push).
+ * A transfer hands isomorphic-git its own http client — XMLHttpRequest, so
+ * bytes can be counted as they move and requests aborted — and an onProgress
+ * callback; both feed one progress object for the screens.
+ */
+import { Buffer } from 'buffer';
+
+/** How often (ms) progress is passed on while a phase is running */
+const EMIT_INTERVAL = 200;
+
+/**
+ * Start a transfer. `onUpdate` receives
+ * {
+ *   phase,                 // 'Connecting' | 'Downloading' | 'Uploading' | git's own phases ('Receiving objects', …)
+ *   loaded, total,         // units of the phase (objects, or bytes while down/uploading); total 0 when unknown
+ *   percent,               // 0–100, null when the phase has no total
+ *   received, sent,        // bytes over the wire so far
+ *   bytesPerSecond,        // average since the start
+ *   etaSeconds,            // time left in the phase, null until it can be estimated
+ * }
+ * Returns { http, onProgress, cancel, isCancelled, throwIfCancelled, wait } —
+ * pass http/onProgress to isomorphic-git; cancel() aborts requests in flight
+ * and refuses new ones with an error whose code is 'Cancelled'. A request
+ * that can't reach the server or times out fails with code 'NetworkError'.
+ * wait(ms) is a pause (between retries) that cancel() cuts short the same way.
+ */
+export function createTransfer(onUpdate = () => {}) {
+  const started = Date.now();
+  const inFlight = new Set(); // XHRs
+  const waiting = new Set();  // rejecters of pending wait()s
+  const bytes = { received: 0, sent: 0 }; // of finished requests
+  const live = { received: 0, sent: 0 };  // of the request in flight
+  let progress = { phase: 'Connecting', loaded: 0, total: 0 };
+  let phaseStarted = started;
+  let lastEmit = 0;
+  let cancelled = false;
+
+  const emit = (force = false) => {
+    const now = Date.now();
+    if (!force && now - lastEmit < EMIT_INTERVAL) return;
+    lastEmit = now;
+    const { phase, loaded, total } = progress;
+    const received = bytes.received + live.received;
+    const sent = bytes.sent + live.sent;
+    const elapsed = (now - phaseStarted) / 1000;
+    onUpdate({
+      phase,
+      loaded,
+      total,
+      percent: total > 0 ? Math.min(100, Math.round((loaded / total) * 100)) : null,
+      received,
+      sent,
+      bytesPerSecond: Math.round((received + sent) / Math.max((now - started) / 1000, 0.001)),
+      etaSeconds: total > 0 && loaded > 0 && elapsed >= 1
+        ? Math.round((elapsed * (total - loaded)) / loaded)
+        : null,
+    });
+  };
+
+  const setPhase = (phase, loaded, total) => {
+    const changed = phase !== progress.phase;
+    if (changed) phaseStarted = Date.now();
+    progress = { phase, loaded, total };
+    emit(changed);
+  };
+
+  const throwIfCancelled = () => {
+    if (cancelled) throw cancelledError();
+  };
+
+  const http = {
+    async request({ url, method = 'GET', headers = {}, body }) {
+      throwIfCancelled();
+      const payload = body ? await collect(body) : null;
+      const xhr = new XMLHttpRequest();
+      inFlight.add(xhr);
+      live.received = 0;
+      live.sent = 0;
+      try {
+        await send(xhr, { url, method, headers, payload }, {
+          onDownload: (loaded, total) => {
+            live.received = loaded;
+            setPhase('Downloading', loaded, total);
+          },
+          onUpload: (loaded, total) => {
+            live.sent = loaded;
+            setPhase('Uploading', loaded, total);
+          },
+        });
+      } catch (e) {
+        if (cancelled) throw cancelledError();
+        throw e;
+      } finally {
+        inFlight.delete(xhr);
+      }
+      const response = new Uint8Array(xhr.response ?? new ArrayBuffer(0));
+      bytes.received += response.byteLength;
+      bytes.sent += payload?.byteLength ?? 0;
+      live.received = 0;
+      live.sent = 0;
+      emit(true);
+      return {
+        url: xhr.responseURL || url,
+        method,
+        headers: parseHeaders(xhr.getAllResponseHeaders()),
+        body: [response],
+        statusCode: xhr.status,
+        statusMessage: xhr.statusText,
+      };
+    },
+  };
+
+  return {
+    http,
+    onProgress: ({ phase, loaded, total }) => setPhase(phase, loaded ?? 0, total ?? 0),
+    cancel: () => {
+      cancelled = true;
+      for (const xhr of inFlight) xhr.abort();
+      for (const reject of waiting) reject(cancelledError());
+    },
+    isCancelled: () => cancelled,
+    throwIfCancelled,
+    wait: ms => new Promise((resolve, reject) => {
+      if (cancelled) { reject(cancelledError()); return; }
+      const timer = setTimeout(() => {
+        waiting.delete(stop);
+        resolve();
+      }, ms);
+      const stop = err => {
+        clearTimeout(timer);
+        waiting.delete(stop);
+        reject(err);
+      };
+      waiting.add(stop);
+    }),
+  };
+}
+
+/** Whether `err` is a transfer stopped by cancel() */
+export function isCancelled(err) {
+  return err?.code === 'Cancelled';
+}
+
+/** Whether `err` is a request that never got a response (connection failed or timed out) */
+export function isNetworkError(err) {
+  return err?.code === 'NetworkError';
+}
+
+function cancelledError() {
+  const err = new Error('Cancelled');
+  err.code = 'Cancelled';
+  return err;
+}
+
+function networkError(message) {
+  const err = new Error(message);
+  err.code = 'NetworkError';
+  return err;
+}
+
+/** Request bodies come from isomorphic-git as (async) iterables of Uint8Arrays */
+async function collect(body) {
+  const chunks = [];
+  for await (const chunk of body) chunks.push(chunk);
+  return Buffer.concat(chunks);
+}
+
+function send(xhr, { url, method, headers, payload }, { onDownload, onUpload }) {
+  return new Promise((resolve, reject) => {
+    xhr.open(method, url);
+    xhr.responseType = 'arraybuffer';
+    for (const [name, value] of Object.entries(headers)) xhr.setRequestHeader(name, value);
+    xhr.onprogress = e => onDownload(e.loaded, e.lengthComputable ? e.total : 0);
+    if (xhr.upload) xhr.upload.onprogress = e => onUpload(e.loaded, e.lengthComputable ? e.total : 0);
+    xhr.onload = () => resolve();
+    xhr.onerror = () => reject(networkError(`Network request failed: ${method} ${url}`));
+    xhr.ontimeout = () => reject(networkError(`Network request timed out: ${method} ${url}`));
+    xhr.onabort = () => reject(new Error('Request aborted'));
+    xhr.send(payload ? payload.buffer.slice(payload.byteOffset, payload.byteOffset + payload.byteLength) : null);
+  });
+}
+
+function parseHeaders(raw) {
+  const headers = {};
+  for (const line of (raw ?? '').split(/\r?\n/)) {
+    const colon = line.indexOf(':');
+    if (colon > 0) headers[line.slice(0, colon).trim().toLowerCase()] = line.slice(colon + 1).trim();
+  }
+  return headers;
+}
+
+/** '1.4 MB' */
+export function formatBytes(n) {
+  if (n < 1024) return `${n} B`;
+  if (n < 1024 * 1024) return `${(n / 1024).toFixed(1)} kB`;
+  return `${(n / (1024 * 1024)).toFixed(1)} MB`;
+}
+
+/** '2 min 05 s' / '40 s' */
+export function formatEta(seconds) {
+  if (seconds < 60) return `${seconds} s`;
+  return `${Math.floor(seconds / 60)} min ${String(seconds % 60).padStart(2, '0')} s`;
+}
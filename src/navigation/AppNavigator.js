@@ -14,6 +14,10 @@ import RemoteScreen from '../screens/RemoteScreen';
 import PRScreen from '../screens/PRScreen';
 import PeerScreen from '../screens/PeerScreen';
 import SettingsScreen from '../screens/SettingsScreen';
+import ConflictsScreen from '../screens/ConflictsScreen';
+import CommitScreen from '../screens/CommitScreen';
+import FileHistoryScreen from '../screens/FileHistoryScreen';
+import FileRevisionScreen from '../screens/FileRevisionScreen';
 import { useNetworkStatus } from '../hooks/useNetworkStatus';
 import { useStore } from '../store/useStore';
 
@@ -134,6 +138,10 @@ export default function AppNavigator() {
           })}
         />
         <Stack.Screen name="Settings" component={SettingsScreen} options={{ title: 'Settings' }} />
+        <Stack.Screen name="Conflicts" component={ConflictsScreen} options={{ title: 'Resolve Conflicts' }} />
+        <Stack.Screen name="Commit" component={CommitScreen} options={{ title: 'Commit' }} />
+        <Stack.Screen name="FileHistory" component={FileHistoryScreen} options={{ title: 'File History' }} />
+        <Stack.Screen name="FileRevision" component={FileRevisionScreen} options={{ title: 'File' }} />
       </Stack.Navigator>
     </NavigationContainer>
   );
@@ -1,23 +1,49 @@
 import React, { useEffect, useState, useCallback } from 'react';
 import {
-  View, Text, FlatList, TouchableOpacity,
+  View, Text, FlatList, SectionList, TouchableOpacity,
   StyleSheet, ActivityIndicator, Alert, TextInput, Modal,
 } from 'react-native';
-import { listBranches, createBranch, checkoutBranch, deleteBranch } from '../git/gitOps';
+import {
+  listBranches, createBranch, checkoutBranch, checkoutRemoteBranch, deleteBranch,
+  mergeBranch, getMergeState, abortMerge,
+  rebaseBranch, getRebaseState, abortRebase,
+  stashPush,
+  listTags, createTag, deleteTag, pushTag, pushAllTags, fetchTags,
+} from '../git/gitOps';
+import { createTransfer, isCancelled } from '../git/transfer';
 import { useStore } from '../store/useStore';
 
-export default function BranchesScreen({ route }) {
+export default function BranchesScreen({ route, navigation }) {
   const { dir } = route.params;
-  const { updateRepoBranch } = useStore();
+  const { updateRepoBranch, creds } = useStore();
   const [data, setData] = useState(null);
   const [loading, setLoading] = useState(true);
+  const [merging, setMerging] = useState(null);   // in-progress merge state
+  const [rebasing, setRebasing] = useState(null); // in-progress rebase state
+  const [busy, setBusy] = useState(false);
+  const [transfer, setTransfer] = useState(null);   // createTransfer() handle of the running tag push/fetch
+  const [progress, setProgress] = useState(null);
+  const [actionItem, setActionItem] = useState(null); // branch whose action sheet is open
   const [showNew, setShowNew] = useState(false);
   const [newBranch, setNewBranch] = useState('');
+  const [newFrom, setNewFrom] = useState(null);     // remote branch the new branch starts from, if any
+  const [existing, setExisting] = useState(null);   // { item, name, ahead, behind } when a remote branch's name is taken locally
+  const [section, setSection] = useState('branches'); // 'branches' | 'tags'
+  const [tags, setTags] = useState([]);
+  const [actionTag, setActionTag] = useState(null); // tag whose action sheet is open
+  const [newTag, setNewTag] = useState(null);       // { name, target, message } while the create sheet is open
+  const [remote, setRemote] = useState('origin');   // remote tags are pushed to and fetched from
 
   const load = useCallback(async () => {
     try {
-      const b = await listBranches(dir);
+      const [b, m, r, t] = await Promise.all([
+        listBranches(dir), getMergeState(dir), getRebaseState(dir), listTags(dir),
+      ]);
       setData(b);
+      setRemote(cur => (b.remotes.includes(cur) ? cur : b.remotes[0] ?? 'origin'));
+      setMerging(m);
+      setRebasing(r);
+      setTags(t);
       if (b.current) updateRepoBranch(dir, b.current);
     } catch (e) { Alert.alert('Error', e.message); }
     finally { setLoading(false); }
@@ -25,15 +51,74 @@ export default function BranchesScreen({ route }) {
 
   useEffect(() => { load(); }, [load]);
 
-  const checkout = async (name) => {
+  // The Log tab opens the create-tag sheet on a chosen commit
+  const tagAt = route.params.tagAt;
+  useEffect(() => {
+    if (!tagAt) return;
+    navigation.setParams({ tagAt: undefined });
+    setSection('tags');
+    setNewTag({ name: '', target: tagAt, message: '' });
+  }, [tagAt, navigation]);
+
+  /**
+   * Switch branches with `run(carry)`, offering to carry or stash local
+   * changes when they are in the way.
+   */
+  const attemptCheckout = async (name, run, carry = false) => {
     try {
-      await checkoutBranch(dir, name);
+      await run(carry);
+      load();
+    } catch (e) {
+      if (e.code === 'UncommittedChanges') {
+        Alert.alert('Uncommitted changes', `${e.message}\n\nBring these changes over to "${name}"?`, [
+          { text: 'Cancel', style: 'cancel' },
+          { text: 'Carry over', onPress: () => attemptCheckout(name, run, true) },
+        ]);
+      } else if (e.code === 'CheckoutConflict') {
+        Alert.alert('Checkout blocked', e.message, [
+          { text: 'Cancel', style: 'cancel' },
+          { text: 'Stash & checkout', onPress: () => stashAndCheckout(name, run) },
+        ]);
+      } else {
+        Alert.alert('Checkout failed', e.message);
+      }
+    }
+  };
+
+  const stashAndCheckout = async (name, run) => {
+    try {
+      await stashPush(dir, {
+        message: `before checkout of ${name}`,
+        authorName: creds.name || 'GitLane User',
+        authorEmail: creds.email || 'user@gitlane.app',
+      });
+      await run(false);
       load();
     } catch (e) { Alert.alert('Checkout failed', e.message); }
   };
 
+  const checkout = (name) => attemptCheckout(name, carry => checkoutBranch(dir, name, { carry }));
+
+  /** Create a local branch tracking remote branch `item` and switch to it */
+  const checkoutRemote = (item, { localName = item.name, fastForward = false } = {}) =>
+    attemptCheckout(localName, async (carry) => {
+      try {
+        await checkoutRemoteBranch(dir, item.remote, item.name, { localName, carry, fastForward });
+      } catch (e) {
+        if (e.code !== 'BranchExists') throw e;
+        setExisting({ item, ...e.existing });
+      }
+    });
+
   const doCreate = async () => {
     if (!newBranch.trim()) return;
+    if (newFrom) {
+      setShowNew(false);
+      setNewBranch('');
+      setNewFrom(null);
+      checkoutRemote(newFrom, { localName: newBranch.trim() });
+      return;
+    }
     try {
       await createBranch(dir, newBranch.trim(), true);
       setShowNew(false);
@@ -42,6 +127,11 @@ export default function BranchesScreen({ route }) {
     } catch (e) { Alert.alert('Create failed', e.message); }
   };
 
+  const closeNew = () => {
+    setShowNew(false);
+    setNewFrom(null);
+  };
+
   const doDelete = (name) => {
     Alert.alert('Delete Branch', `Delete "${name}"?`, [
       { text: 'Cancel', style: 'cancel' },
@@ -54,42 +144,448 @@ export default function BranchesScreen({ route }) {
     ]);
   };
 
+  const doMerge = async (name) => {
+    setBusy(true);
+    try {
+      const r = await mergeBranch(dir, name, creds.name || 'GitLane User', creds.email || 'user@gitlane.app');
+      if (r.conflicts.length) {
+        Alert.alert(
+          'Merge conflicts',
+          `${r.conflicts.length} file(s) need resolving:\n\n${r.conflicts.join('\n')}`,
+          [
+            { text: 'Later', style: 'cancel' },
+            { text: 'Resolve', onPress: () => navigation.navigate('Conflicts', { dir }) },
+          ],
+        );
+      } else if (r.alreadyMerged) {
+        Alert.alert('Already up to date', `${name} is already merged into ${data.current}.`);
+      } else {
+        Alert.alert(
+          r.fastForward ? 'Fast-forwarded' : 'Merged',
+          r.fastForward
+            ? `${data.current} moved to ${r.oid.slice(0, 7)}.`
+            : `Created merge commit ${r.oid.slice(0, 7)}.`,
+        );
+      }
+    } catch (e) { Alert.alert('Merge failed', e.message); }
+    finally {
+      setBusy(false);
+      load();
+    }
+  };
+
+  const confirmMerge = (name) => {
+    Alert.alert('Merge Branch', `Merge "${name}" into "${data.current}"?`, [
+      { text: 'Cancel', style: 'cancel' },
+      { text: 'Merge', onPress: () => doMerge(name) },
+    ]);
+  };
+
+  const doRebase = async (onto) => {
+    setBusy(true);
+    try {
+      const r = await rebaseBranch(dir, onto, creds.name || 'GitLane User', creds.email || 'user@gitlane.app');
+      if (r.status === 'conflict') {
+        Alert.alert(
+          'Rebase stopped',
+          `Replaying a commit conflicts in:\n\n${r.conflicts.join('\n')}`,
+          [
+            { text: 'Later', style: 'cancel' },
+            { text: 'Resolve', onPress: () => navigation.navigate('Conflicts', { dir }) },
+          ],
+        );
+      } else if (r.status === 'up-to-date') {
+        Alert.alert('Already up to date', `${data.current} already contains ${onto}.`);
+      } else {
+        Alert.alert('Rebased ✓', `${data.current} now sits on top of ${onto}.`);
+      }
+    } catch (e) { Alert.alert('Rebase failed', e.message); }
+    finally {
+      setBusy(false);
+      load();
+    }
+  };
+
+  const confirmRebase = (onto) => {
+    Alert.alert(
+      'Rebase Branch',
+      `Replay the commits of "${data.current}" on top of "${onto}"?\n\nThis rewrites ${data.current}'s history.`,
+      [
+        { text: 'Cancel', style: 'cancel' },
+        { text: 'Rebase', onPress: () => doRebase(onto) },
+      ],
+    );
+  };
+
+  const doAbort = () => {
+    const what = merging ? 'merge' : 'rebase';
+    Alert.alert(`Abort ${merging ? 'Merge' : 'Rebase'}`, `Discard the ${what} and all conflict resolutions so far?`, [
+      { text: `Keep ${merging ? 'merging' : 'rebasing'}`, style: 'cancel' },
+      {
+        text: 'Abort', style: 'destructive', onPress: async () => {
+          try {
+            if (merging) await abortMerge(dir);
+            else await abortRebase(dir);
+            load();
+          } catch (e) { Alert.alert('Abort failed', e.message); }
+        },
+      },
+    ]);
+  };
+
+  const token = creds.token || null;
+
+  /**
+   * Run a tag operation behind the busy overlay, then reload. With `network`,
+   * `fn` gets a transfer to pass on to the push/fetch so it can be cancelled.
+   */
+  const tagOp = async (title, fn, { network = false } = {}) => {
+    const t = network ? createTransfer(setProgress) : null;
+    setTransfer(t);
+    setBusy(true);
+    try {
+      const done = await fn(t);
+      if (done) Alert.alert(title, done);
+    } catch (e) {
+      if (isCancelled(e)) Alert.alert(`${title} cancelled`);
+      else Alert.alert(`${title} failed`, e.message);
+    } finally {
+      setBusy(false);
+      setTransfer(null);
+      setProgress(null);
+      load();
+    }
+  };
+
+  const doCreateTag = () => {
+    const { name, target, message } = newTag;
+    if (!name.trim()) return;
+    setNewTag(null);
+    tagOp('Create tag', async () => {
+      await createTag(dir, name.trim(), {
+        target: target.trim() || 'HEAD',
+        message,
+        authorName: creds.name || 'GitLane User',
+        authorEmail: creds.email || 'user@gitlane.app',
+      });
+    });
+  };
+
+  const doDeleteTag = (tag) => {
+    Alert.alert('Delete Tag', `Delete "${tag.name}" from this device?
+
+A copy already pushed to a remote stays there.`, [
+      { text: 'Cancel', style: 'cancel' },
+      { text: 'Delete', style: 'destructive', onPress: () => tagOp('Delete tag', () => deleteTag(dir, tag.name)) },
+    ]);
+  };
+
+  const doPushTag = (tag) => tagOp('Push tag', async (t) => {
+    await pushTag(dir, tag.name, token, { remote, transfer: t });
+    return `${tag.name} pushed to ${remote}.`;
+  }, { network: true });
+
+  const doPushAllTags = () => tagOp('Push tags', async (t) => {
+    const { pushed, failed } = await pushAllTags(dir, token, { remote, transfer: t });
+    if (!pushed.length && !failed.length) return `${remote} already has every tag.`;
+    return [
+      pushed.length ? `Pushed ${pushed.length}: ${pushed.join(', ')}` : '',
+      failed.length ? `Failed ${failed.length}:\n${failed.map(f => `${f.name} — ${f.message}`).join('\n')}` : '',
+    ].filter(Boolean).join('\n\n');
+  }, { network: true });
+
+  const doFetchTags = () => tagOp('Fetch tags', async (t) => {
+    const fetched = await fetchTags(dir, token, { remote, transfer: t });
+    return fetched.length ? `New tags: ${fetched.join(', ')}` : `No new tags on ${remote}.`;
+  }, { network: true });
+
+  /** Actions offered in the long-press sheet for a branch row */
+  const actionsFor = (item) => {
+    const name = item.fullName ?? item.name;
+    const actions = [];
+    if (data.current && !merging && !rebasing) {
+      actions.push({ label: `Merge into ${data.current}`, onPress: () => confirmMerge(name) });
+      actions.push({ label: `Rebase ${data.current} onto this`, onPress: () => confirmRebase(name) });
+    }
+    if (!item.isRemote) actions.push({ label: 'Delete', destructive: true, onPress: () => doDelete(item.name) });
+    return actions;
+  };
+
+  const showActions = (item) => {
+    if (!item.isCurrent && actionsFor(item).length) setActionItem(item);
+  };
+
   if (loading) return <View style={s.center}><ActivityIndicator color="#58a6ff" size="large" /></View>;
 
-  const all = [...(data?.local ?? []), ...(data?.remote ?? [])];
+  // Local branches, then one section per remote
+  const sections = [
+    { title: 'LOCAL', data: data?.local ?? [] },
+    ...(data?.remotes ?? []).map(name => ({
+      title: name,
+      isRemote: true,
+      data: data.remote.filter(b => b.remote === name),
+    })),
+  ];
+
+  const sectionTabs = (
+    <View style={s.sectionTabs}>
+      {[['branches', 'Branches'], ['tags', `Tags (${tags.length})`]].map(([key, label]) => (
+        <TouchableOpacity key={key} style={[s.sectionTab, section === key && s.sectionTabOn]} onPress={() => setSection(key)}>
+          <Text style={[s.sectionText, section === key && s.sectionTextOn]}>{label}</Text>
+        </TouchableOpacity>
+      ))}
+    </View>
+  );
 
   return (
     <View style={s.container}>
-      <FlatList
-        data={all}
-        keyExtractor={b => b.fullName ?? b.name}
-        ListHeaderComponent={
-          <TouchableOpacity style={s.newBtn} onPress={() => setShowNew(true)}>
-            <Text style={s.newBtnText}>＋  New Branch</Text>
-          </TouchableOpacity>
-        }
-        renderItem={({ item }) => (
-          <TouchableOpacity
-            style={[s.row, item.isCurrent && s.rowActive]}
-            onPress={() => !item.isRemote && checkout(item.name)}
-            onLongPress={() => !item.isCurrent && !item.isRemote && doDelete(item.name)}
-          >
-            <Text style={s.branchIcon}>{item.isRemote ? '☁' : '⎇'}</Text>
-            <View style={{ flex: 1 }}>
-              <Text style={[s.name, item.isCurrent && s.nameCurrent]}>
-                {item.name}
-              </Text>
-              {item.isRemote && <Text style={s.remote}>remote</Text>}
+      {section === 'tags' ? (
+        <FlatList
+          data={tags}
+          keyExtractor={t => t.name}
+          ListHeaderComponent={
+            <>
+              {sectionTabs}
+              <TouchableOpacity style={s.newBtn} onPress={() => setNewTag({ name: '', target: 'HEAD', message: '' })}>
+                <Text style={s.newBtnText}>＋  New Tag</Text>
+              </TouchableOpacity>
+              {data.remotes.length > 1 && (
+                <View style={s.remoteRow}>
+                  {data.remotes.map(r => (
+                    <TouchableOpacity key={r} style={[s.remoteChip, remote === r && s.remoteChipOn]} onPress={() => setRemote(r)}>
+                      <Text style={[s.remoteChipText, remote === r && s.remoteChipTextOn]}>{r}</Text>
+                    </TouchableOpacity>
+                  ))}
+                </View>
+              )}
+              <View style={s.tagTools}>
+                <TouchableOpacity style={s.toolBtn} onPress={doFetchTags}>
+                  <Text style={s.toolText}>⬇ Fetch tags</Text>
+                </TouchableOpacity>
+                <TouchableOpacity style={s.toolBtn} onPress={doPushAllTags} disabled={!tags.length}>
+                  <Text style={[s.toolText, !tags.length && s.toolTextDim]}>⬆ Push all tags</Text>
+                </TouchableOpacity>
+              </View>
+            </>
+          }
+          ListEmptyComponent={<Text style={s.empty}>No tags yet</Text>}
+          renderItem={({ item }) => (
+            <TouchableOpacity
+              style={s.row}
+              onPress={() => navigation.navigate('Commit', { dir, sha: item.oid })}
+              onLongPress={() => setActionTag(item)}
+            >
+              <Text style={s.branchIcon}>🏷</Text>
+              <View style={{ flex: 1 }}>
+                <Text style={s.name}>{item.name}</Text>
+                <Text style={s.remote} numberOfLines={1}>
+                  {item.oid.slice(0, 7)}
+                  {item.annotated ? ` · ${item.message.split('\n')[0]}` : ' · lightweight'}
+                </Text>
+              </View>
+              {item.annotated && <Text style={s.tagKind}>annotated</Text>}
+            </TouchableOpacity>
+          )}
+        />
+      ) : (
+        <SectionList
+          sections={sections}
+          keyExtractor={b => b.fullName ?? b.name}
+          stickySectionHeadersEnabled={false}
+          renderSectionHeader={({ section: group }) => (
+            <Text style={s.sectionHeader}>
+              {group.isRemote ? `☁  ${group.title}` : group.title}
+              {group.isRemote && !group.data.length ? '  — not fetched yet' : ''}
+            </Text>
+          )}
+          ListHeaderComponent={
+            <>
+              {(merging || rebasing) && (
+                <View style={s.mergeBanner}>
+                  <View style={{ flex: 1 }}>
+                    <Text style={s.mergeTitle}>{merging ? 'Merge' : 'Rebase'} in progress</Text>
+                    <Text style={s.mergeSub} numberOfLines={2}>
+                      {merging
+                        ? merging.message || `Merging ${merging.theirs.slice(0, 7)}`
+                        : `${rebasing.done}/${rebasing.total} commits replayed onto ${rebasing.onto.slice(0, 7)}`}
+                      {(merging ?? rebasing).conflicts.length
+                        ? ` — ${(merging ?? rebasing).conflicts.length} conflicted file(s)`
+                        : ''}
+                    </Text>
+                  </View>
+                  {(rebasing || merging.conflicts.length > 0) && (
+                    <TouchableOpacity style={s.resolveBtn} onPress={() => navigation.navigate('Conflicts', { dir })}>
+                      <Text style={s.resolveText}>{rebasing ? 'Continue' : 'Resolve'}</Text>
+                    </TouchableOpacity>
+                  )}
+                  <TouchableOpacity style={s.abortBtn} onPress={doAbort}>
+                    <Text style={s.abortText}>Abort</Text>
+                  </TouchableOpacity>
+                </View>
+              )}
+              {sectionTabs}
+              <TouchableOpacity style={s.newBtn} onPress={() => { setNewFrom(null); setShowNew(true); }}>
+                <Text style={s.newBtnText}>＋  New Branch</Text>
+              </TouchableOpacity>
+            </>
+          }
+          renderItem={({ item }) => (
+            <TouchableOpacity
+              style={[s.row, item.isCurrent && s.rowActive]}
+              onPress={() => (item.isRemote ? checkoutRemote(item) : checkout(item.name))}
+              onLongPress={() => showActions(item)}
+            >
+              <Text style={s.branchIcon}>{item.isRemote ? '☁' : '⎇'}</Text>
+              <View style={{ flex: 1 }}>
+                <Text style={[s.name, item.isCurrent && s.nameCurrent]}>
+                  {item.name}
+                </Text>
+                {item.tracking && <TrackingLine tracking={item.tracking} />}
+              </View>
+              {item.isCurrent && <Text style={s.current}>● current</Text>}
+            </TouchableOpacity>
+          )}
+        />
+      )}
+
+      {busy && (
+        <View style={s.busyOverlay}>
+          <ActivityIndicator color="#58a6ff" size="large" />
+          {transfer && (
+            <>
+              <Text style={s.busyPhase}>{progress?.phase ?? 'Connecting'}</Text>
+              <TouchableOpacity style={s.busyCancel} onPress={() => transfer.cancel()}>
+                <Text style={s.abortText}>Cancel</Text>
+              </TouchableOpacity>
+            </>
+          )}
+        </View>
+      )}
+
+      <Modal visible={!!actionItem} transparent animationType="slide" onRequestClose={() => setActionItem(null)}>
+        <TouchableOpacity style={s.modalOverlay} activeOpacity={1} onPress={() => setActionItem(null)}>
+          <View style={s.modal}>
+            <Text style={s.modalTitle}>{actionItem?.fullName ?? actionItem?.name}</Text>
+            {actionItem && actionsFor(actionItem).map(action => (
+              <TouchableOpacity
+                key={action.label}
+                style={s.sheetRow}
+                onPress={() => { setActionItem(null); action.onPress(); }}
+              >
+                <Text style={[s.sheetText, action.destructive && s.sheetDanger]}>{action.label}</Text>
+              </TouchableOpacity>
+            ))}
+          </View>
+        </TouchableOpacity>
+      </Modal>
+
+      <Modal visible={!!actionTag} transparent animationType="slide" onRequestClose={() => setActionTag(null)}>
+        <TouchableOpacity style={s.modalOverlay} activeOpacity={1} onPress={() => setActionTag(null)}>
+          <View style={s.modal}>
+            <Text style={s.modalTitle}>🏷 {actionTag?.name}</Text>
+            {[
+              { label: 'View commit', onPress: () => navigation.navigate('Commit', { dir, sha: actionTag.oid }) },
+              { label: `Push to ${remote}`, onPress: () => doPushTag(actionTag) },
+              { label: 'Delete', destructive: true, onPress: () => doDeleteTag(actionTag) },
+            ].map(action => (
+              <TouchableOpacity
+                key={action.label}
+                style={s.sheetRow}
+                onPress={() => { setActionTag(null); action.onPress(); }}
+              >
+                <Text style={[s.sheetText, action.destructive && s.sheetDanger]}>{action.label}</Text>
+              </TouchableOpacity>
+            ))}
+          </View>
+        </TouchableOpacity>
+      </Modal>
+
+      <Modal visible={!!newTag} transparent animationType="slide" onRequestClose={() => setNewTag(null)}>
+        <View style={s.modalOverlay}>
+          <View style={s.modal}>
+            <Text style={s.modalTitle}>New Tag</Text>
+            <TextInput
+              style={s.modalInput}
+              placeholder="v1.0.0"
+              placeholderTextColor="#8b949e"
+              value={newTag?.name}
+              onChangeText={name => setNewTag(t => ({ ...t, name }))}
+              autoFocus
+              autoCapitalize="none"
+            />
+            <Text style={s.fieldLabel}>AT COMMIT</Text>
+            <TextInput
+              style={s.modalInput}
+              placeholder="HEAD, branch, tag or commit SHA"
+              placeholderTextColor="#8b949e"
+              value={newTag?.target}
+              onChangeText={target => setNewTag(t => ({ ...t, target }))}
+              autoCapitalize="none"
+              autoCorrect={false}
+            />
+            <Text style={s.fieldLabel}>MESSAGE (makes an annotated tag)</Text>
+            <TextInput
+              style={[s.modalInput, s.messageInput]}
+              placeholder="Leave empty for a lightweight tag"
+              placeholderTextColor="#8b949e"
+              value={newTag?.message}
+              onChangeText={message => setNewTag(t => ({ ...t, message }))}
+              multiline
+            />
+            <View style={s.modalActions}>
+              <TouchableOpacity style={s.cancelBtn} onPress={() => setNewTag(null)}>
+                <Text style={s.cancelText}>Cancel</Text>
+              </TouchableOpacity>
+              <TouchableOpacity style={s.createBtn} onPress={doCreateTag}>
+                <Text style={s.createText}>{newTag?.message.trim() ? 'Create Annotated Tag' : 'Create Tag'}</Text>
+              </TouchableOpacity>
             </View>
-            {item.isCurrent && <Text style={s.current}>● current</Text>}
-          </TouchableOpacity>
-        )}
-      />
+          </View>
+        </View>
+      </Modal>
+
+      <Modal visible={!!existing} transparent animationType="slide" onRequestClose={() => setExisting(null)}>
+        <TouchableOpacity style={s.modalOverlay} activeOpacity={1} onPress={() => setExisting(null)}>
+          <View style={s.modal}>
+            <Text style={s.modalTitle}>"{existing?.name}" already exists</Text>
+            <Text style={s.modalSub}>
+              {existing && (existing.ahead
+                ? `The local branch has ${existing.ahead} commit(s) that are not on ${existing.item.fullName}` +
+                  (existing.behind ? ` and is ${existing.behind} behind it.` : '.')
+                : `The local branch is ${existing.behind} commit(s) behind ${existing.item.fullName}.`)}
+            </Text>
+            {existing && [
+              { label: `Check out local ${existing.name}`, onPress: () => checkout(existing.name) },
+              !existing.ahead && {
+                label: `Fast-forward ${existing.name} and check out`,
+                onPress: () => checkoutRemote(existing.item, { fastForward: true }),
+              },
+              {
+                label: 'Create under another name…',
+                onPress: () => {
+                  setNewFrom(existing.item);
+                  setNewBranch(`${existing.item.remote}-${existing.item.name}`);
+                  setShowNew(true);
+                },
+              },
+            ].filter(Boolean).map(action => (
+              <TouchableOpacity
+                key={action.label}
+                style={s.sheetRow}
+                onPress={() => { setExisting(null); action.onPress(); }}
+              >
+                <Text style={s.sheetText}>{action.label}</Text>
+              </TouchableOpacity>
+            ))}
+          </View>
+        </TouchableOpacity>
+      </Modal>
 
-      <Modal visible={showNew} transparent animationType="slide">
+      <Modal visible={showNew} transparent animationType="slide" onRequestClose={closeNew}>
         <View style={s.modalOverlay}>
           <View style={s.modal}>
             <Text style={s.modalTitle}>New Branch</Text>
+            {newFrom && <Text style={s.modalSub}>Starting from {newFrom.fullName}, tracking it</Text>}
             <TextInput
               style={s.modalInput}
               placeholder="branch-name"
@@ -100,7 +596,7 @@ export default function BranchesScreen({ route }) {
               autoCapitalize="none"
             />
             <View style={s.modalActions}>
-              <TouchableOpacity style={s.cancelBtn} onPress={() => setShowNew(false)}>
+              <TouchableOpacity style={s.cancelBtn} onPress={closeNew}>
                 <Text style={s.cancelText}>Cancel</Text>
               </TouchableOpacity>
               <TouchableOpacity style={s.createBtn} onPress={doCreate}>
@@ -114,6 +610,20 @@ export default function BranchesScreen({ route }) {
   );
 }
 
+/** "origin/main ↑2 ↓1" under a local branch that has an upstream */
+function TrackingLine({ tracking }) {
+  const { upstream, ahead, behind, gone } = tracking;
+  return (
+    <Text style={s.remote} numberOfLines={1}>
+      {upstream}
+      {gone && <Text style={s.gone}>  gone</Text>}
+      {!gone && !ahead && !behind && '  ✓ up to date'}
+      {ahead > 0 && <Text style={s.ahead}>  ↑{ahead}</Text>}
+      {behind > 0 && <Text style={s.behind}>  ↓{behind}</Text>}
+    </Text>
+  );
+}
+
 const s = StyleSheet.create({
   container: { flex: 1, backgroundColor: '#0d1117' },
   center: { flex: 1, alignItems: 'center', justifyContent: 'center' },
@@ -122,27 +632,94 @@ const s = StyleSheet.create({
     paddingVertical: 12, alignItems: 'center',
   },
   newBtnText: { color: '#fff', fontWeight: '700', fontSize: 15 },
+  sectionTabs: { flexDirection: 'row', gap: 8, marginHorizontal: 16, marginTop: 16 },
+  sectionTab: {
+    flex: 1, alignItems: 'center', paddingVertical: 8,
+    borderRadius: 8, borderWidth: 1, borderColor: '#30363d',
+  },
+  sectionTabOn: { borderColor: '#58a6ff', backgroundColor: '#1c2a3a' },
+  sectionText: { color: '#8b949e', fontWeight: '600', fontSize: 14 },
+  sectionTextOn: { color: '#58a6ff' },
+  tagTools: { flexDirection: 'row', gap: 8, marginHorizontal: 16, marginTop: -4, marginBottom: 12 },
+  toolBtn: {
+    flex: 1, alignItems: 'center', paddingVertical: 9,
+    borderRadius: 8, borderWidth: 1, borderColor: '#30363d',
+  },
+  toolText: { color: '#58a6ff', fontWeight: '600', fontSize: 13 },
+  toolTextDim: { color: '#3d444d' },
+  remoteRow: { flexDirection: 'row', flexWrap: 'wrap', gap: 8, marginHorizontal: 16, marginBottom: 10 },
+  remoteChip: {
+    borderWidth: 1, borderColor: '#30363d', borderRadius: 14,
+    paddingHorizontal: 12, paddingVertical: 5,
+  },
+  remoteChipOn: { borderColor: '#58a6ff', backgroundColor: '#1c2a3a' },
+  remoteChipText: { color: '#8b949e', fontSize: 13, fontWeight: '600' },
+  remoteChipTextOn: { color: '#58a6ff' },
+  tagKind: {
+    color: '#d29922', fontSize: 11, borderWidth: 1, borderColor: '#d29922',
+    borderRadius: 10, paddingHorizontal: 7, paddingVertical: 1,
+  },
+  empty: { color: '#8b949e', textAlign: 'center', padding: 30 },
+  sectionHeader: {
+    color: '#8b949e', fontSize: 11, fontWeight: '700', letterSpacing: 0.8,
+    paddingHorizontal: 16, paddingTop: 14, paddingBottom: 6,
+  },
   row: {
     flexDirection: 'row', alignItems: 'center',
     paddingHorizontal: 16, paddingVertical: 14,
     borderBottomWidth: 1, borderBottomColor: '#161b22',
   },
+  mergeBanner: {
+    flexDirection: 'row', alignItems: 'center', margin: 16, marginBottom: 0,
+    padding: 12, borderRadius: 10, borderWidth: 1,
+    borderColor: '#d29922', backgroundColor: '#d2992215',
+  },
+  mergeTitle: { color: '#d29922', fontWeight: '700', fontSize: 14 },
+  mergeSub: { color: '#8b949e', fontSize: 12, marginTop: 2 },
+  abortBtn: {
+    borderWidth: 1, borderColor: '#f78166', borderRadius: 6,
+    paddingHorizontal: 12, paddingVertical: 6, marginLeft: 10,
+  },
+  resolveBtn: {
+    backgroundColor: '#d29922', borderRadius: 6,
+    paddingHorizontal: 12, paddingVertical: 6, marginLeft: 10,
+  },
+  resolveText: { color: '#0d1117', fontWeight: '700', fontSize: 13 },
+  abortText: { color: '#f78166', fontWeight: '600', fontSize: 13 },
+  busyOverlay: {
+    ...StyleSheet.absoluteFillObject, backgroundColor: '#0d111788',
+    alignItems: 'center', justifyContent: 'center',
+  },
+  busyPhase: { color: '#c9d1d9', fontSize: 13, marginTop: 12 },
+  busyCancel: {
+    borderWidth: 1, borderColor: '#f78166', borderRadius: 6,
+    paddingHorizontal: 14, paddingVertical: 6, marginTop: 12,
+  },
   rowActive: { backgroundColor: '#161b22' },
   branchIcon: { fontSize: 18, marginRight: 12, color: '#8b949e' },
   name: { color: '#c9d1d9', fontSize: 15 },
   nameCurrent: { color: '#58a6ff', fontWeight: '600' },
   remote: { color: '#8b949e', fontSize: 11, marginTop: 2 },
   current: { color: '#3fb950', fontSize: 12 },
+  ahead: { color: '#3fb950', fontWeight: '600' },
+  behind: { color: '#d29922', fontWeight: '600' },
+  gone: { color: '#f78166' },
   modalOverlay: { flex: 1, backgroundColor: '#00000088', justifyContent: 'flex-end' },
   modal: {
     backgroundColor: '#161b22', borderTopLeftRadius: 16, borderTopRightRadius: 16,
     padding: 24, paddingBottom: 40,
   },
   modalTitle: { color: '#c9d1d9', fontSize: 18, fontWeight: '700', marginBottom: 16 },
+  modalSub: { color: '#8b949e', fontSize: 13, marginTop: -8, marginBottom: 16 },
+  sheetRow: { paddingVertical: 14, borderTopWidth: 1, borderTopColor: '#21262d' },
+  sheetText: { color: '#c9d1d9', fontSize: 15 },
+  sheetDanger: { color: '#f78166' },
   modalInput: {
     backgroundColor: '#0d1117', borderWidth: 1, borderColor: '#30363d',
     borderRadius: 8, color: '#c9d1d9', padding: 12, fontSize: 15, marginBottom: 16,
   },
+  fieldLabel: { color: '#8b949e', fontSize: 11, fontWeight: '700', letterSpacing: 0.8, marginBottom: 6 },
+  messageInput: { minHeight: 70, textAlignVertical: 'top' },
   modalActions: { flexDirection: 'row', gap: 10 },
   cancelBtn: {
     flex: 1, borderWidth: 1, borderColor: '#30363d',
@@ -2,20 +2,27 @@ import React, { useState, useCallback, useRef } from 'react';
 import { useFocusEffect } from '@react-navigation/native';
 import {
   View, Text, TouchableOpacity, TextInput,
-  StyleSheet, ActivityIndicator, Alert, ScrollView, RefreshControl,
+  StyleSheet, ActivityIndicator, Alert, ScrollView, RefreshControl, Modal, Switch,
 } from 'react-native';
-import { getStatus, stageFile, unstageFile, stageAll, unstageAll, commit, diffFile } from '../git/gitOps';
+import {
+  getStatus, stageFile, unstageFile, stageAll, unstageAll, commit, getLastCommit, amendCommit,
+  getFileHunks, stageLines, unstageLines, getMergeState, getRebaseState, getPickState,
+  listStashes, stashPush, stashApply, stashPop, stashDrop,
+} from '../git/gitOps';
 import { useStore } from '../store/useStore';
 
 const LABEL = {
   'new': 'U', 'staged-new': 'A',
   'modified': 'M', 'staged-modified': 'M',
   'deleted': 'D', 'staged-deleted': 'D',
+  'conflicted': 'C',
 };
+const OP_TITLE = { 'merge': 'Merge', 'cherry-pick': 'Cherry-pick', 'revert': 'Revert' };
 const COLOR = {
   'new': '#3fb950', 'staged-new': '#3fb950',
   'modified': '#d29922', 'staged-modified': '#d29922',
   'deleted': '#f78166', 'staged-deleted': '#f78166',
+  'conflicted': '#f78166',
 };
 
 /** Compute new status string after staging/unstaging */
@@ -32,7 +39,7 @@ function flipStatus(status, toStaged) {
   return status;
 }
 
-export default function ChangesScreen({ route }) {
+export default function ChangesScreen({ route, navigation }) {
   const { dir } = route.params;
   const { creds } = useStore();
 
@@ -41,27 +48,49 @@ export default function ChangesScreen({ route }) {
   const [refreshing, setRefreshing] = useState(false);
   const [commitMsg, setCommitMsg] = useState('');
   const [committing, setCommitting] = useState(false);
-  const [diffView, setDiffView] = useState(null); // { path, content }
+  const [amend, setAmend] = useState(null); // HEAD commit (+ resetAuthor) while amend mode is on
+  const [diffView, setDiffView] = useState(null); // { file, staged, hunks, binary, loading }
+  const [selected, setSelected] = useState(new Set()); // line keys picked in the diff view
+  const [applying, setApplying] = useState(false);
+  const [merge, setMerge] = useState(null);   // in-progress merge / cherry-pick / revert ({ kind, ... }), if any
+  const [rebase, setRebase] = useState(null); // in-progress rebase, if any
+  const [stashes, setStashes] = useState([]);
+  const [stashForm, setStashForm] = useState(null); // { message, includeUntracked } while the modal is open
+  const [stashing, setStashing] = useState(false);
 
   const loaded = useRef(false);
 
   const fetchStatus = useCallback(async () => {
     try {
-      const status = await getStatus(dir);
+      const [status, m, r, p, st] = await Promise.all([
+        getStatus(dir), getMergeState(dir), getRebaseState(dir), getPickState(dir), listStashes(dir),
+      ]);
+      // A stopped cherry-pick/revert is finished by a commit, just like a merge
+      const pending = m ? { ...m, kind: 'merge' } : p;
       setFiles(status);
+      setMerge(pending);
+      setRebase(r);
+      setStashes(st);
+      if (pending) setCommitMsg(prev => prev || pending.message);
     } catch (e) {
       Alert.alert('Status error', e.message);
     }
   }, [dir]);
 
-  // Load once on first focus; after that user pulls to refresh
+  // Load once on first focus; after that user pulls to refresh.
+  // While merging/rebasing, conflicts get resolved elsewhere, so refresh on every focus.
+  const merging = !!merge || !!rebase;
   useFocusEffect(useCallback(() => {
     if (!loaded.current) {
       loaded.current = true;
       setLoading(true);
       fetchStatus().finally(() => setLoading(false));
+    } else if (merging) {
+      fetchStatus();
     }
-  }, [fetchStatus]));
+  }, [fetchStatus, merging]));
+
+  const openConflicts = () => navigation.navigate('Conflicts', { dir });
 
   const pullRefresh = useCallback(async () => {
     setRefreshing(true);
@@ -71,10 +100,11 @@ export default function ChangesScreen({ route }) {
 
   // ── Optimistic toggle ──────────────────────────────────────────────────────
   const toggle = async (file) => {
+    if (file.status === 'conflicted') { openConflicts(); return; }
     const toStaged = !file.staged;
     // Update UI immediately
     setFiles(prev => prev.map(f =>
-      f.path !== file.path ? f : { ...f, staged: toStaged, status: flipStatus(f.status, toStaged) }
+      f.path !== file.path ? f : { ...f, staged: toStaged, partial: false, status: flipStatus(f.status, toStaged) }
     ));
     try {
       if (file.staged) await unstageFile(dir, file.path);
@@ -83,15 +113,22 @@ export default function ChangesScreen({ route }) {
       Alert.alert('Error', e.message);
       // Revert on failure
       setFiles(prev => prev.map(f =>
-        f.path !== file.path ? f : { ...f, staged: file.staged, status: file.status }
+        f.path !== file.path ? f : { ...f, staged: file.staged, partial: file.partial, status: file.status }
       ));
     }
   };
 
   // ── Optimistic Stage All ───────────────────────────────────────────────────
   const doStageAll = async () => {
+    if ((merge ?? rebase)?.conflicts.length) {
+      Alert.alert('Unresolved conflicts', 'Resolve the conflicted files before staging everything.', [
+        { text: 'Cancel', style: 'cancel' },
+        { text: 'Resolve', onPress: openConflicts },
+      ]);
+      return;
+    }
     setFiles(prev => prev.map(f =>
-      f.staged ? f : { ...f, staged: true, status: flipStatus(f.status, true) }
+      f.staged && !f.partial ? f : { ...f, staged: true, partial: false, status: flipStatus(f.status, true) }
     ));
     try {
       await stageAll(dir);
@@ -104,7 +141,7 @@ export default function ChangesScreen({ route }) {
   // ── Optimistic Unstage All ─────────────────────────────────────────────────
   const doUnstageAll = async () => {
     setFiles(prev => prev.map(f =>
-      !f.staged ? f : { ...f, staged: false, status: flipStatus(f.status, false) }
+      !f.staged ? f : { ...f, staged: false, partial: false, status: flipStatus(f.status, false) }
     ));
     try {
       await unstageAll(dir);
@@ -115,19 +152,111 @@ export default function ChangesScreen({ route }) {
   };
 
   // ── Diff view ──────────────────────────────────────────────────────────────
-  const viewDiff = async (file) => {
+  const loadHunks = async (file, staged) => {
+    setSelected(new Set());
+    setDiffView({ file, staged, hunks: [], binary: false, loading: true });
     try {
-      const content = await diffFile(dir, file.path);
-      setDiffView({ path: file.path, content: content || '(no diff available)' });
+      const { hunks, binary } = await getFileHunks(dir, file.path, { staged });
+      setDiffView({ file, staged, hunks, binary, loading: false });
     } catch (e) {
-      setDiffView({ path: file.path, content: '(error loading diff)' });
+      setDiffView({ file, staged, hunks: [], binary: false, loading: false, error: e.message });
+    }
+  };
+
+  const viewDiff = (file) => {
+    if (file.status === 'conflicted') openConflicts();
+    else loadHunks(file, file.staged);
+  };
+
+  const toggleLine = (key) => {
+    setSelected(prev => {
+      const next = new Set(prev);
+      if (next.has(key)) next.delete(key);
+      else next.add(key);
+      return next;
+    });
+  };
+
+  // Stage / unstage a set of line keys — a hunk button passes all of its keys
+  const applyLines = async (keys) => {
+    if (!keys.length) return;
+    const { file, staged } = diffView;
+    setApplying(true);
+    try {
+      if (staged) await unstageLines(dir, file.path, keys);
+      else        await stageLines(dir, file.path, keys);
+      const { hunks, binary } = await getFileHunks(dir, file.path, { staged });
+      await fetchStatus();
+      setSelected(new Set());
+      // Nothing left on this side — back to the file list
+      if (!hunks.length) setDiffView(null);
+      else setDiffView({ file, staged, hunks, binary, loading: false });
+    } catch (e) {
+      Alert.alert(staged ? 'Unstage failed' : 'Stage failed', e.message);
+    } finally {
+      setApplying(false);
     }
   };
 
   // ── Commit ─────────────────────────────────────────────────────────────────
+  const toggleAmend = async (on) => {
+    if (!on) {
+      if (commitMsg === amend?.message) setCommitMsg('');
+      setAmend(null);
+      return;
+    }
+    try {
+      const last = await getLastCommit(dir);
+      setAmend({ ...last, resetAuthor: false });
+      setCommitMsg(prev => prev.trim() ? prev : last.message);
+    } catch (e) {
+      Alert.alert('Nothing to amend', e.message);
+    }
+  };
+
+  const doAmend = async () => {
+    const name  = creds.name  || 'GitLane User';
+    const email = creds.email || 'user@gitlane.app';
+    setCommitting(true);
+    try {
+      const sha = await amendCommit(dir, { message: commitMsg.trim(), resetAuthor: amend.resetAuthor, name, email });
+      Alert.alert('Amended ✓', `${amend.sha.slice(0, 7)} → ${sha.slice(0, 7)}`);
+      setCommitMsg('');
+      setAmend(null);
+      loaded.current = false;
+      setLoading(true);
+      fetchStatus().finally(() => setLoading(false));
+    } catch (e) {
+      Alert.alert('Amend failed', e.message);
+    } finally {
+      setCommitting(false);
+    }
+  };
+
+  const confirmAmend = () => {
+    if (!amend.pushed) { doAmend(); return; }
+    Alert.alert(
+      'Already pushed',
+      `${amend.sha.slice(0, 7)} is already on ${amend.remoteRef}. Amending rewrites it, and you will need to force push.`,
+      [
+        { text: 'Cancel', style: 'cancel' },
+        { text: 'Amend anyway', style: 'destructive', onPress: doAmend },
+      ],
+    );
+  };
+
   const doCommit = async () => {
+    if (amend) { confirmAmend(); return; }
+    if (rebase) {
+      // The rebase commits the stopped change itself when it continues
+      Alert.alert('Rebase in progress', 'Continue the rebase from Conflicts to commit the stopped change.', [
+        { text: 'Cancel', style: 'cancel' },
+        { text: 'Open Conflicts', onPress: openConflicts },
+      ]);
+      return;
+    }
     const staged = files.filter(f => f.staged);
-    if (!staged.length)      { Alert.alert('Nothing staged', 'Tap a file badge to stage it first.'); return; }
+    if (!staged.length && !merge) { Alert.alert('Nothing staged', 'Tap a file badge to stage it first.'); return; }
     if (!commitMsg.trim())   { Alert.alert('No message', 'Enter a commit message.'); return; }
     const name  = creds.name  || 'GitLane User';
     const email = creds.email || 'user@gitlane.app';
@@ -136,6 +265,7 @@ export default function ChangesScreen({ route }) {
       const sha = await commit(dir, commitMsg.trim(), name, email);
       Alert.alert('Committed ✓', `SHA: ${sha.slice(0, 7)}\n\nGo to Remote tab to push.`);
       setCommitMsg('');
+      setMerge(null);
       // Reload after commit
       loaded.current = false;
       setLoading(true);
@@ -147,21 +277,129 @@ export default function ChangesScreen({ route }) {
     }
   };
 
+  // ── Stash ──────────────────────────────────────────────────────────────────
+  const doStash = async () => {
+    setStashing(true);
+    try {
+      await stashPush(dir, {
+        message: stashForm.message,
+        includeUntracked: stashForm.includeUntracked,
+        authorName: creds.name || 'GitLane User',
+        authorEmail: creds.email || 'user@gitlane.app',
+      });
+      setStashForm(null);
+      await fetchStatus();
+    } catch (e) {
+      Alert.alert('Stash failed', e.message);
+    } finally {
+      setStashing(false);
+    }
+  };
+
+  const restoreStash = async (entry, pop) => {
+    setStashing(true);
+    try {
+      const { conflicts } = pop ? await stashPop(dir, entry.index) : await stashApply(dir, entry.index);
+      await fetchStatus();
+      if (conflicts.length) {
+        Alert.alert(
+          'Stash applied with conflicts',
+          `${conflicts.join('\n')}\n\n${pop ? 'The stash was kept. ' : ''}Resolve the conflicts to finish.`,
+          [
+            { text: 'Later', style: 'cancel' },
+            { text: 'Resolve', onPress: openConflicts },
+          ],
+        );
+      }
+    } catch (e) {
+      Alert.alert(pop ? 'Pop failed' : 'Apply failed', e.message);
+    } finally {
+      setStashing(false);
+    }
+  };
+
+  const dropStash = (entry) => {
+    Alert.alert('Drop Stash', `Delete stash@{${entry.index}}?\n\n${entry.message}`, [
+      { text: 'Cancel', style: 'cancel' },
+      {
+        text: 'Drop', style: 'destructive', onPress: async () => {
+          try { await stashDrop(dir, entry.index); await fetchStatus(); }
+          catch (e) { Alert.alert('Drop failed', e.message); }
+        },
+      },
+    ]);
+  };
+
   const staged   = files.filter(f => f.staged);
-  const unstaged = files.filter(f => !f.staged);
+  // Partially staged files show up in both lists, like `git status`
+  const unstaged = files.filter(f => !f.staged || f.partial).map(f => (f.partial ? { ...f, staged: false } : f));
+  // Amending may just reword HEAD, so it needs neither staged files nor a new message
+  const canCommit = !committing && (amend || ((staged.length > 0 || !!merge) && !!commitMsg.trim()));
 
   // ── Diff screen ────────────────────────────────────────────────────────────
   if (diffView) {
+    const { file, hunks } = diffView;
+    const verb = diffView.staged ? 'Unstage' : 'Stage';
     return (
       <View style={s.container}>
         <TouchableOpacity style={s.backBtn} onPress={() => setDiffView(null)}>
-          <Text style={s.backText} numberOfLines={1}>← {diffView.path}</Text>
+          <Text style={s.backText} numberOfLines={1}>← {file.path}</Text>
         </TouchableOpacity>
-        <ScrollView horizontal>
+
+        {file.partial && (
+          <View style={s.diffTabs}>
+            {[false, true].map(side => (
+              <TouchableOpacity
+                key={String(side)}
+                style={[s.diffTab, diffView.staged === side && s.diffTabActive]}
+                onPress={() => diffView.staged !== side && loadHunks(file, side)}
+              >
+                <Text style={[s.diffTabText, diffView.staged === side && s.diffTabTextActive]}>
+                  {side ? 'Staged' : 'Unstaged'}
+                </Text>
+              </TouchableOpacity>
+            ))}
+          </View>
+        )}
+
+        {diffView.loading ? (
+          <View style={s.center}><ActivityIndicator color="#58a6ff" /></View>
+        ) : diffView.error ? (
+          <Text style={s.diffNote}>(error loading diff: {diffView.error})</Text>
+        ) : diffView.binary ? (
+          <Text style={s.diffNote}>(binary file — stage it from the list)</Text>
+        ) : !hunks.length ? (
+          <Text style={s.diffNote}>(no changes)</Text>
+        ) : (
           <ScrollView>
-            <Text style={s.diffText}>{diffView.content}</Text>
+            <Text style={s.diffHint}>Tap lines to select them, or {verb.toLowerCase()} a whole hunk.</Text>
+            {hunks.map(hunk => (
+              <HunkView
+                key={hunk.header}
+                hunk={hunk}
+                verb={verb}
+                selected={selected}
+                disabled={applying}
+                onToggleLine={toggleLine}
+                onApply={() => applyLines(hunk.lines.filter(l => l.key).map(l => l.key))}
+              />
+            ))}
+            <View style={{ height: 80 }} />
           </ScrollView>
-        </ScrollView>
+        )}
+
+        {selected.size > 0 && (
+          <View style={s.selBar}>
+            <TouchableOpacity style={s.selClear} onPress={() => setSelected(new Set())} disabled={applying}>
+              <Text style={s.selClearText}>Clear</Text>
+            </TouchableOpacity>
+            <TouchableOpacity style={s.selApply} onPress={() => applyLines([...selected])} disabled={applying}>
+              {applying
+                ? <ActivityIndicator color="#fff" size="small" />
+                : <Text style={s.selApplyText}>{verb} {selected.size} line{selected.size > 1 ? 's' : ''}</Text>}
+            </TouchableOpacity>
+          </View>
+        )}
       </View>
     );
   }
@@ -186,6 +424,23 @@ export default function ChangesScreen({ route }) {
         <RefreshControl refreshing={refreshing} onRefresh={pullRefresh} tintColor="#58a6ff" />
       }
     >
+      {/* ── Merge banner ── */}
+      {(merge || rebase) && (
+        <TouchableOpacity style={s.mergeBanner} onPress={openConflicts}>
+          <View style={{ flex: 1 }}>
+            <Text style={s.mergeTitle}>{merge ? OP_TITLE[merge.kind] : 'Rebase'} in progress</Text>
+            <Text style={s.mergeSub}>
+              {(merge ?? rebase).conflicts.length
+                ? `${(merge ?? rebase).conflicts.length} conflicted file${(merge ?? rebase).conflicts.length > 1 ? 's' : ''} — tap to resolve`
+                : merge
+                  ? `All conflicts resolved — commit to finish the ${merge.kind}`
+                  : 'Tap to continue the rebase'}
+            </Text>
+          </View>
+          <Text style={s.mergeChevron}>›</Text>
+        </TouchableOpacity>
+      )}
+
       {/* ── Commit panel ── */}
       <View style={s.commitBox}>
         <TextInput
@@ -208,18 +463,55 @@ export default function ChangesScreen({ route }) {
             </TouchableOpacity>
           )}
 
+          {files.length > 0 && !merge && !rebase && (
+            <TouchableOpacity style={s.stageAllBtn} onPress={() => setStashForm({ message: '', includeUntracked: true })}>
+              <Text style={s.stageAllText}>Stash</Text>
+            </TouchableOpacity>
+          )}
+
           <TouchableOpacity
-            style={[s.commitBtn, (!staged.length || !commitMsg.trim() || committing) && s.commitBtnOff]}
+            style={[s.commitBtn, !canCommit && s.commitBtnOff]}
             onPress={doCommit}
-            disabled={committing || !staged.length || !commitMsg.trim()}
+            disabled={!canCommit}
           >
             {committing
               ? <ActivityIndicator color="#fff" size="small" />
-              : <Text style={s.commitBtnText}>Commit ({staged.length})</Text>}
+              : <Text style={s.commitBtnText}>{amend ? 'Amend' : 'Commit'} ({staged.length})</Text>}
           </TouchableOpacity>
         </View>
 
-        {staged.length > 0 && (
+        {!merge && !rebase && (
+          <View style={s.switchRow}>
+            <Text style={s.switchLabel}>Amend last commit</Text>
+            <Switch
+              value={!!amend}
+              onValueChange={toggleAmend}
+              trackColor={{ true: '#238636', false: '#30363d' }}
+            />
+          </View>
+        )}
+        {amend && (
+          <>
+            <Text style={s.amendHint}>
+              Rewriting {amend.sha.slice(0, 7)} by {amend.authorName} · staged files are added to it
+            </Text>
+            <View style={s.switchRow}>
+              <Text style={s.switchLabel}>Make me the author</Text>
+              <Switch
+                value={amend.resetAuthor}
+                onValueChange={resetAuthor => setAmend(a => ({ ...a, resetAuthor }))}
+                trackColor={{ true: '#238636', false: '#30363d' }}
+              />
+            </View>
+            {amend.pushed && (
+              <Text style={s.amendWarn}>
+                ⚠ Already pushed to {amend.remoteRef} — amending will require a force push
+              </Text>
+            )}
+          </>
+        )}
+
+        {staged.length > 0 && !amend && (
           <Text style={s.stagedHint}>{staged.length} file{staged.length > 1 ? 's' : ''} staged · type a message and commit</Text>
         )}
       </View>
@@ -249,11 +541,83 @@ export default function ChangesScreen({ route }) {
         </>
       )}
 
+      {/* ── Stashes ── */}
+      {stashes.length > 0 && (
+        <>
+          <Text style={s.sectionHead}>STASHES  ({stashes.length})</Text>
+          {stashes.map(entry => (
+            <StashRow
+              key={entry.oid}
+              entry={entry}
+              disabled={stashing}
+              onApply={() => restoreStash(entry, false)}
+              onPop={() => restoreStash(entry, true)}
+              onDrop={() => dropStash(entry)}
+            />
+          ))}
+        </>
+      )}
+
       <View style={{ height: 40 }} />
+
+      <Modal visible={!!stashForm} transparent animationType="slide" onRequestClose={() => setStashForm(null)}>
+        <View style={s.modalOverlay}>
+          <View style={s.modal}>
+            <Text style={s.modalTitle}>Stash Changes</Text>
+            <TextInput
+              style={s.commitInput}
+              placeholder="Message (optional)"
+              placeholderTextColor="#8b949e"
+              value={stashForm?.message ?? ''}
+              onChangeText={message => setStashForm(f => ({ ...f, message }))}
+            />
+            <View style={s.switchRow}>
+              <Text style={s.switchLabel}>Include untracked files</Text>
+              <Switch
+                value={stashForm?.includeUntracked ?? true}
+                onValueChange={includeUntracked => setStashForm(f => ({ ...f, includeUntracked }))}
+                trackColor={{ true: '#238636', false: '#30363d' }}
+              />
+            </View>
+            <View style={s.actions}>
+              <TouchableOpacity style={s.stageAllBtn} onPress={() => setStashForm(null)} disabled={stashing}>
+                <Text style={s.stageAllText}>Cancel</Text>
+              </TouchableOpacity>
+              <TouchableOpacity style={s.commitBtn} onPress={doStash} disabled={stashing}>
+                {stashing
+                  ? <ActivityIndicator color="#fff" size="small" />
+                  : <Text style={s.commitBtnText}>Stash</Text>}
+              </TouchableOpacity>
+            </View>
+          </View>
+        </View>
+      </Modal>
     </ScrollView>
   );
 }
 
+function StashRow({ entry, disabled, onApply, onPop, onDrop }) {
+  return (
+    <View style={s.stashRow}>
+      <View style={{ flex: 1 }}>
+        <Text style={s.fileText} numberOfLines={1}>{entry.message}</Text>
+        <Text style={s.stashMeta}>
+          stash@{'{'}{entry.index}{'}'} · {new Date(entry.timestamp).toLocaleString()}
+        </Text>
+      </View>
+      <TouchableOpacity style={s.stashBtn} onPress={onApply} disabled={disabled}>
+        <Text style={s.stashBtnText}>Apply</Text>
+      </TouchableOpacity>
+      <TouchableOpacity style={s.stashBtn} onPress={onPop} disabled={disabled}>
+        <Text style={s.stashBtnText}>Pop</Text>
+      </TouchableOpacity>
+      <TouchableOpacity style={s.stashBtn} onPress={onDrop} disabled={disabled}>
+        <Text style={[s.stashBtnText, s.stashDrop]}>Drop</Text>
+      </TouchableOpacity>
+    </View>
+  );
+}
+
 function FileRow({ file, onToggle, onDiff }) {
   const color = COLOR[file.status] ?? '#8b949e';
   const label = LABEL[file.status] ?? '?';
@@ -271,7 +635,11 @@ function FileRow({ file, onToggle, onDiff }) {
       {/* Filename — tap to view diff */}
       <TouchableOpacity style={s.filePath} onPress={() => onDiff(file)}>
         <Text style={s.fileText} numberOfLines={1}>{file.path}</Text>
-        <Text style={s.fileAction}>{file.staged ? 'tap to unstage' : 'tap badge to stage · tap name for diff'}</Text>
+        <Text style={s.fileAction}>
+          {file.status === 'conflicted'
+            ? 'conflict · tap to resolve'
+            : `${file.partial ? 'partially staged · ' : ''}${file.staged ? 'tap to unstage' : 'tap badge to stage · tap name for diff'}`}
+        </Text>
       </TouchableOpacity>
 
       {/* Staged checkmark */}
@@ -280,12 +648,52 @@ function FileRow({ file, onToggle, onDiff }) {
   );
 }
 
+function HunkView({ hunk, verb, selected, disabled, onToggleLine, onApply }) {
+  return (
+    <View style={s.hunk}>
+      <View style={s.hunkHead}>
+        <Text style={s.hunkHeader} numberOfLines={1}>{hunk.header}</Text>
+        <TouchableOpacity style={s.hunkBtn} onPress={onApply} disabled={disabled}>
+          <Text style={s.hunkBtnText}>{verb} hunk</Text>
+        </TouchableOpacity>
+      </View>
+      <ScrollView horizontal>
+        <View>
+          {hunk.lines.map(line => {
+            const text = `${line.type}${line.text}${line.eol ? '' : '  (no newline at end)'}`;
+            if (!line.key) {
+              return <Text key={`c${line.oldNo}`} style={s.diffLine}>{text}</Text>;
+            }
+            const picked = selected.has(line.key);
+            return (
+              <TouchableOpacity key={line.key} onPress={() => onToggleLine(line.key)} disabled={disabled}>
+                <Text style={[s.diffLine, line.type === '+' ? s.lineAdd : s.lineDel, picked && s.linePicked]}>
+                  {text}
+                </Text>
+              </TouchableOpacity>
+            );
+          })}
+        </View>
+      </ScrollView>
+    </View>
+  );
+}
+
 const s = StyleSheet.create({
   container: { flex: 1, backgroundColor: '#0d1117' },
   center:    { flex: 1, alignItems: 'center', justifyContent: 'center', gap: 10 },
   loadingHint:    { color: '#8b949e', fontSize: 14, marginTop: 12 },
   loadingSubHint: { color: '#30363d', fontSize: 12 },
 
+  mergeBanner: {
+    flexDirection: 'row', alignItems: 'center',
+    paddingHorizontal: 14, paddingVertical: 10,
+    backgroundColor: '#d2992215', borderBottomWidth: 1, borderBottomColor: '#d29922',
+  },
+  mergeTitle: { color: '#d29922', fontWeight: '700', fontSize: 13 },
+  mergeSub: { color: '#8b949e', fontSize: 12, marginTop: 2 },
+  mergeChevron: { color: '#d29922', fontSize: 20, marginLeft: 8 },
+
   commitBox: {
     backgroundColor: '#161b22',
     borderBottomWidth: 1, borderBottomColor: '#21262d',
@@ -317,6 +725,9 @@ const s = StyleSheet.create({
   commitBtnOff:  { backgroundColor: '#1a3520', opacity: 0.6 },
   commitBtnText: { color: '#fff', fontWeight: '700', fontSize: 14 },
 
+  amendHint: { color: '#8b949e', fontSize: 12, marginTop: 8 },
+  amendWarn: { color: '#d29922', fontSize: 12, marginTop: 8 },
+
   stagedHint: { color: '#3fb950', fontSize: 12, marginTop: 8, textAlign: 'center' },
 
   cleanBox: { alignItems: 'center', paddingTop: 60, paddingBottom: 20, gap: 8 },
@@ -352,5 +763,67 @@ const s = StyleSheet.create({
 
   backBtn: { padding: 14, borderBottomWidth: 1, borderBottomColor: '#21262d' },
   backText: { color: '#58a6ff', fontSize: 14 },
-  diffText: { fontFamily: 'monospace', fontSize: 12, color: '#c9d1d9', padding: 14, lineHeight: 18 },
+  diffNote: { color: '#8b949e', fontSize: 13, padding: 16 },
+  diffHint: { color: '#8b949e', fontSize: 11, paddingHorizontal: 14, paddingTop: 10 },
+
+  diffTabs: { flexDirection: 'row', borderBottomWidth: 1, borderBottomColor: '#21262d' },
+  diffTab: { flex: 1, paddingVertical: 10, alignItems: 'center' },
+  diffTabActive: { borderBottomWidth: 2, borderBottomColor: '#58a6ff' },
+  diffTabText: { color: '#8b949e', fontSize: 13, fontWeight: '600' },
+  diffTabTextActive: { color: '#58a6ff' },
+
+  hunk: { marginTop: 10, borderTopWidth: 1, borderBottomWidth: 1, borderColor: '#21262d' },
+  hunkHead: {
+    flexDirection: 'row', alignItems: 'center', backgroundColor: '#161b22',
+    paddingHorizontal: 14, paddingVertical: 6,
+  },
+  hunkHeader: { flex: 1, color: '#8b949e', fontFamily: 'monospace', fontSize: 12 },
+  hunkBtn: {
+    paddingVertical: 5, paddingHorizontal: 10, borderRadius: 6,
+    borderWidth: 1, borderColor: '#30363d', backgroundColor: '#21262d',
+  },
+  hunkBtnText: { color: '#c9d1d9', fontSize: 12, fontWeight: '600' },
+
+  diffLine: {
+    fontFamily: 'monospace', fontSize: 12, color: '#c9d1d9',
+    paddingHorizontal: 14, lineHeight: 18,
+    borderLeftWidth: 3, borderLeftColor: 'transparent',
+  },
+  lineAdd: { color: '#3fb950', backgroundColor: '#0d1a0d' },
+  lineDel: { color: '#f78166', backgroundColor: '#1a0d0d' },
+  linePicked: { borderLeftColor: '#58a6ff', backgroundColor: '#1c2a3a' },
+
+  stashRow: {
+    flexDirection: 'row', alignItems: 'center', gap: 6,
+    paddingHorizontal: 14, paddingVertical: 10,
+    borderBottomWidth: 1, borderBottomColor: '#161b22',
+  },
+  stashMeta: { color: '#8b949e', fontSize: 10, marginTop: 2 },
+  stashBtn: {
+    paddingVertical: 5, paddingHorizontal: 9, borderRadius: 6,
+    borderWidth: 1, borderColor: '#30363d', backgroundColor: '#21262d',
+  },
+  stashBtnText: { color: '#c9d1d9', fontSize: 12, fontWeight: '600' },
+  stashDrop: { color: '#f78166' },
+
+  modalOverlay: { flex: 1, backgroundColor: '#00000088', justifyContent: 'flex-end' },
+  modal: {
+    backgroundColor: '#161b22', borderTopLeftRadius: 16, borderTopRightRadius: 16,
+    padding: 24, paddingBottom: 40,
+  },
+  modalTitle: { color: '#c9d1d9', fontSize: 18, fontWeight: '700', marginBottom: 16 },
+  switchRow: { flexDirection: 'row', alignItems: 'center', justifyContent: 'space-between', marginTop: 14 },
+  switchLabel: { color: '#c9d1d9', fontSize: 14 },
+
+  selBar: {
+    flexDirection: 'row', gap: 8, padding: 12,
+    backgroundColor: '#161b22', borderTopWidth: 1, borderTopColor: '#21262d',
+  },
+  selClear: {
+    paddingVertical: 10, paddingHorizontal: 16, borderRadius: 8,
+    borderWidth: 1, borderColor: '#30363d',
+  },
+  selClearText: { color: '#8b949e', fontSize: 13 },
+  selApply: { flex: 1, backgroundColor: '#238636', borderRadius: 8, paddingVertical: 10, alignItems: 'center' },
+  selApplyText: { color: '#fff', fontWeight: '700', fontSize: 13 },
 });
@@ -1,9 +1,10 @@
-import React, { useState } from 'react';
+import React, { useRef, useState } from 'react';
 import {
   View, Text, TextInput, TouchableOpacity,
   StyleSheet, ScrollView, ActivityIndicator, Alert,
 } from 'react-native';
 import { cloneRepo } from '../git/gitOps';
+import { createTransfer, isCancelled, formatBytes, formatEta } from '../git/transfer';
 import { useStore } from '../store/useStore';
 
 export default function CloneScreen({ navigation }) {
@@ -11,6 +12,15 @@ export default function CloneScreen({ navigation }) {
   const [name, setName] = useState('');
   const [loading, setLoading] = useState(false);
   const [progress, setProgress] = useState(null);
+  const [cancelling, setCancelling] = useState(false);
+  const [retries, setRetries] = useState([]); // onRetry reports of this clone
+  const transfer = useRef(null);
+  const [history, setHistory] = useState('shallow'); // 'shallow' | 'full'
+  const [depth, setDepth] = useState('50');
+  const [allBranches, setAllBranches] = useState(false);
+  const [ref, setRef] = useState('');
+  const [someFolders, setSomeFolders] = useState(false);
+  const [folders, setFolders] = useState('');
   const { creds, addRepo, setCloneProgress } = useStore();
 
   const deriveRepoName = (rawUrl) => {
@@ -27,29 +37,47 @@ export default function CloneScreen({ navigation }) {
     const trimUrl = url.trim();
     const trimName = (name.trim() || deriveRepoName(trimUrl));
     if (!trimUrl) { Alert.alert('Error', 'Enter a repository URL'); return; }
+    const n = parseInt(depth, 10);
+    if (history === 'shallow' && !(n > 0)) { Alert.alert('Error', 'Depth must be a positive number of commits'); return; }
+    const sparse = someFolders ? folders.split('\n').map(f => f.trim()).filter(Boolean) : null;
 
     setLoading(true);
-    setProgress({ phase: 'Preparing...', loaded: 0, total: 0 });
+    setCancelling(false);
+    setProgress(null);
+    setRetries([]);
+    transfer.current = createTransfer((p) => {
+      setProgress(p);
+      setCloneProgress(p);
+    });
 
     try {
-      const repo = await cloneRepo(trimUrl, trimName, creds.token || null, (p) => {
-        setProgress(p);
-        setCloneProgress(p);
+      const repo = await cloneRepo(trimUrl, trimName, creds.token || null, transfer.current, {
+        depth: history === 'shallow' ? n : null,
+        singleBranch: !allBranches,
+        ref: ref.trim() || null,
+        sparse,
+        onRetry: r => setRetries(prev => [...prev, r]),
       });
-      await addRepo({ ...repo, branch: 'main', url: trimUrl });
-      setCloneProgress(null);
+      // A tag leaves HEAD detached; show the tag until a branch is checked out
+      await addRepo({ ...repo, branch: repo.branch ?? ref.trim(), url: trimUrl });
       navigation.goBack();
     } catch (e) {
-      Alert.alert('Clone Failed', e.message ?? String(e));
+      // A cancelled clone has already removed what it wrote
+      if (!isCancelled(e)) Alert.alert('Clone Failed', e.message ?? String(e));
     } finally {
+      transfer.current = null;
+      setCloneProgress(null);
       setLoading(false);
       setProgress(null);
     }
   };
 
-  const pct = progress?.total > 0
-    ? Math.round((progress.loaded / progress.total) * 100)
-    : null;
+  const handleCancel = () => {
+    setCancelling(true);
+    transfer.current?.cancel();
+  };
+
+  const pct = progress?.percent ?? null;
 
   return (
     <ScrollView style={s.container} keyboardShouldPersistTaps="handled">
@@ -78,6 +106,64 @@ export default function CloneScreen({ navigation }) {
         autoCorrect={false}
       />
 
+      <Text style={s.label}>History</Text>
+      <View style={s.optionRow}>
+        <Option label="Recent commits" on={history === 'shallow'} onPress={() => setHistory('shallow')} />
+        <Option label="Full history" on={history === 'full'} onPress={() => setHistory('full')} />
+      </View>
+      {history === 'shallow' && (
+        <View style={s.depthRow}>
+          <TextInput
+            style={[s.input, s.depthInput]}
+            value={depth}
+            onChangeText={setDepth}
+            keyboardType="number-pad"
+          />
+          <Text style={s.optionHint}>latest commits — fetch more later from the Remote tab</Text>
+        </View>
+      )}
+
+      <Text style={s.label}>Branches</Text>
+      <View style={s.optionRow}>
+        <Option label="Single branch" on={!allBranches} onPress={() => setAllBranches(false)} />
+        <Option label="All branches" on={allBranches} onPress={() => setAllBranches(true)} />
+      </View>
+
+      <Text style={s.label}>Branch or tag to check out</Text>
+      <TextInput
+        style={s.input}
+        placeholder="Default branch"
+        placeholderTextColor="#8b949e"
+        value={ref}
+        onChangeText={setRef}
+        autoCapitalize="none"
+        autoCorrect={false}
+      />
+
+      <Text style={s.label}>Folders</Text>
+      <View style={s.optionRow}>
+        <Option label="Everything" on={!someFolders} onPress={() => setSomeFolders(false)} />
+        <Option label="Only some" on={someFolders} onPress={() => setSomeFolders(true)} />
+      </View>
+      {someFolders && (
+        <>
+          <TextInput
+            style={[s.input, s.foldersInput]}
+            placeholder={'src/app\ndocs'}
+            placeholderTextColor="#8b949e"
+            value={folders}
+            onChangeText={setFolders}
+            multiline
+            autoCapitalize="none"
+            autoCorrect={false}
+            textAlignVertical="top"
+          />
+          <Text style={[s.optionHint, s.foldersHint]}>
+            One folder per line. Files in the repo root are always checked out; change the folders later from the Files tab.
+          </Text>
+        </>
+      )}
+
       {creds.token ? (
         <View style={s.tokenBadge}>
           <Text style={s.tokenText}>🔑  Using saved PAT token</Text>
@@ -91,7 +177,9 @@ export default function CloneScreen({ navigation }) {
       {loading && (
         <View style={s.progressBox}>
           <ActivityIndicator color="#58a6ff" />
-          <Text style={s.progressPhase}>{progress?.phase ?? 'Working...'}</Text>
+          <Text style={s.progressPhase}>
+            {cancelling ? 'Cancelling...' : progress?.phase ?? 'Preparing...'}
+          </Text>
           {pct !== null && (
             <>
               <View style={s.progressTrack}>
@@ -100,6 +188,21 @@ export default function CloneScreen({ navigation }) {
               <Text style={s.progressPct}>{pct}%</Text>
             </>
           )}
+          {progress?.received > 0 && (
+            <Text style={s.progressStats}>
+              {formatBytes(progress.received)}
+              {progress.bytesPerSecond > 0 ? `  ·  ${formatBytes(progress.bytesPerSecond)}/s` : ''}
+              {progress.etaSeconds != null ? `  ·  ${formatEta(progress.etaSeconds)} left` : ''}
+            </Text>
+          )}
+          {retries.map(r => (
+            <Text key={r.attempt} style={s.retryText}>
+              Attempt {r.attempt} of {r.attempts} failed: {r.error} — trying again after {r.delaySeconds} s
+            </Text>
+          ))}
+          <TouchableOpacity style={s.cancelBtn} onPress={handleCancel} disabled={cancelling}>
+            <Text style={s.cancelText}>Cancel</Text>
+          </TouchableOpacity>
         </View>
       )}
 
@@ -114,6 +217,14 @@ export default function CloneScreen({ navigation }) {
   );
 }
 
+function Option({ label, on, onPress }) {
+  return (
+    <TouchableOpacity style={[s.option, on && s.optionOn]} onPress={onPress}>
+      <Text style={[s.optionText, on && s.optionTextOn]}>{label}</Text>
+    </TouchableOpacity>
+  );
+}
+
 const s = StyleSheet.create({
   container: { flex: 1, backgroundColor: '#0d1117', padding: 20 },
   heading: { fontSize: 20, fontWeight: '700', color: '#c9d1d9', marginBottom: 24 },
@@ -122,6 +233,19 @@ const s = StyleSheet.create({
     backgroundColor: '#161b22', borderWidth: 1, borderColor: '#30363d',
     borderRadius: 8, color: '#c9d1d9', padding: 12, fontSize: 15,
   },
+  optionRow: { flexDirection: 'row', gap: 8 },
+  option: {
+    flex: 1, alignItems: 'center', paddingVertical: 10,
+    borderRadius: 8, borderWidth: 1, borderColor: '#30363d', backgroundColor: '#161b22',
+  },
+  optionOn: { borderColor: '#58a6ff', backgroundColor: '#1c2a3a' },
+  optionText: { color: '#8b949e', fontSize: 14, fontWeight: '600' },
+  optionTextOn: { color: '#58a6ff' },
+  depthRow: { flexDirection: 'row', alignItems: 'center', gap: 10, marginTop: 8 },
+  depthInput: { width: 80, textAlign: 'center' },
+  optionHint: { flex: 1, color: '#8b949e', fontSize: 12 },
+  foldersInput: { marginTop: 8, minHeight: 80, fontFamily: 'monospace', fontSize: 13 },
+  foldersHint: { marginTop: 6 },
   tokenBadge: {
     marginTop: 16, backgroundColor: '#1a2d1a', borderRadius: 8,
     padding: 10, borderWidth: 1, borderColor: '#3fb950',
@@ -142,6 +266,13 @@ const s = StyleSheet.create({
   },
   progressFill: { height: '100%', backgroundColor: '#58a6ff', borderRadius: 3 },
   progressPct: { color: '#58a6ff', fontSize: 13, fontWeight: '600' },
+  progressStats: { color: '#8b949e', fontSize: 12, fontFamily: 'monospace' },
+  retryText: { color: '#d29922', fontSize: 12, alignSelf: 'stretch' },
+  cancelBtn: {
+    marginTop: 4, borderWidth: 1, borderColor: '#f78166', borderRadius: 8,
+    paddingHorizontal: 18, paddingVertical: 6,
+  },
+  cancelText: { color: '#f78166', fontSize: 13, fontWeight: '700' },
   btn: {
     marginTop: 28, backgroundColor: '#238636', borderRadius: 10,
     paddingVertical: 14, alignItems: 'center',
@@ -0,0 +1,191 @@
+import React, { useEffect, useState } from 'react';
+import {
+  View, Text, TouchableOpacity, ScrollView,
+  StyleSheet, ActivityIndicator,
+} from 'react-native';
+import { getCommitDetail } from '../git/gitOps';
+
+const STATUS = {
+  added:    { label: 'A', color: '#3fb950' },
+  modified: { label: 'M', color: '#d29922' },
+  deleted:  { label: 'D', color: '#f78166' },
+};
+
+function formatDate(ms) {
+  return new Date(ms).toLocaleString('en-US', {
+    month: 'short', day: 'numeric', year: 'numeric', hour: '2-digit', minute: '2-digit',
+  });
+}
+
+export default function CommitScreen({ route, navigation }) {
+  const { dir, sha } = route.params;
+  const [detail, setDetail] = useState(null);
+  const [error, setError] = useState(null);
+  const [open, setOpen] = useState(new Set()); // paths whose diff is expanded
+
+  useEffect(() => {
+    navigation.setOptions({ title: sha.slice(0, 7) });
+    getCommitDetail(dir, sha)
+      .then(d => {
+        setDetail(d);
+        // Small commits read best fully expanded
+        if (d.files.length <= 3) setOpen(new Set(d.files.map(f => f.path)));
+      })
+      .catch(e => setError(e.message ?? String(e)));
+  }, [dir, sha, navigation]);
+
+  const toggle = (path) => {
+    setOpen(prev => {
+      const next = new Set(prev);
+      if (next.has(path)) next.delete(path);
+      else next.add(path);
+      return next;
+    });
+  };
+
+  if (error) return <View style={s.center}><Text style={s.err}>{error}</Text></View>;
+  if (!detail) return <View style={s.center}><ActivityIndicator color="#58a6ff" size="large" /></View>;
+
+  const [summary, ...rest] = detail.message.split('\n');
+  const body = rest.join('\n').trim();
+  const { author, committer, stats } = detail;
+  const sameCommitter = committer.name === author.name && committer.email === author.email;
+
+  return (
+    <ScrollView style={s.container}>
+      <View style={s.headerCard}>
+        <Text style={s.summary}>{summary}</Text>
+        {!!body && <Text style={s.body} selectable>{body}</Text>}
+        <Text style={s.sha} selectable>{detail.sha}</Text>
+
+        <Text style={s.metaLabel}>AUTHOR</Text>
+        <Text style={s.person}>{author.name} &lt;{author.email}&gt;</Text>
+        <Text style={s.date}>{formatDate(author.at)}</Text>
+        {(!sameCommitter || committer.at !== author.at) && (
+          <>
+            <Text style={s.metaLabel}>COMMITTER</Text>
+            <Text style={s.person}>{committer.name} &lt;{committer.email}&gt;</Text>
+            <Text style={s.date}>{formatDate(committer.at)}</Text>
+          </>
+        )}
+
+        <Text style={s.metaLabel}>{detail.parentShas.length > 1 ? 'PARENTS' : 'PARENT'}</Text>
+        {detail.parentShas.length ? (
+          <View style={s.parents}>
+            {detail.parentShas.map(p => (
+              <TouchableOpacity key={p} style={s.parentChip} onPress={() => navigation.push('Commit', { dir, sha: p })}>
+                <Text style={s.parentText}>{p.slice(0, 7)}</Text>
+              </TouchableOpacity>
+            ))}
+          </View>
+        ) : (
+          <Text style={s.date}>(root commit)</Text>
+        )}
+      </View>
+
+      <Text style={s.stats}>
+        {stats.files} file{stats.files === 1 ? '' : 's'} changed
+        <Text style={s.add}>  +{stats.additions}</Text>
+        <Text style={s.del}>  −{stats.deletions}</Text>
+        {detail.parentShas.length > 1 ? '  (vs first parent)' : ''}
+      </Text>
+
+      {detail.files.map(file => (
+        <View key={file.path}>
+          <TouchableOpacity style={s.fileRow} onPress={() => toggle(file.path)}>
+            <View style={[s.badge, { borderColor: STATUS[file.status].color }]}>
+              <Text style={[s.badgeText, { color: STATUS[file.status].color }]}>{STATUS[file.status].label}</Text>
+            </View>
+            <Text style={s.path} numberOfLines={1}>{file.path}</Text>
+            {file.binary
+              ? <Text style={s.fileStat}>binary</Text>
+              : (
+                <Text style={s.fileStat}>
+                  <Text style={s.add}>+{file.additions}</Text> <Text style={s.del}>−{file.deletions}</Text>
+                </Text>
+              )}
+            <Text style={s.chevron}>{open.has(file.path) ? '⌄' : '›'}</Text>
+          </TouchableOpacity>
+          {open.has(file.path) && <FileDiff file={file} />}
+        </View>
+      ))}
+      <View style={{ height: 40 }} />
+    </ScrollView>
+  );
+}
+
+export function FileDiff({ file }) {
+  if (file.binary) return <Text style={s.note}>(binary file)</Text>;
+  if (!file.hunks.length) return <Text style={s.note}>(no textual changes)</Text>;
+  return file.hunks.map(hunk => (
+    <View key={hunk.header} style={s.hunk}>
+      <Text style={s.hunkHeader} numberOfLines={1}>{hunk.header}</Text>
+      <ScrollView horizontal>
+        <View>
+          {hunk.lines.map((line, i) => (
+            <Text
+              key={i}
+              style={[s.diffLine, line.type === '+' && s.lineAdd, line.type === '-' && s.lineDel]}
+            >
+              {`${line.type}${line.text}${line.eol ? '' : '  (no newline at end)'}`}
+            </Text>
+          ))}
+        </View>
+      </ScrollView>
+    </View>
+  ));
+}
+
+const s = StyleSheet.create({
+  container: { flex: 1, backgroundColor: '#0d1117' },
+  center: { flex: 1, backgroundColor: '#0d1117', alignItems: 'center', justifyContent: 'center' },
+  err: { color: '#f78166', padding: 20, textAlign: 'center' },
+
+  headerCard: {
+    backgroundColor: '#161b22', padding: 16,
+    borderBottomWidth: 1, borderBottomColor: '#21262d',
+  },
+  summary: { color: '#c9d1d9', fontSize: 17, fontWeight: '700' },
+  body: { color: '#c9d1d9', fontSize: 14, marginTop: 10, lineHeight: 20 },
+  sha: { color: '#58a6ff', fontFamily: 'monospace', fontSize: 12, marginTop: 12 },
+  metaLabel: { color: '#8b949e', fontSize: 11, fontWeight: '700', letterSpacing: 0.8, marginTop: 14 },
+  person: { color: '#c9d1d9', fontSize: 14, marginTop: 4 },
+  date: { color: '#8b949e', fontSize: 12, marginTop: 2 },
+  parents: { flexDirection: 'row', gap: 8, marginTop: 6 },
+  parentChip: {
+    backgroundColor: '#0d1117', borderWidth: 1, borderColor: '#30363d',
+    borderRadius: 6, paddingHorizontal: 10, paddingVertical: 4,
+  },
+  parentText: { color: '#58a6ff', fontFamily: 'monospace', fontSize: 13 },
+
+  stats: { color: '#8b949e', fontSize: 13, paddingHorizontal: 16, paddingVertical: 12 },
+  add: { color: '#3fb950' },
+  del: { color: '#f78166' },
+
+  fileRow: {
+    flexDirection: 'row', alignItems: 'center',
+    paddingHorizontal: 14, paddingVertical: 12,
+    borderTopWidth: 1, borderTopColor: '#161b22',
+  },
+  badge: {
+    width: 24, height: 24, borderRadius: 6, borderWidth: 1.5,
+    alignItems: 'center', justifyContent: 'center', marginRight: 10,
+  },
+  badgeText: { fontSize: 12, fontWeight: '700' },
+  path: { flex: 1, color: '#c9d1d9', fontSize: 13, fontFamily: 'monospace' },
+  fileStat: { color: '#8b949e', fontSize: 12, marginLeft: 8 },
+  chevron: { color: '#8b949e', fontSize: 18, marginLeft: 8, width: 14, textAlign: 'center' },
+
+  note: { color: '#8b949e', fontSize: 13, paddingHorizontal: 16, paddingBottom: 12 },
+  hunk: { borderTopWidth: 1, borderColor: '#21262d' },
+  hunkHeader: {
+    color: '#8b949e', fontFamily: 'monospace', fontSize: 12,
+    backgroundColor: '#161b22', paddingHorizontal: 14, paddingVertical: 6,
+  },
+  diffLine: {
+    fontFamily: 'monospace', fontSize: 12, color: '#c9d1d9',
+    paddingHorizontal: 14, lineHeight: 18,
+  },
+  lineAdd: { color: '#3fb950', backgroundColor: '#0d1a0d' },
+  lineDel: { color: '#f78166', backgroundColor: '#1a0d0d' },
+});
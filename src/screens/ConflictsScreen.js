@@ -0,0 +1,452 @@
+import React, { useState, useCallback } from 'react';
+import { useFocusEffect } from '@react-navigation/native';
+import {
+  View, Text, TouchableOpacity, TextInput,
+  StyleSheet, ActivityIndicator, Alert, ScrollView,
+} from 'react-native';
+import {
+  getMergeState, getConflictDetail, resolveConflict, abortMerge, commit,
+  getRebaseState, continueRebase, skipRebase, abortRebase, listConflicts,
+  getPickState, abortPick,
+} from '../git/gitOps';
+import { useStore } from '../store/useStore';
+
+const SIDES = [
+  { key: 'base', label: 'Base', color: '#8b949e' },
+  { key: 'ours', label: 'Ours', color: '#58a6ff' },
+  { key: 'theirs', label: 'Theirs', color: '#d29922' },
+];
+const CHOICES = [
+  { key: 'ours', label: 'Ours' },
+  { key: 'theirs', label: 'Theirs' },
+  { key: 'both', label: 'Both' },
+];
+
+/** How a file ended up conflicted, from which index stages exist */
+function conflictKind(c) {
+  if (!c.ours) return 'deleted by us';
+  if (!c.theirs) return 'deleted by them';
+  if (!c.base) return 'added by both';
+  return 'both modified';
+}
+
+export default function ConflictsScreen({ route, navigation }) {
+  const { dir } = route.params;
+  const { creds, repos } = useStore();
+
+  const [merge, setMerge] = useState(null);
+  const [rebase, setRebase] = useState(null);
+  const [pick, setPick] = useState(null);   // stopped cherry-pick / revert
+  const [loose, setLoose] = useState([]); // conflicts not tied to a merge/rebase/pick, e.g. from a stash
+  const [loading, setLoading] = useState(true);
+  const [detail, setDetail] = useState(null); // { path, binary, oursDeleted, theirsDeleted, chunks, choices }
+  const [busy, setBusy] = useState(false);
+  const [commitMsg, setCommitMsg] = useState('');
+
+  const load = useCallback(async () => {
+    try {
+      const [m, r, p, c] = await Promise.all([
+        getMergeState(dir), getRebaseState(dir), getPickState(dir), listConflicts(dir),
+      ]);
+      setMerge(m);
+      setRebase(r);
+      setPick(p);
+      setLoose(c);
+      if (m || p) setCommitMsg(prev => prev || (m ?? p).message);
+    } catch (e) {
+      Alert.alert('Error', e.message);
+    } finally {
+      setLoading(false);
+    }
+  }, [dir]);
+
+  // Reload whenever we come back, e.g. after editing a file by hand
+  useFocusEffect(useCallback(() => { load(); }, [load]));
+
+  const openFile = async (path) => {
+    setBusy(true);
+    try {
+      const d = await getConflictDetail(dir, path);
+      const regions = d.chunks.filter(c => c.type === 'conflict').length;
+      setDetail({ ...d, choices: new Array(regions).fill(null) });
+    } catch (e) {
+      Alert.alert('Cannot open conflict', e.message);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const choose = (index, choice) => {
+    setDetail(prev => {
+      const choices = [...prev.choices];
+      choices[index] = choices[index] === choice ? null : choice;
+      return { ...prev, choices };
+    });
+  };
+
+  const resolve = async (resolution) => {
+    setBusy(true);
+    try {
+      await resolveConflict(dir, detail.path, resolution);
+      setDetail(null);
+      await load();
+    } catch (e) {
+      Alert.alert('Resolve failed', e.message);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const editManually = () => {
+    const repo = repos.find(r => r.dir === dir);
+    navigation.navigate('RepoTabs', {
+      dir,
+      name: repo?.name ?? dir.split('/').pop(),
+      screen: 'Files',
+      params: { dir, openFile: detail.path, resolving: true },
+    });
+  };
+
+  const doCommit = async () => {
+    if (!commitMsg.trim()) { Alert.alert('No message', 'Enter a commit message.'); return; }
+    setBusy(true);
+    try {
+      const sha = await commit(dir, commitMsg.trim(), creds.name || 'GitLane User', creds.email || 'user@gitlane.app');
+      Alert.alert(`${merge ? 'Merge' : pick.kind === 'revert' ? 'Revert' : 'Cherry-pick'} committed ✓`, `SHA: ${sha.slice(0, 7)}`, [{ text: 'OK', onPress: () => navigation.goBack() }]);
+    } catch (e) {
+      Alert.alert('Commit failed', e.message);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  // Continue or skip a stopped rebase; it may stop again on the next commit
+  const stepRebase = async (step) => {
+    setBusy(true);
+    try {
+      const name = creds.name || 'GitLane User';
+      const email = creds.email || 'user@gitlane.app';
+      const r = step === 'skip' ? await skipRebase(dir, name, email) : await continueRebase(dir, name, email);
+      if (r.status === 'done') {
+        Alert.alert('Rebase complete ✓', `${rebase.branch} now sits on top of ${rebase.onto.slice(0, 7)}.`, [
+          { text: 'OK', onPress: () => navigation.goBack() },
+        ]);
+      } else {
+        await load();
+      }
+    } catch (e) {
+      Alert.alert(step === 'skip' ? 'Skip failed' : 'Continue failed', e.message);
+      await load();
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  // The operation that stopped on conflicts, if any
+  const op = merge ? 'merge' : rebase ? 'rebase' : pick?.kind;
+
+  const doAbort = () => {
+    Alert.alert(`Abort ${op}`, `Discard the ${op} and all conflict resolutions so far?`, [
+      { text: 'Keep going', style: 'cancel' },
+      {
+        text: 'Abort', style: 'destructive', onPress: async () => {
+          try {
+            if (merge) await abortMerge(dir);
+            else if (rebase) await abortRebase(dir);
+            else await abortPick(dir);
+            navigation.goBack();
+          } catch (e) { Alert.alert('Abort failed', e.message); }
+        },
+      },
+    ]);
+  };
+
+  if (loading) return <View style={s.center}><ActivityIndicator color="#58a6ff" size="large" /></View>;
+
+  if (!op && !loose.length && !detail) {
+    return (
+      <View style={s.center}>
+        <Text style={s.doneIcon}>✓</Text>
+        <Text style={s.doneText}>No conflicts left</Text>
+      </View>
+    );
+  }
+
+  // ── Single file ────────────────────────────────────────────────────────────
+  if (detail) {
+    const wholeFile = detail.binary || detail.oursDeleted || detail.theirsDeleted;
+    const picked = detail.choices.filter(Boolean).length;
+    let region = -1;
+    return (
+      <View style={s.container}>
+        <TouchableOpacity style={s.backBtn} onPress={() => setDetail(null)}>
+          <Text style={s.backText} numberOfLines={1}>← {detail.path}</Text>
+        </TouchableOpacity>
+
+        {wholeFile ? (
+          <View style={s.wholeFile}>
+            <Text style={s.note}>
+              {detail.binary
+                ? 'Binary file — keep one side as a whole.'
+                : detail.oursDeleted
+                  ? 'Our side deleted the file; their side changed it.'
+                  : 'Their side deleted the file; our side changed it.'}
+            </Text>
+            <TouchableOpacity style={s.sideBtn} onPress={() => resolve('ours')} disabled={busy}>
+              <Text style={[s.sideBtnText, { color: '#58a6ff' }]}>
+                Keep ours{detail.oursDeleted ? ' (delete file)' : ''}
+              </Text>
+            </TouchableOpacity>
+            <TouchableOpacity style={s.sideBtn} onPress={() => resolve('theirs')} disabled={busy}>
+              <Text style={[s.sideBtnText, { color: '#d29922' }]}>
+                Keep theirs{detail.theirsDeleted ? ' (delete file)' : ''}
+              </Text>
+            </TouchableOpacity>
+          </View>
+        ) : (
+          <ScrollView>
+            {detail.chunks.map((chunk, i) => {
+              if (chunk.type === 'ok') return <Unchanged key={i} text={chunk.text} />;
+              const n = ++region;
+              return (
+                <ConflictRegion
+                  key={i}
+                  index={n}
+                  total={detail.choices.length}
+                  chunk={chunk}
+                  choice={detail.choices[n]}
+                  onChoose={choice => choose(n, choice)}
+                />
+              );
+            })}
+            <View style={{ height: 80 }} />
+          </ScrollView>
+        )}
+
+        {!wholeFile && (
+          <View style={s.bottomBar}>
+            <TouchableOpacity style={s.editBtn} onPress={editManually} disabled={busy}>
+              <Text style={s.editText}>Edit manually</Text>
+            </TouchableOpacity>
+            <TouchableOpacity
+              style={[s.applyBtn, picked < detail.choices.length && s.btnOff]}
+              onPress={() => resolve(detail.choices)}
+              disabled={busy || picked < detail.choices.length}
+            >
+              {busy
+                ? <ActivityIndicator color="#fff" size="small" />
+                : <Text style={s.applyText}>Mark resolved ({picked}/{detail.choices.length})</Text>}
+            </TouchableOpacity>
+          </View>
+        )}
+      </View>
+    );
+  }
+
+  // ── Conflict list ──────────────────────────────────────────────────────────
+  const { conflicts } = merge ?? rebase ?? pick ?? { conflicts: loose };
+  let title = 'Conflicts from applying changes';
+  if (merge) title = merge.message || `Merging ${merge.theirs.slice(0, 7)}`;
+  else if (pick) title = `${pick.kind === 'revert' ? 'Reverting' : 'Cherry-picking'} ${pick.oid.slice(0, 7)}`;
+  else if (rebase) {
+    title = `Rebasing ${rebase.branch} (${Math.min(rebase.done + 1, rebase.total)}/${rebase.total})${rebase.next ? `: ${rebase.next.summary}` : ''}`;
+  }
+  return (
+    <ScrollView style={s.container} keyboardShouldPersistTaps="handled">
+      <View style={s.headerCard}>
+        <Text style={s.headerTitle}>{title}</Text>
+        <Text style={s.headerSub}>
+          {conflicts.length
+            ? `${conflicts.length} conflicted file${conflicts.length > 1 ? 's' : ''} — tap one to resolve it`
+            : 'All conflicts resolved'}
+        </Text>
+      </View>
+
+      {conflicts.map(c => (
+        <TouchableOpacity key={c.path} style={s.row} onPress={() => openFile(c.path)} disabled={busy}>
+          <View style={s.badge}><Text style={s.badgeText}>C</Text></View>
+          <View style={{ flex: 1 }}>
+            <Text style={s.path} numberOfLines={1}>{c.path}</Text>
+            <Text style={s.kind}>{conflictKind(c)}</Text>
+          </View>
+          <Text style={s.chevron}>›</Text>
+        </TouchableOpacity>
+      ))}
+
+      {!conflicts.length && rebase && (
+        <View style={s.commitBox}>
+          <TouchableOpacity style={s.commitBtn} onPress={() => stepRebase('continue')} disabled={busy}>
+            {busy
+              ? <ActivityIndicator color="#fff" size="small" />
+              : <Text style={s.commitText}>Continue rebase</Text>}
+          </TouchableOpacity>
+        </View>
+      )}
+
+      {rebase && rebase.next && (
+        <TouchableOpacity style={s.skipBtn} onPress={() => stepRebase('skip')} disabled={busy}>
+          <Text style={s.skipText}>Skip this commit</Text>
+        </TouchableOpacity>
+      )}
+
+      {!conflicts.length && (merge || pick) && (
+        <View style={s.commitBox}>
+          <TextInput
+            style={s.commitInput}
+            value={commitMsg}
+            onChangeText={setCommitMsg}
+            placeholder="Commit message..."
+            placeholderTextColor="#8b949e"
+            multiline
+          />
+          <TouchableOpacity style={s.commitBtn} onPress={doCommit} disabled={busy}>
+            {busy
+              ? <ActivityIndicator color="#fff" size="small" />
+              : <Text style={s.commitText}>Commit {op}</Text>}
+          </TouchableOpacity>
+        </View>
+      )}
+
+      {op && (
+        <TouchableOpacity style={s.abortBtn} onPress={doAbort} disabled={busy}>
+          <Text style={s.abortText}>Abort {op}</Text>
+        </TouchableOpacity>
+      )}
+    </ScrollView>
+  );
+}
+
+/** Merged-cleanly text between conflicts; long runs are collapsed */
+function Unchanged({ text }) {
+  const lines = text.split('\n');
+  if (lines[lines.length - 1] === '') lines.pop();
+  const shown = lines.length > 6 ? [...lines.slice(0, 2), null, ...lines.slice(-2)] : lines;
+  return (
+    <View style={s.unchanged}>
+      {shown.map((line, i) => (line === null
+        ? <Text key={i} style={s.collapsed}>⋯ {lines.length - 4} unchanged lines</Text>
+        : <Text key={i} style={s.code}>{line}</Text>))}
+    </View>
+  );
+}
+
+function ConflictRegion({ index, total, chunk, choice, onChoose }) {
+  return (
+    <View style={s.region}>
+      <Text style={s.regionHead}>Conflict {index + 1} of {total}</Text>
+      <View style={s.columns}>
+        {SIDES.map(side => (
+          <View key={side.key} style={s.column}>
+            <Text style={[s.columnHead, { color: side.color }]}>{side.label}</Text>
+            <Text style={[s.code, s.columnText, !chunk[side.key] && s.empty]}>
+              {chunk[side.key] ? chunk[side.key].replace(/\n$/, '') : '(nothing)'}
+            </Text>
+          </View>
+        ))}
+      </View>
+      <View style={s.choiceRow}>
+        {CHOICES.map(c => (
+          <TouchableOpacity
+            key={c.key}
+            style={[s.choiceBtn, choice === c.key && s.choiceOn]}
+            onPress={() => onChoose(c.key)}
+          >
+            <Text style={[s.choiceText, choice === c.key && s.choiceTextOn]}>{c.label}</Text>
+          </TouchableOpacity>
+        ))}
+      </View>
+    </View>
+  );
+}
+
+const s = StyleSheet.create({
+  container: { flex: 1, backgroundColor: '#0d1117' },
+  center: { flex: 1, alignItems: 'center', justifyContent: 'center', backgroundColor: '#0d1117', gap: 8 },
+  doneIcon: { fontSize: 36, color: '#3fb950' },
+  doneText: { color: '#3fb950', fontSize: 16, fontWeight: '600' },
+
+  headerCard: {
+    margin: 16, padding: 14, borderRadius: 10, borderWidth: 1,
+    borderColor: '#d29922', backgroundColor: '#d2992215',
+  },
+  headerTitle: { color: '#d29922', fontSize: 15, fontWeight: '700' },
+  headerSub: { color: '#8b949e', fontSize: 12, marginTop: 4 },
+
+  row: {
+    flexDirection: 'row', alignItems: 'center',
+    paddingHorizontal: 16, paddingVertical: 12,
+    borderBottomWidth: 1, borderBottomColor: '#161b22',
+  },
+  badge: {
+    width: 28, height: 28, borderRadius: 6, borderWidth: 1.5, marginRight: 12,
+    borderColor: '#f78166', backgroundColor: '#f7816622',
+    alignItems: 'center', justifyContent: 'center',
+  },
+  badgeText: { color: '#f78166', fontSize: 12, fontWeight: '800' },
+  path: { color: '#c9d1d9', fontSize: 13, fontFamily: 'monospace' },
+  kind: { color: '#8b949e', fontSize: 11, marginTop: 2 },
+  chevron: { color: '#8b949e', fontSize: 20, marginLeft: 8 },
+
+  commitBox: { padding: 16, gap: 10 },
+  commitInput: {
+    color: '#c9d1d9', borderWidth: 1, borderColor: '#30363d',
+    borderRadius: 8, padding: 10, fontSize: 14,
+    minHeight: 56, textAlignVertical: 'top',
+  },
+  commitBtn: { backgroundColor: '#238636', borderRadius: 8, paddingVertical: 12, alignItems: 'center' },
+  commitText: { color: '#fff', fontWeight: '700', fontSize: 14 },
+
+  skipBtn: {
+    marginHorizontal: 16, marginTop: 16, borderWidth: 1, borderColor: '#30363d',
+    borderRadius: 8, paddingVertical: 12, alignItems: 'center',
+  },
+  skipText: { color: '#c9d1d9', fontWeight: '600', fontSize: 14 },
+  abortBtn: {
+    margin: 16, borderWidth: 1, borderColor: '#f78166',
+    borderRadius: 8, paddingVertical: 12, alignItems: 'center',
+  },
+  abortText: { color: '#f78166', fontWeight: '600', fontSize: 14 },
+
+  backBtn: { padding: 14, borderBottomWidth: 1, borderBottomColor: '#21262d' },
+  backText: { color: '#58a6ff', fontSize: 14 },
+  note: { color: '#8b949e', fontSize: 13, marginBottom: 6 },
+  wholeFile: { padding: 16, gap: 10 },
+  sideBtn: {
+    borderWidth: 1, borderColor: '#30363d', backgroundColor: '#161b22',
+    borderRadius: 8, paddingVertical: 12, alignItems: 'center',
+  },
+  sideBtnText: { fontWeight: '700', fontSize: 14 },
+
+  unchanged: { paddingHorizontal: 14, paddingVertical: 6 },
+  collapsed: { color: '#30363d', fontSize: 11, fontStyle: 'italic', paddingVertical: 2 },
+  code: { fontFamily: 'monospace', fontSize: 12, color: '#8b949e', lineHeight: 18 },
+
+  region: { marginVertical: 8, borderTopWidth: 1, borderBottomWidth: 1, borderColor: '#30363d', backgroundColor: '#161b22' },
+  regionHead: { color: '#f78166', fontSize: 11, fontWeight: '700', paddingHorizontal: 14, paddingTop: 8, letterSpacing: 0.5 },
+  columns: { flexDirection: 'row', padding: 8, gap: 6 },
+  column: { flex: 1, backgroundColor: '#0d1117', borderRadius: 6, padding: 6 },
+  columnHead: { fontSize: 11, fontWeight: '700', marginBottom: 4 },
+  columnText: { color: '#c9d1d9', fontSize: 11, lineHeight: 16 },
+  empty: { color: '#30363d', fontStyle: 'italic' },
+  choiceRow: { flexDirection: 'row', gap: 8, paddingHorizontal: 8, paddingBottom: 10 },
+  choiceBtn: {
+    flex: 1, borderWidth: 1, borderColor: '#30363d', borderRadius: 6,
+    paddingVertical: 8, alignItems: 'center',
+  },
+  choiceOn: { borderColor: '#58a6ff', backgroundColor: '#1c2a3a' },
+  choiceText: { color: '#8b949e', fontSize: 13, fontWeight: '600' },
+  choiceTextOn: { color: '#58a6ff' },
+
+  bottomBar: {
+    flexDirection: 'row', gap: 8, padding: 12,
+    backgroundColor: '#161b22', borderTopWidth: 1, borderTopColor: '#21262d',
+  },
+  editBtn: {
+    paddingVertical: 10, paddingHorizontal: 16, borderRadius: 8,
+    borderWidth: 1, borderColor: '#30363d',
+  },
+  editText: { color: '#c9d1d9', fontSize: 13 },
+  applyBtn: { flex: 1, backgroundColor: '#238636', borderRadius: 8, paddingVertical: 10, alignItems: 'center' },
+  applyText: { color: '#fff', fontWeight: '700', fontSize: 13 },
+  btnOff: { opacity: 0.5 },
+});
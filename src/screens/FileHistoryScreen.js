@@ -0,0 +1,136 @@
+import React, { useCallback, useEffect, useState } from 'react';
+import {
+  View, Text, FlatList, TouchableOpacity,
+  StyleSheet, ActivityIndicator, Alert, RefreshControl,
+} from 'react-native';
+import { getFileHistory } from '../git/gitOps';
+
+const PAGE_SIZE = 50;
+
+const STATUS = {
+  added:    { label: 'A', color: '#3fb950' },
+  modified: { label: 'M', color: '#d29922' },
+  deleted:  { label: 'D', color: '#f78166' },
+  renamed:  { label: 'R', color: '#58a6ff' },
+};
+
+export default function FileHistoryScreen({ route, navigation }) {
+  const { dir, path } = route.params;
+  const [entries, setEntries] = useState([]);
+  const [cursor, setCursor] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [loadingMore, setLoadingMore] = useState(false);
+  const [refreshing, setRefreshing] = useState(false);
+
+  useEffect(() => {
+    navigation.setOptions({ title: path.split('/').pop() });
+  }, [navigation, path]);
+
+  const load = useCallback(async () => {
+    try {
+      const page = await getFileHistory(dir, path, { pageSize: PAGE_SIZE });
+      setEntries(page.entries);
+      setCursor(page.cursor);
+    } catch (e) {
+      Alert.alert('Could not load history', e.message);
+    } finally {
+      setLoading(false);
+      setRefreshing(false);
+    }
+  }, [dir, path]);
+
+  useEffect(() => { load(); }, [load]);
+
+  const loadMore = async () => {
+    if (!cursor || loadingMore) return;
+    setLoadingMore(true);
+    try {
+      const page = await getFileHistory(dir, path, { pageSize: PAGE_SIZE, after: cursor });
+      setEntries(prev => {
+        const have = new Set(prev.map(e => e.sha));
+        return [...prev, ...page.entries.filter(e => !have.has(e.sha))];
+      });
+      setCursor(page.cursor);
+    } catch (e) {
+      Alert.alert('Could not load more history', e.message);
+    } finally {
+      setLoadingMore(false);
+    }
+  };
+
+  const open = (entry) => {
+    // A deleted file has nothing to show at that commit; its parent still has it
+    if (entry.status === 'deleted') {
+      navigation.navigate('Commit', { dir, sha: entry.sha });
+      return;
+    }
+    navigation.push('FileRevision', { dir, path, revisionPath: entry.path, sha: entry.sha });
+  };
+
+  if (loading) return <View style={s.center}><ActivityIndicator color="#58a6ff" size="large" /></View>;
+
+  return (
+    <FlatList
+      style={s.container}
+      data={entries}
+      keyExtractor={e => e.sha}
+      refreshControl={<RefreshControl refreshing={refreshing} onRefresh={() => { setRefreshing(true); load(); }} tintColor="#58a6ff" />}
+      onEndReached={loadMore}
+      onEndReachedThreshold={0.5}
+      ListHeaderComponent={<Text style={s.path} numberOfLines={1}>{path}</Text>}
+      ListFooterComponent={loadingMore ? <ActivityIndicator color="#58a6ff" style={s.footer} /> : null}
+      ListEmptyComponent={<Text style={s.empty}>This file has no committed history yet</Text>}
+      renderItem={({ item }) => {
+        const status = STATUS[item.status];
+        return (
+          <TouchableOpacity style={s.row} onPress={() => open(item)} activeOpacity={0.7}>
+            <View style={[s.badge, { borderColor: status.color }]}>
+              <Text style={[s.badgeText, { color: status.color }]}>{status.label}</Text>
+            </View>
+            <View style={s.content}>
+              <Text style={s.summary} numberOfLines={2}>{item.summary}</Text>
+              {item.status === 'renamed' && (
+                <Text style={s.rename} numberOfLines={1}>{item.oldPath} → {item.path}</Text>
+              )}
+              <View style={s.meta}>
+                <Text style={s.sha}>{item.shortSha}</Text>
+                <Text style={s.author} numberOfLines={1}>{item.authorName}</Text>
+                <Text style={s.date}>
+                  {new Date(item.authoredAt).toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric' })}
+                </Text>
+              </View>
+            </View>
+          </TouchableOpacity>
+        );
+      }}
+    />
+  );
+}
+
+const s = StyleSheet.create({
+  container: { flex: 1, backgroundColor: '#0d1117' },
+  center: { flex: 1, backgroundColor: '#0d1117', alignItems: 'center', justifyContent: 'center' },
+  path: {
+    color: '#8b949e', fontFamily: 'monospace', fontSize: 12,
+    paddingHorizontal: 16, paddingVertical: 10, backgroundColor: '#161b22',
+  },
+  row: {
+    flexDirection: 'row', alignItems: 'flex-start',
+    paddingHorizontal: 14, paddingVertical: 12,
+    borderBottomWidth: 1, borderBottomColor: '#161b22',
+  },
+  badge: {
+    width: 24, height: 24, borderRadius: 6, borderWidth: 1.5,
+    alignItems: 'center', justifyContent: 'center', marginRight: 12, marginTop: 1,
+  },
+  badgeText: { fontSize: 12, fontWeight: '700' },
+  content: { flex: 1 },
+  summary: { color: '#c9d1d9', fontSize: 14, fontWeight: '500' },
+  rename: { color: '#58a6ff', fontFamily: 'monospace', fontSize: 11, marginTop: 3 },
+  meta: { flexDirection: 'row', alignItems: 'center', marginTop: 4, gap: 8 },
+  sha: { color: '#58a6ff', fontFamily: 'monospace', fontSize: 12 },
+  author: { color: '#8b949e', fontSize: 12, flex: 1 },
+  date: { color: '#8b949e', fontSize: 11 },
+  footer: { paddingVertical: 16 },
+  empty: { color: '#8b949e', textAlign: 'center', padding: 30 },
+});
@@ -0,0 +1,129 @@
+import React, { useEffect, useState } from 'react';
+import {
+  View, Text, TouchableOpacity, ScrollView, FlatList,
+  StyleSheet, ActivityIndicator,
+} from 'react-native';
+import { readFileAtRef, diffRevisionWithWorkdir } from '../git/gitOps';
+import { FileDiff } from './CommitScreen';
+
+/**
+ * Read-only view of a file as it was at one commit, with a diff of that
+ * version against the working copy.
+ */
+export default function FileRevisionScreen({ route, navigation }) {
+  const { dir, path, revisionPath = path, sha } = route.params;
+  const [tab, setTab] = useState('file'); // 'file' | 'diff'
+  const [text, setText] = useState(null);
+  const [diff, setDiff] = useState(null);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    navigation.setOptions({ title: `${revisionPath.split('/').pop()} @ ${sha.slice(0, 7)}` });
+    readFileAtRef(dir, revisionPath, sha)
+      .then(setText)
+      .catch(e => setError(e.message ?? String(e)));
+  }, [dir, revisionPath, sha, navigation]);
+
+  useEffect(() => {
+    if (tab !== 'diff' || diff) return;
+    diffRevisionWithWorkdir(dir, path, sha, { revisionPath })
+      .then(setDiff)
+      .catch(e => setError(e.message ?? String(e)));
+  }, [tab, diff, dir, path, revisionPath, sha]);
+
+  if (error) return <View style={s.center}><Text style={s.err}>{error}</Text></View>;
+
+  const lines = text?.split('\n') ?? [];
+  if (lines.length > 1 && lines[lines.length - 1] === '') lines.pop();
+
+  return (
+    <View style={s.container}>
+      <View style={s.bar}>
+        <View style={s.tabs}>
+          <TouchableOpacity style={[s.tab, tab === 'file' && s.tabOn]} onPress={() => setTab('file')}>
+            <Text style={[s.tabText, tab === 'file' && s.tabTextOn]}>File</Text>
+          </TouchableOpacity>
+          <TouchableOpacity style={[s.tab, tab === 'diff' && s.tabOn]} onPress={() => setTab('diff')}>
+            <Text style={[s.tabText, tab === 'diff' && s.tabTextOn]}>Diff vs working copy</Text>
+          </TouchableOpacity>
+        </View>
+        <TouchableOpacity onPress={() => navigation.navigate('Commit', { dir, sha })}>
+          <Text style={s.commitLink}>{sha.slice(0, 7)} ›</Text>
+        </TouchableOpacity>
+      </View>
+      {revisionPath !== path && (
+        <Text style={s.renamed} numberOfLines={1}>Named {revisionPath} at this commit</Text>
+      )}
+
+      {tab === 'file' ? (
+        text === null
+          ? <View style={s.center}><ActivityIndicator color="#58a6ff" size="large" /></View>
+          : text.includes('\0')
+            ? <Text style={s.note}>(binary file)</Text>
+            : (
+              <FlatList
+                data={lines}
+                keyExtractor={(_, i) => String(i)}
+                initialNumToRender={40}
+                renderItem={({ item, index }) => (
+                  <View style={s.line}>
+                    <Text style={s.lineNo}>{index + 1}</Text>
+                    <Text style={s.code} selectable>{item}</Text>
+                  </View>
+                )}
+              />
+            )
+      ) : (
+        !diff
+          ? <View style={s.center}><ActivityIndicator color="#58a6ff" size="large" /></View>
+          : (
+            <ScrollView>
+              <Text style={s.stats}>
+                Working copy vs {sha.slice(0, 7)}
+                <Text style={s.add}>  +{diff.additions}</Text>
+                <Text style={s.del}>  −{diff.deletions}</Text>
+              </Text>
+              <FileDiff file={diff} />
+              <View style={{ height: 40 }} />
+            </ScrollView>
+          )
+      )}
+    </View>
+  );
+}
+
+const s = StyleSheet.create({
+  container: { flex: 1, backgroundColor: '#0d1117' },
+  center: { flex: 1, backgroundColor: '#0d1117', alignItems: 'center', justifyContent: 'center' },
+  err: { color: '#f78166', padding: 20, textAlign: 'center' },
+
+  bar: {
+    flexDirection: 'row', alignItems: 'center', padding: 10,
+    backgroundColor: '#161b22', borderBottomWidth: 1, borderBottomColor: '#21262d',
+  },
+  tabs: { flex: 1, flexDirection: 'row', gap: 6 },
+  tab: {
+    borderWidth: 1, borderColor: '#30363d', borderRadius: 14,
+    paddingHorizontal: 12, paddingVertical: 5,
+  },
+  tabOn: { borderColor: '#58a6ff', backgroundColor: '#1c2a3a' },
+  tabText: { color: '#8b949e', fontSize: 13, fontWeight: '600' },
+  tabTextOn: { color: '#58a6ff' },
+  commitLink: { color: '#58a6ff', fontFamily: 'monospace', fontSize: 13, marginLeft: 8 },
+  renamed: {
+    color: '#8b949e', fontFamily: 'monospace', fontSize: 11,
+    paddingHorizontal: 14, paddingVertical: 6, backgroundColor: '#161b22',
+  },
+
+  line: { flexDirection: 'row' },
+  lineNo: {
+    width: 44, textAlign: 'right', paddingRight: 8,
+    color: '#484f58', fontFamily: 'monospace', fontSize: 12, lineHeight: 18,
+  },
+  code: { flex: 1, color: '#c9d1d9', fontFamily: 'monospace', fontSize: 12, lineHeight: 18 },
+  note: { color: '#8b949e', fontSize: 13, padding: 16 },
+
+  stats: { color: '#8b949e', fontSize: 13, paddingHorizontal: 16, paddingVertical: 12 },
+  add: { color: '#3fb950' },
+  del: { color: '#f78166' },
+});
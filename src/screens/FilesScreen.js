@@ -4,6 +4,9 @@ import {
   StyleSheet, ActivityIndicator, Alert, Modal, RefreshControl,
 } from 'react-native';
 import RNFS from 'react-native-fs';
+import {
+  markResolved, blameFile, getSparseDirs, setSparseDirs, listTreeFolders,
+} from '../git/gitOps';
 
 const TEXT_EXTS = new Set([
   'js', 'ts', 'jsx', 'tsx', 'json', 'md', 'txt', 'py', 'java', 'kt',
@@ -18,8 +21,8 @@ function isText(name) {
   return TEXT_EXTS.has(parts[parts.length - 1].toLowerCase());
 }
 
-export default function FilesScreen({ route }) {
-  const { dir } = route.params;
+export default function FilesScreen({ route, navigation }) {
+  const { dir, openFile, resolving } = route.params;
   const [currentPath, setCurrentPath] = useState(dir);
   const [items, setItems] = useState([]);
   const [loading, setLoading] = useState(true);
@@ -30,6 +33,9 @@ export default function FilesScreen({ route }) {
   const [showNewFile, setShowNewFile] = useState(false);
   const [newFileName, setNewFileName] = useState('');
   const [refreshing, setRefreshing] = useState(false);
+  const [blame, setBlame] = useState(null); // { loading } or { lines, commits } while in blame mode
+  const [sparse, setSparse] = useState(null); // checked-out folders, null when everything is
+  const [showFolders, setShowFolders] = useState(false);
 
   const loadDir = useCallback(async (path) => {
     setLoading(true);
@@ -54,6 +60,33 @@ export default function FilesScreen({ route }) {
     if (!editingFile) loadDir(currentPath);
   }, [currentPath, editingFile, loadDir]);
 
+  useEffect(() => {
+    getSparseDirs(dir).then(setSparse).catch(() => setSparse(null));
+  }, [dir]);
+
+  const applyFolders = async (dirs) => {
+    const next = await setSparseDirs(dir, dirs);
+    setSparse(next);
+    setShowFolders(false);
+    if (currentPath === dir) loadDir(dir);
+    else setCurrentPath(dir);
+  };
+
+  // Opened from the conflict screen to resolve a file by hand
+  useEffect(() => {
+    if (!openFile) return;
+    const path = `${dir}/${openFile}`;
+    RNFS.readFile(path, 'utf8')
+      .then(content => {
+        setEditingFile({ path, name: openFile.split('/').pop(), resolving: !!resolving });
+        setBlame(null);
+        setEditContent(content);
+        setDirty(false);
+      })
+      .catch(e => Alert.alert('Cannot open file', e.message));
+    navigation.setParams({ openFile: undefined, resolving: undefined });
+  }, [dir, openFile, resolving, navigation]);
+
   const openItem = async (item) => {
     if (item.isDirectory()) {
       setCurrentPath(item.path);
@@ -66,6 +99,7 @@ export default function FilesScreen({ route }) {
     try {
       const content = await RNFS.readFile(item.path, 'utf8');
       setEditingFile({ path: item.path, name: item.name });
+      setBlame(null);
       setEditContent(content);
       setDirty(false);
     } catch (e) {
@@ -90,6 +124,31 @@ export default function FilesScreen({ route }) {
     }
   };
 
+  const doMarkResolved = async (force = false) => {
+    const relPath = editingFile.path.replace(dir + '/', '');
+    try {
+      if (dirty) {
+        await RNFS.writeFile(editingFile.path, editContent, 'utf8');
+        setDirty(false);
+      }
+      await markResolved(dir, relPath, { force });
+      setEditingFile(null);
+      Alert.alert('Resolved ✓', `${relPath} is staged as resolved.`, [
+        { text: 'OK', style: 'cancel' },
+        { text: 'Back to conflicts', onPress: () => navigation.navigate('Conflicts', { dir }) },
+      ]);
+    } catch (e) {
+      if (e.code === 'ConflictMarkers') {
+        Alert.alert('Conflict markers left', `${e.message}. Mark it resolved anyway?`, [
+          { text: 'Keep editing', style: 'cancel' },
+          { text: 'Mark resolved', style: 'destructive', onPress: () => doMarkResolved(true) },
+        ]);
+      } else {
+        Alert.alert('Mark resolved failed', e.message);
+      }
+    }
+  };
+
   const closeEditor = () => {
     if (dirty) {
       Alert.alert('Unsaved changes', 'Discard changes and go back?', [
@@ -98,6 +157,19 @@ export default function FilesScreen({ route }) {
       ]);
     } else {
       setEditingFile(null);
+      setBlame(null);
+    }
+  };
+
+  const toggleBlame = async () => {
+    if (blame) { setBlame(null); return; }
+    if (dirty) { Alert.alert('Unsaved changes', 'Save the file before showing blame.'); return; }
+    setBlame({ loading: true });
+    try {
+      setBlame(await blameFile(dir, editingFile.path.replace(dir + '/', '')));
+    } catch (e) {
+      setBlame(null);
+      Alert.alert('Blame failed', e.message);
     }
   };
 
@@ -137,16 +209,43 @@ export default function FilesScreen({ route }) {
           <TouchableOpacity onPress={closeEditor} style={s.backBtn}>
             <Text style={s.backText} numberOfLines={1}>← {relPath}</Text>
           </TouchableOpacity>
-          <TouchableOpacity
-            onPress={saveFile}
-            style={[s.saveBtn, !dirty && s.saveBtnDim]}
-            disabled={saving}
-          >
-            {saving
-              ? <ActivityIndicator color="#fff" size="small" />
-              : <Text style={s.saveText}>{dirty ? 'Save' : 'Saved'}</Text>}
-          </TouchableOpacity>
+          {!editingFile.resolving && (
+            <>
+              <TouchableOpacity onPress={() => navigation.navigate('FileHistory', { dir, path: relPath })} style={s.toolBtn}>
+                <Text style={s.toolText}>History</Text>
+              </TouchableOpacity>
+              <TouchableOpacity onPress={toggleBlame} style={[s.toolBtn, blame && s.toolBtnOn]}>
+                <Text style={[s.toolText, blame && s.toolTextOn]}>Blame</Text>
+              </TouchableOpacity>
+            </>
+          )}
+          {!blame && (
+            <TouchableOpacity
+              onPress={saveFile}
+              style={[s.saveBtn, !dirty && s.saveBtnDim]}
+              disabled={saving}
+            >
+              {saving
+                ? <ActivityIndicator color="#fff" size="small" />
+                : <Text style={s.saveText}>{dirty ? 'Save' : 'Saved'}</Text>}
+            </TouchableOpacity>
+          )}
+          {editingFile.resolving && (
+            <TouchableOpacity onPress={() => doMarkResolved()} style={s.resolveBtn}>
+              <Text style={s.resolveText}>Resolved</Text>
+            </TouchableOpacity>
+          )}
         </View>
+        {blame ? (
+          blame.loading
+            ? (
+              <View style={s.center}>
+                <ActivityIndicator color="#58a6ff" size="large" />
+                <Text style={s.blameHint}>Walking file history…</Text>
+              </View>
+            )
+            : <BlameView blame={blame} onOpenCommit={sha => navigation.navigate('Commit', { dir, sha })} />
+        ) : (
         <TextInput
           style={s.editor}
           value={editContent}
@@ -157,6 +256,7 @@ export default function FilesScreen({ route }) {
           spellCheck={false}
           textAlignVertical="top"
         />
+        )}
       </View>
     );
   }
@@ -173,6 +273,11 @@ export default function FilesScreen({ route }) {
           </TouchableOpacity>
         )}
         <Text style={s.breadcrumb} numberOfLines={1}>{breadcrumb}</Text>
+        <TouchableOpacity onPress={() => setShowFolders(true)} style={[s.foldersBtn, sparse && s.toolBtnOn]}>
+          <Text style={[s.foldersText, sparse && s.toolTextOn]}>
+            {sparse ? `Folders · ${sparse.length}` : 'Folders'}
+          </Text>
+        </TouchableOpacity>
         <TouchableOpacity onPress={() => { setNewFileName(''); setShowNewFile(true); }} style={s.addBtn}>
           <Text style={s.addText}>＋</Text>
         </TouchableOpacity>
@@ -239,10 +344,170 @@ export default function FilesScreen({ route }) {
           </View>
         </View>
       </Modal>
+
+      {showFolders && (
+        <FolderPicker
+          dir={dir}
+          current={sparse}
+          onApply={applyFolders}
+          onClose={() => setShowFolders(false)}
+        />
+      )}
     </View>
   );
 }
 
+/**
+ * Sparse checkout picker: tick the folders to keep on the phone. Files in
+ * the repo root (and in the folders leading to a deeper pick) always stay.
+ */
+function FolderPicker({ dir, current, onApply, onClose }) {
+  const [folders, setFolders] = useState(null);
+  const [picked, setPicked] = useState(new Set(current ?? []));
+  const [extra, setExtra] = useState('');
+  const [busy, setBusy] = useState(false);
+
+  useEffect(() => {
+    listTreeFolders(dir)
+      .then(setFolders)
+      .catch(e => { setFolders([]); Alert.alert('Could not list folders', e.message); });
+  }, [dir]);
+
+  const toggle = (folder) => {
+    setPicked(prev => {
+      const next = new Set(prev);
+      if (next.has(folder)) next.delete(folder);
+      else next.add(folder);
+      return next;
+    });
+  };
+
+  const addExtra = () => {
+    const folder = extra.trim().replace(/^\/+|\/+$/g, '');
+    if (!folder) return;
+    setPicked(prev => new Set(prev).add(folder));
+    setExtra('');
+  };
+
+  const apply = async (dirs) => {
+    setBusy(true);
+    try {
+      await onApply(dirs);
+    } catch (e) {
+      Alert.alert('Could not change folders', e.message);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  // Deeper picks (typed in) are listed after the top-level folders
+  const rows = [...(folders ?? []), ...[...picked].filter(f => !folders?.includes(f)).sort()];
+
+  return (
+    <Modal visible transparent animationType="slide" onRequestClose={onClose}>
+      <View style={s.sheetOverlay}>
+        <View style={s.sheet}>
+          <Text style={s.newFileTitle}>Checked-out folders</Text>
+          <Text style={s.sheetHint}>
+            Only the ticked folders are kept on the phone; the rest of the repo stays in history
+            and is left alone by commits. Files in the root are always checked out.
+          </Text>
+          {folders === null ? (
+            <ActivityIndicator color="#58a6ff" style={s.sheetLoading} />
+          ) : (
+            <FlatList
+              style={s.folderList}
+              data={rows}
+              keyExtractor={f => f}
+              ListEmptyComponent={<Text style={s.empty}>No folders in this commit</Text>}
+              renderItem={({ item }) => (
+                <TouchableOpacity style={s.folderRow} onPress={() => toggle(item)}>
+                  <Text style={[s.check, picked.has(item) && s.checkOn]}>{picked.has(item) ? '☑' : '☐'}</Text>
+                  <Text style={s.itemName} numberOfLines={1}>{item}/</Text>
+                </TouchableOpacity>
+              )}
+            />
+          )}
+          <View style={s.extraRow}>
+            <TextInput
+              style={[s.newFileInput, s.extraInput]}
+              placeholder="deeper/folder"
+              placeholderTextColor="#8b949e"
+              value={extra}
+              onChangeText={setExtra}
+              onSubmitEditing={addExtra}
+              autoCapitalize="none"
+              autoCorrect={false}
+            />
+            <TouchableOpacity style={s.extraBtn} onPress={addExtra}>
+              <Text style={s.toolText}>Add</Text>
+            </TouchableOpacity>
+          </View>
+          {busy ? (
+            <ActivityIndicator color="#58a6ff" style={s.sheetLoading} />
+          ) : (
+            <>
+              <View style={s.newFileActions}>
+                <TouchableOpacity style={s.cancelBtn} onPress={onClose}>
+                  <Text style={s.cancelText}>Cancel</Text>
+                </TouchableOpacity>
+                <TouchableOpacity style={s.createBtn} onPress={() => apply([...picked])}>
+                  <Text style={s.createText}>{picked.size ? `Check out ${picked.size}` : 'Root files only'}</Text>
+                </TouchableOpacity>
+              </View>
+              {current && (
+                <TouchableOpacity style={s.everythingBtn} onPress={() => apply(null)}>
+                  <Text style={s.everythingText}>Check out everything</Text>
+                </TouchableOpacity>
+              )}
+            </>
+          )}
+        </View>
+      </View>
+    </Modal>
+  );
+}
+
+/**
+ * Read-only file view with a blame gutter: the commit's short SHA, author and
+ * date on the first line of each run of lines it last changed.
+ */
+function BlameView({ blame, onOpenCommit }) {
+  const { lines, commits } = blame;
+  return (
+    <FlatList
+      data={lines}
+      keyExtractor={(_, i) => String(i)}
+      initialNumToRender={40}
+      renderItem={({ item, index }) => {
+        const first = index === 0 || lines[index - 1].sha !== item.sha;
+        const info = item.sha && commits[item.sha];
+        return (
+          <TouchableOpacity
+            style={[s.blameRow, first && index > 0 && s.blameRunStart]}
+            onPress={() => item.sha && onOpenCommit(item.sha)}
+            disabled={!item.sha}
+            activeOpacity={0.6}
+          >
+            <View style={s.blameGutter}>
+              {first && (info ? (
+                <>
+                  <Text style={s.blameSha}>{info.shortSha} <Text style={s.blameDate}>{new Date(info.authoredAt).toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: '2-digit' })}</Text></Text>
+                  <Text style={s.blameAuthor} numberOfLines={1}>{info.authorName}</Text>
+                </>
+              ) : (
+                <Text style={s.blameUncommitted}>Not committed</Text>
+              ))}
+            </View>
+            <Text style={s.blameLineNo}>{index + 1}</Text>
+            <Text style={s.blameCode}>{item.text}</Text>
+          </TouchableOpacity>
+        );
+      }}
+    />
+  );
+}
+
 const s = StyleSheet.create({
   container: { flex: 1, backgroundColor: '#0d1117' },
   center: { flex: 1, alignItems: 'center', justifyContent: 'center' },
@@ -256,6 +521,8 @@ const s = StyleSheet.create({
   upBtn: { marginRight: 10, paddingHorizontal: 8, paddingVertical: 4, backgroundColor: '#21262d', borderRadius: 6 },
   upText: { color: '#58a6ff', fontSize: 14, fontWeight: '700' },
   breadcrumb: { flex: 1, color: '#8b949e', fontSize: 12, fontFamily: 'monospace' },
+  foldersBtn: { marginLeft: 8, borderWidth: 1, borderColor: '#30363d', paddingHorizontal: 8, paddingVertical: 4, borderRadius: 6 },
+  foldersText: { color: '#8b949e', fontSize: 12, fontWeight: '700' },
   addBtn: { marginLeft: 8, paddingHorizontal: 10, paddingVertical: 4, backgroundColor: '#238636', borderRadius: 6 },
   addText: { color: '#fff', fontSize: 16, fontWeight: '700' },
   emptyAddBtn: { marginTop: 14, backgroundColor: '#238636', borderRadius: 8, paddingHorizontal: 20, paddingVertical: 10 },
@@ -271,6 +538,23 @@ const s = StyleSheet.create({
   createBtn: { flex: 1, backgroundColor: '#238636', borderRadius: 8, paddingVertical: 12, alignItems: 'center' },
   createText: { color: '#fff', fontWeight: '700', fontSize: 14 },
 
+  sheetOverlay: { flex: 1, backgroundColor: '#000000bb', justifyContent: 'flex-end' },
+  sheet: {
+    backgroundColor: '#161b22', borderTopLeftRadius: 16, borderTopRightRadius: 16,
+    padding: 20, maxHeight: '85%', borderWidth: 1, borderColor: '#30363d',
+  },
+  sheetHint: { color: '#8b949e', fontSize: 12, lineHeight: 17, marginBottom: 12 },
+  sheetLoading: { paddingVertical: 20 },
+  folderList: { flexGrow: 0, marginBottom: 12 },
+  folderRow: { flexDirection: 'row', alignItems: 'center', paddingVertical: 10 },
+  check: { color: '#8b949e', fontSize: 18, marginRight: 10 },
+  checkOn: { color: '#58a6ff' },
+  extraRow: { flexDirection: 'row', alignItems: 'flex-start', gap: 8 },
+  extraInput: { flex: 1, padding: 10, fontSize: 13 },
+  extraBtn: { borderWidth: 1, borderColor: '#30363d', borderRadius: 8, paddingHorizontal: 14, paddingVertical: 10 },
+  everythingBtn: { alignItems: 'center', paddingTop: 14 },
+  everythingText: { color: '#58a6ff', fontSize: 14, fontWeight: '600' },
+
   item: {
     flexDirection: 'row', alignItems: 'center',
     paddingHorizontal: 16, paddingVertical: 13,
@@ -294,6 +578,35 @@ const s = StyleSheet.create({
   },
   saveBtnDim: { backgroundColor: '#1a3520' },
   saveText: { color: '#fff', fontWeight: '700', fontSize: 14 },
+  resolveBtn: {
+    marginLeft: 8, borderWidth: 1, borderColor: '#d29922',
+    paddingHorizontal: 12, paddingVertical: 7, borderRadius: 8,
+  },
+  resolveText: { color: '#d29922', fontWeight: '700', fontSize: 14 },
+
+  toolBtn: {
+    marginRight: 8, borderWidth: 1, borderColor: '#30363d',
+    paddingHorizontal: 10, paddingVertical: 7, borderRadius: 8,
+  },
+  toolBtnOn: { borderColor: '#58a6ff', backgroundColor: '#1c2a3a' },
+  toolText: { color: '#8b949e', fontWeight: '700', fontSize: 14 },
+  toolTextOn: { color: '#58a6ff' },
+  blameHint: { color: '#8b949e', fontSize: 13, marginTop: 12 },
+  blameRow: { flexDirection: 'row', alignItems: 'flex-start' },
+  blameRunStart: { borderTopWidth: 1, borderTopColor: '#21262d' },
+  blameGutter: {
+    width: 110, paddingHorizontal: 6, paddingVertical: 1,
+    backgroundColor: '#161b22', borderRightWidth: 1, borderRightColor: '#21262d',
+  },
+  blameSha: { color: '#58a6ff', fontFamily: 'monospace', fontSize: 11 },
+  blameDate: { color: '#8b949e', fontFamily: 'monospace', fontSize: 10 },
+  blameAuthor: { color: '#8b949e', fontSize: 10 },
+  blameUncommitted: { color: '#d29922', fontSize: 10 },
+  blameLineNo: {
+    width: 36, textAlign: 'right', paddingRight: 6,
+    color: '#484f58', fontFamily: 'monospace', fontSize: 12, lineHeight: 18,
+  },
+  blameCode: { flex: 1, color: '#c9d1d9', fontFamily: 'monospace', fontSize: 12, lineHeight: 18 },
 
   editor: {
     flex: 1,
@@ -1,62 +1,451 @@
-import React, { useEffect, useState, useCallback } from 'react';
+import React, { useEffect, useState, useCallback, useMemo, useRef } from 'react';
 import {
-  View, Text, FlatList, TouchableOpacity,
-  StyleSheet, ActivityIndicator, RefreshControl,
+  View, Text, FlatList, TouchableOpacity, TextInput, ScrollView,
+  StyleSheet, ActivityIndicator, RefreshControl, Alert, Modal,
 } from 'react-native';
-import { getLog } from '../git/gitOps';
+import {
+  getGraphLog, listRefTips, searchCommits, getCurrentBranch, cherryPickCommit, revertCommit,
+} from '../git/gitOps';
+import { layoutGraph } from '../git/graph';
 import { useStore } from '../store/useStore';
 
 const COLORS = ['#58a6ff', '#3fb950', '#f78166', '#d29922', '#bc8cff', '#56d364'];
+const LANE_W = 14;  // graph column width per lane
+const NODE_Y = 17;  // vertical center of the commit dot, level with the summary line
+const LABEL_COLOR = { head: '#3fb950', remote: '#58a6ff', tag: '#d29922' };
+const REF_GROUPS = [['head', 'LOCAL BRANCHES'], ['remote', 'REMOTE BRANCHES'], ['tag', 'TAGS']];
+const PAGE_SIZE = 100;
+const LONE_ROW = { lane: 0, color: 0, top: [], bottom: [], joins: [], width: 1 }; // graph cell for search results
+const EMPTY_QUERY = { text: '', author: '', sha: '', since: '', until: '', path: '' };
 
-export default function LogScreen({ route }) {
+export default function LogScreen({ route, navigation }) {
   const { dir } = route.params;
-  const { updateRepoBranch } = useStore();
+  const { updateRepoBranch, creds } = useStore();
   const [commits, setCommits] = useState([]);
+  const [labels, setLabels] = useState({}); // sha → [{ name, kind }]
+  const [head, setHead] = useState(null);
+  const [view, setView] = useState({ ref: route.params.ref ?? null, path: route.params.path ?? null });
+  const [cursor, setCursor] = useState(null);   // where the next page starts, null when all loaded
+  const [loadingMore, setLoadingMore] = useState(false);
+  const [picker, setPicker] = useState(null);   // { refs, pathDraft } while the ref picker is open
+  const [searching, setSearching] = useState(false);
   const [loading, setLoading] = useState(true);
   const [refreshing, setRefreshing] = useState(false);
   const [error, setError] = useState(null);
+  const [actionCommit, setActionCommit] = useState(null); // commit whose action sheet is open
+  const [branch, setBranch] = useState(null);
+  const [busy, setBusy] = useState(false);
+
+  // Pages that arrive after the view has changed are dropped
+  const viewRef = useRef(view);
+  viewRef.current = view;
 
   const load = useCallback(async () => {
     try {
       setError(null);
-      const log = await getLog(dir, { depth: 150 });
-      setCommits(log);
-      if (log[0]) updateRepoBranch(dir, log[0].sha.slice(0, 7));
+      const log = await getGraphLog(dir, { ...view, pageSize: PAGE_SIZE });
+      setCommits(log.commits);
+      setLabels(log.labels);
+      setHead(log.head);
+      setCursor(log.cursor);
+      if (log.head) updateRepoBranch(dir, log.head.slice(0, 7));
     } catch (e) {
       setError(e.message ?? String(e));
     } finally {
       setLoading(false);
       setRefreshing(false);
     }
-  }, [dir]);
+  }, [dir, view]);
 
   useEffect(() => { load(); }, [load]);
 
-  if (loading) return <View style={s.center}><ActivityIndicator color="#58a6ff" size="large" /></View>;
-  if (error) return <View style={s.center}><Text style={s.err}>{error}</Text></View>;
+  const loadMore = async () => {
+    if (!cursor || loadingMore) return;
+    const forView = view;
+    setLoadingMore(true);
+    try {
+      const log = await getGraphLog(dir, { ...forView, pageSize: PAGE_SIZE, after: cursor });
+      if (viewRef.current !== forView) return;
+      setCommits(prev => {
+        const have = new Set(prev.map(c => c.sha));
+        return [...prev, ...log.commits.filter(c => !have.has(c.sha))];
+      });
+      setCursor(log.cursor);
+    } catch (e) {
+      Alert.alert('Could not load more history', e.message);
+    } finally {
+      setLoadingMore(false);
+    }
+  };
+
+  // Other screens can open the log on a ref or file
+  const { ref: refParam, path: pathParam } = route.params;
+  useEffect(() => {
+    if (refParam === undefined && pathParam === undefined) return;
+    navigation.setParams({ ref: undefined, path: undefined });
+    const next = { ref: refParam ?? null, path: pathParam ?? null };
+    if (viewRef.current.ref !== next.ref || viewRef.current.path !== next.path) {
+      setLoading(true);
+      setView(next);
+    }
+  }, [refParam, pathParam, navigation]);
+
+  const changeView = (next) => {
+    setPicker(null);
+    setLoading(true);
+    setView(next);
+  };
+
+  const openPicker = async () => {
+    try {
+      setPicker({ refs: await listRefTips(dir), pathDraft: view.path ?? '' });
+    } catch (e) {
+      Alert.alert('Error', e.message);
+    }
+  };
+
+  // File history is drawn as one line: consecutive matches are linked directly
+  const graph = useMemo(() => layoutGraph(view.path
+    ? commits.map((c, i) => ({ sha: c.sha, parentShas: commits[i + 1] ? [commits[i + 1].sha] : [] }))
+    : commits), [commits, view.path]);
+
+  const showActions = async (commit) => {
+    setBranch(await getCurrentBranch(dir));
+    setActionCommit(commit);
+  };
+
+  // Cherry-pick and revert share everything but the git call and the wording
+  const apply = async (commit, kind) => {
+    const verb = kind === 'revert' ? 'Revert' : 'Cherry-pick';
+    setBusy(true);
+    try {
+      const name = creds.name || 'GitLane User';
+      const email = creds.email || 'user@gitlane.app';
+      const r = kind === 'revert'
+        ? await revertCommit(dir, commit.sha, name, email)
+        : await cherryPickCommit(dir, commit.sha, name, email);
+      if (r.conflicts.length) {
+        Alert.alert(
+          `${verb} conflicts`,
+          `${r.conflicts.length} file(s) need resolving:\n\n${r.conflicts.join('\n')}`,
+          [
+            { text: 'Later', style: 'cancel' },
+            { text: 'Resolve', onPress: () => navigation.navigate('Conflicts', { dir }) },
+          ],
+        );
+      } else if (r.empty) {
+        Alert.alert('Nothing to do', kind === 'revert'
+          ? `The changes of ${commit.shortSha} are already undone on ${branch}.`
+          : `The changes of ${commit.shortSha} are already on ${branch}.`);
+      } else {
+        Alert.alert(`${verb} committed ✓`, `SHA: ${r.oid.slice(0, 7)}\n\nGo to Remote tab to push.`);
+      }
+    } catch (e) {
+      Alert.alert(`${verb} failed`, e.message);
+    } finally {
+      setBusy(false);
+      load();
+    }
+  };
+
+  const confirm = (commit, kind) => {
+    const text = kind === 'revert'
+      ? `Create a commit on ${branch} that undoes ${commit.shortSha} "${commit.summary}"?`
+      : `Apply ${commit.shortSha} "${commit.summary}" on top of ${branch}?`;
+    Alert.alert(kind === 'revert' ? 'Revert Commit' : 'Cherry-pick Commit', text, [
+      { text: 'Cancel', style: 'cancel' },
+      { text: kind === 'revert' ? 'Revert' : 'Cherry-pick', onPress: () => apply(commit, kind) },
+    ]);
+  };
+
+  const filterBar = (
+    <View style={s.filterBar}>
+      <TouchableOpacity style={s.filterChip} onPress={openPicker}>
+        <Text style={s.filterText} numberOfLines={1}>⎇ {view.ref ?? 'All branches'} ▾</Text>
+      </TouchableOpacity>
+      {view.path && (
+        <TouchableOpacity style={[s.filterChip, s.pathChip]} onPress={() => changeView({ ...view, path: null })}>
+          <Text style={s.filterText} numberOfLines={1}>📄 {view.path}  ✕</Text>
+        </TouchableOpacity>
+      )}
+      <TouchableOpacity style={[s.filterChip, s.searchChip, searching && s.searchChipOn]} onPress={() => setSearching(v => !v)}>
+        <Text style={s.filterText}>{searching ? '✕ Search' : '🔍'}</Text>
+      </TouchableOpacity>
+    </View>
+  );
+
+  const openCommit = c => navigation.navigate('Commit', { dir, sha: c.sha });
+
+  const pickerSheet = (
+    <Modal visible={!!picker} transparent animationType="slide" onRequestClose={() => setPicker(null)}>
+      <TouchableOpacity style={s.modalOverlay} activeOpacity={1} onPress={() => setPicker(null)}>
+        <TouchableOpacity style={[s.modal, s.pickerModal]} activeOpacity={1}>
+          <Text style={[s.modalTitle, s.pickerTitle]}>Show history of</Text>
+          <View style={s.pathRow}>
+            <TextInput
+              style={s.pathInput}
+              placeholder="Only this file or folder (optional)"
+              placeholderTextColor="#8b949e"
+              autoCapitalize="none"
+              autoCorrect={false}
+              value={picker?.pathDraft ?? ''}
+              onChangeText={pathDraft => setPicker(p => ({ ...p, pathDraft }))}
+            />
+            <TouchableOpacity
+              style={s.pathApply}
+              onPress={() => changeView({ ...view, path: picker.pathDraft.trim().replace(/^\/+|\/+$/g, '') || null })}
+            >
+              <Text style={s.pathApplyText}>Apply</Text>
+            </TouchableOpacity>
+          </View>
+          <ScrollView>
+            <TouchableOpacity style={s.sheetRow} onPress={() => changeView({ ...view, ref: null })}>
+              <Text style={[s.sheetText, !view.ref && s.sheetActive]}>All branches</Text>
+            </TouchableOpacity>
+            {REF_GROUPS.map(([kind, title]) => {
+              const refs = picker?.refs.filter(r => r.kind === kind) ?? [];
+              if (!refs.length) return null;
+              return (
+                <View key={kind}>
+                  <Text style={s.groupHead}>{title}</Text>
+                  {refs.map(r => (
+                    <TouchableOpacity key={r.name} style={s.sheetRow} onPress={() => changeView({ ...view, ref: r.name })}>
+                      <Text style={[s.sheetText, view.ref === r.name && s.sheetActive]}>{r.name}</Text>
+                    </TouchableOpacity>
+                  ))}
+                </View>
+              );
+            })}
+          </ScrollView>
+        </TouchableOpacity>
+      </TouchableOpacity>
+    </Modal>
+  );
+
+  if (loading) {
+    return (
+      <View style={s.list}>
+        {filterBar}
+        <View style={s.center}><ActivityIndicator color="#58a6ff" size="large" /></View>
+      </View>
+    );
+  }
+  if (error) {
+    return (
+      <View style={s.list}>
+        {filterBar}
+        <View style={s.center}><Text style={s.err}>{error}</Text></View>
+        {pickerSheet}
+      </View>
+    );
+  }
+
+  if (searching) {
+    return (
+      <View style={s.list}>
+        {filterBar}
+        <SearchPanel dir={dir} scope={view.ref} onOpen={openCommit} onLongPress={showActions} />
+        {pickerSheet}
+      </View>
+    );
+  }
 
   return (
-    <FlatList
-      style={s.list}
-      data={commits}
-      keyExtractor={c => c.sha}
-      refreshControl={<RefreshControl refreshing={refreshing} onRefresh={() => { setRefreshing(true); load(); }} tintColor="#58a6ff" />}
-      renderItem={({ item, index }) => <CommitRow commit={item} index={index} color={COLORS[index % COLORS.length]} />}
+    <View style={s.list}>
+      {filterBar}
+      <FlatList
+        data={commits}
+        keyExtractor={c => c.sha}
+        refreshControl={<RefreshControl refreshing={refreshing} onRefresh={() => { setRefreshing(true); load(); }} tintColor="#58a6ff" />}
+        onEndReached={loadMore}
+        onEndReachedThreshold={0.5}
+        ListFooterComponent={loadingMore ? <ActivityIndicator color="#58a6ff" style={s.footer} /> : null}
+        ListEmptyComponent={
+          <Text style={s.empty}>{view.path ? `No commits touch ${view.path}` : 'No commits yet'}</Text>
+        }
+        renderItem={({ item, index }) => (
+          <CommitRow
+            commit={item}
+            graph={graph[index]}
+            labels={labels[item.sha]}
+            isHead={item.sha === head}
+            onPress={openCommit}
+            onLongPress={showActions}
+          />
+        )}
+      />
+
+      {busy && (
+        <View style={s.busyOverlay}>
+          <ActivityIndicator color="#58a6ff" size="large" />
+        </View>
+      )}
+
+      {pickerSheet}
+
+      <Modal visible={!!actionCommit} transparent animationType="slide" onRequestClose={() => setActionCommit(null)}>
+        <TouchableOpacity style={s.modalOverlay} activeOpacity={1} onPress={() => setActionCommit(null)}>
+          <View style={s.modal}>
+            <Text style={s.modalTitle} numberOfLines={2}>{actionCommit?.summary}</Text>
+            <Text style={s.modalSub}>{actionCommit?.shortSha} · {actionCommit?.authorName}</Text>
+            <TouchableOpacity style={s.sheetRow} onPress={() => { setActionCommit(null); confirm(actionCommit, 'cherry-pick'); }}>
+              <Text style={s.sheetText}>Cherry-pick onto {branch}</Text>
+            </TouchableOpacity>
+            <TouchableOpacity style={s.sheetRow} onPress={() => { setActionCommit(null); confirm(actionCommit, 'revert'); }}>
+              <Text style={s.sheetText}>Revert</Text>
+            </TouchableOpacity>
+            <TouchableOpacity style={s.sheetRow} onPress={() => { setActionCommit(null); navigation.navigate('Branches', { dir, tagAt: actionCommit.sha }); }}>
+              <Text style={s.sheetText}>Create tag here…</Text>
+            </TouchableOpacity>
+          </View>
+        </TouchableOpacity>
+      </Modal>
+    </View>
+  );
+}
+
+/** Parse a YYYY-MM-DD field as the start (or end) of that local day; '' → null */
+function parseDay(value, endOfDay) {
+  const text = value.trim();
+  if (!text) return null;
+  const m = /^(\d{4})-(\d{1,2})-(\d{1,2})$/.exec(text);
+  if (!m) throw new Error(`"${text}" is not a date — use YYYY-MM-DD`);
+  const day = new Date(Number(m[1]), Number(m[2]) - 1, Number(m[3]));
+  if (endOfDay) day.setHours(23, 59, 59, 999);
+  return day.getTime();
+}
+
+/** Search form + results streamed in from searchCommits() */
+function SearchPanel({ dir, scope, onOpen, onLongPress }) {
+  const [query, setQuery] = useState(EMPTY_QUERY);
+  const [results, setResults] = useState(null); // null until the first search
+  const [progress, setProgress] = useState(null); // { scanned, running }
+  const controller = useRef(null);
+
+  // Stop a running search when the panel goes away
+  useEffect(() => () => controller.current?.abort(), []);
+
+  const field = (key, placeholder, extra = {}) => (
+    <TextInput
+      style={s.searchInput}
+      placeholder={placeholder}
+      placeholderTextColor="#8b949e"
+      autoCapitalize="none"
+      autoCorrect={false}
+      value={query[key]}
+      onChangeText={value => setQuery(q => ({ ...q, [key]: value }))}
+      returnKeyType="search"
+      onSubmitEditing={run}
+      {...extra}
     />
   );
+
+  const run = async () => {
+    let since;
+    let until;
+    try {
+      since = parseDay(query.since, false);
+      until = parseDay(query.until, true);
+    } catch (e) {
+      Alert.alert('Invalid date', e.message);
+      return;
+    }
+    controller.current?.abort();
+    const mine = new AbortController();
+    controller.current = mine;
+    setResults([]);
+    setProgress({ scanned: 0, running: true });
+    try {
+      await searchCommits(dir, { ...query, since, until }, {
+        ref: scope,
+        signal: mine.signal,
+        onResults: (hits, scanned) => {
+          if (mine.signal.aborted) return;
+          if (hits.length) setResults(prev => [...prev, ...hits]);
+          setProgress({ scanned, running: true });
+        },
+      });
+    } catch (e) {
+      Alert.alert('Search failed', e.message);
+    } finally {
+      if (controller.current === mine) setProgress(p => ({ ...p, running: false }));
+    }
+  };
+
+  const stop = () => {
+    controller.current?.abort();
+    setProgress(p => ({ ...p, running: false }));
+  };
+
+  return (
+    <View style={s.list}>
+      <View style={s.searchForm}>
+        {field('text', 'Message contains…', { autoFocus: true })}
+        <View style={s.searchRow}>
+          {field('author', 'Author name or email')}
+          {field('sha', 'SHA prefix')}
+        </View>
+        <View style={s.searchRow}>
+          {field('since', 'From YYYY-MM-DD')}
+          {field('until', 'To YYYY-MM-DD')}
+        </View>
+        {field('path', 'Touches path (file or folder)')}
+        <View style={s.searchRow}>
+          <Text style={s.searchScope} numberOfLines={1}>in {scope ?? 'all branches'}</Text>
+          {progress?.running ? (
+            <TouchableOpacity style={[s.searchBtn, s.stopBtn]} onPress={stop}>
+              <Text style={s.searchBtnText}>Stop</Text>
+            </TouchableOpacity>
+          ) : (
+            <TouchableOpacity style={s.searchBtn} onPress={run}>
+              <Text style={s.searchBtnText}>Search</Text>
+            </TouchableOpacity>
+          )}
+        </View>
+      </View>
+      {progress && (
+        <View style={s.searchStatus}>
+          {progress.running && <ActivityIndicator color="#58a6ff" size="small" />}
+          <Text style={s.searchStatusText}>
+            {results.length} found · {progress.scanned} commits searched{progress.running ? '…' : ''}
+          </Text>
+        </View>
+      )}
+      <FlatList
+        data={results ?? []}
+        keyExtractor={c => c.sha}
+        keyboardShouldPersistTaps="handled"
+        ListEmptyComponent={
+          results && !progress?.running ? <Text style={s.empty}>No matching commits</Text> : null
+        }
+        renderItem={({ item }) => (
+          <CommitRow commit={item} graph={LONE_ROW} onPress={onOpen} onLongPress={onLongPress} />
+        )}
+      />
+    </View>
+  );
 }
 
-function CommitRow({ commit, index, color }) {
+function CommitRow({ commit, graph, labels, isHead, onPress, onLongPress }) {
   const date = new Date(commit.authoredAt);
   const dateStr = date.toLocaleDateString('en-US', { month: 'short', day: 'numeric' });
   return (
-    <View style={s.row}>
-      {/* Graph lane dot */}
-      <View style={s.graphCol}>
-        <View style={[s.dot, { backgroundColor: color }]} />
-        <View style={s.line} />
-      </View>
+    <TouchableOpacity style={s.row} onPress={() => onPress(commit)} onLongPress={() => onLongPress(commit)} activeOpacity={0.7}>
+      <GraphCell row={graph} isHead={isHead} />
       <View style={s.content}>
+        {labels && (
+          <View style={s.labels}>
+            {labels.map(label => (
+              <Text
+                key={`${label.kind}:${label.name}`}
+                style={[s.label, { color: LABEL_COLOR[label.kind], borderColor: LABEL_COLOR[label.kind] }]}
+                numberOfLines={1}
+              >
+                {label.kind === 'tag' ? `🏷 ${label.name}` : label.name}
+              </Text>
+            ))}
+          </View>
+        )}
         <Text style={s.summary} numberOfLines={2}>{commit.summary}</Text>
         <View style={s.meta}>
           <Text style={s.sha}>{commit.shortSha}</Text>
@@ -64,6 +453,29 @@ function CommitRow({ commit, index, color }) {
           <Text style={s.date}>{dateStr}</Text>
         </View>
       </View>
+    </TouchableOpacity>
+  );
+}
+
+/** One row of the commit graph: lane lines, bends and the commit's dot */
+function GraphCell({ row, isHead }) {
+  const x = lane => 8 + lane * LANE_W + LANE_W / 2;
+  const color = i => COLORS[i % COLORS.length];
+  return (
+    <View style={[s.graphCol, { width: row.width * LANE_W + 12 }]}>
+      {row.top.map(({ lane, color: c }) => (
+        <View key={`t${lane}`} style={[s.vline, { left: x(lane) - 1, top: 0, height: NODE_Y, backgroundColor: color(c) }]} />
+      ))}
+      {row.bottom.map(({ lane, color: c }) => (
+        <View key={`b${lane}`} style={[s.vline, { left: x(lane) - 1, top: NODE_Y, bottom: 0, backgroundColor: color(c) }]} />
+      ))}
+      {row.joins.map(({ from, to, color: c, half }) => (
+        <View
+          key={`${half}${from}-${to}`}
+          style={[s.hline, { left: Math.min(x(from), x(to)) - 1, width: Math.abs(x(to) - x(from)) + 2, top: NODE_Y - 1, backgroundColor: color(c) }]}
+        />
+      ))}
+      <View style={[s.dot, { left: x(row.lane) - 5, top: NODE_Y - 5, backgroundColor: color(row.color) }, isHead && s.dotHead]} />
     </View>
   );
 }
@@ -72,11 +484,18 @@ const s = StyleSheet.create({
   list: { flex: 1, backgroundColor: '#0d1117' },
   center: { flex: 1, backgroundColor: '#0d1117', alignItems: 'center', justifyContent: 'center' },
   err: { color: '#f78166', padding: 20, textAlign: 'center' },
-  row: { flexDirection: 'row', paddingRight: 16, paddingVertical: 6 },
-  graphCol: { width: 36, alignItems: 'center' },
-  dot: { width: 10, height: 10, borderRadius: 5, marginTop: 6 },
-  line: { flex: 1, width: 2, backgroundColor: '#21262d' },
-  content: { flex: 1, paddingLeft: 8, paddingVertical: 4 },
+  row: { flexDirection: 'row', paddingRight: 16 },
+  graphCol: { minWidth: 36 },
+  vline: { position: 'absolute', width: 2 },
+  hline: { position: 'absolute', height: 2 },
+  dot: { position: 'absolute', width: 10, height: 10, borderRadius: 5 },
+  dotHead: { borderWidth: 2, borderColor: '#c9d1d9' },
+  content: { flex: 1, paddingLeft: 4, paddingVertical: 10 },
+  labels: { flexDirection: 'row', flexWrap: 'wrap', gap: 4, marginBottom: 4 },
+  label: {
+    fontSize: 11, fontWeight: '600', borderWidth: 1, borderRadius: 10,
+    paddingHorizontal: 7, paddingVertical: 1, maxWidth: 180,
+  },
   summary: { color: '#c9d1d9', fontSize: 14, fontWeight: '500' },
   meta: { flexDirection: 'row', alignItems: 'center', marginTop: 4, gap: 8 },
   sha: {
@@ -85,4 +504,60 @@ const s = StyleSheet.create({
   },
   author: { color: '#8b949e', fontSize: 12, flex: 1 },
   date: { color: '#8b949e', fontSize: 11 },
+  busyOverlay: {
+    ...StyleSheet.absoluteFillObject, backgroundColor: '#0d111788',
+    alignItems: 'center', justifyContent: 'center',
+  },
+  modalOverlay: { flex: 1, backgroundColor: '#00000088', justifyContent: 'flex-end' },
+  modal: {
+    backgroundColor: '#161b22', borderTopLeftRadius: 16, borderTopRightRadius: 16,
+    padding: 24, paddingBottom: 40,
+  },
+  modalTitle: { color: '#c9d1d9', fontSize: 18, fontWeight: '700' },
+  modalSub: { color: '#8b949e', fontSize: 13, marginTop: 4, marginBottom: 16 },
+  sheetRow: { paddingVertical: 14, borderTopWidth: 1, borderTopColor: '#21262d' },
+  sheetText: { color: '#c9d1d9', fontSize: 15 },
+  sheetActive: { color: '#58a6ff', fontWeight: '700' },
+  filterBar: {
+    flexDirection: 'row', gap: 8, paddingHorizontal: 12, paddingVertical: 8,
+    borderBottomWidth: 1, borderBottomColor: '#21262d', backgroundColor: '#161b22',
+  },
+  filterChip: {
+    borderWidth: 1, borderColor: '#30363d', borderRadius: 14, backgroundColor: '#21262d',
+    paddingHorizontal: 10, paddingVertical: 4, maxWidth: '60%',
+  },
+  pathChip: { flexShrink: 1 },
+  filterText: { color: '#c9d1d9', fontSize: 12, fontWeight: '600' },
+  pickerModal: { maxHeight: '75%' },
+  pickerTitle: { marginBottom: 12 },
+  pathRow: { flexDirection: 'row', gap: 8, marginBottom: 12 },
+  pathInput: {
+    flex: 1, backgroundColor: '#0d1117', borderWidth: 1, borderColor: '#30363d',
+    borderRadius: 8, color: '#c9d1d9', paddingHorizontal: 10, paddingVertical: 8, fontSize: 14,
+  },
+  pathApply: { backgroundColor: '#238636', borderRadius: 8, paddingHorizontal: 14, justifyContent: 'center' },
+  pathApplyText: { color: '#fff', fontWeight: '700' },
+  groupHead: {
+    color: '#58a6ff', fontSize: 11, fontWeight: '700', letterSpacing: 0.8,
+    paddingTop: 14, paddingBottom: 6,
+  },
+  footer: { paddingVertical: 16 },
+  searchChip: { marginLeft: 'auto' },
+  searchChipOn: { borderColor: '#58a6ff' },
+  searchForm: { padding: 12, gap: 8, borderBottomWidth: 1, borderBottomColor: '#21262d' },
+  searchRow: { flexDirection: 'row', alignItems: 'center', gap: 8 },
+  searchInput: {
+    flex: 1, backgroundColor: '#0d1117', borderWidth: 1, borderColor: '#30363d',
+    borderRadius: 8, color: '#c9d1d9', paddingHorizontal: 10, paddingVertical: 7, fontSize: 14,
+  },
+  searchScope: { flex: 1, color: '#8b949e', fontSize: 12 },
+  searchBtn: { backgroundColor: '#238636', borderRadius: 8, paddingHorizontal: 18, paddingVertical: 8 },
+  stopBtn: { backgroundColor: '#da3633' },
+  searchBtnText: { color: '#fff', fontWeight: '700' },
+  searchStatus: {
+    flexDirection: 'row', alignItems: 'center', gap: 8,
+    paddingHorizontal: 14, paddingVertical: 8, backgroundColor: '#161b22',
+  },
+  searchStatusText: { color: '#8b949e', fontSize: 12 },
+  empty: { color: '#8b949e', textAlign: 'center', padding: 30 },
 });
@@ -1,34 +1,137 @@
-import React, { useState } from 'react';
+import React, { useCallback, useEffect, useState } from 'react';
 import {
   View, Text, TouchableOpacity, StyleSheet,
-  ActivityIndicator, Alert, ScrollView,
+  ActivityIndicator, Alert, ScrollView, Modal, TextInput,
 } from 'react-native';
-import { fetchRepo, pullRepo, pushRepo, fetchFromPeer, pushToPeer, getCurrentBranch } from '../git/gitOps';
+import { useFocusEffect } from '@react-navigation/native';
+import {
+  fetchRepo, pullRepo, pushRepo, fetchFromPeer, pushToPeer, getCurrentBranch,
+  listRemotes, addRemote, renameRemote, removeRemote, setRemoteUrl,
+  getTracking, getUpstream, getShallowInfo, deepenHistory,
+  PULL_MODES, getPullMode, setPullMode, previewForcePush,
+} from '../git/gitOps';
+import { createTransfer, isCancelled, formatBytes, formatEta } from '../git/transfer';
 import { useStore } from '../store/useStore';
 import { useNetworkStatus } from '../hooks/useNetworkStatus';
 
-export default function RemoteScreen({ route }) {
+const PULL_MODE_LABELS = { 'ff-only': 'Fast-forward only', merge: 'Merge', rebase: 'Rebase' };
+const PULL_MODE_DESCRIPTIONS = {
+  'ff-only': 'fast-forward to',
+  merge: 'merge changes from',
+  rebase: 'rebase local commits onto',
+};
+
+export default function RemoteScreen({ route, navigation }) {
   const { dir } = route.params;
   const { creds, queuePush, pendingPushCount, flushPushQueue, repos } = useStore();
   const { isOnline } = useNetworkStatus();
   const [fetchStatus, setFetchStatus] = useState(null);
   const [loading, setLoading] = useState('');
+  const [remotes, setRemotes] = useState([]);        // [{ name, url }]
+  const [remote, setRemote] = useState('origin');    // remote fetch/pull/push talk to
+  const [managing, setManaging] = useState(false);   // remotes sheet open
+  const [form, setForm] = useState(null);            // { original, name, url } while adding/editing a remote
+  const [tracking, setTracking] = useState(null);    // { branch, upstream, ahead, behind, gone } for the current branch
+  const [shallow, setShallow] = useState(null);      // getShallowInfo()
+  const [deepenBy, setDeepenBy] = useState('50');
+  const [deepenSince, setDeepenSince] = useState('');  // YYYY-MM-DD
+  const [transfer, setTransfer] = useState(null);    // createTransfer() handle of the running operation
+  const [progress, setProgress] = useState(null);    // its latest progress
+  const [pullMode, setPullModeState] = useState('merge');  // this repo's default, getPullMode()
+  const [diverged, setDiverged] = useState(null);    // err.diverged of a refused fast-forward-only pull
+  const [forcePreview, setForcePreview] = useState(null);  // previewForcePush() while confirming a force push
 
   // Detect peer-synced repos (url stored as "peer:http://...")
   const thisRepo = repos.find(r => r.dir === dir);
   const isPeer = !!thisRepo?.url?.startsWith('peer:');
   const peerUrl = isPeer ? thisRepo.url.slice(5) : null; // strip "peer:" prefix
 
+  const loadRemotes = useCallback(async () => {
+    try {
+      const list = await listRemotes(dir);
+      setRemotes(list);
+      setRemote(cur => (list.some(r => r.name === cur) ? cur : list[0]?.name ?? 'origin'));
+    } catch (e) {
+      Alert.alert('Could not read remotes', e.message);
+    }
+  }, [dir]);
+
+  const loadTracking = useCallback(async () => {
+    try {
+      const branch = await getCurrentBranch(dir);
+      setTracking({ branch, ...(await getTracking(dir, branch)) });
+      setShallow(await getShallowInfo(dir));
+    } catch {
+      setTracking(null);
+    }
+  }, [dir]);
+
+
+  // Commits made on other tabs change the counts
+  useFocusEffect(useCallback(() => { if (!isPeer) loadTracking(); }, [isPeer, loadTracking]));
+
+  useEffect(() => {
+    if (isPeer) return;
+    loadRemotes();
+    getPullMode(dir).then(setPullModeState).catch(() => {});
+    // Start on the remote the current branch tracks
+    getCurrentBranch(dir)
+      .then(branch => getUpstream(dir, branch))
+      .then(upstream => { if (upstream) setRemote(upstream.remote); })
+      .catch(() => {});
+  }, [dir, isPeer, loadRemotes]);
+
+  const saveRemote = async () => {
+    const name = form.name.trim();
+    const url = form.url.trim();
+    if (!name || !url) return;
+    try {
+      if (!form.original) {
+        await addRemote(dir, name, url);
+      } else {
+        if (name !== form.original.name) await renameRemote(dir, form.original.name, name);
+        if (url !== form.original.url) await setRemoteUrl(dir, name, url);
+        if (remote === form.original.name) setRemote(name);
+      }
+      setForm(null);
+      loadRemotes();
+    } catch (e) {
+      Alert.alert('Could not save remote', e.message);
+    }
+  };
+
+  const confirmRemove = (r) => {
+    Alert.alert('Remove Remote', `Remove "${r.name}" and its remote-tracking branches?\n\n${r.url}`, [
+      { text: 'Cancel', style: 'cancel' },
+      {
+        text: 'Remove', style: 'destructive', onPress: async () => {
+          try {
+            await removeRemote(dir, r.name);
+            loadRemotes();
+          } catch (e) { Alert.alert('Could not remove remote', e.message); }
+        },
+      },
+    ]);
+  };
+
+  // `fn` gets a transfer to pass on to the network call, so it can report progress and be cancelled
   const run = async (label, fn) => {
+    const t = createTransfer(setProgress);
+    setTransfer(t);
     setLoading(label);
     setFetchStatus(null);
     try {
-      await fn();
+      await fn(t);
       setFetchStatus({ ok: true, msg: `${label} successful` });
     } catch (e) {
-      setFetchStatus({ ok: false, msg: e.message ?? String(e) });
+      setFetchStatus(isCancelled(e)
+        ? { ok: false, msg: `${label} cancelled` }
+        : { ok: false, msg: e.message ?? String(e) });
     } finally {
       setLoading('');
+      setTransfer(null);
+      setProgress(null);
+      if (!isPeer) loadTracking();
     }
   };
 
@@ -36,23 +139,80 @@ export default function RemoteScreen({ route }) {
   const name = creds.name || 'GitLane User';
   const email = creds.email || 'user@gitlane.app';
 
+  const handleDeepen = (kind) => {
+    if (kind === 'by') {
+      const by = parseInt(deepenBy, 10);
+      if (!(by > 0)) { Alert.alert('Error', 'Enter how many commits to fetch'); return; }
+      run('History', t => deepenHistory(dir, token, { by, remote, transfer: t }));
+    } else if (kind === 'since') {
+      const m = deepenSince.trim().match(/^(\d{4})-(\d{2})-(\d{2})$/);
+      const since = m && new Date(+m[1], +m[2] - 1, +m[3]);
+      if (!since || isNaN(since)) { Alert.alert('Error', 'Enter a date as YYYY-MM-DD'); return; }
+      run('History', t => deepenHistory(dir, token, { since, remote, transfer: t }));
+    } else {
+      Alert.alert('Fetch all history', `Download the complete history from ${remote}? This can be large.`, [
+        { text: 'Cancel', style: 'cancel' },
+        { text: 'Fetch all', onPress: () => run('History', t => deepenHistory(dir, token, { all: true, remote, transfer: t })) },
+      ]);
+    }
+  };
   const handleFetch = () => {
     if (isPeer) {
       run('Fetch', () => fetchFromPeer(dir, peerUrl));
     } else {
-      run('Fetch', () => fetchRepo(dir, token));
+      run('Fetch', t => fetchRepo(dir, token, { remote, transfer: t }));
     }
   };
 
-  const handlePull = () => {
+  // `mode` overrides the repo's pull mode for this one pull
+  const handlePull = (mode = null) => {
+    setDiverged(null);
     if (isPeer) {
       // fetchFromPeer updates refs + checks out working tree — equivalent to pull
       run('Pull', () => fetchFromPeer(dir, peerUrl));
     } else {
-      run('Pull', () => pullRepo(dir, name, email, token));
+      run('Pull', async t => {
+        let r;
+        try {
+          r = await pullRepo(dir, name, email, token, { remote, transfer: t, mode });
+        } catch (e) {
+          if (e.code !== 'Diverged') throw e;
+          setDiverged(e.diverged);
+          throw new Error(`Nothing pulled — your branch and ${e.diverged.upstream} have diverged`);
+        }
+        if (!r.conflicts.length) return;
+        const rebasing = r.mode === 'rebase';
+        Alert.alert(
+          rebasing ? 'Rebase conflicts' : 'Merge conflicts',
+          `${rebasing ? 'Replaying a local commit' : 'Pulled, but'} ${r.conflicts.length} file(s) conflict:\n\n${r.conflicts.join('\n')}`,
+          [
+            { text: 'Later', style: 'cancel' },
+            { text: 'Resolve', onPress: () => navigation.navigate('Conflicts', { dir }) },
+          ],
+        );
+        throw new Error(`Pull stopped on ${r.conflicts.length} conflict(s) — resolve them to finish the ${rebasing ? 'rebase' : 'merge'}`);
+      });
     }
   };
 
+  const choosePullMode = async (mode) => {
+    try {
+      await setPullMode(dir, mode);
+      setPullModeState(mode);
+    } catch (e) {
+      Alert.alert('Could not change pull mode', e.message);
+    }
+  };
+
+  // Long-press on Pull: the other two modes, just this once
+  const handlePullOnce = () => {
+    if (isPeer || !isOnline) return;
+    Alert.alert('Pull once with…', `This repo pulls with ${PULL_MODE_LABELS[pullMode].toLowerCase()}.`, [
+      { text: 'Cancel', style: 'cancel' },
+      ...PULL_MODES.filter(m => m !== pullMode).map(m => ({ text: PULL_MODE_LABELS[m], onPress: () => handlePull(m) })),
+    ]);
+  };
+
   const handlePush = () => {
     if (isPeer) {
       Alert.alert('Push to Peer', 'Make sure the host device has their server running, then push?', [
@@ -70,16 +230,47 @@ export default function RemoteScreen({ route }) {
     if (!isOnline) {
       // Queue for later
       const repoName = dir.split('/').pop();
-      queuePush(dir, repoName);
-      setFetchStatus({ ok: true, msg: `Push queued — will sync when online` });
+      queuePush(dir, repoName, remote);
+      setFetchStatus({ ok: true, msg: `Push to ${remote} queued — will sync when online` });
       return;
     }
-    Alert.alert('Push', 'Push commits to origin?', [
+    Alert.alert('Push', `Push commits to ${remote}?`, [
       { text: 'Cancel', style: 'cancel' },
-      { text: 'Push', onPress: () => run('Push', () => pushRepo(dir, token)) },
+      {
+        text: 'Push',
+        onPress: () => run('Push', async t => {
+          try {
+            await pushRepo(dir, token, false, { remote, transfer: t });
+          } catch (e) {
+            if (e.data?.reason === 'not-fast-forward') {
+              Alert.alert('Push rejected', `${remote} has commits your branch doesn't. Pull them in first, or review what a force push would remove.`, [
+                { text: 'Cancel', style: 'cancel' },
+                { text: 'Pull', onPress: () => handlePull() },
+                { text: 'Force push…', onPress: openForcePush },
+              ]);
+            }
+            throw e;
+          }
+        }),
+      },
     ]);
   };
 
+  // Long-press on Push, or after a rejected push: show what forcing would remove first
+  const openForcePush = async () => {
+    if (isPeer || !isOnline) return;
+    try {
+      setForcePreview(await previewForcePush(dir, { remote }));
+    } catch (e) {
+      Alert.alert('Cannot force push', e.message);
+    }
+  };
+
+  const confirmForcePush = () => {
+    setForcePreview(null);
+    run('Force push', t => pushRepo(dir, token, 'with-lease', { remote, transfer: t }));
+  };
+
   const handleFlush = async () => {
     setLoading('Syncing');
     setFetchStatus(null);
@@ -99,6 +290,24 @@ export default function RemoteScreen({ route }) {
     <ScrollView style={s.container} contentContainerStyle={s.content}>
       <Text style={s.heading}>Remote Operations</Text>
 
+      {tracking && !isPeer && (
+        <View style={s.trackCard}>
+          <Text style={s.trackBranch} numberOfLines={1}>
+            ⎇ {tracking.branch}{tracking.upstream ? `  →  ${tracking.upstream}` : ''}
+          </Text>
+          {!tracking.upstream ? (
+            <Text style={s.trackSub}>No upstream yet — pushing sets one</Text>
+          ) : tracking.gone ? (
+            <Text style={[s.trackSub, s.trackGone]}>Upstream branch not on the remote — fetch, or push to create it</Text>
+          ) : (
+            <View style={s.trackCounts}>
+              <Text style={[s.trackCount, tracking.ahead > 0 && s.trackAhead]}>↑ {tracking.ahead} ahead</Text>
+              <Text style={[s.trackCount, tracking.behind > 0 && s.trackBehind]}>↓ {tracking.behind} behind</Text>
+            </View>
+          )}
+        </View>
+      )}
+
       {/* Connection status pill */}
       <View style={[s.statusPill, isOnline ? s.pillOnline : s.pillOffline]}>
         <View style={[s.dot, isOnline ? s.dotOnline : s.dotOffline]} />
@@ -136,9 +345,26 @@ export default function RemoteScreen({ route }) {
         </TouchableOpacity>
       )}
 
+      {!isPeer && (
+        <View style={s.remoteRow}>
+          {remotes.map(r => (
+            <TouchableOpacity
+              key={r.name}
+              style={[s.remoteChip, remote === r.name && s.remoteChipOn]}
+              onPress={() => setRemote(r.name)}
+            >
+              <Text style={[s.remoteChipText, remote === r.name && s.remoteChipTextOn]}>{r.name}</Text>
+            </TouchableOpacity>
+          ))}
+          <TouchableOpacity style={s.remoteChip} onPress={() => setManaging(true)}>
+            <Text style={s.remoteChipText}>{remotes.length ? '⚙ Remotes' : '＋ Add remote'}</Text>
+          </TouchableOpacity>
+        </View>
+      )}
+
       <ActionCard
         title="Fetch"
-        description={isPeer ? 'Download latest commits from peer device' : 'Download remote refs without merging'}
+        description={isPeer ? 'Download latest commits from peer device' : `Download ${remote}'s refs without merging`}
         icon="⬇"
         loading={loading === 'Fetch'}
         disabled={!isPeer && !isOnline}
@@ -146,22 +372,92 @@ export default function RemoteScreen({ route }) {
       />
       <ActionCard
         title="Pull"
-        description={isPeer ? 'Fetch + apply changes from peer device' : 'Fetch + merge remote changes'}
+        description={isPeer
+          ? 'Fetch + apply changes from peer device'
+          : `Fetch + ${PULL_MODE_DESCRIPTIONS[pullMode]} ${remote} — long-press to pull another way once`}
         icon="⬆⬇"
         loading={loading === 'Pull'}
         disabled={!isPeer && !isOnline}
-        onPress={handlePull}
+        onPress={() => handlePull()}
+        onLongPress={handlePullOnce}
       />
+      {!isPeer && (
+        <View style={s.remoteRow}>
+          <Text style={s.modeLabel}>Pull by</Text>
+          {PULL_MODES.map(m => (
+            <TouchableOpacity
+              key={m}
+              style={[s.remoteChip, pullMode === m && s.remoteChipOn]}
+              onPress={() => choosePullMode(m)}
+            >
+              <Text style={[s.remoteChipText, pullMode === m && s.remoteChipTextOn]}>{PULL_MODE_LABELS[m]}</Text>
+            </TouchableOpacity>
+          ))}
+        </View>
+      )}
+      {diverged && (
+        <DivergedCard
+          diverged={diverged}
+          branch={tracking?.branch}
+          onPull={handlePull}
+          onClose={() => setDiverged(null)}
+        />
+      )}
       <ActionCard
         title="Push"
-        description={isPeer ? 'Send local commits to peer device' : isOnline ? 'Upload local commits to remote' : 'Queue push — will send when online'}
+        description={isPeer ? 'Send local commits to peer device' : isOnline ? `Upload local commits to ${remote}` : 'Queue push — will send when online'}
         icon="⬆"
-        loading={loading === 'Push'}
+        loading={loading === 'Push' || loading === 'Force push'}
         disabled={false}
         onPress={handlePush}
+        onLongPress={openForcePush}
         offline={!isPeer && !isOnline}
       />
 
+      {shallow?.shallow && !isPeer && (
+        <View style={[s.card, s.historyCard, !isOnline && s.cardDisabled]}>
+          <View style={s.historyHead}>
+            <Text style={s.cardTitle}>Shallow clone</Text>
+            {loading === 'History' && <ActivityIndicator color="#58a6ff" />}
+          </View>
+          <Text style={s.cardDesc}>
+            History stops
+            {shallow.oldest ? ` at ${new Date(shallow.oldest).toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric' })}` : ''}
+            {' '}— fetch more from {remote}:
+          </Text>
+          <View style={s.historyRow}>
+            <TextInput
+              style={[s.historyInput, s.historyNum]}
+              value={deepenBy}
+              onChangeText={setDeepenBy}
+              keyboardType="number-pad"
+            />
+            <TouchableOpacity style={s.historyBtn} onPress={() => handleDeepen('by')} disabled={!isOnline || !!loading}>
+              <Text style={s.historyBtnText}>more commits</Text>
+            </TouchableOpacity>
+          </View>
+          <View style={s.historyRow}>
+            <TextInput
+              style={[s.historyInput, s.historyDate]}
+              value={deepenSince}
+              onChangeText={setDeepenSince}
+              placeholder="YYYY-MM-DD"
+              placeholderTextColor="#8b949e"
+            />
+            <TouchableOpacity style={s.historyBtn} onPress={() => handleDeepen('since')} disabled={!isOnline || !!loading}>
+              <Text style={s.historyBtnText}>everything since</Text>
+            </TouchableOpacity>
+          </View>
+          <TouchableOpacity style={[s.historyBtn, s.unshallowBtn]} onPress={() => handleDeepen('all')} disabled={!isOnline || !!loading}>
+            <Text style={s.historyBtnText}>Fetch all history (unshallow)</Text>
+          </TouchableOpacity>
+        </View>
+      )}
+
+      {transfer && !isPeer && (
+        <TransferProgress progress={progress} onCancel={() => transfer.cancel()} />
+      )}
+
       {fetchStatus && (
         <View style={[s.status, fetchStatus.ok ? s.statusOk : s.statusErr]}>
           <Text style={[s.statusText, fetchStatus.ok ? s.statusOkText : s.statusErrText]}>
@@ -169,15 +465,217 @@ export default function RemoteScreen({ route }) {
           </Text>
         </View>
       )}
+
+      <Modal visible={managing} transparent animationType="slide" onRequestClose={() => setManaging(false)}>
+        <TouchableOpacity style={s.modalOverlay} activeOpacity={1} onPress={() => setManaging(false)}>
+          <View style={s.modal}>
+            <Text style={s.modalTitle}>Remotes</Text>
+            {remotes.map(r => (
+              <View key={r.name} style={s.sheetRow}>
+                <TouchableOpacity
+                  style={{ flex: 1 }}
+                  onPress={() => { setManaging(false); setForm({ original: r, name: r.name, url: r.url }); }}
+                >
+                  <Text style={s.sheetText}>{r.name}</Text>
+                  <Text style={s.sheetSub} numberOfLines={1}>{r.url}</Text>
+                </TouchableOpacity>
+                <TouchableOpacity onPress={() => { setManaging(false); confirmRemove(r); }}>
+                  <Text style={s.sheetDanger}>Remove</Text>
+                </TouchableOpacity>
+              </View>
+            ))}
+            <TouchableOpacity
+              style={s.sheetRow}
+              onPress={() => { setManaging(false); setForm({ original: null, name: remotes.length ? 'upstream' : 'origin', url: '' }); }}
+            >
+              <Text style={s.sheetAdd}>＋  Add remote</Text>
+            </TouchableOpacity>
+          </View>
+        </TouchableOpacity>
+      </Modal>
+
+      <Modal visible={!!forcePreview} transparent animationType="slide" onRequestClose={() => setForcePreview(null)}>
+        <View style={s.modalOverlay}>
+          <ScrollView style={[s.modal, s.forceSheet]} contentContainerStyle={s.forceContent}>
+            <Text style={s.modalTitle}>Force push {forcePreview?.branch} → {forcePreview?.upstream}</Text>
+            {!forcePreview?.exists ? (
+              <Text style={s.cardDesc}>
+                {forcePreview?.upstream} hasn't been fetched, so nothing is known to be lost. If the branch
+                exists on the remote now, the push is refused rather than overwriting it.
+              </Text>
+            ) : (
+              <>
+                <Text style={s.cardDesc}>
+                  Replaces {forcePreview.upstream} with your {forcePreview.branch}. As of your last fetch
+                  that removes the commits below. If anyone has pushed since, nothing is overwritten —
+                  the push is refused so you can fetch and look again.
+                </Text>
+                <Text style={[s.divergedHeading, s.forceLost]}>
+                  {forcePreview.lost.length
+                    ? `✕ ${forcePreview.lost.length} commit(s) would be removed from ${forcePreview.upstream}`
+                    : `Nothing is removed from ${forcePreview.upstream}`}
+                </Text>
+                <CommitList commits={forcePreview.lost} showAuthor />
+                <Text style={[s.divergedHeading, s.trackAhead]}>
+                  ↑ {forcePreview.pushed.length} commit(s) pushed in their place
+                </Text>
+                <CommitList commits={forcePreview.pushed} />
+              </>
+            )}
+            <View style={[s.modalActions, s.forceActions]}>
+              <TouchableOpacity style={s.cancelBtn} onPress={() => setForcePreview(null)}>
+                <Text style={s.cancelText}>Cancel</Text>
+              </TouchableOpacity>
+              <TouchableOpacity style={[s.saveBtn, s.forceBtn]} onPress={confirmForcePush}>
+                <Text style={s.saveText}>Force push</Text>
+              </TouchableOpacity>
+            </View>
+          </ScrollView>
+        </View>
+      </Modal>
+
+      <Modal visible={!!form} transparent animationType="slide" onRequestClose={() => setForm(null)}>
+        <View style={s.modalOverlay}>
+          <View style={s.modal}>
+            <Text style={s.modalTitle}>{form?.original ? `Edit ${form.original.name}` : 'Add Remote'}</Text>
+            <Text style={s.fieldLabel}>NAME</Text>
+            <TextInput
+              style={s.modalInput}
+              placeholder="upstream"
+              placeholderTextColor="#8b949e"
+              value={form?.name}
+              onChangeText={v => setForm(f => ({ ...f, name: v }))}
+              autoCapitalize="none"
+              autoCorrect={false}
+            />
+            <Text style={s.fieldLabel}>URL</Text>
+            <TextInput
+              style={s.modalInput}
+              placeholder="https://github.com/owner/repo.git"
+              placeholderTextColor="#8b949e"
+              value={form?.url}
+              onChangeText={v => setForm(f => ({ ...f, url: v }))}
+              autoCapitalize="none"
+              autoCorrect={false}
+              keyboardType="url"
+            />
+            <View style={s.modalActions}>
+              <TouchableOpacity style={s.cancelBtn} onPress={() => setForm(null)}>
+                <Text style={s.cancelText}>Cancel</Text>
+              </TouchableOpacity>
+              <TouchableOpacity style={s.saveBtn} onPress={saveRemote}>
+                <Text style={s.saveText}>{form?.original ? 'Save' : 'Add Remote'}</Text>
+              </TouchableOpacity>
+            </View>
+          </View>
+        </View>
+      </Modal>
     </ScrollView>
   );
 }
 
-function ActionCard({ title, description, icon, loading, disabled, onPress, offline }) {
+/**
+ * Live progress of a clone/fetch/pull/push: phase, a bar when the phase has
+ * a total, bytes moved, speed and time left, and a Cancel button.
+ */
+function TransferProgress({ progress, onCancel }) {
+  const [cancelling, setCancelling] = useState(false);
+  const cancel = () => {
+    setCancelling(true);
+    onCancel();
+  };
+  return (
+    <View style={s.progressCard}>
+      <View style={s.progressHead}>
+        <ActivityIndicator color="#58a6ff" size="small" />
+        <Text style={s.progressPhase} numberOfLines={1}>
+          {cancelling ? 'Cancelling…' : progress?.phase ?? 'Connecting'}
+          {progress?.total > 0 && !/loading$/.test(progress.phase)
+            ? `  ${progress.loaded}/${progress.total}`
+            : ''}
+        </Text>
+        <TouchableOpacity style={s.progressCancel} onPress={cancel} disabled={cancelling}>
+          <Text style={s.progressCancelText}>Cancel</Text>
+        </TouchableOpacity>
+      </View>
+      {progress?.percent != null && (
+        <View style={s.progressTrack}>
+          <View style={[s.progressFill, { width: `${progress.percent}%` }]} />
+        </View>
+      )}
+      {progress && (
+        <Text style={s.progressStats}>
+          {progress.percent != null ? `${progress.percent}%  ·  ` : ''}
+          ↓ {formatBytes(progress.received)}
+          {progress.sent > 0 ? `  ↑ ${formatBytes(progress.sent)}` : ''}
+          {progress.bytesPerSecond > 0 ? `  ·  ${formatBytes(progress.bytesPerSecond)}/s` : ''}
+          {progress.etaSeconds != null ? `  ·  ${formatEta(progress.etaSeconds)} left` : ''}
+        </Text>
+      )}
+    </View>
+  );
+}
+
+/**
+ * Why a fast-forward-only pull was refused: the commits only on each side,
+ * and a one-off merge or rebase pull to combine them.
+ */
+function DivergedCard({ diverged, branch, onPull, onClose }) {
+  const { upstream, ahead, behind } = diverged;
+  return (
+    <View style={s.divergedCard}>
+      <View style={s.historyHead}>
+        <Text style={s.divergedTitle}>Branches have diverged</Text>
+        <TouchableOpacity onPress={onClose}>
+          <Text style={s.divergedClose}>✕</Text>
+        </TouchableOpacity>
+      </View>
+      <Text style={s.cardDesc}>
+        A fast-forward only works when {branch ?? 'your branch'} has no commits of its own.
+        Both sides have moved on since they last matched, so combine them with a merge or a rebase.
+      </Text>
+      <Text style={[s.divergedHeading, s.trackAhead]}>↑ {ahead.length} only on {branch ?? 'your branch'}</Text>
+      <CommitList commits={ahead} />
+      <Text style={[s.divergedHeading, s.trackBehind]}>↓ {behind.length} only on {upstream}</Text>
+      <CommitList commits={behind} />
+      <View style={s.historyRow}>
+        <TouchableOpacity style={s.historyBtn} onPress={() => onPull('merge')}>
+          <Text style={s.historyBtnText}>Pull with merge</Text>
+        </TouchableOpacity>
+        <TouchableOpacity style={s.historyBtn} onPress={() => onPull('rebase')}>
+          <Text style={s.historyBtnText}>Pull with rebase</Text>
+        </TouchableOpacity>
+      </View>
+    </View>
+  );
+}
+
+// Commits listed before "…and N more"
+const COMMITS_SHOWN = 5;
+
+function CommitList({ commits, showAuthor = false }) {
+  return (
+    <>
+      {commits.slice(0, COMMITS_SHOWN).map(c => (
+        <View key={c.oid} style={s.divergedRow}>
+          <Text style={s.divergedSha}>{c.oid.slice(0, 7)}</Text>
+          <Text style={s.divergedSummary} numberOfLines={1}>{c.summary}</Text>
+          {showAuthor && <Text style={s.divergedAuthor} numberOfLines={1}>{c.authorName}</Text>}
+        </View>
+      ))}
+      {commits.length > COMMITS_SHOWN && (
+        <Text style={s.divergedMore}>…and {commits.length - COMMITS_SHOWN} more</Text>
+      )}
+    </>
+  );
+}
+
+function ActionCard({ title, description, icon, loading, disabled, onPress, onLongPress, offline }) {
   return (
     <TouchableOpacity
       style={[s.card, disabled && !offline && s.cardDisabled]}
       onPress={onPress}
+      onLongPress={onLongPress}
       disabled={!!loading || (disabled && !offline)}
     >
       <Text style={[s.cardIcon, disabled && !offline && s.dimText]}>{icon}</Text>
@@ -230,12 +728,48 @@ const s = StyleSheet.create({
   queueSub: { color: '#8b949e', fontSize: 12, marginTop: 2 },
   syncBtn: { color: '#58a6ff', fontWeight: '700', fontSize: 14 },
 
+  trackCard: {
+    backgroundColor: '#161b22', borderRadius: 10, borderWidth: 1, borderColor: '#21262d',
+    padding: 12,
+  },
+  trackBranch: { color: '#c9d1d9', fontSize: 14, fontWeight: '600', fontFamily: 'monospace' },
+  trackSub: { color: '#8b949e', fontSize: 12, marginTop: 4 },
+  trackGone: { color: '#f78166' },
+  trackCounts: { flexDirection: 'row', gap: 16, marginTop: 6 },
+  trackCount: { color: '#8b949e', fontSize: 13, fontWeight: '600' },
+  trackAhead: { color: '#3fb950' },
+  trackBehind: { color: '#d29922' },
+
+  remoteRow: { flexDirection: 'row', flexWrap: 'wrap', gap: 8 },
+  remoteChip: {
+    borderWidth: 1, borderColor: '#30363d', borderRadius: 14,
+    paddingHorizontal: 12, paddingVertical: 5,
+  },
+  remoteChipOn: { borderColor: '#58a6ff', backgroundColor: '#1c2a3a' },
+  remoteChipText: { color: '#8b949e', fontSize: 13, fontWeight: '600' },
+  remoteChipTextOn: { color: '#58a6ff' },
+
   card: {
     backgroundColor: '#161b22', borderRadius: 12,
     borderWidth: 1, borderColor: '#21262d',
     padding: 16, flexDirection: 'row', alignItems: 'center', gap: 12,
   },
   cardDisabled: { opacity: 0.45 },
+  historyCard: { flexDirection: 'column', alignItems: 'stretch', gap: 10 },
+  historyHead: { flexDirection: 'row', alignItems: 'center', justifyContent: 'space-between' },
+  historyRow: { flexDirection: 'row', alignItems: 'center', gap: 10 },
+  historyInput: {
+    backgroundColor: '#0d1117', borderWidth: 1, borderColor: '#30363d',
+    borderRadius: 8, color: '#c9d1d9', paddingHorizontal: 10, paddingVertical: 7, fontSize: 14,
+  },
+  historyNum: { width: 70, textAlign: 'center' },
+  historyDate: { width: 120 },
+  historyBtn: {
+    flex: 1, alignItems: 'center', paddingVertical: 9,
+    borderRadius: 8, borderWidth: 1, borderColor: '#30363d',
+  },
+  unshallowBtn: { flex: 0 },
+  historyBtnText: { color: '#58a6ff', fontWeight: '600', fontSize: 13 },
   cardIcon: { fontSize: 24, width: 32, textAlign: 'center' },
   cardTitle: { color: '#c9d1d9', fontSize: 16, fontWeight: '600' },
   cardDesc: { color: '#8b949e', fontSize: 13, marginTop: 2 },
@@ -247,10 +781,75 @@ const s = StyleSheet.create({
     borderWidth: 1, borderColor: '#58a6ff',
   },
 
+  progressCard: {
+    backgroundColor: '#161b22', borderRadius: 10, borderWidth: 1, borderColor: '#21262d',
+    padding: 12, gap: 8,
+  },
+  progressHead: { flexDirection: 'row', alignItems: 'center', gap: 10 },
+  progressPhase: { flex: 1, color: '#c9d1d9', fontSize: 13, fontWeight: '600' },
+  progressCancel: {
+    borderWidth: 1, borderColor: '#f78166', borderRadius: 6,
+    paddingHorizontal: 10, paddingVertical: 4,
+  },
+  progressCancelText: { color: '#f78166', fontSize: 12, fontWeight: '700' },
+  progressTrack: { height: 6, backgroundColor: '#21262d', borderRadius: 3, overflow: 'hidden' },
+  progressFill: { height: '100%', backgroundColor: '#58a6ff', borderRadius: 3 },
+  progressStats: { color: '#8b949e', fontSize: 12, fontFamily: 'monospace' },
+
+  modeLabel: { color: '#8b949e', fontSize: 13, alignSelf: 'center' },
+  divergedCard: {
+    backgroundColor: '#161b22', borderRadius: 12, borderWidth: 1, borderColor: '#d29922',
+    padding: 16, gap: 8,
+  },
+  divergedTitle: { color: '#d29922', fontSize: 15, fontWeight: '700' },
+  divergedClose: { color: '#8b949e', fontSize: 16, paddingHorizontal: 4 },
+  divergedHeading: { fontSize: 13, fontWeight: '600', marginTop: 4 },
+  divergedRow: { flexDirection: 'row', gap: 8 },
+  divergedSha: { color: '#58a6ff', fontFamily: 'monospace', fontSize: 12 },
+  divergedSummary: { flex: 1, color: '#c9d1d9', fontSize: 13 },
+  divergedAuthor: { color: '#8b949e', fontSize: 12, maxWidth: 100 },
+  divergedMore: { color: '#8b949e', fontSize: 12 },
+  forceSheet: { flexGrow: 0, maxHeight: '85%' },
+  forceContent: { gap: 8 },
+  forceLost: { color: '#f78166' },
+  forceActions: { marginTop: 12 },
+  forceBtn: { backgroundColor: '#da3633' },
+
   status: { borderRadius: 10, padding: 14, marginTop: 4 },
   statusOk: { backgroundColor: '#1a2d1a', borderWidth: 1, borderColor: '#3fb950' },
   statusErr: { backgroundColor: '#2d1a1a', borderWidth: 1, borderColor: '#f78166' },
   statusText: { fontSize: 14 },
   statusOkText: { color: '#3fb950' },
   statusErrText: { color: '#f78166' },
+
+  modalOverlay: { flex: 1, backgroundColor: '#00000088', justifyContent: 'flex-end' },
+  modal: {
+    backgroundColor: '#161b22', borderTopLeftRadius: 16, borderTopRightRadius: 16,
+    padding: 24, paddingBottom: 40,
+  },
+  modalTitle: { color: '#c9d1d9', fontSize: 18, fontWeight: '700', marginBottom: 16 },
+  sheetRow: {
+    flexDirection: 'row', alignItems: 'center', gap: 12,
+    paddingVertical: 14, borderTopWidth: 1, borderTopColor: '#21262d',
+  },
+  sheetText: { color: '#c9d1d9', fontSize: 15 },
+  sheetSub: { color: '#8b949e', fontSize: 12, marginTop: 2 },
+  sheetDanger: { color: '#f78166', fontSize: 14 },
+  sheetAdd: { color: '#58a6ff', fontSize: 15, fontWeight: '600' },
+  fieldLabel: { color: '#8b949e', fontSize: 11, fontWeight: '700', letterSpacing: 0.8, marginBottom: 6 },
+  modalInput: {
+    backgroundColor: '#0d1117', borderWidth: 1, borderColor: '#30363d',
+    borderRadius: 8, color: '#c9d1d9', padding: 12, fontSize: 15, marginBottom: 16,
+  },
+  modalActions: { flexDirection: 'row', gap: 10 },
+  cancelBtn: {
+    flex: 1, borderWidth: 1, borderColor: '#30363d',
+    borderRadius: 8, paddingVertical: 12, alignItems: 'center',
+  },
+  cancelText: { color: '#8b949e', fontSize: 14 },
+  saveBtn: {
+    flex: 2, backgroundColor: '#238636',
+    borderRadius: 8, paddingVertical: 12, alignItems: 'center',
+  },
+  saveText: { color: '#fff', fontWeight: '700', fontSize: 14 },
 });
@@ -4,21 +4,22 @@ const QUEUE_KEY = 'gitlane_push_queue';
 
 /**
  * Persistent push queue backed by AsyncStorage.
- * Each item: { id, dir, repoName, queuedAt }
+ * Each item: { id, dir, repoName, remote, queuedAt }
  * Token is intentionally NOT stored — read from store at flush time.
+ * Items queued before remotes were configurable have no `remote`: they mean origin.
  */
 
-export async function enqueueRepo(dir, repoName) {
+export async function enqueueRepo(dir, repoName, remote = 'origin') {
   const queue = await getQueue();
-  // Deduplicate by dir — no point queuing the same repo twice
-  if (queue.find(item => item.dir === dir)) return;
-  queue.push({ id: Date.now().toString(), dir, repoName, queuedAt: Date.now() });
+  // Deduplicate by dir + remote — no point queuing the same push twice
+  if (queue.find(item => item.dir === dir && (item.remote ?? 'origin') === remote)) return;
+  queue.push({ id: Date.now().toString(), dir, repoName, remote, queuedAt: Date.now() });
   await AsyncStorage.setItem(QUEUE_KEY, JSON.stringify(queue));
 }
 
-export async function dequeueRepo(dir) {
+export async function dequeueRepo(dir, remote = 'origin') {
   const queue = await getQueue();
-  const updated = queue.filter(item => item.dir !== dir);
+  const updated = queue.filter(item => item.dir !== dir || (item.remote ?? 'origin') !== remote);
   await AsyncStorage.setItem(QUEUE_KEY, JSON.stringify(updated));
   return updated;
 }
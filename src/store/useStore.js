@@ -57,7 +57,7 @@ export const useStore = create((set, get) => ({
   },
 
   // ── UI state ───────────────────────────────────────────────────────────
-  cloneProgress: null,   // { phase, loaded, total } | null
+  cloneProgress: null,   // createTransfer() progress ({ phase, loaded, total, percent, … }) | null
   setCloneProgress: (p) => set({ cloneProgress: p }),
 
   // ── Push queue ─────────────────────────────────────────────────────────
@@ -68,9 +68,9 @@ export const useStore = create((set, get) => ({
     set({ pendingPushCount: queue.length });
   },
 
-  /** Queue a push for dir/repoName; updates badge count. */
-  queuePush: async (dir, repoName) => {
-    await enqueueRepo(dir, repoName);
+  /** Queue a push of dir/repoName to `remote`; updates badge count. */
+  queuePush: async (dir, repoName, remote = 'origin') => {
+    await enqueueRepo(dir, repoName, remote);
     const queue = await getQueue();
     set({ pendingPushCount: queue.length });
   },
@@ -86,8 +86,9 @@ export const useStore = create((set, get) => ({
     let failed = 0;
     for (const item of queue) {
       try {
-        await pushRepo(item.dir, token);
-        await dequeueRepo(item.dir);
+        const remote = item.remote ?? 'origin';
+        await pushRepo(item.dir, token, false, { remote });
+        await dequeueRepo(item.dir, remote);
         succeeded++;
       } catch {
         failed++;